@@ -0,0 +1,595 @@
+const express = require('express');
+const session = require('express-session');
+const cookieParser = require('cookie-parser');
+const twilio = require('twilio');
+const { detectLanguage, resolveLanguage, detectLanguageRequest, setPreferredLanguage, isSpanishLanguage } = require('./services/language');
+const { getLocale } = require('./locales');
+const { getOpenTicket, trackTicket } = require('./services/tickets');
+const { autoDispatch, findVendorByPhone, recordVendorReply, buildVendorAck } = require('./services/vendors');
+const { normalizePhone, describePhoneFormat } = require('./services/phone');
+const { isPaymentReport, recordReportedPayment, attachReceipt, getTenantBalance, describeBalance, formatPeriod, getLastSettledPayment } = require('./services/payments');
+const { getLandlordSettings, isAiPaused } = require('./services/landlords');
+const { initLandlordAlerts, isUrgentCategory } = require('./services/alerts');
+const { extractMedia, transcribeAudio } = require('./services/media');
+const { generateReply } = require('./services/assistant');
+const { getPropertyFaqs, findRelevantFaqs } = require('./services/knowledge');
+const { RECENT_MESSAGES_LIMIT, initConversationMemory, getConversationMemory, fitToBudget } = require('./services/memory');
+const { parseCommand, answerCommand } = require('./services/commands');
+const { getActiveLease, awaitingRenewalReply, parseRenewalReply, recordRenewalReply, buildRenewalAck } = require('./services/leases');
+const { recordBroadcastStatus } = require('./services/broadcasts');
+const { initDeliveryRetries, recordDeliveryStatus, checkFailingNumber } = require('./services/delivery');
+const { deliverToTenant } = require('./services/messaging');
+const { initJobQueue } = require('./services/jobs');
+const { createTrace, saveTrace } = require('./services/diagnostics');
+const { logger } = require('./services/logger');
+const { requestContext, requireTwilioSignature } = require('./routes/middleware');
+
+const log = logger.child({ module: 'webhook' });
+
+// Build the Express app around its services, so tests can pass in stand-ins:
+// { supabase, twilioClient, openai }
+function createApp({ supabase, twilioClient, openai }) {
+  const app = express();
+
+  app.set('view engine', 'ejs');
+  app.set('views', './views');
+  app.use(express.urlencoded({ extended: true }));
+  app.use(express.json({ limit: '1mb' })); // imports post their rows as JSON
+  app.use(cookieParser());
+  app.use(express.static('public'));
+  app.use(requestContext); // request id on every log line, one line per request
+  app.use(session({
+    secret: process.env.SESSION_SECRET || 'secret',
+    resave: false,
+    saveUninitialized: false,
+    cookie: { maxAge: 30 * 24 * 60 * 60 * 1000, httpOnly: true }
+  }));
+  app.use((req, res, next) => {
+    res.locals.isAdmin = !!req.session.isAdmin; // the sidebar shows admins the diagnostics page
+    next();
+  });
+
+  // Test endpoint
+  app.get('/test', async (req, res) => {
+    try {
+      const response = await openai.chat.completions.create({
+        model: 'gpt-4o-mini',
+        messages: [{ role: 'user', content: 'Say: OpenAI works!' }]
+      });
+      res.send('✅ ' + response.choices[0].message.content);
+    } catch (e) {
+      res.status(500).send('❌ ' + e.message);
+    }
+  });
+
+  // Routes
+  const initAuthRoutes = require('./routes/auth');
+  const initDashboardRoutes = require('./routes/dashboard');
+  const initPasswordResetRoutes = require('./routes/password-reset');
+  const initPaymentRoutes = require('./routes/payments');
+  const initTicketRoutes = require('./routes/tickets');
+  const initVendorRoutes = require('./routes/vendors');
+  const initSettingsRoutes = require('./routes/settings');
+  const initLeaseRoutes = require('./routes/leases');
+  const initKnowledgeRoutes = require('./routes/knowledge');
+  const initBroadcastRoutes = require('./routes/broadcasts');
+  const initAnalyticsRoutes = require('./routes/analytics');
+  const initImportRoutes = require('./routes/imports');
+  const initDiagnosticsRoutes = require('./routes/diagnostics');
+
+  app.use('/', initAuthRoutes(supabase));
+  app.use('/', initDashboardRoutes(supabase, twilioClient));
+  app.use('/', initPasswordResetRoutes(supabase));
+  app.use('/', initPaymentRoutes(supabase));
+  app.use('/', initTicketRoutes(supabase, twilioClient));
+  app.use('/', initVendorRoutes(supabase));
+  app.use('/', initSettingsRoutes(supabase));
+  app.use('/', initLeaseRoutes(supabase));
+  app.use('/', initKnowledgeRoutes(supabase));
+  app.use('/', initBroadcastRoutes(supabase, twilioClient));
+  app.use('/', initAnalyticsRoutes(supabase));
+  app.use('/', initImportRoutes(supabase));
+  app.use('/', initDiagnosticsRoutes(supabase));
+
+  // Scheduled jobs
+  const initRentReminders = require('./services/rent-reminders');
+  initRentReminders(supabase, twilioClient);
+  const initLeaseRenewals = require('./services/lease-renewals');
+  initLeaseRenewals(supabase, twilioClient);
+  const { alertLandlord, alertFailingNumber } = initLandlordAlerts(supabase, twilioClient);
+  initDeliveryRetries(supabase, twilioClient);
+  initConversationMemory(supabase);
+
+  app.get('/', (req, res) => {
+    req.session.landlordId ? res.redirect('/dashboard') : res.redirect('/login');
+  });
+
+  // Twilio delivery updates (queued → sent → delivered → read, or failed) for outgoing messages.
+  // `reply_to` identifies TwiML auto-replies sent before replies moved to the job queue.
+  app.post('/webhook/twilio/status', requireTwilioSignature, async (req, res) => {
+    try {
+      const { MessageSid, MessageStatus } = req.body;
+      const recipientUpdated = await recordBroadcastStatus(supabase, req.body);
+      const message = await recordDeliveryStatus(supabase, req.body, { replyTo: req.query.reply_to });
+      if (recipientUpdated || message) {
+        log.info('Delivery status', { messageSid: MessageSid, status: MessageStatus });
+      }
+      if (message?.delivery_retry_at) {
+        log.info('Reply will be resent', { messageId: message.id, retryAt: message.delivery_retry_at });
+      }
+
+      const failingTenant = message && await checkFailingNumber(supabase, message);
+      if (failingTenant) {
+        await alertFailingNumber(failingTenant, message);
+      }
+    } catch (e) {
+      log.error('Status callback error', { error: e });
+    }
+    res.sendStatus(204);
+  });
+
+  // Messages to someone we can't reply to as a tenant (unknown numbers, vendors): back to the sender
+  function replyToSender(params, body) {
+    return twilioClient.messages.create({ from: process.env.TWILIO_WHATSAPP_NUMBER, to: params.From, body });
+  }
+
+  // Replies to a sender we know nothing about, in the language they wrote in
+  function senderReplies(params) {
+    return getLocale(detectLanguage(params.Body).language).replies;
+  }
+
+  // The auto-reply goes out through the REST API; its delivery is tracked on the incoming message.
+  // `send` carries the interactive version of command replies.
+  async function sendAutoReply(tenant, savedMessage, body, send = {}) {
+    const sent = await deliverToTenant(twilioClient, tenant, body, send);
+    if (!savedMessage) return;
+
+    await supabase
+      .from('messages')
+      .update({
+        twilio_sid: sent.sid,
+        delivery_status: sent.status || 'queued',
+        delivery_attempts: 1,
+        delivery_updated_at: new Date().toISOString()
+      })
+      .eq('id', savedMessage.id);
+  }
+
+  // A retried job whose message was already saved: only the reply is left to send (a run that
+  // stopped before its reply was saved leaves the message waiting for the landlord)
+  async function resendAutoReply(messageId) {
+    const { data: saved } = await supabase
+      .from('messages')
+      .select('*, tenants (*, properties (*))')
+      .eq('id', messageId)
+      .maybeSingle();
+
+    if (!saved || saved.twilio_sid || !saved.ai_response) return;
+    log.info('Message already processed, sending its reply again', { messageId });
+    await sendAutoReply(saved.tenants, saved, saved.ai_response, saved.send_params || {});
+  }
+
+  // Incoming WhatsApp messages are answered by a background job: find who wrote, answer them and
+  // record everything. Errors throw so the queue retries; once the message is saved (job.message_id)
+  // a retry only sends the reply. Each attempt leaves a trace for the diagnostics page.
+  async function processWhatsAppMessage(job) {
+    const trace = createTrace(job);
+    try {
+      trace.finish(await answerWhatsAppMessage(job, trace));
+    } catch (e) {
+      trace.finish('error', e);
+      throw e;
+    } finally {
+      await saveTrace(supabase, job.id, trace).catch(error => log.error('Trace save error', { error }));
+    }
+  }
+
+  // Returns the outcome: 'resent', 'vendor', 'unknown_sender', 'paused' or 'replied'
+  async function answerWhatsAppMessage(job, trace) {
+    if (job.message_id) {
+      await resendAutoReply(job.message_id);
+      trace.stage('reply');
+      return 'resent';
+    }
+
+    const params = job.payload;
+    const media = extractMedia(params);
+    // Photos and documents can be payment receipts; voice notes can't
+    const mediaUrl = media.find(m => m.kind === 'image' || m.kind === 'document')?.url || null;
+    let message = params.Body || (media.length ? '[Archivo adjunto]' : '');
+    const phone = params.From?.replace('whatsapp:', '');
+
+    log.info('Processing message', { attempt: job.attempts, body: message, media: media.map(m => m.content_type) });
+
+    // Find the current tenant by the E.164 form of the sender's number (stored numbers are normalized on save)
+    const e164 = normalizePhone(phone);
+    const match = { format: describePhoneFormat(phone), normalized: !!e164, matched: 'none' };
+    trace.set('phone', match);
+
+    let tenant = null;
+    if (e164) {
+      const { data, error } = await supabase
+        .from('tenants')
+        .select('*, properties (*)')
+        .eq('phone', e164)
+        .is('archived_at', null)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      if (error) throw new Error(error.message);
+      tenant = data;
+    }
+
+    // Not a tenant: maybe a vendor replying about a job
+    if (!tenant && e164) {
+      const vendor = await findVendorByPhone(supabase, e164);
+      if (vendor) {
+        Object.assign(match, { matched: 'vendor', vendorId: vendor.id });
+        trace.stage('lookup');
+        log.info('Sender matched', { phone: e164, ...match });
+
+        const { job: vendorJob, status } = await recordVendorReply(supabase, vendor, message);
+        trace.write('vendor_reply');
+        log.info(vendorJob ? 'Vendor reply threaded onto their job' : 'No open job for this vendor', { vendorJobId: vendorJob?.id, status });
+
+        await replyToSender(params, buildVendorAck(vendor, status, !!vendorJob));
+        trace.stage('reply');
+        return 'vendor';
+      }
+    }
+
+    trace.stage('lookup');
+    if (!tenant) {
+      log.info('Sender not found', { phone: e164 || phone, ...match });
+      await replyToSender(params, senderReplies(params).unknownSender);
+      trace.stage('reply');
+      return 'unknown_sender';
+    }
+
+    Object.assign(match, { matched: 'tenant', tenantId: tenant.id });
+    log.info('Sender matched', { phone: e164, ...match, propertyId: tenant.property_id });
+
+    // Voice notes: transcribe so the rest of the flow can read them like text
+    for (const item of media.filter(m => m.kind === 'audio')) {
+      try {
+        const transcript = await transcribeAudio(openai, item);
+        log.info('Voice note transcribed', { transcript });
+        if (!params.Body && transcript) message = transcript;
+      } catch (e) {
+        log.warn('Transcription error', { error: e });
+      }
+      trace.stage('transcription');
+    }
+
+    // Get recent conversation history (trimmed to the AI token budget further down)
+    const { data: conversationHistory } = await supabase
+      .from('messages')
+      .select('direction, author, message_body, ai_response, language, created_at')
+      .eq('tenant_id', tenant.id)
+      .order('created_at', { ascending: false })
+      .limit(RECENT_MESSAGES_LIMIT);
+
+    // Reverse to get chronological order (oldest first)
+    const recentMessages = conversationHistory?.reverse() || [];
+
+    // Language: the tenant's preference, a request to switch ("reply in English please"),
+    // or the one the conversation is in
+    const requestedLanguage = detectLanguageRequest(message);
+    if (requestedLanguage && requestedLanguage !== tenant.preferred_language) {
+      try {
+        tenant.preferred_language = await setPreferredLanguage(supabase, tenant.id, requestedLanguage);
+        trace.write('language');
+        log.info('Tenant asked to switch language', { language: requestedLanguage });
+      } catch (e) {
+        trace.write('language', e);
+        log.error('Language preference error', { error: e });
+      }
+    }
+    const language = requestedLanguage || resolveLanguage(tenant, message, recentMessages);
+    const locale = getLocale(language);
+    const isSpanish = isSpanishLanguage(language);
+    log.debug('Conversation loaded', { messages: recentMessages.length, language, preferred: !!tenant.preferred_language });
+
+    // Landlord is handling this tenant personally: keep the message for them, no auto-reply
+    if (isAiPaused(tenant)) {
+      log.info('AI paused for this tenant, message kept for the landlord');
+      trace.set('ai', { skipped: 'paused' });
+      const { error: pausedError } = await supabase.from('messages').insert({
+        tenant_id: tenant.id,
+        property_id: tenant.property_id,
+        direction: 'incoming',
+        author: 'tenant',
+        message_body: message,
+        language,
+        category: locale.categories.inquiry,
+        media: media.length ? media : null,
+        ai_response: null,
+        needs_landlord_attention: true
+      });
+      trace.write('message', pausedError);
+      trace.stage('save');
+      if (pausedError) throw new Error(pausedError.message);
+      return 'paused';
+    }
+
+    // Landlord preferences: reply mode and which AI model to use
+    const settings = await getLandlordSettings(supabase, tenant.properties?.landlord_id);
+
+    // Rent balance from the payments ledger
+    const balance = await getTenantBalance(supabase, tenant.id);
+    const balanceSummary = describeBalance(balance, language);
+
+    // Open maintenance ticket, if any, so follow-ups land on it
+    const openTicket = await getOpenTicket(supabase, tenant.id);
+
+    // Lease terms for the AI, and whether a renewal notice is waiting for an answer
+    const lease = await getActiveLease(supabase, tenant.id);
+
+    // Property FAQ entries that answer this message
+    const faqs = findRelevantFaqs(await getPropertyFaqs(supabase, tenant.property_id), message, recentMessages);
+    log.debug('Tenant context', { balance: balance.total, openTicketId: openTicket?.id, leaseEnds: lease?.end_date, faqIds: faqs.map(f => f.id) });
+
+    // Self-service commands ("saldo", "recibo", "reportar ...", "ayuda"...) are answered from the records
+    const command = !requestedLanguage ? parseCommand(params) : null;
+    let commandReply = null;
+    if (command) {
+      const lastPayment = command.name === 'receipt' ? await getLastSettledPayment(supabase, tenant.id) : null;
+      commandReply = answerCommand(command, { tenant, settings, balance, openTicket, lastPayment, language });
+    }
+
+    // Save the incoming message before anything else is written: if this fails the job retries from
+    // scratch, and once it's linked to the job a retry only resends the reply, so tickets, payments
+    // and dispatches are never recorded twice
+    const { data: savedMessage, error: dbError } = await supabase.from('messages').insert({
+      tenant_id: tenant.id,
+      property_id: tenant.property_id,
+      direction: 'incoming',
+      author: 'tenant',
+      message_body: message,
+      language,
+      media: media.length ? media : null,
+      category: locale.categories.inquiry,
+      ai_response: null,
+      needs_landlord_attention: true
+    }).select('id, message_body, category').single();
+
+    trace.write('message', dbError);
+    if (dbError) {
+      log.error('Database save error', { error: dbError });
+      throw new Error(dbError.message);
+    }
+    log.info('Message saved', { messageId: savedMessage.id });
+
+    const { error: linkError } = await supabase.from('webhook_jobs').update({ message_id: savedMessage.id }).eq('id', job.id);
+    trace.write('job', linkError);
+    if (linkError) throw new Error(linkError.message);
+
+    // Tenant reporting a payment ("ya pagué", receipt photo): record it for the landlord to confirm
+    let paymentReply = null;
+    try {
+      if (!requestedLanguage && !command && isPaymentReport(message)) {
+        const payment = await recordReportedPayment(supabase, tenant, { message, receiptUrl: mediaUrl });
+        trace.write('payment');
+        const month = formatPeriod(payment.period, language);
+        paymentReply = locale.replies.paymentRecorded(tenant.name, month, !!mediaUrl);
+      } else if (mediaUrl && !params.Body) {
+        const payment = await attachReceipt(supabase, tenant.id, mediaUrl);
+        if (payment) {
+          trace.write('receipt');
+          paymentReply = locale.replies.receiptReceived;
+        }
+      }
+    } catch (e) {
+      trace.write('payment', e);
+      log.error('Payment report error', { error: e });
+    }
+
+    // Tenant answering a renewal notice ("RENOVAR" / "NO RENOVAR"): record it for the landlord
+    let leaseReply = null;
+    const renewalResponse = !paymentReply && !requestedLanguage && !command && awaitingRenewalReply(lease) ? parseRenewalReply(message, params.ButtonPayload) : null;
+    if (renewalResponse) {
+      try {
+        await recordRenewalReply(supabase, lease, renewalResponse);
+        trace.write('renewal');
+        leaseReply = buildRenewalAck(tenant, renewalResponse, language);
+      } catch (e) {
+        trace.write('renewal', e);
+        log.error('Renewal reply error', { error: e });
+      }
+    }
+    trace.stage('context');
+
+    // Get AI response
+    let aiReply = locale.replies.received;
+    let needsAttention = true;
+    let category = locale.categories.inquiry;
+    let ticketDetails = null;
+    let ticketFollowUp = null;
+    let replySend = {};
+
+    if (requestedLanguage) {
+      aiReply = locale.replies.languageChanged;
+      needsAttention = false;
+      ticketFollowUp = false;
+      trace.set('ai', { skipped: 'language' });
+      log.info('Language switched, skipping AI', { language: requestedLanguage });
+    } else if (paymentReply) {
+      aiReply = paymentReply;
+      needsAttention = true;
+      category = locale.categories.payment;
+      ticketFollowUp = false;
+      trace.set('ai', { skipped: 'payment' });
+      log.info('Payment report recorded, skipping AI');
+    } else if (leaseReply) {
+      aiReply = leaseReply;
+      needsAttention = true;
+      category = locale.categories.lease;
+      ticketFollowUp = false;
+      trace.set('ai', { skipped: 'renewal' });
+      log.info('Renewal answer recorded, skipping AI', { answer: renewalResponse });
+    } else if (commandReply) {
+      aiReply = commandReply.message;
+      needsAttention = commandReply.needsAttention;
+      category = commandReply.category;
+      ticketDetails = commandReply.ticket;
+      ticketFollowUp = false;
+      replySend = commandReply.send;
+      trace.set('ai', { skipped: 'command' });
+      trace.set('command', command.name);
+      log.info('Command answered, skipping AI', { command: command.name });
+    } else {
+      // Long-term memory: rolling summary, open items and related older messages, with the
+      // recent turns, all within the token budget
+      const { memory, history } = fitToBudget(
+        await getConversationMemory(supabase, tenant.id, message, recentMessages),
+        recentMessages
+      );
+      log.debug('Memory', { summary: !!memory.summary, openItems: memory.openItems.length, related: memory.related.length, turns: history.length });
+
+      const reply = await generateReply(
+        { tenant, language, isSpanish, balance, balanceSummary, openTicket, lease, faqs, media, memory },
+        history,
+        message,
+        { provider: settings.ai_provider, model: settings.ai_model }
+      );
+      aiReply = reply.message;
+      needsAttention = reply.needsAttention;
+      category = reply.category;
+      ticketDetails = reply.ticket;
+      ticketFollowUp = reply.ticketFollowUp;
+
+      trace.set('ai', {
+        provider: reply.provider,
+        requested: settings.ai_provider || null,
+        model: settings.ai_model || null,
+        fallback: reply.fallback,
+        fallbackReason: reply.fallbackReason || null,
+        category,
+        needsAttention
+      });
+      log.info('AI reply generated', { provider: reply.provider, fallback: reply.fallback, category, needsAttention, reply: aiReply });
+    }
+
+    // Draft mode: the landlord approves the AI's reply, the tenant gets a holding acknowledgement
+    let aiDraft = null;
+    if (!requestedLanguage && !paymentReply && !leaseReply && !commandReply && settings.ai_reply_mode === 'draft') {
+      aiDraft = aiReply;
+      aiReply = locale.replies.draftHolding;
+      needsAttention = true;
+      trace.data.ai.draft = true;
+      log.info('Draft mode: AI reply saved for landlord approval');
+    }
+    trace.stage('ai');
+
+    // Open a maintenance ticket or attach this message to the open one
+    let ticket = null;
+    try {
+      ticket = await trackTicket(supabase, tenant, {
+        category,
+        message,
+        details: ticketDetails,
+        followUp: ticketFollowUp,
+        openTicket
+      });
+      if (ticket) {
+        trace.write(ticket.id === openTicket?.id ? 'ticket_update' : 'ticket');
+        log.info(ticket.id === openTicket?.id ? 'Ticket updated' : 'Ticket opened', { ticketId: ticket.id });
+      }
+    } catch (e) {
+      trace.write('ticket', e);
+      log.error('Ticket error', { error: e });
+    }
+
+    // Urgent tickets go straight to the landlord's auto-dispatch vendor
+    if (ticket?.priority === 'urgent') {
+      try {
+        const dispatched = await autoDispatch(supabase, twilioClient, ticket, tenant);
+        if (dispatched) {
+          trace.write('dispatch');
+          log.info('Ticket sent to vendor automatically', { vendorId: dispatched.vendor_id });
+        }
+      } catch (e) {
+        trace.write('dispatch', e);
+        log.error('Auto-dispatch error', { error: e });
+      }
+    }
+    trace.stage('ticket');
+
+    // The reply and what came of the message, on the row saved above
+    const { error: updateError } = await supabase.from('messages').update({
+      ticket_id: ticket?.id || null,
+      category,
+      ai_response: aiReply,
+      ai_draft: aiDraft,
+      draft_status: aiDraft ? 'pending' : null,
+      send_params: Object.keys(replySend).length ? replySend : null,
+      needs_landlord_attention: needsAttention
+    }).eq('id', savedMessage.id);
+
+    trace.write('message_reply', updateError);
+    if (updateError) {
+      log.error('Reply save error', { messageId: savedMessage.id, error: updateError });
+    }
+    savedMessage.category = category;
+    trace.stage('save');
+
+    // Urgent: let the landlord know right away, without holding up the reply
+    if (needsAttention && isUrgentCategory(category)) {
+      alertLandlord(tenant, savedMessage)
+        .catch(e => log.error('Landlord alert error', { error: e }));
+    }
+
+    // Send reply to tenant
+    await sendAutoReply(tenant, savedMessage, aiReply, replySend);
+    trace.stage('reply');
+    log.info('Reply sent', { reply: aiReply });
+    return 'replied';
+  }
+
+  const jobs = initJobQueue(supabase, {
+    whatsapp: {
+      run: processWhatsAppMessage,
+      failed: job => replyToSender(job.payload, senderReplies(job.payload).error)
+    }
+  });
+  app.locals.jobs = jobs; // the dashboard retries jobs through it
+
+  // Only Twilio can post here; logs carry ids and masked numbers, never names or message text.
+  // The message is queued once per MessageSid (Twilio resends a webhook that looks stuck) and
+  // acknowledged with an empty TwiML response; the job sends the reply. The job keeps the
+  // request's id, so its logs can be matched to this request.
+  app.post('/webhook/whatsapp', requireTwilioSignature, async (req, res) => {
+    log.info('WhatsApp webhook received', { params: req.body });
+
+    const twiml = new twilio.twiml.MessagingResponse();
+    const phone = req.body.From?.replace('whatsapp:', '');
+
+    if (!(req.body.Body || extractMedia(req.body).length) || !phone) {
+      log.warn('Webhook rejected: missing message or phone');
+      twiml.message('Error: missing message or phone number');
+      return res.type('text/xml').send(twiml.toString());
+    }
+
+    try {
+      const { job, duplicate } = await jobs.enqueue('whatsapp', req.body, {
+        key: req.body.MessageSid || null,
+        phone: normalizePhone(phone),
+        requestId: req.id
+      });
+      if (duplicate) {
+        log.info('Twilio retry of a message already received, ignored', { messageSid: req.body.MessageSid });
+      } else {
+        log.info('Message queued', { jobId: job.id });
+      }
+    } catch (e) {
+      log.error('Queue error', { error: e });
+      twiml.message(senderReplies(req.body).error);
+    }
+    res.type('text/xml').send(twiml.toString());
+  });
+
+  return app;
+}
+
+module.exports = createApp;
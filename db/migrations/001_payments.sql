@@ -0,0 +1,21 @@
+-- Rent payment ledger: one row per tenant and month
+create table if not exists payments (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id uuid not null references tenants (id) on delete cascade,
+  property_id uuid references properties (id) on delete set null,
+  period text not null,                      -- 'YYYY-MM'
+  due_date date,
+  amount_due numeric not null default 0,
+  amount_paid numeric not null default 0,
+  status text not null default 'unpaid',     -- unpaid | pending | partial | paid | late
+  reported_amount numeric,                   -- amount the tenant said they paid (WhatsApp)
+  reported_at timestamptz,
+  receipt_url text,
+  paid_at timestamptz,
+  notes text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (tenant_id, period)
+);
+
+create index if not exists payments_status_idx on payments (status);
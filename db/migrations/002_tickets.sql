@@ -0,0 +1,21 @@
+-- Maintenance tickets opened from URGENT/MAINTENANCE conversations
+create table if not exists tickets (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id uuid not null references tenants (id) on delete cascade,
+  property_id uuid references properties (id) on delete set null,
+  status text not null default 'open',       -- open | scheduled | resolved
+  priority text not null default 'medium',   -- low | medium | high | urgent
+  category text,                             -- category of the message that opened it
+  location text,
+  description text,
+  scheduled_for timestamptz,
+  resolved_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists tickets_tenant_status_idx on tickets (tenant_id, status);
+
+-- Messages that belong to a ticket's conversation
+alter table messages add column if not exists ticket_id uuid references tickets (id) on delete set null;
+create index if not exists messages_ticket_id_idx on messages (ticket_id);
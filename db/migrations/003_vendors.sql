@@ -0,0 +1,47 @@
+-- Vendor directory (plumbers, electricians...) per landlord
+create table if not exists vendors (
+  id uuid primary key default gen_random_uuid(),
+  landlord_id uuid not null references landlords (id) on delete cascade,
+  name text not null,
+  trade text not null,                         -- plumber | electrician | gas | locksmith | appliances | pest_control | handyman | other
+  phone text not null,
+  channel text not null default 'whatsapp',    -- whatsapp | sms
+  language text not null default 'es',         -- es | en
+  service_areas text,                          -- comma-separated neighborhoods/cities, empty = everywhere
+  auto_dispatch boolean not null default false,
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists vendors_landlord_idx on vendors (landlord_id);
+create index if not exists vendors_phone_idx on vendors (phone);
+
+-- Trade needed for a ticket, used to pick a vendor
+alter table tickets add column if not exists trade text;
+
+-- A ticket sent to a vendor
+create table if not exists vendor_jobs (
+  id uuid primary key default gen_random_uuid(),
+  ticket_id uuid not null references tickets (id) on delete cascade,
+  vendor_id uuid not null references vendors (id) on delete cascade,
+  status text not null default 'sent',         -- sent | accepted | declined | completed
+  channel text not null,
+  automatic boolean not null default false,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists vendor_jobs_ticket_idx on vendor_jobs (ticket_id);
+create index if not exists vendor_jobs_vendor_idx on vendor_jobs (vendor_id);
+
+-- Messages exchanged with a vendor about a job
+create table if not exists vendor_messages (
+  id uuid primary key default gen_random_uuid(),
+  job_id uuid references vendor_jobs (id) on delete cascade,
+  vendor_id uuid not null references vendors (id) on delete cascade,
+  direction text not null,                     -- incoming | outgoing
+  message_body text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists vendor_messages_job_idx on vendor_messages (job_id);
@@ -0,0 +1,8 @@
+-- Who wrote each message: tenant | ai | landlord | system
+alter table messages add column if not exists author text;
+
+update messages
+set author = case when direction = 'incoming' then 'tenant' else 'system' end
+where author is null;
+
+create index if not exists messages_tenant_created_idx on messages (tenant_id, created_at);
@@ -0,0 +1,9 @@
+-- Human takeover: pause the AI per tenant, or have it write drafts for approval
+alter table tenants add column if not exists ai_paused boolean not null default false;
+alter table tenants add column if not exists ai_paused_until timestamptz;
+
+alter table landlords add column if not exists ai_reply_mode text not null default 'auto';   -- auto | draft
+alter table landlords add column if not exists auto_pause_hours integer not null default 0;  -- 0 = off
+
+alter table messages add column if not exists ai_draft text;
+alter table messages add column if not exists draft_status text;  -- pending | sent | discarded
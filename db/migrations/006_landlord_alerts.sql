@@ -0,0 +1,12 @@
+-- Landlord alerts: instant WhatsApp/SMS + email for urgent messages, daily digest for the rest
+alter table landlords add column if not exists alert_channel text not null default 'whatsapp';  -- whatsapp | sms | none
+alter table landlords add column if not exists alert_email boolean not null default true;
+alter table landlords add column if not exists daily_digest boolean not null default true;
+alter table landlords add column if not exists quiet_hours_start integer;  -- hour 0-23, null = no quiet hours
+alter table landlords add column if not exists quiet_hours_end integer;
+
+-- Phone alert state per urgent message: sent | held (quiet hours) | failed
+alter table messages add column if not exists alert_status text;
+alter table messages add column if not exists alerted_at timestamptz;
+
+create index if not exists messages_alert_status_idx on messages (alert_status) where alert_status = 'held';
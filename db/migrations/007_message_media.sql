@@ -0,0 +1,3 @@
+-- Inbound media: photos, voice notes and documents sent by tenants
+-- [{ "url": Twilio media URL, "content_type": "image/jpeg", "kind": "image|audio|video|document", "transcript": "..." }]
+alter table messages add column if not exists media jsonb;
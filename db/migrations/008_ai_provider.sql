@@ -0,0 +1,3 @@
+-- Per-landlord AI model (null = server defaults from AI_PROVIDER / AI_MODEL)
+alter table landlords add column if not exists ai_provider text;  -- openai | compatible | local
+alter table landlords add column if not exists ai_model text;
@@ -0,0 +1,10 @@
+-- Phone numbers are stored in E.164 (+525512345678); numbers typed without a
+-- country code are read as the landlord's country
+alter table landlords add column if not exists country text not null default 'MX';
+
+-- The webhook looks tenants and vendors up with a single equality match
+create index if not exists tenants_phone_idx on tenants (phone);
+create index if not exists vendors_phone_idx on vendors (phone);
+
+-- Existing rows: run `node scripts/normalize-phones.js` (report) and then
+-- `node scripts/normalize-phones.js --fix` before relying on the lookup
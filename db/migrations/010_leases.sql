@@ -0,0 +1,30 @@
+-- Leases: one row per signed term; a renewal is a new row and the old one becomes 'renewed'
+create table if not exists leases (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id uuid not null references tenants (id) on delete cascade,
+  property_id uuid references properties (id) on delete set null,
+  status text not null default 'active',     -- active | renewed | ended
+  start_date date not null,
+  end_date date not null,
+  monthly_rent numeric not null default 0,   -- rent in the first lease year
+  escalation_type text,                      -- percent | fixed | null (no increase)
+  escalation_value numeric,                  -- % or MXN added on each lease anniversary
+  deposit_amount numeric not null default 0,
+  deposit_refundable boolean not null default true,
+  deposit_terms text,
+  terms text,                                -- other clauses the AI may quote (pets, subletting, ...)
+  document_path text,                        -- signed PDF in the 'leases' storage bucket
+  document_name text,
+  renewal_notice_days integer,               -- last notice sent (60, 30 days before the end)
+  renewal_notice_sent_at timestamptz,
+  renewal_response text,                     -- renew | leave, answered over WhatsApp
+  renewal_response_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists leases_tenant_status_idx on leases (tenant_id, status);
+create index if not exists leases_end_date_idx on leases (end_date) where status = 'active';
+
+-- Private bucket for the signed contracts (served through the dashboard only)
+insert into storage.buckets (id, name, public) values ('leases', 'leases', false) on conflict (id) do nothing;
@@ -0,0 +1,13 @@
+-- Per-property knowledge base the assistant answers from (Wi-Fi, trash days, parking, rules...)
+create table if not exists property_faqs (
+  id uuid primary key default gen_random_uuid(),
+  property_id uuid not null references properties (id) on delete cascade,
+  topic text not null default 'other',       -- wifi | trash | parking | rules | appliances | emergency | other
+  question text not null,
+  answer text not null,
+  keywords text,                             -- extra words tenants might use, comma separated
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists property_faqs_property_id_idx on property_faqs (property_id);
@@ -0,0 +1,10 @@
+-- Move-out archives a tenant instead of deleting them, so messages, payments and tickets stay
+alter table tenants add column if not exists archived_at timestamptz;   -- null = current tenant
+alter table tenants add column if not exists move_out_date date;
+alter table tenants add column if not exists move_out_notes text;
+
+-- Properties with past tenants are archived rather than deleted, for the same reason
+alter table properties add column if not exists archived_at timestamptz;
+
+-- The webhook only matches current tenants, so a number can pass to the next tenant
+create index if not exists tenants_active_phone_idx on tenants (phone) where archived_at is null;
@@ -0,0 +1,36 @@
+-- Announcements sent to many tenants at once (water shutoff, fumigation...)
+create table if not exists broadcasts (
+  id uuid primary key default gen_random_uuid(),
+  landlord_id uuid not null references landlords (id) on delete cascade,
+  audience text not null default 'all',      -- all | property | selected
+  property_id uuid references properties (id) on delete set null,
+  body_es text,                              -- Spanish variant, with {nombre}, {direccion}... variables
+  body_en text,                              -- English variant; either may be empty
+  status text not null default 'sending',    -- sending | sent
+  recipient_count integer not null default 0,
+  created_at timestamptz not null default now(),
+  sent_at timestamptz
+);
+
+create index if not exists broadcasts_landlord_id_idx on broadcasts (landlord_id, created_at desc);
+
+-- One row per tenant reached, with what they got and how far it went
+create table if not exists broadcast_recipients (
+  id uuid primary key default gen_random_uuid(),
+  broadcast_id uuid not null references broadcasts (id) on delete cascade,
+  tenant_id uuid not null references tenants (id) on delete cascade,
+  language text not null default 'es',       -- es | en
+  body text,                                 -- the message as rendered for this tenant
+  channel text,                              -- session (free text) | template (outside the 24-hour window)
+  message_sid text,
+  status text not null default 'pending',    -- pending | queued | sent | delivered | read | failed | undelivered | skipped
+  error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (broadcast_id, tenant_id)
+);
+
+create index if not exists broadcast_recipients_message_sid_idx on broadcast_recipients (message_sid);
+
+-- The copy each tenant got also lands in their conversation
+alter table messages add column if not exists broadcast_id uuid references broadcasts (id) on delete set null;
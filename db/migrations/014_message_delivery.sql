@@ -0,0 +1,15 @@
+-- Delivery tracking for every message sent to a tenant (Twilio status callbacks).
+-- On incoming rows these describe the auto-reply sent back in the TwiML response.
+alter table messages add column if not exists twilio_sid text;
+alter table messages add column if not exists delivery_status text;        -- queued | sent | delivered | read | failed | undelivered
+alter table messages add column if not exists delivery_error text;
+alter table messages add column if not exists delivery_attempts integer not null default 0;
+alter table messages add column if not exists delivery_retry_at timestamptz; -- next automatic retry, if any
+alter table messages add column if not exists delivery_updated_at timestamptz;
+alter table messages add column if not exists send_params jsonb;           -- extra Twilio parameters (template), reused on retry
+
+create index if not exists messages_twilio_sid_idx on messages (twilio_sid);
+create index if not exists messages_delivery_retry_at_idx on messages (delivery_retry_at) where delivery_retry_at is not null;
+
+-- When the landlord was told a tenant's number keeps failing; cleared once a message gets through
+alter table tenants add column if not exists delivery_alerted_at timestamptz;
@@ -0,0 +1,6 @@
+-- Language per tenant: chosen by the landlord or requested by the tenant ("reply in English please").
+-- Null: follow the language the tenant writes in.
+alter table tenants add column if not exists preferred_language text;   -- es | en | pt | fr
+
+-- Language each incoming message was answered in, so a conversation keeps it
+alter table messages add column if not exists language text;
@@ -0,0 +1,11 @@
+-- Long-term conversation memory: a rolling summary per tenant, refreshed by the assistant
+-- every few new messages, with the issues still open carried forward
+create table if not exists conversation_memories (
+  tenant_id uuid primary key references tenants (id) on delete cascade,
+  summary text,
+  open_items jsonb not null default '[]',  -- short sentences: unresolved problems, promises, pending payments
+  summarized_until timestamptz,            -- created_at of the last message in the summary
+  summarized_messages integer not null default 0,
+  provider text,                           -- assistant provider that wrote it (local when the AI failed)
+  updated_at timestamptz not null default now()
+);
@@ -0,0 +1,22 @@
+-- Incoming WhatsApp messages are processed by a background job queue: the webhook stores the
+-- request here and acknowledges Twilio right away. MessageSid is unique, so Twilio's retries of
+-- the same message are ignored.
+create table if not exists webhook_jobs (
+  id uuid primary key default gen_random_uuid(),
+  kind text not null default 'whatsapp',
+  message_sid text unique,                  -- Twilio's MessageSid (null: no dedupe)
+  phone text,                               -- sender, E.164, to show the landlord their tenants' jobs
+  payload jsonb not null,                   -- the webhook's form parameters
+  status text not null default 'pending',   -- pending | processing | done | failed
+  attempts integer not null default 0,
+  run_at timestamptz not null default now(), -- next attempt (backoff after a failure)
+  locked_at timestamptz,                    -- when a worker took it; stale locks are released
+  last_error text,
+  message_id uuid references messages (id) on delete set null, -- saved incoming message: a retry only resends the reply
+  finished_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists webhook_jobs_due_idx on webhook_jobs (status, run_at);
+create index if not exists webhook_jobs_phone_idx on webhook_jobs (phone);
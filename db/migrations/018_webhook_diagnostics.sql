@@ -0,0 +1,9 @@
+-- Diagnostics for webhook runs: the id of the request that queued the job (every log line of the
+-- run carries it) and a trace of the last attempt. Traces hold ids, formats and statuses only,
+-- never numbers, names or message text.
+alter table webhook_jobs
+  add column if not exists request_id text,  -- X-Request-Id of the webhook request
+  add column if not exists trace jsonb;      -- { attempt, queuedMs, stages, phone, ai, writes, outcome, totalMs }
+
+create index if not exists webhook_jobs_request_idx on webhook_jobs (request_id);
+create index if not exists webhook_jobs_created_idx on webhook_jobs (created_at desc);
@@ -0,0 +1,10 @@
+-- The unit each message belongs to, so a property's history keeps tenants who moved to another one
+alter table messages add column if not exists property_id uuid references properties (id) on delete set null;
+
+-- Earlier messages go to the tenant's current unit (moves weren't recorded before)
+update messages
+set property_id = tenants.property_id
+from tenants
+where messages.tenant_id = tenants.id and messages.property_id is null;
+
+create index if not exists messages_property_created_idx on messages (property_id, created_at);
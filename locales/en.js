@@ -0,0 +1,174 @@
+// English. Its prompt also serves languages without one of their own (told which language to reply in).
+module.exports = {
+  code: 'en',
+  name: 'English',
+  label: 'English',
+  base: 'en',
+
+  words: ['the', 'a', 'an', 'is', 'are', 'i', 'you', 'my', 'to', 'of', 'and', 'in', 'on', 'it', 'for', 'please', 'thanks',
+    'thank', 'hello', 'hi', 'hey', 'yes', 'what', 'how', 'where', 'when', 'can', 'need', 'have', 'has', 'there', 'this',
+    'that', 'with', 'rent', 'pay', 'paid', 'not', "don't", "i'm", "it's", 'will', 'would', 'could', 'be', 'was', 'we',
+    'your', 'do', 'does', 'just', 'sink', 'leak', 'leaking', 'water', 'today', 'tomorrow', 'morning', 'apartment'],
+  letters: null,
+  names: ['english', 'ingles', 'anglais', 'englisch'],
+
+  categories: { inquiry: 'INQUIRY', payment: 'PAYMENT', lease: 'LEASE', urgent: 'URGENT', maintenance: 'MAINTENANCE', reminder: 'REMINDER', notice: 'NOTICE' },
+
+  replies: {
+    received: 'Hey! I got your message and I\'m looking into it. I\'ll get back to you in just a moment.',
+    draftHolding: 'Thanks for your message! We got it and will get back to you shortly.',
+    paymentRecorded: (name, month, withReceipt) => `Thank you, ${name}! I've recorded your payment for ${month}${withReceipt ? ' along with your receipt' : ''}. Your landlord will confirm it shortly.${withReceipt ? '' : ' If you have a receipt, you can send me a photo here.'}`,
+    receiptReceived: 'Got your receipt, thank you! Your landlord will confirm the payment shortly.',
+    languageChanged: 'Sure! From now on I\'ll write to you in English.',
+    unknownSender: 'Sorry, I can\'t find your number in our system. Please contact your landlord.',
+    error: 'Sorry, there was an error. Please try again in a moment.'
+  },
+
+  dateLocale: 'en-US',
+
+  reminders: {
+    property: 'your property',
+    upcoming: ({ name, rent, address, date, days }) => `Hi ${name}, just a reminder that your rent of ${rent} for ${address} is due on ${date} (in ${days} days). Thank you!`,
+    due: ({ name, rent, address }) => `Hi ${name}, your rent of ${rent} for ${address} is due today. Thanks for paying on time!`,
+    overdue: ({ name, rent, address, date }) => `Hi ${name}, your rent of ${rent} for ${address} was due on ${date}. If you've already paid, please ignore this message. Otherwise, please pay as soon as possible or let us know if you need help.`
+  },
+
+  renewals: {
+    home: 'your home',
+    notice: ({ name, address, endDate, days, renewalRent }) => `Hi ${name}, your lease for ${address} ends on ${endDate} (in ${days} days).` +
+      (renewalRent ? ` If you renew, the rent would be ${renewalRent}.` : '') +
+      ' Would you like to renew? Reply "RENEW" to stay or "NOT RENEW" if you plan to move out.',
+    renewed: name => `That's great, ${name}! I'll let your landlord know you'd like to renew; they'll reach out to sign the new lease.`,
+    leaving: name => `Thanks for letting us know, ${name}. I'll tell your landlord you won't renew; they'll reach out to arrange the move-out and your deposit.`,
+    keywords: {
+      renew: ['renew', 'i\'ll stay', 'we\'ll stay'],
+      leave: ['not renew', 'won\'t renew', 'don\'t renew', 'no renew', 'moving out', 'move out']
+    }
+  },
+
+  ticketStatus: {
+    maintenance: 'maintenance',
+    scheduled: (name, issue, when) => `Hi ${name}, your ${issue} request has been scheduled${when ? ` for ${when}` : ''}.`,
+    resolved: (name, issue) => `Hi ${name}, we've marked your ${issue} request as resolved. If the problem continues, just reply here.`,
+    open: (name, issue) => `Hi ${name}, your ${issue} request is open and we're looking into it.`
+  },
+
+  ledger: {
+    upToDate: 'Up to date, no outstanding balance',
+    pending: 'payment reported, awaiting confirmation',
+    partial: 'partial payment'
+  },
+
+  commands: {
+    words: {
+      balance: ['balance'],
+      receipt: ['receipt'],
+      report: ['report'],
+      status: ['status'],
+      contact: ['contact'],
+      help: ['help', 'menu']
+    },
+    menu: {
+      intro: 'Here\'s what I can do for you. Send one word:',
+      items: {
+        balance: 'BALANCE: what you owe in rent',
+        receipt: 'RECEIPT: your last confirmed payment',
+        report: 'REPORT: a problem in your home',
+        status: 'STATUS: how your request is going',
+        contact: 'CONTACT: your landlord\'s details',
+        help: 'HELP: this menu'
+      },
+      outro: 'Or just write what you need in your own words.'
+    },
+    caughtUp: 'You\'re all caught up! No outstanding balance.',
+    balance: summary => `Your outstanding balance: ${summary}.`,
+    noReceipt: 'I don\'t have any confirmed payments for you yet. If you already paid, send me a photo of the receipt here.',
+    receipt: ({ month, amount, date }) => `Rent receipt for ${month}: ${amount}, confirmed${date ? ` on ${date}` : ''}. Thank you!`,
+    reportHowTo: 'Send REPORT followed by the problem and where it is, for example: "report leak under the bathroom sink".',
+    reported: text => `Done, I've logged your request: "${text}". Your landlord has been notified; send STATUS to see how it's going.`,
+    noOpenRequest: 'You have no open requests. If something\'s wrong, send REPORT and the problem.',
+    landlord: name => `Your landlord${name ? `, ${name}` : ''}:`,
+    noContact: 'Your landlord hasn\'t added their contact details yet. I\'ll let them know you\'d like to talk.'
+  },
+
+  systemMessage: 'You are a warm, empathetic property management assistant who genuinely cares about tenants. You respond in a natural, conversational way - like a helpful friend. You acknowledge feelings, show understanding, and provide clear, caring support. IMPORTANT: You have conversation memory - always reference previous messages and maintain coherence. You never sound robotic or corporate. Always speak in English.',
+
+  buildPrompt: ({ tenant, balanceSummary, leaseText, faqsText, ticketText, conversationContext, message, mediaText }, replyIn = 'English') => `You are a warm, empathetic property management assistant. You genuinely care about your tenants and want to help them feel heard and supported.
+
+COMMUNICATION STYLE:
+- EMPATHETIC FIRST: Always acknowledge their feelings and concerns before offering solutions
+- CONVERSATIONAL: Speak naturally, like a helpful friend who manages their property
+- CONTEXT-AWARE: Remember what they're saying and respond coherently to their specific situation
+- WARM but PROFESSIONAL: Be friendly and caring while maintaining professionalism
+- CLEAR & DIRECT: Give specific, actionable information when you have it
+- FOLLOW-UP: If they're continuing a previous conversation, reference what they said before
+
+PROPERTY INFORMATION:
+Tenant: ${tenant.name}
+Address: ${tenant.properties?.address || 'the property'}
+Monthly rent: $${tenant.properties?.monthly_rent || 'N/A'} MXN
+Payment due: Day ${tenant.properties?.rent_due_day || 'N/A'} of each month
+Outstanding balance (payment ledger): ${balanceSummary}
+Landlord: ${tenant.properties?.landlord_name || 'the landlord'}
+Special notes: ${tenant.properties?.special_instructions || 'None'}
+Lease: ${leaseText}
+
+BUILDING INFORMATION (FAQ entries related to this message):
+${faqsText}
+Open maintenance request: ${ticketText}
+${conversationContext}
+
+CURRENT TENANT MESSAGE: "${message}"
+ATTACHMENTS: ${mediaText}
+
+RESPONSE GUIDELINES:
+1. If it's the first mention of a problem: Show empathy, ask specific questions (Where exactly? How bad?), explain you'll resolve it
+2. If they're giving more details (follow-up): Reference what they said before ("I understand, so the leak is in the kitchen..."), confirm you understand the complete situation, give concrete next steps
+3. Categorization: URGENT (large leaks, electrical, gas → needsAttention: true), MAINTENANCE (needed repairs → needsAttention: true), PAYMENT (rent or balance questions → needsAttention: false; use the outstanding balance from the payment ledger, not just the monthly rent), INQUIRY (general questions → needsAttention: false)
+4. Maintenance requests: if it's URGENT or MAINTENANCE, extract into "ticket" the location (e.g. "kitchen, under the sink"), a short description of the problem and the priority (low|medium|high|urgent) and the trade needed (plumber|electrician|gas|locksmith|appliances|pest_control|handyman); use null for anything you don't know yet. Set "ticketFollowUp" to whether the message continues the open request (true) or is a different problem (false)
+5. Attachments: if they send a photo, use it to understand the problem (what it is, where, how bad) and mention it in your reply; if they send only a photo with no text, reply and categorize based on what it shows. Voice notes are already transcribed into the message
+6. Lease: answer questions about the lease (when it ends, deposit, increases, clauses) only from the "Lease" data; if something isn't there, say so and offer to check with the landlord (needsAttention: true). Never make up terms
+7. Building information: if the answer is in "BUILDING INFORMATION", answer directly with it (needsAttention: false) instead of saying you'll check with the landlord. If it isn't there, don't make it up
+8. Language: always reply in ${replyIn}, the tenant's language
+
+EXAMPLES:
+Tenant: "There's a water leak"
+You: "Oh no, a water leak is really stressful. Where exactly is the leak? In the bathroom, kitchen?"
+Tenant: "In the kitchen"
+You: "I understand, so the leak is in the kitchen. Is it from the sink, under the cabinet, or from a pipe? I need to contact the plumber and tell them exactly where to check."
+
+Respond ONLY with a JSON object (no markdown):
+{"message":"your warm, empathetic response coherent with the context","category":"URGENT|MAINTENANCE|PAYMENT|INQUIRY","needsAttention":true/false,"ticket":{"location":"...","description":"...","priority":"low|medium|high|urgent","trade":"plumber|electrician|..."} or null,"ticketFollowUp":true/false}`,
+
+  fallback: {
+    keywords: {
+      lease: ['lease', 'contract', 'deposit'],
+      payment: ['payment', 'pay', 'rent', 'how much', 'due'],
+      emergency: ['leak', 'emergency', 'fire', 'flooding', 'urgent'],
+      maintenance: ['broken', 'not working', 'fix', 'repair'],
+      thanks: ['thank', 'thanks', 'appreciate']
+    },
+    lease: leaseText => `Here's what your lease says: ${leaseText}. If you have any other question, I'll check with your landlord.`,
+    balance: ({ balanceSummary, rent, dueDay }) => `According to our records you have an outstanding balance of ${balanceSummary}. Your rent is $${rent} MXN and it's due on day ${dueDay} of each month.`,
+    payment: ({ rent, dueDay }) => `Your rent is $${rent} MXN and it's due on day ${dueDay} of each month. Does that timing work for you?`,
+    emergency: 'Oh no, that sounds really stressful. I\'m taking this seriously and will make sure someone gets out there as soon as possible. Can you tell me a bit more about what\'s happening?',
+    emergencyFollowUp: 'Perfect, I have more info now. I\'ll contact the appropriate technician right away and confirm the schedule as soon as possible.',
+    maintenance: 'I\'m sorry that\'s not working properly - that\'s really frustrating. Let me help you get this fixed. Can you describe what\'s going on?',
+    maintenanceFollowUp: 'Got it. With that information I\'ll schedule someone to check it out. I\'ll confirm the time as soon as I have it.',
+    faq: (answer, topic) => `${answer} (${topic}). Anything else I can help with?`,
+    thanks: 'You\'re so welcome! I\'m here whenever you need anything.',
+    followUp: 'Perfect, I have that information now. Give me a moment to coordinate everything and I\'ll confirm with you.',
+    greeting: 'Hey! I got your message. Could you tell me a bit more so I can help you out?'
+  },
+
+  suggestions: {
+    frames: {
+      friendly: name => ({ open: `Hi ${name}! `, close: '' }),
+      formal: name => ({ open: `Good morning, ${name}. `, close: ' Kind regards.' }),
+      brief: () => ({ open: '', close: '' })
+    },
+    checkIn: 'How is everything at the apartment? If you need anything, I\'m here.',
+    willCheck: 'Thanks for letting me know. I\'ll look into it and get back to you today.',
+    acknowledge: 'Got it, I\'ll get back to you shortly.'
+  }
+};
@@ -0,0 +1,185 @@
+// Spanish: the default language (Mexico). Texts the tenant sees and the assistant's prompt.
+module.exports = {
+  code: 'es',
+  name: 'Spanish',
+  label: 'Español',
+  base: 'es',
+
+  // Recognizing the language: common words, telltale characters and how tenants name it
+  words: ['hola', 'gracias', 'por', 'favor', 'que', 'qué', 'el', 'la', 'los', 'las', 'es', 'está', 'estoy', 'tengo', 'tiene',
+    'hay', 'no', 'sí', 'si', 'pero', 'muy', 'mi', 'mis', 'con', 'para', 'una', 'un', 'del', 'al', 'se', 'como', 'cómo',
+    'cuando', 'cuándo', 'donde', 'dónde', 'cuánto', 'cuanto', 'buenos', 'buenas', 'días', 'tardes', 'noches', 'puedo',
+    'necesito', 'también', 'ya', 'bien', 'y', 'en', 'de', 'lo', 'le', 'me', 'te', 'su', 'renta', 'pago', 'pagué', 'fuga',
+    'agua', 'luz', 'baño', 'cocina', 'departamento', 'usted', 'ustedes', 'nos', 'este', 'esta', 'eso', 'hoy', 'mañana'],
+  letters: /[ñ¿¡]/,
+  names: ['espanol', 'spanish', 'espagnol', 'espanhol', 'castellano'],
+
+  // Stored on messages and tickets; urgent/maintenance ones alert the landlord
+  categories: { inquiry: 'CONSULTA', payment: 'PAGO', lease: 'CONTRATO', urgent: 'URGENTE', maintenance: 'MANTENIMIENTO', reminder: 'RECORDATORIO', notice: 'AVISO' },
+
+  replies: {
+    received: '¡Hola! Recibí tu mensaje y lo estoy revisando. Te respondo en un momento.',
+    draftHolding: '¡Gracias por tu mensaje! Lo recibimos y te respondemos en breve.',
+    paymentRecorded: (name, month, withReceipt) => `¡Gracias, ${name}! Registré tu pago de ${month}${withReceipt ? ' junto con tu comprobante' : ''}. Tu arrendador lo confirmará en breve.${withReceipt ? '' : ' Si tienes el comprobante, puedes enviarme una foto por aquí.'}`,
+    receiptReceived: '¡Recibí tu comprobante, gracias! Tu arrendador confirmará el pago en breve.',
+    languageChanged: '¡Claro! A partir de ahora te escribo en español.',
+    unknownSender: 'Lo siento, no encuentro tu número en nuestro sistema. Por favor contacta a tu arrendador.',
+    error: 'Lo siento, hubo un error. Por favor intenta de nuevo en un momento.'
+  },
+
+  // Automated messages: rent reminders, renewal notices, ticket updates
+  dateLocale: 'es-MX',
+
+  reminders: {
+    property: 'tu propiedad',
+    upcoming: ({ name, rent, address, date, days }) => `Hola ${name}, te recordamos que tu renta de ${rent} de ${address} vence el ${date} (en ${days} días). ¡Gracias!`,
+    due: ({ name, rent, address }) => `Hola ${name}, hoy vence tu renta de ${rent} de ${address}. ¡Gracias por tu pago puntual!`,
+    overdue: ({ name, rent, address, date }) => `Hola ${name}, tu renta de ${rent} de ${address} venció el ${date}. Si ya pagaste, ignora este mensaje. Si no, por favor realiza tu pago lo antes posible o avísanos si necesitas ayuda.`
+  },
+
+  renewals: {
+    home: 'tu departamento',
+    notice: ({ name, address, endDate, days, renewalRent }) => `Hola ${name}, tu contrato de ${address} termina el ${endDate} (en ${days} días).` +
+      (renewalRent ? ` Al renovar, la renta sería de ${renewalRent}.` : '') +
+      ' ¿Te gustaría renovarlo? Responde "RENOVAR" si quieres quedarte o "NO RENOVAR" si planeas mudarte.',
+    renewed: name => `¡Qué gusto, ${name}! Le aviso a tu arrendador que quieres renovar; te contactará para firmar el nuevo contrato.`,
+    leaving: name => `Gracias por avisar, ${name}. Le comunico a tu arrendador que no renovarás; te contactará para coordinar la entrega del departamento y tu depósito.`,
+    keywords: {
+      renew: ['renovar', 'renuevo', 'renovamos', 'quiero quedarme', 'nos quedamos'],
+      leave: ['no renovar', 'no renuevo', 'no voy a renovar', 'no quiero renovar', 'no vamos a renovar', 'me mudo', 'me voy a mudar', 'nos mudamos']
+    }
+  },
+
+  ticketStatus: {
+    maintenance: 'de mantenimiento',
+    scheduled: (name, issue, when) => `Hola ${name}, tu reporte ${issue} ya está programado${when ? ` para el ${when}` : ''}.`,
+    resolved: (name, issue) => `Hola ${name}, marcamos tu reporte ${issue} como resuelto. Si el problema continúa, respóndenos por aquí.`,
+    open: (name, issue) => `Hola ${name}, tu reporte ${issue} sigue abierto y lo estamos revisando.`
+  },
+
+  // Rent balance, for the balance command and the AI prompt
+  ledger: {
+    upToDate: 'Al corriente, sin saldo pendiente',
+    pending: 'pago reportado, por confirmar',
+    partial: 'pago parcial'
+  },
+
+  // Self-service commands: the words that call them, the menu and their answers
+  commands: {
+    words: {
+      balance: ['saldo'],
+      receipt: ['recibo'],
+      report: ['reportar', 'reporte'],
+      status: ['estado'],
+      contact: ['contacto'],
+      help: ['ayuda', 'menú']
+    },
+    menu: {
+      intro: 'Esto es lo que puedo hacer por ti. Escribe una palabra:',
+      items: {
+        balance: 'SALDO: lo que debes de renta',
+        receipt: 'RECIBO: tu último pago confirmado',
+        report: 'REPORTAR: un problema en el departamento',
+        status: 'ESTADO: cómo va tu reporte',
+        contact: 'CONTACTO: datos de tu arrendador',
+        help: 'AYUDA: este menú'
+      },
+      outro: 'O escríbeme lo que necesites con tus palabras.'
+    },
+    caughtUp: '¡Estás al corriente! No tienes saldo pendiente.',
+    balance: summary => `Tu saldo pendiente: ${summary}.`,
+    noReceipt: 'Aún no tengo pagos confirmados a tu nombre. Si ya pagaste, envíame una foto del comprobante por aquí.',
+    receipt: ({ month, amount, date }) => `Recibo de renta de ${month}: ${amount}, confirmado${date ? ` el ${date}` : ''}. ¡Gracias!`,
+    reportHowTo: 'Escribe REPORTAR seguido del problema y dónde está, por ejemplo: "reportar fuga en el lavabo del baño".',
+    reported: text => `Listo, registré tu reporte: "${text}". Tu arrendador ya está enterado; escribe ESTADO para ver cómo va.`,
+    noOpenRequest: 'No tienes reportes abiertos. Si algo falla, escribe REPORTAR y el problema.',
+    landlord: name => `Tu arrendador${name ? `, ${name}` : ''}:`,
+    noContact: 'Tu arrendador aún no registró sus datos de contacto. Le aviso que quieres comunicarte.'
+  },
+
+  systemMessage: 'Eres un asistente de administración de propiedades cálido y empático que realmente se preocupa por los inquilinos. Respondes de manera natural y conversacional - como un amigo útil. Reconoces sentimientos, muestras comprensión y brindas apoyo claro y cariñoso. IMPORTANTE: Tienes memoria de la conversación - siempre haces referencia a mensajes anteriores y mantienes la coherencia. Nunca suenas robótico o corporativo. Siempre hablas en español.',
+
+  buildPrompt: ({ tenant, balanceSummary, leaseText, faqsText, ticketText, conversationContext, message, mediaText }) => `Eres un asistente de administración de propiedades cálido y empático. Realmente te importan tus inquilinos y quieres que se sientan escuchados y apoyados.
+
+ESTILO DE COMUNICACIÓN:
+- EMPÁTICO PRIMERO: Siempre reconoce sus sentimientos y preocupaciones antes de ofrecer soluciones
+- CONVERSACIONAL: Habla naturalmente, como un amigo útil que gestiona su propiedad
+- CONSCIENTE DEL CONTEXTO: Recuerda lo que están diciendo y responde coherentemente a su situación específica
+- CÁLIDO pero PROFESIONAL: Sé amigable y cariñoso mientras mantienes profesionalismo
+- CLARO Y DIRECTO: Da información específica y accionable cuando la tengas
+- SEGUIMIENTO: Si están continuando una conversación previa, haz referencia a lo que dijeron antes
+
+INFORMACIÓN DE LA PROPIEDAD:
+Inquilino: ${tenant.name}
+Dirección: ${tenant.properties?.address || 'la propiedad'}
+Renta mensual: $${tenant.properties?.monthly_rent || 'N/A'} MXN
+Vencimiento de pago: Día ${tenant.properties?.rent_due_day || 'N/A'} de cada mes
+Saldo pendiente (registro de pagos): ${balanceSummary}
+Propietario: ${tenant.properties?.landlord_name || 'el propietario'}
+Notas especiales: ${tenant.properties?.special_instructions || 'Ninguna'}
+Contrato: ${leaseText}
+
+INFORMACIÓN DEL EDIFICIO (preguntas frecuentes relacionadas con este mensaje):
+${faqsText}
+Reporte de mantenimiento abierto: ${ticketText}
+${conversationContext}
+
+MENSAJE ACTUAL DEL INQUILINO: "${message}"
+ARCHIVOS ADJUNTOS: ${mediaText}
+
+GUÍAS DE RESPUESTA:
+1. Si es la primera mención de un problema: Muestra empatía, haz preguntas específicas (¿Dónde exactamente? ¿Qué tan grave?), explica que lo resolverás
+2. Si están dando más detalles (seguimiento): Haz referencia a lo que dijeron antes ("Entiendo, entonces la fuga es en la cocina..."), confirma que entiendes la situación completa, da los siguientes pasos concretos
+3. Categorización: URGENTE (fugas grandes, eléctrico, gas → needsAttention: true), MANTENIMIENTO (reparaciones necesarias → needsAttention: true), PAGO (preguntas sobre renta o saldo → needsAttention: false; usa el saldo pendiente del registro de pagos, no solo la renta mensual), CONSULTA (preguntas generales → needsAttention: false)
+4. Reportes de mantenimiento: si es URGENTE o MANTENIMIENTO, extrae en "ticket" la ubicación (p. ej. "cocina, debajo del fregadero"), una descripción breve del problema y la prioridad (low|medium|high|urgent) y el oficio necesario (plumber|electrician|gas|locksmith|appliances|pest_control|handyman); usa null en lo que aún no sepas. Indica en "ticketFollowUp" si el mensaje continúa el reporte abierto (true) o es un problema distinto (false)
+5. Archivos adjuntos: si mandan una foto, úsala para entender el problema (qué es, dónde, qué tan grave) y menciónalo en tu respuesta; si mandan solo una foto sin texto, responde y categoriza según lo que muestra. Las notas de voz ya vienen transcritas en el mensaje
+6. Contrato: responde preguntas sobre el contrato (cuándo termina, depósito, aumentos, cláusulas) solo con los datos de "Contrato"; si algo no aparece ahí, dilo y ofrece consultarlo con el propietario (needsAttention: true). Nunca inventes condiciones
+7. Información del edificio: si la respuesta está en "INFORMACIÓN DEL EDIFICIO", contéstala directamente con esos datos (needsAttention: false) en lugar de decir que lo consultarás con el propietario. Si no está, no la inventes
+
+EJEMPLOS:
+Inquilino: "Hay una fuga de agua"
+Tú: "Ay no, una fuga es súper estresante. ¿Dónde exactamente está la fuga? ¿En el baño, cocina?"
+Inquilino: "En la cocina"
+Tú: "Entiendo, entonces la fuga es en la cocina. ¿Es del fregadero, de abajo del lavabo, o de alguna tubería? Necesito contactar al plomero y confirmarle exactamente dónde ir."
+
+Responde ÚNICAMENTE con un objeto JSON (sin markdown):
+{"message":"tu respuesta cálida, empática y coherente con el contexto","category":"URGENTE|MANTENIMIENTO|PAGO|CONSULTA","needsAttention":true/false,"ticket":{"location":"...","description":"...","priority":"low|medium|high|urgent","trade":"plumber|electrician|..."} o null,"ticketFollowUp":true/false}`,
+
+  // Rule-based replies when the model is unavailable
+  fallback: {
+    keywords: {
+      lease: ['contrato', 'depósito', 'deposito'],
+      payment: ['pago', 'pagar', 'renta', 'cuanto', 'vence'],
+      emergency: ['fuga', 'emergencia', 'incendio', 'gas', 'inundación'],
+      maintenance: ['roto', 'no funciona', 'arreglar', 'reparar', 'mantenimiento'],
+      thanks: ['gracias']
+    },
+    lease: leaseText => `Esto dice tu contrato: ${leaseText}. Si tienes otra duda, se la consulto a tu arrendador.`,
+    balance: ({ balanceSummary, rent, dueDay }) => `Según nuestro registro tienes un saldo pendiente de ${balanceSummary}. Tu renta es de $${rent} MXN y vence el día ${dueDay} de cada mes.`,
+    payment: ({ rent, dueDay }) => `Tu renta es de $${rent} MXN y vence el día ${dueDay} de cada mes. ¿Te funciona bien ese día?`,
+    emergency: 'Ay no, eso suena muy estresante. Me tomo esto en serio y me aseguraré de que alguien vaya lo antes posible. ¿Me puedes contar un poco más sobre qué está pasando?',
+    emergencyFollowUp: 'Perfecto, ya tengo más info. Voy a contactar al técnico apropiado ahora mismo y te confirmo el horario lo antes posible.',
+    maintenance: 'Lamento que no esté funcionando bien - es súper frustrante. Déjame ayudarte a arreglar esto. ¿Me puedes describir qué está pasando?',
+    maintenanceFollowUp: 'Entiendo. Con esa información voy a programar a alguien para que lo revise. Te confirmo en cuanto tenga el horario.',
+    faq: (answer, topic) => `${answer} (${topic}). ¿Te puedo ayudar con algo más?`,
+    thanks: '¡De nada! Estoy aquí cuando necesites cualquier cosa.',
+    followUp: 'Perfecto, ya tengo esa información. Dame un momento para coordinarlo todo y te confirmo.',
+    greeting: '¡Hola! Recibí tu mensaje. ¿Me podrías contar un poco más para poder ayudarte?'
+  },
+
+  // Rule-based drafts for the landlord (suggested replies)
+  suggestions: {
+    frames: {
+      friendly: name => ({ open: `¡Hola ${name}! `, close: '' }),
+      formal: name => ({ open: `Buen día, ${name}. `, close: ' Quedo a sus órdenes.' }),
+      brief: () => ({ open: '', close: '' })
+    },
+    checkIn: '¿Cómo va todo en el departamento? Cualquier cosa que necesites, aquí estoy.',
+    willCheck: 'Gracias por avisarme. Lo reviso y te confirmo hoy mismo.',
+    acknowledge: 'Recibido, en un momento te respondo con calma.',
+    formal: {
+      willCheck: 'Gracias por avisarme. Lo reviso y le confirmo hoy mismo.',
+      acknowledge: 'Recibido, en breve le respondo.'
+    }
+  }
+};
@@ -0,0 +1,129 @@
+// French, for expat tenants. No prompt of its own: the English one, told to reply in French.
+module.exports = {
+  code: 'fr',
+  name: 'French',
+  label: 'Français',
+  base: 'en',
+
+  words: ['le', 'la', 'les', 'un', 'une', 'des', 'du', 'de', 'et', 'est', 'je', 'tu', 'vous', 'nous', 'il', 'elle', 'pas',
+    'ne', 'bonjour', 'bonsoir', 'merci', 'oui', 'non', 'mon', 'ma', 'mes', 'pour', 'avec', 'dans', 'sur', 'loyer', 'que',
+    'qui', 'quand', 'ou', 'comment', 'plait', 'suis', 'ai', 'au', 'aux', 'ce', 'cette', 'tres', 'bien', 'votre', 'vos',
+    "j'ai", "c'est", "s'il", "n'est", "qu'il", 'fuite', 'eau', "l'eau", 'cuisine', "aujourd'hui", 'demain', 'paye', 'peux', 'besoin'],
+  letters: /[èëœùî]/,
+  names: ['francais', 'french', 'frances', 'franzosisch'],
+
+  categories: { inquiry: 'INQUIRY', payment: 'PAYMENT', lease: 'LEASE', urgent: 'URGENT', maintenance: 'MAINTENANCE', reminder: 'REMINDER', notice: 'NOTICE' },
+
+  replies: {
+    received: 'Bonjour ! J\'ai bien reçu votre message et je m\'en occupe. Je vous réponds dans un instant.',
+    draftHolding: 'Merci pour votre message ! Nous l\'avons bien reçu et vous répondrons rapidement.',
+    paymentRecorded: (name, month, withReceipt) => `Merci, ${name} ! J'ai enregistré votre paiement de ${month}${withReceipt ? ' avec votre justificatif' : ''}. Votre propriétaire le confirmera sous peu.${withReceipt ? '' : ' Si vous avez un justificatif, vous pouvez m\'en envoyer une photo ici.'}`,
+    receiptReceived: 'J\'ai bien reçu votre justificatif, merci ! Votre propriétaire confirmera le paiement sous peu.',
+    languageChanged: 'Bien sûr ! Désormais je vous écrirai en français.',
+    unknownSender: 'Désolé, je ne trouve pas votre numéro dans notre système. Veuillez contacter votre propriétaire.',
+    error: 'Désolé, une erreur s\'est produite. Veuillez réessayer dans un instant.'
+  },
+
+  dateLocale: 'fr-FR',
+
+  reminders: {
+    property: 'votre logement',
+    upcoming: ({ name, rent, address, date, days }) => `Bonjour ${name}, nous vous rappelons que votre loyer de ${rent} pour ${address} est dû le ${date} (dans ${days} jours). Merci !`,
+    due: ({ name, rent, address }) => `Bonjour ${name}, votre loyer de ${rent} pour ${address} est dû aujourd'hui. Merci de votre ponctualité !`,
+    overdue: ({ name, rent, address, date }) => `Bonjour ${name}, votre loyer de ${rent} pour ${address} était dû le ${date}. Si vous avez déjà payé, ignorez ce message. Sinon, merci de payer dès que possible ou de nous prévenir si vous avez besoin d'aide.`
+  },
+
+  renewals: {
+    home: 'votre logement',
+    notice: ({ name, address, endDate, days, renewalRent }) => `Bonjour ${name}, votre bail pour ${address} se termine le ${endDate} (dans ${days} jours).` +
+      (renewalRent ? ` En cas de renouvellement, le loyer serait de ${renewalRent}.` : '') +
+      ' Souhaitez-vous le renouveler ? Répondez « RENOUVELER » pour rester ou « NE PAS RENOUVELER » si vous prévoyez de déménager.',
+    renewed: name => `Excellent, ${name} ! Je préviens votre propriétaire que vous souhaitez renouveler ; il vous contactera pour signer le nouveau bail.`,
+    leaving: name => `Merci de nous avoir prévenus, ${name}. J'informe votre propriétaire que vous ne renouvellerez pas ; il vous contactera pour organiser votre départ et votre dépôt de garantie.`,
+    keywords: {
+      renew: ['renouveler', 'je renouvelle', 'nous renouvelons', 'je reste', 'nous restons'],
+      leave: ['ne pas renouveler', 'je ne renouvelle pas', 'pas renouveler', 'je déménage', 'nous déménageons', 'je vais déménager']
+    }
+  },
+
+  ticketStatus: {
+    maintenance: 'd\'entretien',
+    scheduled: (name, issue, when) => `Bonjour ${name}, votre demande ${issue} est planifiée${when ? ` pour le ${when}` : ''}.`,
+    resolved: (name, issue) => `Bonjour ${name}, nous avons marqué votre demande ${issue} comme résolue. Si le problème persiste, répondez-nous ici.`,
+    open: (name, issue) => `Bonjour ${name}, votre demande ${issue} est toujours ouverte et nous nous en occupons.`
+  },
+
+  ledger: {
+    upToDate: 'À jour, aucun solde en attente',
+    pending: 'paiement signalé, en attente de confirmation',
+    partial: 'paiement partiel'
+  },
+
+  commands: {
+    words: {
+      balance: ['solde'],
+      receipt: ['reçu', 'quittance'],
+      report: ['signaler'],
+      status: ['suivi'],
+      contact: ['contact'],
+      help: ['aide', 'menu']
+    },
+    menu: {
+      intro: 'Voici ce que je peux faire pour vous. Envoyez un mot :',
+      items: {
+        balance: 'SOLDE : ce que vous devez de loyer',
+        receipt: 'REÇU : votre dernier paiement confirmé',
+        report: 'SIGNALER : un problème dans le logement',
+        status: 'SUIVI : où en est votre demande',
+        contact: 'CONTACT : coordonnées de votre propriétaire',
+        help: 'AIDE : ce menu'
+      },
+      outro: 'Ou écrivez-moi simplement ce dont vous avez besoin.'
+    },
+    caughtUp: 'Vous êtes à jour ! Aucun solde en attente.',
+    balance: summary => `Votre solde en attente : ${summary}.`,
+    noReceipt: 'Je n\'ai pas encore de paiement confirmé à votre nom. Si vous avez déjà payé, envoyez-moi une photo du justificatif ici.',
+    receipt: ({ month, amount, date }) => `Quittance de loyer de ${month} : ${amount}, confirmé${date ? ` le ${date}` : ''}. Merci !`,
+    reportHowTo: 'Envoyez SIGNALER suivi du problème et de l\'endroit, par exemple : « signaler fuite sous le lavabo de la salle de bain ».',
+    reported: text => `C'est noté, j'ai enregistré votre demande : « ${text} ». Votre propriétaire est prévenu ; envoyez SUIVI pour voir où elle en est.`,
+    noOpenRequest: 'Vous n\'avez aucune demande en cours. En cas de problème, envoyez SIGNALER et le problème.',
+    landlord: name => `Votre propriétaire${name ? `, ${name}` : ''} :`,
+    noContact: 'Votre propriétaire n\'a pas encore ajouté ses coordonnées. Je le préviens que vous souhaitez le contacter.'
+  },
+
+  systemMessage: 'Vous êtes un assistant de gestion locative chaleureux et empathique qui se soucie vraiment des locataires. Vous répondez de façon naturelle et conversationnelle, comme un ami serviable. IMPORTANT : vous avez la mémoire de la conversation - faites toujours référence aux messages précédents et restez cohérent. Vous ne sonnez jamais robotique ni corporate. Parlez toujours en français.',
+
+  buildPrompt: null,
+
+  fallback: {
+    keywords: {
+      lease: ['bail', 'contrat', 'caution', 'dépôt'],
+      payment: ['paiement', 'payer', 'loyer', 'combien', 'échéance'],
+      emergency: ['fuite', 'urgence', 'incendie', 'gaz', 'inondation', 'urgent'],
+      maintenance: ['cassé', 'ne marche pas', 'ne fonctionne pas', 'réparer', 'panne'],
+      thanks: ['merci']
+    },
+    lease: leaseText => `Voici ce que dit votre bail : ${leaseText}. Pour toute autre question, je vérifie avec votre propriétaire.`,
+    balance: ({ balanceSummary, rent, dueDay }) => `D'après nos registres, vous avez un solde impayé de ${balanceSummary}. Votre loyer est de $${rent} MXN et il est dû le ${dueDay} de chaque mois.`,
+    payment: ({ rent, dueDay }) => `Votre loyer est de $${rent} MXN et il est dû le ${dueDay} de chaque mois. Cette date vous convient-elle ?`,
+    emergency: 'Oh non, ça a l\'air vraiment stressant. Je prends ça au sérieux et je m\'assure que quelqu\'un passe au plus vite. Pouvez-vous m\'en dire un peu plus sur ce qui se passe ?',
+    emergencyFollowUp: 'Parfait, j\'ai plus d\'informations maintenant. Je contacte tout de suite le technicien adapté et je vous confirme l\'horaire au plus vite.',
+    maintenance: 'Désolé que ça ne fonctionne pas correctement - c\'est vraiment frustrant. Laissez-moi vous aider à régler ça. Pouvez-vous me décrire ce qui se passe ?',
+    maintenanceFollowUp: 'Compris. Avec ces informations, je vais faire venir quelqu\'un pour vérifier. Je vous confirme l\'horaire dès que je l\'ai.',
+    faq: (answer, topic) => `${answer} (${topic}). Puis-je vous aider pour autre chose ?`,
+    thanks: 'Avec plaisir ! Je suis là si vous avez besoin de quoi que ce soit.',
+    followUp: 'Parfait, j\'ai bien noté. Laissez-moi un instant pour tout organiser et je vous confirme.',
+    greeting: 'Bonjour ! J\'ai bien reçu votre message. Pourriez-vous m\'en dire un peu plus pour que je puisse vous aider ?'
+  },
+
+  suggestions: {
+    frames: {
+      friendly: name => ({ open: `Bonjour ${name} ! `, close: '' }),
+      formal: name => ({ open: `Bonjour ${name}. `, close: ' Bien cordialement.' }),
+      brief: () => ({ open: '', close: '' })
+    },
+    checkIn: 'Comment ça se passe dans l\'appartement ? Si vous avez besoin de quoi que ce soit, je suis là.',
+    willCheck: 'Merci de m\'avoir prévenu. Je regarde ça et je vous confirme aujourd\'hui.',
+    acknowledge: 'Bien reçu, je vous réponds très vite.'
+  }
+};
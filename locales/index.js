@@ -0,0 +1,27 @@
+// Languages the assistant talks to tenants in. Each locale file holds what the webhook and the
+// assistant say in that language (prompt, fallback replies, suggested-reply drafts, reminders,
+// renewal notices, ticket updates, balances) and how to recognize it. To add a language, add a file and list it here.
+//
+// `base` is the language ('es' or 'en') for texts that only exist in Spanish and English so far
+// (the lease, ticket, FAQ and media descriptions given to the AI) and the broadcast variant a tenant
+// gets (landlords write them in Spanish and English).
+const LOCALES = {
+  es: require('./es'),
+  en: require('./en'),
+  pt: require('./pt'),
+  fr: require('./fr')
+};
+
+const DEFAULT_LANGUAGE = 'es';
+const SUPPORTED_LANGUAGES = Object.keys(LOCALES);
+
+function isSupportedLanguage(code) {
+  return SUPPORTED_LANGUAGES.includes(code);
+}
+
+// Unknown codes get the default locale
+function getLocale(code) {
+  return LOCALES[code] || LOCALES[DEFAULT_LANGUAGE];
+}
+
+module.exports = { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES, isSupportedLanguage, getLocale };
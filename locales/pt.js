@@ -0,0 +1,129 @@
+// Portuguese, for expat tenants. No prompt of its own: the English one, told to reply in Portuguese.
+module.exports = {
+  code: 'pt',
+  name: 'Portuguese',
+  label: 'Português',
+  base: 'en',
+
+  words: ['ola', 'obrigado', 'obrigada', 'voce', 'voces', 'nao', 'sim', 'e', 'esta', 'estou', 'tenho', 'tem', 'uma', 'um',
+    'do', 'da', 'dos', 'das', 'para', 'por', 'favor', 'mas', 'muito', 'meu', 'minha', 'eu', 'aluguel', 'posso', 'preciso',
+    'tambem', 'ja', 'bom', 'dia', 'boa', 'tarde', 'noite', 'isso', 'isto', 'quando', 'onde', 'como', 'o', 'os', 'em',
+    'na', 'no', 'nas', 'ao', 'que', 'de', 'com', 'seu', 'sua', 'vazamento', 'agua', 'cozinha', 'banheiro', 'hoje', 'amanha'],
+  letters: /[ãõ]/,
+  names: ['portugues', 'portuguese', 'portugais', 'portugiesisch'],
+
+  categories: { inquiry: 'INQUIRY', payment: 'PAYMENT', lease: 'LEASE', urgent: 'URGENT', maintenance: 'MAINTENANCE', reminder: 'REMINDER', notice: 'NOTICE' },
+
+  replies: {
+    received: 'Olá! Recebi sua mensagem e estou verificando. Já te respondo.',
+    draftHolding: 'Obrigado pela sua mensagem! Recebemos e responderemos em breve.',
+    paymentRecorded: (name, month, withReceipt) => `Obrigado, ${name}! Registrei seu pagamento de ${month}${withReceipt ? ' junto com o comprovante' : ''}. Seu proprietário vai confirmá-lo em breve.${withReceipt ? '' : ' Se tiver o comprovante, pode me enviar uma foto por aqui.'}`,
+    receiptReceived: 'Recebi seu comprovante, obrigado! Seu proprietário vai confirmar o pagamento em breve.',
+    languageChanged: 'Claro! A partir de agora vou te escrever em português.',
+    unknownSender: 'Desculpe, não encontro seu número no nosso sistema. Por favor, fale com seu proprietário.',
+    error: 'Desculpe, ocorreu um erro. Por favor, tente novamente em instantes.'
+  },
+
+  dateLocale: 'pt-BR',
+
+  reminders: {
+    property: 'seu imóvel',
+    upcoming: ({ name, rent, address, date, days }) => `Olá ${name}, lembramos que seu aluguel de ${rent} de ${address} vence em ${date} (em ${days} dias). Obrigado!`,
+    due: ({ name, rent, address }) => `Olá ${name}, hoje vence seu aluguel de ${rent} de ${address}. Obrigado por pagar em dia!`,
+    overdue: ({ name, rent, address, date }) => `Olá ${name}, seu aluguel de ${rent} de ${address} venceu em ${date}. Se já pagou, ignore esta mensagem. Caso contrário, faça o pagamento o quanto antes ou nos avise se precisar de ajuda.`
+  },
+
+  renewals: {
+    home: 'seu apartamento',
+    notice: ({ name, address, endDate, days, renewalRent }) => `Olá ${name}, seu contrato de ${address} termina em ${endDate} (em ${days} dias).` +
+      (renewalRent ? ` Ao renovar, o aluguel seria de ${renewalRent}.` : '') +
+      ' Gostaria de renovar? Responda "RENOVAR" se quiser ficar ou "NÃO RENOVAR" se pretende se mudar.',
+    renewed: name => `Que ótimo, ${name}! Vou avisar seu proprietário que você quer renovar; ele vai entrar em contato para assinar o novo contrato.`,
+    leaving: name => `Obrigado por avisar, ${name}. Vou informar seu proprietário que você não vai renovar; ele vai entrar em contato para combinar a entrega do apartamento e o seu depósito.`,
+    keywords: {
+      renew: ['renovar', 'renovo', 'quero renovar', 'vou ficar', 'vamos ficar'],
+      leave: ['não renovar', 'não renovo', 'não vou renovar', 'não quero renovar', 'vou me mudar', 'vamos nos mudar']
+    }
+  },
+
+  ticketStatus: {
+    maintenance: 'de manutenção',
+    scheduled: (name, issue, when) => `Olá ${name}, sua solicitação ${issue} foi agendada${when ? ` para ${when}` : ''}.`,
+    resolved: (name, issue) => `Olá ${name}, marcamos sua solicitação ${issue} como resolvida. Se o problema continuar, é só responder aqui.`,
+    open: (name, issue) => `Olá ${name}, sua solicitação ${issue} continua aberta e estamos verificando.`
+  },
+
+  ledger: {
+    upToDate: 'Em dia, sem saldo pendente',
+    pending: 'pagamento informado, aguardando confirmação',
+    partial: 'pagamento parcial'
+  },
+
+  commands: {
+    words: {
+      balance: ['saldo'],
+      receipt: ['recibo'],
+      report: ['reportar'],
+      status: ['status', 'situação'],
+      contact: ['contato'],
+      help: ['ajuda', 'menu']
+    },
+    menu: {
+      intro: 'Isto é o que posso fazer por você. Envie uma palavra:',
+      items: {
+        balance: 'SALDO: o que você deve de aluguel',
+        receipt: 'RECIBO: seu último pagamento confirmado',
+        report: 'REPORTAR: um problema no apartamento',
+        status: 'STATUS: como está sua solicitação',
+        contact: 'CONTATO: dados do seu proprietário',
+        help: 'AJUDA: este menu'
+      },
+      outro: 'Ou me escreva o que precisar com suas palavras.'
+    },
+    caughtUp: 'Você está em dia! Nenhum saldo pendente.',
+    balance: summary => `Seu saldo pendente: ${summary}.`,
+    noReceipt: 'Ainda não tenho pagamentos confirmados no seu nome. Se já pagou, me envie uma foto do comprovante por aqui.',
+    receipt: ({ month, amount, date }) => `Recibo de aluguel de ${month}: ${amount}, confirmado${date ? ` em ${date}` : ''}. Obrigado!`,
+    reportHowTo: 'Envie REPORTAR seguido do problema e onde ele está, por exemplo: "reportar vazamento na pia do banheiro".',
+    reported: text => `Pronto, registrei sua solicitação: "${text}". Seu proprietário já foi avisado; envie STATUS para ver como está.`,
+    noOpenRequest: 'Você não tem solicitações abertas. Se algo der errado, envie REPORTAR e o problema.',
+    landlord: name => `Seu proprietário${name ? `, ${name}` : ''}:`,
+    noContact: 'Seu proprietário ainda não cadastrou os dados de contato. Vou avisar que você quer falar com ele.'
+  },
+
+  systemMessage: 'Você é um assistente de administração de imóveis caloroso e empático que realmente se importa com os inquilinos. Responde de forma natural e conversacional, como um amigo prestativo. IMPORTANTE: Você tem memória da conversa - sempre faça referência a mensagens anteriores e mantenha a coerência. Nunca soa robótico ou corporativo. Sempre fale em português.',
+
+  buildPrompt: null,
+
+  fallback: {
+    keywords: {
+      lease: ['contrato', 'depósito', 'deposito', 'caução'],
+      payment: ['pagamento', 'pagar', 'aluguel', 'quanto', 'vence'],
+      emergency: ['vazamento', 'emergência', 'emergencia', 'incêndio', 'gás', 'inundação', 'urgente'],
+      maintenance: ['quebrado', 'quebrou', 'não funciona', 'consertar', 'reparar', 'manutenção'],
+      thanks: ['obrigad', 'valeu']
+    },
+    lease: leaseText => `Seu contrato diz: ${leaseText}. Se tiver outra dúvida, consulto seu proprietário.`,
+    balance: ({ balanceSummary, rent, dueDay }) => `Segundo nosso registro, você tem um saldo pendente de ${balanceSummary}. Seu aluguel é de $${rent} MXN e vence no dia ${dueDay} de cada mês.`,
+    payment: ({ rent, dueDay }) => `Seu aluguel é de $${rent} MXN e vence no dia ${dueDay} de cada mês. Esse dia funciona bem para você?`,
+    emergency: 'Poxa, isso parece muito estressante. Levo isso a sério e vou garantir que alguém vá o quanto antes. Pode me contar um pouco mais sobre o que está acontecendo?',
+    emergencyFollowUp: 'Perfeito, agora tenho mais informações. Vou contatar o técnico adequado agora mesmo e te confirmo o horário o quanto antes.',
+    maintenance: 'Sinto muito que não esteja funcionando direito - é bem frustrante. Deixa eu te ajudar a resolver isso. Pode me descrever o que está acontecendo?',
+    maintenanceFollowUp: 'Entendi. Com essa informação vou agendar alguém para verificar. Te confirmo assim que tiver o horário.',
+    faq: (answer, topic) => `${answer} (${topic}). Posso ajudar com mais alguma coisa?`,
+    thanks: 'De nada! Estou aqui sempre que precisar.',
+    followUp: 'Perfeito, já tenho essa informação. Me dá um momento para coordenar tudo e te confirmo.',
+    greeting: 'Olá! Recebi sua mensagem. Pode me contar um pouco mais para eu poder te ajudar?'
+  },
+
+  suggestions: {
+    frames: {
+      friendly: name => ({ open: `Olá ${name}! `, close: '' }),
+      formal: name => ({ open: `Bom dia, ${name}. `, close: ' Atenciosamente.' }),
+      brief: () => ({ open: '', close: '' })
+    },
+    checkIn: 'Como está tudo no apartamento? Se precisar de qualquer coisa, estou aqui.',
+    willCheck: 'Obrigado por avisar. Vou verificar e te confirmo ainda hoje.',
+    acknowledge: 'Recebido, já te respondo com calma.'
+  }
+};
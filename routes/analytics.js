@@ -0,0 +1,77 @@
+const express = require('express');
+const { requireLogin } = require('./middleware');
+const {
+  parseRange, messageVolume, resolutionShare, firstReplyTimes, busiestProperties, collectionByMonth
+} = require('../services/analytics');
+const { fetchAllRows } = require('../services/paging');
+const { logger } = require('../services/logger');
+const router = express.Router();
+
+const log = logger.child({ module: 'analytics' });
+
+let supabase;
+
+// Initialize with services from server.js
+function initAnalyticsRoutes(supabaseClient) {
+  supabase = supabaseClient;
+  return router;
+}
+
+// GET /dashboard/analytics - Trends for one property or all, over a date range
+router.get('/dashboard/analytics', requireLogin, async (req, res) => {
+  try {
+    const landlordId = req.session.landlordId;
+    const range = parseRange(req.query);
+
+    // Archived properties and moved-out tenants still count toward past periods
+    const { data: allProperties } = await supabase
+      .from('properties')
+      .select('*')
+      .eq('landlord_id', landlordId)
+      .order('address', { ascending: true });
+
+    // Unknown ids fall back to all properties rather than showing someone else's
+    const propertyId = (allProperties || []).some(p => p.id === req.query.property_id) ? req.query.property_id : '';
+    const properties = (allProperties || []).filter(p => !propertyId || p.id === propertyId);
+
+    // Every row in the range, not just the first page Supabase returns. Messages and payments
+    // are filed under their own unit, so a tenant who moved counts where they lived at the time.
+    // Replies can come after the range ends; only incoming messages are bounded by it
+    const propertyIds = properties.map(p => p.id);
+    const messages = await fetchAllRows(() => supabase
+      .from('messages')
+      .select('id, tenant_id, property_id, direction, author, category, needs_landlord_attention, draft_status, created_at')
+      .in('property_id', propertyIds)
+      .gte('created_at', range.startIso)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true }));
+
+    const incoming = messages.filter(m => m.direction === 'incoming' && new Date(m.created_at) < new Date(range.endIso));
+    const outgoing = messages.filter(m => m.direction === 'outgoing');
+
+    const payments = await fetchAllRows(() => supabase
+      .from('payments')
+      .select('*')
+      .in('property_id', propertyIds)
+      .gte('period', range.from.slice(0, 7))
+      .lte('period', range.to.slice(0, 7))
+      .order('id', { ascending: true }));
+
+    res.render('analytics', {
+      landlordName: req.session.landlordName,
+      properties: allProperties || [],
+      propertyId,
+      range,
+      volume: messageVolume(incoming, range),
+      resolution: resolutionShare(incoming),
+      replies: firstReplyTimes(incoming, outgoing),
+      busiest: busiestProperties(incoming, properties),
+      collection: collectionByMonth(payments, properties)
+    });
+  } catch (error) {
+    log.error('Analytics error', { error });
+    res.status(500).send('Error loading analytics');
+  }
+});
+
+module.exports = initAnalyticsRoutes;
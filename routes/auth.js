@@ -1,7 +1,12 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
+const { COUNTRIES, DEFAULT_COUNTRY, normalizePhone } = require('../services/phone');
+const { isAdminEmail } = require('./middleware');
+const { logger } = require('../services/logger');
 const router = express.Router();
 
+const log = logger.child({ module: 'auth' });
+
 // This function will be passed in from server.js
 let supabase;
 
@@ -13,13 +18,19 @@ function initAuthRoutes(supabaseClient) {
 
 // GET /signup - Show the signup page
 router.get('/signup', (req, res) => {
-  res.render('signup', { error: null });
+  res.render('signup', { error: null, countries: COUNTRIES });
 });
 
 // POST /signup - Process the signup form
 router.post('/signup', async (req, res) => {
   try {
-    const { email, password, name, phone } = req.body;
+    const { email, password, name } = req.body;
+    const country = COUNTRIES[req.body.country] ? req.body.country : DEFAULT_COUNTRY;
+    const phone = normalizePhone(req.body.phone, country);
+    
+    if (!phone) {
+      return res.render('signup', { error: 'Número de WhatsApp inválido', countries: COUNTRIES });
+    }
     
     // Hash the password (encrypt it for security)
     const password_hash = await bcrypt.hash(password, 10);
@@ -27,24 +38,25 @@ router.post('/signup', async (req, res) => {
     // Save the landlord to database
     const { data, error } = await supabase
       .from('landlords')
-      .insert([{ email, password_hash, name, phone }])
+      .insert([{ email, password_hash, name, phone, country }])
       .select()
       .single();
     
     if (error) {
-      return res.render('signup', { error: 'El correo ya existe' });
+      return res.render('signup', { error: 'El correo ya existe', countries: COUNTRIES });
     }
     
     // Save landlord to session (log them in)
     req.session.landlordId = data.id;
     req.session.landlordName = data.name;
+    req.session.isAdmin = isAdminEmail(data.email);
     
     // Redirect to dashboard
     res.redirect('/dashboard');
     
   } catch (error) {
-    console.error('Signup error:', error);
-    res.render('signup', { error: 'Algo salió mal' });
+    log.error('Signup error', { error });
+    res.render('signup', { error: 'Algo salió mal', countries: COUNTRIES });
   }
 });
 
@@ -79,12 +91,13 @@ router.post('/login', async (req, res) => {
     // Save to session (log them in)
     req.session.landlordId = landlord.id;
     req.session.landlordName = landlord.name;
+    req.session.isAdmin = isAdminEmail(landlord.email);
     
     // Redirect to dashboard
     res.redirect('/dashboard');
     
   } catch (error) {
-    console.error('Login error:', error);
+    log.error('Login error', { error });
     res.render('login', { error: 'Algo salió mal', success: null });
   }
 });
@@ -0,0 +1,107 @@
+const express = require('express');
+const { requireLogin } = require('./middleware');
+const { BROADCAST_AUDIENCES, TEMPLATE_VARIABLES, findAudience, sendBroadcast, summarizeRecipients } = require('../services/broadcasts');
+const { findOwnedProperty } = require('../services/ownership');
+const { logger } = require('../services/logger');
+const router = express.Router();
+
+const log = logger.child({ module: 'broadcasts' });
+
+let supabase;
+let twilioClient;
+
+// Initialize with services from server.js
+function initBroadcastRoutes(supabaseClient, twilio) {
+  supabase = supabaseClient;
+  twilioClient = twilio;
+  return router;
+}
+
+// GET /dashboard/broadcasts - Composer and sent announcements
+router.get('/dashboard/broadcasts', requireLogin, async (req, res) => {
+  try {
+    const landlordId = req.session.landlordId;
+
+    const { data: properties } = await supabase
+      .from('properties')
+      .select('id, address')
+      .eq('landlord_id', landlordId)
+      .is('archived_at', null);
+
+    const tenants = await findAudience(supabase, landlordId, { audience: 'all' });
+
+    const { data: broadcasts } = await supabase
+      .from('broadcasts')
+      .select('*, properties (address), broadcast_recipients (*, tenants (name))')
+      .eq('landlord_id', landlordId)
+      .order('created_at', { ascending: false })
+      .limit(20);
+
+    res.render('broadcasts', {
+      landlordName: req.session.landlordName,
+      properties: properties || [],
+      tenants,
+      broadcasts: broadcasts || [],
+      variables: Object.keys(TEMPLATE_VARIABLES),
+      summarizeRecipients
+    });
+  } catch (error) {
+    log.error('Broadcasts page error', { error });
+    res.status(500).send('Error loading broadcasts');
+  }
+});
+
+// POST /dashboard/broadcasts - Send an announcement to all tenants, one property or a selection
+router.post('/dashboard/broadcasts', requireLogin, async (req, res) => {
+  try {
+    const landlordId = req.session.landlordId;
+    const audience = BROADCAST_AUDIENCES.includes(req.body.audience) ? req.body.audience : 'all';
+    const bodyEs = (req.body.body_es || '').trim();
+    const bodyEn = (req.body.body_en || '').trim();
+
+    if (!bodyEs && !bodyEn) {
+      return res.status(400).send('Write the announcement in Spanish, English or both');
+    }
+
+    let propertyId = null;
+    if (audience === 'property') {
+      const property = await findOwnedProperty(supabase, landlordId, req.body.property_id);
+      if (!property) {
+        return res.status(404).send('Property not found');
+      }
+      propertyId = property.id;
+    }
+
+    // Selected ids are matched against the landlord's own tenants, never used as given
+    const tenantIds = [].concat(req.body.tenant_ids || []);
+    const tenants = await findAudience(supabase, landlordId, { audience, propertyId, tenantIds });
+    if (tenants.length === 0) {
+      return res.status(400).send('No tenants to send to');
+    }
+
+    const { data: broadcast, error } = await supabase
+      .from('broadcasts')
+      .insert({
+        landlord_id: landlordId,
+        audience,
+        property_id: propertyId,
+        body_es: bodyEs || null,
+        body_en: bodyEn || null
+      })
+      .select()
+      .single();
+
+    if (error) {
+      log.error('Create broadcast error', { error });
+      return res.status(500).send('Error creating broadcast: ' + error.message);
+    }
+
+    await sendBroadcast(supabase, twilioClient, broadcast, tenants);
+    res.redirect('/dashboard/broadcasts');
+  } catch (error) {
+    log.error('Broadcast error', { error });
+    res.status(500).send('Error sending broadcast: ' + error.message);
+  }
+});
+
+module.exports = initBroadcastRoutes;
@@ -1,6 +1,21 @@
 const express = require('express');
+const { requireLogin } = require('./middleware');
+const { sendTenantMessage } = require('../services/messaging');
+const { getLandlordSettings, isAiPaused } = require('../services/landlords');
+const { downloadMedia } = require('../services/media');
+const { normalizePhone } = require('../services/phone');
+const { FAQ_TOPICS, faqTopicLabel } = require('../services/knowledge');
+const { isActiveTenant, moveOutTenant, moveTenantToProperty } = require('../services/tenants');
+const { findOwnedProperty, findOwnedTenant, findOwnedMessage, findOwnedJob } = require('../services/ownership');
+const { FAILED_STATUSES, isFailedStatus, retryDelivery } = require('../services/delivery');
+const { suggestTenantReplies } = require('../services/suggestions');
+const { getMemory, refreshConversationMemory } = require('../services/memory');
+const { SUPPORTED_LANGUAGES, isSupportedLanguage, getLocale } = require('../locales');
+const { logger } = require('../services/logger');
 const router = express.Router();
 
+const log = logger.child({ module: 'dashboard' });
+
 let supabase;
 let twilioClient;
 
@@ -11,14 +26,6 @@ function initDashboardRoutes(supabaseClient, twilio) {
   return router;
 }
 
-// Middleware: Check if user is logged in
-function requireLogin(req, res, next) {
-  if (!req.session.landlordId) {
-    return res.redirect('/login');
-  }
-  next();
-}
-
 // GET /dashboard - Main dashboard page
 router.get('/dashboard', requireLogin, async (req, res) => {
   try {
@@ -28,16 +35,18 @@ router.get('/dashboard', requireLogin, async (req, res) => {
     const { data: properties } = await supabase
       .from('properties')
       .select('*')
-      .eq('landlord_id', landlordId);
+      .eq('landlord_id', landlordId)
+      .is('archived_at', null);
     
-    // Get all tenants for these properties
+    // Get current tenants for these properties (moved-out ones live on the tenants page)
     const { data: tenants } = await supabase
       .from('tenants')
       .select(`
         *,
         properties (address)
       `)
-      .in('property_id', properties?.map(p => p.id) || []);
+      .in('property_id', properties?.map(p => p.id) || [])
+      .is('archived_at', null);
     
     // Get recent messages
     const { data: messages } = await supabase
@@ -50,15 +59,37 @@ router.get('/dashboard', requireLogin, async (req, res) => {
       .order('created_at', { ascending: false })
       .limit(50);
     
+    // Messages that didn't reach the tenant and won't be retried automatically
+    const { data: undelivered } = await supabase
+      .from('messages')
+      .select('id, tenant_id, delivery_error, delivery_updated_at, tenants (name)')
+      .in('tenant_id', tenants?.map(t => t.id) || [])
+      .in('delivery_status', FAILED_STATUSES)
+      .is('delivery_retry_at', null)
+      .order('delivery_updated_at', { ascending: false })
+      .limit(20);
+    
+    // Incoming messages whose processing failed: retrying with backoff, or given up
+    const { data: failedJobs } = await supabase
+      .from('webhook_jobs')
+      .select('id, phone, status, attempts, run_at, last_error, created_at')
+      .in('phone', tenants?.map(t => t.phone) || [])
+      .in('status', ['pending', 'failed'])
+      .gt('attempts', 0)
+      .order('created_at', { ascending: false })
+      .limit(20);
+    
     res.render('dashboard', {
       landlordName: req.session.landlordName,
       properties: properties || [],
       tenants: tenants || [],
-      messages: messages || []
+      messages: messages || [],
+      undelivered: undelivered || [],
+      failedJobs: (failedJobs || []).map(job => ({ ...job, tenant: tenants?.find(t => t.phone === job.phone) }))
     });
     
   } catch (error) {
-    console.error('Dashboard error:', error);
+    log.error('Dashboard error', { error });
     res.status(500).send('Error loading dashboard');
   }
 });
@@ -68,13 +99,13 @@ router.get('/dashboard/tenants', requireLogin, async (req, res) => {
   try {
     const landlordId = req.session.landlordId;
     
-    // Get landlord's properties (needed for add tenant form)
+    // Get landlord's properties (needed for the add and move forms)
     const { data: properties } = await supabase
       .from('properties')
       .select('*')
       .eq('landlord_id', landlordId);
     
-    // Get all tenants with property details
+    // Get all tenants with property details, moved-out ones included
     const { data: tenants } = await supabase
       .from('tenants')
       .select(`
@@ -90,12 +121,15 @@ router.get('/dashboard/tenants', requireLogin, async (req, res) => {
     
     res.render('tenants', {
       landlordName: req.session.landlordName,
-      properties: properties || [],
-      tenants: tenants || []
+      properties: (properties || []).filter(p => !p.archived_at),
+      tenants: (tenants || []).filter(isActiveTenant),
+      formerTenants: (tenants || []).filter(t => !isActiveTenant(t))
+        .sort((a, b) => (b.archived_at || '').localeCompare(a.archived_at || '')),
+      languages: SUPPORTED_LANGUAGES.map(code => ({ code, label: getLocale(code).label }))
     });
     
   } catch (error) {
-    console.error('Tenants page error:', error);
+    log.error('Tenants page error', { error });
     res.status(500).send('Error loading tenants');
   }
 });
@@ -105,15 +139,18 @@ router.get('/dashboard/properties', requireLogin, async (req, res) => {
   try {
     const { data: properties } = await supabase
       .from('properties')
-      .select('*, tenants (count)')
-      .eq('landlord_id', req.session.landlordId);
+      .select('*, tenants (id, archived_at), property_faqs (*)')
+      .eq('landlord_id', req.session.landlordId)
+      .is('archived_at', null);
     
     res.render('properties', {
       landlordName: req.session.landlordName,
-      properties: properties || []
+      properties: properties || [],
+      faqTopics: FAQ_TOPICS,
+      faqTopicLabel
     });
   } catch (error) {
-    console.error('Properties error:', error);
+    log.error('Properties error', { error });
     res.status(500).send('Error loading properties');
   }
 });
@@ -145,18 +182,122 @@ router.post('/dashboard/properties/add', requireLogin, async (req, res) => {
     
     res.redirect('/dashboard/properties');
   } catch (error) {
-    console.error('Add property error:', error);
+    log.error('Add property error', { error });
     res.status(500).send('Error adding property');
   }
 });
 
-// POST /dashboard/tenants/add - Add new tenant
+// POST /dashboard/properties/:id/edit - Update a property's details
+router.post('/dashboard/properties/:id/edit', requireLogin, async (req, res) => {
+  try {
+    const property = await findOwnedProperty(supabase, req.session.landlordId, req.params.id);
+    if (!property) {
+      return res.status(404).send('Property not found');
+    }
+    
+    const { address, monthly_rent, rent_due_day, special_instructions } = req.body;
+    const dueDay = parseInt(rent_due_day);
+    if (!address?.trim() || isNaN(parseFloat(monthly_rent)) || !(dueDay >= 1 && dueDay <= 31)) {
+      return res.status(400).send('Invalid property details');
+    }
+    
+    const { error } = await supabase
+      .from('properties')
+      .update({
+        address: address.trim(),
+        monthly_rent: parseFloat(monthly_rent),
+        rent_due_day: dueDay,
+        special_instructions: special_instructions || null
+      })
+      .eq('id', property.id);
+    
+    if (error) {
+      log.error('Update property error', { error });
+      return res.status(500).send('Error updating property: ' + error.message);
+    }
+    
+    res.redirect('/dashboard/properties');
+  } catch (error) {
+    log.error('Update property error', { error });
+    res.status(500).send('Error updating property: ' + error.message);
+  }
+});
+
+// POST /dashboard/properties/:id/delete - Remove a property with no current tenants.
+// Properties with past tenants are archived so their conversations and payments stay reachable.
+router.post('/dashboard/properties/:id/delete', requireLogin, async (req, res) => {
+  try {
+    const property = await findOwnedProperty(supabase, req.session.landlordId, req.params.id);
+    if (!property) {
+      return res.status(404).send('Property not found');
+    }
+    
+    const { data: tenants } = await supabase
+      .from('tenants')
+      .select('id, archived_at')
+      .eq('property_id', property.id);
+    
+    if ((tenants || []).some(isActiveTenant)) {
+      return res.status(409).send('Move out or move the current tenants before deleting this property');
+    }
+    
+    const { error } = tenants?.length
+      ? await supabase.from('properties').update({ archived_at: new Date().toISOString() }).eq('id', property.id)
+      : await supabase.from('properties').delete().eq('id', property.id);
+    
+    if (error) {
+      log.error('Delete property error', { error });
+      return res.status(500).send('Error deleting property: ' + error.message);
+    }
+    
+    log.info(tenants?.length ? 'Property archived' : 'Property deleted', { propertyId: property.id });
+    res.redirect('/dashboard/properties');
+  } catch (error) {
+    log.error('Delete property error', { error });
+    res.status(500).send('Error deleting property: ' + error.message);
+  }
+});
+
+// Normalize a tenant's number and make sure no other current tenant uses it
+// (a moved-out tenant's number can go to the next one)
+async function checkTenantPhone(landlordId, input, exceptTenantId) {
+  // Store E.164 so the webhook finds the tenant with a single match
+  const settings = await getLandlordSettings(supabase, landlordId);
+  const phone = normalizePhone(input, settings.country);
+  
+  if (!phone) {
+    return { status: 400, error: `Invalid phone number: ${input}` };
+  }
+  
+  const { data: existing } = await supabase
+    .from('tenants')
+    .select('id')
+    .eq('phone', phone)
+    .is('archived_at', null);
+  
+  if ((existing || []).some(t => t.id !== exceptTenantId)) {
+    return { status: 409, error: `Another tenant already uses ${phone}` };
+  }
+  
+  return { phone };
+}
+
 // POST /dashboard/tenants/add - Add new tenant
 router.post('/dashboard/tenants/add', requireLogin, async (req, res) => {
     try {
-      const { name, phone, property_id, move_in_date } = req.body;
+      const { name, property_id, move_in_date } = req.body;
+      
+      const { phone, status, error: phoneError } = await checkTenantPhone(req.session.landlordId, req.body.phone);
+      
+      log.info('Adding tenant', { phone, propertyId: property_id, moveInDate: move_in_date });
       
-      console.log('📝 Attempting to add tenant:', { name, phone, property_id, move_in_date });
+      if (phoneError) {
+        return res.status(status).send(phoneError);
+      }
+      
+      if (!await findOwnedProperty(supabase, req.session.landlordId, property_id)) {
+        return res.status(404).send('Property not found');
+      }
       
       const { data, error } = await supabase
         .from('tenants')
@@ -169,11 +310,11 @@ router.post('/dashboard/tenants/add', requireLogin, async (req, res) => {
         .select();
       
       if (error) {
-        console.error('❌ Database error:', error);
+        log.error('Database error', { error });
         return res.status(500).send(`Error adding tenant: ${error.message}`);
       }
       
-      console.log('✅ Tenant added successfully:', data);
+      log.info('Tenant added', { tenantId: data?.[0]?.id });
       
       // Redirect back to where they came from
       const referer = req.get('referer') || '/dashboard';
@@ -183,62 +324,402 @@ router.post('/dashboard/tenants/add', requireLogin, async (req, res) => {
         res.redirect('/dashboard');
       }
     } catch (error) {
-      console.error('❌ Add tenant error:', error);
+      log.error('Add tenant error', { error });
       res.status(500).send('Error adding tenant: ' + error.message);
     }
   });
 
+// GET /dashboard/tenants/:id/conversation - Full WhatsApp thread with one tenant
+router.get('/dashboard/tenants/:id/conversation', requireLogin, async (req, res) => {
+  try {
+    const tenant = await findOwnedTenant(supabase, req.session.landlordId, req.params.id);
+    
+    if (!tenant) {
+      return res.status(404).send('Tenant not found');
+    }
+    
+    const { data: messages } = await supabase
+      .from('messages')
+      .select('*')
+      .eq('tenant_id', tenant.id)
+      .order('created_at', { ascending: false })
+      .limit(500);
+    
+    res.render('conversation', {
+      landlordName: req.session.landlordName,
+      tenant,
+      messages: (messages || []).reverse(),
+      memory: await getMemory(supabase, tenant.id),
+      aiPaused: isAiPaused(tenant)
+    });
+    
+  } catch (error) {
+    log.error('Conversation error', { error });
+    res.status(500).send('Error loading conversation');
+  }
+});
+
+// GET /dashboard/messages/:id/media/:index - Tenant attachment, proxied with Twilio credentials
+router.get('/dashboard/messages/:id/media/:index', requireLogin, async (req, res) => {
+  try {
+    const msg = await findOwnedMessage(supabase, req.session.landlordId, req.params.id);
+    
+    const item = msg?.media?.[parseInt(req.params.index)];
+    if (!item) {
+      return res.status(404).send('Media not found');
+    }
+    
+    const { buffer, contentType } = await downloadMedia(item.url);
+    res.type(contentType);
+    res.send(buffer);
+    
+  } catch (error) {
+    log.error('Media error', { error });
+    res.status(502).send('Could not load media');
+  }
+});
+
+// POST /dashboard/messages/:id/resend - Send a message that didn't reach the tenant again
+router.post('/dashboard/messages/:id/resend', requireLogin, async (req, res) => {
+  try {
+    const msg = await findOwnedMessage(supabase, req.session.landlordId, req.params.id);
+    
+    if (!msg || !isFailedStatus(msg.delivery_status)) {
+      return res.json({ success: false, error: 'No failed message to resend' });
+    }
+    
+    if (!isActiveTenant(msg.tenants)) {
+      return res.json({ success: false, error: 'Tenant has moved out' });
+    }
+    
+    await retryDelivery(supabase, twilioClient, msg);
+    res.json({ success: true });
+  } catch (error) {
+    log.error('Resend error', { error });
+    res.json({ success: false, error: error.message });
+  }
+});
+
 // POST /dashboard/reply - Reply to a tenant
 router.post('/dashboard/reply', requireLogin, async (req, res) => {
   try {
-    const { tenant_phone, message } = req.body;
+    const { tenant_id, message } = req.body;
+    
+    if (!message || !message.trim()) {
+      return res.json({ success: false, error: 'Empty message' });
+    }
+    
+    const tenant = await findOwnedTenant(supabase, req.session.landlordId, tenant_id);
+    
+    if (!tenant) {
+      return res.json({ success: false, error: 'Tenant not found' });
+    }
     
-    // Send WhatsApp message via Twilio
-    await twilioClient.messages.create({
-      from: process.env.TWILIO_WHATSAPP_NUMBER,
-      to: `whatsapp:${tenant_phone}`,
-      body: message
+    // Their number may belong to someone else by now
+    if (!isActiveTenant(tenant)) {
+      return res.json({ success: false, error: 'Tenant has moved out' });
+    }
+    
+    // Send via WhatsApp and keep it in the thread (and the AI's memory)
+    await sendTenantMessage(supabase, twilioClient, tenant, message.trim(), { author: 'landlord' });
+    
+    // Landlord took over: optionally keep the AI quiet with this tenant for a while
+    const settings = await getLandlordSettings(supabase, req.session.landlordId);
+    if (settings.auto_pause_hours > 0) {
+      const pausedUntil = new Date(Date.now() + settings.auto_pause_hours * 60 * 60 * 1000);
+      await supabase
+        .from('tenants')
+        .update({ ai_paused_until: pausedUntil.toISOString() })
+        .eq('id', tenant.id);
+      log.info('AI paused for tenant', { tenantId: tenant.id, until: pausedUntil.toISOString() });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    log.error('Reply error', { error });
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// POST /dashboard/jobs/:id/retry - Process a failed incoming message again now
+router.post('/dashboard/jobs/:id/retry', requireLogin, async (req, res) => {
+  try {
+    const job = await findOwnedJob(supabase, req.session.landlordId, req.params.id);
+    
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    
+    const retried = await req.app.locals.jobs.retryJob(job.id);
+    if (!retried) {
+      return res.json({ success: false, error: 'Job is already being processed or done' });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    log.error('Job retry error', { error });
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// POST /dashboard/tenants/:id/suggest-replies - Draft replies for the landlord to edit before sending
+router.post('/dashboard/tenants/:id/suggest-replies', requireLogin, async (req, res) => {
+  try {
+    const tenant = await findOwnedTenant(supabase, req.session.landlordId, req.params.id);
+    
+    if (!tenant) {
+      return res.status(404).json({ success: false, error: 'Tenant not found' });
+    }
+    
+    if (!isActiveTenant(tenant)) {
+      return res.json({ success: false, error: 'Tenant has moved out' });
+    }
+    
+    const { suggestions, tone, language } = await suggestTenantReplies(supabase, tenant, req.body.tone);
+    res.json({ success: true, suggestions, tone, language });
+  } catch (error) {
+    log.error('Suggest replies error', { error });
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// POST /dashboard/tenants/:id/memory/refresh - Summarize the conversation now instead of waiting for the job
+router.post('/dashboard/tenants/:id/memory/refresh', requireLogin, async (req, res) => {
+  try {
+    const tenant = await findOwnedTenant(supabase, req.session.landlordId, req.params.id);
+    
+    if (!tenant) {
+      return res.status(404).json({ success: false, error: 'Tenant not found' });
+    }
+    
+    const memory = await refreshConversationMemory(supabase, tenant, { force: true });
+    if (!memory) {
+      return res.json({ success: false, error: 'No messages to summarize' });
+    }
+    
+    res.json({ success: true, summary: memory.summary, openItems: memory.open_items });
+  } catch (error) {
+    log.error('Memory refresh error', { error });
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// POST /dashboard/tenants/:id/ai-pause - Pause or resume the AI for one tenant
+router.post('/dashboard/tenants/:id/ai-pause', requireLogin, async (req, res) => {
+  try {
+    const tenant = await findOwnedTenant(supabase, req.session.landlordId, req.params.id);
+    
+    if (!tenant) {
+      return res.status(404).send('Tenant not found');
+    }
+    
+    const paused = req.body.paused === 'on' || req.body.paused === 'true';
+    const { error } = await supabase
+      .from('tenants')
+      .update({ ai_paused: paused, ai_paused_until: null })
+      .eq('id', tenant.id);
+    
+    if (error) {
+      return res.status(500).send('Error updating tenant: ' + error.message);
+    }
+    
+    log.info(paused ? 'AI paused for tenant' : 'AI resumed for tenant', { tenantId: tenant.id });
+    res.redirect(req.get('referer') || '/dashboard/tenants');
+  } catch (error) {
+    log.error('AI pause error', { error });
+    res.status(500).send('Error updating tenant: ' + error.message);
+  }
+});
+
+// Load a message with a pending AI draft, only if it belongs to the landlord
+async function findPendingDraft(landlordId, messageId) {
+  const msg = await findOwnedMessage(supabase, landlordId, messageId);
+  
+  if (msg?.draft_status !== 'pending' || !isActiveTenant(msg.tenants)) return null;
+  return { msg, tenant: msg.tenants };
+}
+
+// POST /dashboard/drafts/:id/approve - Send the AI's draft (as written or edited)
+router.post('/dashboard/drafts/:id/approve', requireLogin, async (req, res) => {
+  try {
+    const draft = await findPendingDraft(req.session.landlordId, req.params.id);
+    
+    if (!draft) {
+      return res.json({ success: false, error: 'Draft not found' });
+    }
+    
+    const body = (req.body.message || draft.msg.ai_draft || '').trim();
+    if (!body) {
+      return res.json({ success: false, error: 'Empty message' });
+    }
+    
+    // Unchanged drafts are the AI's words; edited ones are the landlord's
+    const author = body === (draft.msg.ai_draft || '').trim() ? 'ai' : 'landlord';
+    await sendTenantMessage(supabase, twilioClient, draft.tenant, body, {
+      author,
+      category: draft.msg.category,
+      ticket_id: draft.msg.ticket_id || null
     });
     
+    await supabase
+      .from('messages')
+      .update({ draft_status: 'sent', needs_landlord_attention: false })
+      .eq('id', draft.msg.id);
+    
     res.json({ success: true });
   } catch (error) {
-    console.error('Reply error:', error);
+    log.error('Draft approve error', { error });
     res.json({ success: false, error: error.message });
   }
 });
-// DELETE /dashboard/tenants/delete/:id - Delete a tenant
+
+// POST /dashboard/drafts/:id/discard - Drop the AI's draft without sending it
+router.post('/dashboard/drafts/:id/discard', requireLogin, async (req, res) => {
+  try {
+    const draft = await findPendingDraft(req.session.landlordId, req.params.id);
+    
+    if (!draft) {
+      return res.json({ success: false, error: 'Draft not found' });
+    }
+    
+    await supabase
+      .from('messages')
+      .update({ draft_status: 'discarded' })
+      .eq('id', draft.msg.id);
+    
+    res.json({ success: true });
+  } catch (error) {
+    log.error('Draft discard error', { error });
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// POST /dashboard/tenants/:id/edit - Update a tenant's name, number, move-in date and language
+router.post('/dashboard/tenants/:id/edit', requireLogin, async (req, res) => {
+  try {
+    const tenant = await findOwnedTenant(supabase, req.session.landlordId, req.params.id);
+    if (!tenant) {
+      return res.status(404).send('Tenant not found');
+    }
+    
+    const name = (req.body.name || '').trim();
+    if (!name) {
+      return res.status(400).send('Name is required');
+    }
+    
+    const { phone, status, error: phoneError } = await checkTenantPhone(req.session.landlordId, req.body.phone, tenant.id);
+    if (phoneError) {
+      return res.status(status).send(phoneError);
+    }
+    
+    const { error } = await supabase
+      .from('tenants')
+      .update({
+        name,
+        phone,
+        move_in_date: req.body.move_in_date || null,
+        preferred_language: isSupportedLanguage(req.body.preferred_language) ? req.body.preferred_language : null
+      })
+      .eq('id', tenant.id);
+    
+    if (error) {
+      log.error('Update tenant error', { error });
+      return res.status(500).send('Error updating tenant: ' + error.message);
+    }
+    
+    log.info('Tenant updated', { tenantId: tenant.id });
+    res.redirect('/dashboard/tenants');
+  } catch (error) {
+    log.error('Update tenant error', { error });
+    res.status(500).send('Error updating tenant: ' + error.message);
+  }
+});
+
+// POST /dashboard/tenants/:id/move - Move a tenant to another of the landlord's units
+router.post('/dashboard/tenants/:id/move', requireLogin, async (req, res) => {
+  try {
+    const tenant = await findOwnedTenant(supabase, req.session.landlordId, req.params.id);
+    if (!isActiveTenant(tenant)) {
+      return res.status(404).send('Tenant not found');
+    }
+    
+    const property = await findOwnedProperty(supabase, req.session.landlordId, req.body.property_id);
+    if (!property || property.archived_at) {
+      return res.status(404).send('Property not found');
+    }
+    
+    if (property.id !== tenant.property_id) {
+      await moveTenantToProperty(supabase, tenant, property.id);
+      log.info('Tenant moved', { tenantId: tenant.id, fromPropertyId: tenant.property_id, toPropertyId: property.id });
+    }
+    
+    res.redirect('/dashboard/tenants');
+  } catch (error) {
+    log.error('Move tenant error', { error });
+    res.status(500).send('Error moving tenant: ' + error.message);
+  }
+});
+
+// POST /dashboard/tenants/:id/move-out - Archive a tenant who left, keeping their history
+router.post('/dashboard/tenants/:id/move-out', requireLogin, async (req, res) => {
+  try {
+    const tenant = await findOwnedTenant(supabase, req.session.landlordId, req.params.id);
+    if (!isActiveTenant(tenant)) {
+      return res.status(404).send('Tenant not found');
+    }
+    
+    const moveOutDate = req.body.move_out_date || null;
+    if (moveOutDate && !/^\d{4}-\d{2}-\d{2}$/.test(moveOutDate)) {
+      return res.status(400).send('Invalid move-out date');
+    }
+    
+    await moveOutTenant(supabase, tenant, { moveOutDate, notes: (req.body.notes || '').trim() });
+    log.info('Tenant moved out', { tenantId: tenant.id, propertyId: tenant.property_id });
+    
+    res.redirect(req.get('referer') || '/dashboard/tenants');
+  } catch (error) {
+    log.error('Move-out error', { error });
+    res.status(500).send('Error moving out tenant: ' + error.message);
+  }
+});
+
+// POST /dashboard/tenants/delete/:id - Permanently delete a tenant and their messages
 router.post('/dashboard/tenants/delete/:id', requireLogin, async (req, res) => {
     try {
-      const tenantId = req.params.id;
+      const tenant = await findOwnedTenant(supabase, req.session.landlordId, req.params.id);
+      
+      if (!tenant) {
+        return res.status(404).send('Tenant not found');
+      }
       
-      console.log('🗑️  Attempting to delete tenant:', tenantId);
+      log.info('Deleting tenant', { tenantId: tenant.id });
       
       // First delete all messages from this tenant
       await supabase
         .from('messages')
         .delete()
-        .eq('tenant_id', tenantId);
+        .eq('tenant_id', tenant.id);
       
       // Then delete the tenant
       const { error } = await supabase
         .from('tenants')
         .delete()
-        .eq('id', tenantId);
+        .eq('id', tenant.id);
       
       if (error) {
-        console.error('❌ Delete error:', error);
+        log.error('Delete error', { error });
         return res.status(500).send('Error deleting tenant: ' + error.message);
       }
       
-      console.log('✅ Tenant deleted successfully');
+      log.info('Tenant deleted', { tenantId: tenant.id });
       
       // Redirect back
       const referer = req.get('referer') || '/dashboard';
       res.redirect(referer);
       
     } catch (error) {
-      console.error('❌ Delete tenant error:', error);
+      log.error('Delete tenant error', { error });
       res.status(500).send('Error deleting tenant: ' + error.message);
     }
   });
-module.exports = initDashboardRoutes;
\ No newline at end of file
+module.exports = initDashboardRoutes;
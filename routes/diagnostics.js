@@ -0,0 +1,41 @@
+const express = require('express');
+const { requireAdmin } = require('./middleware');
+const { getRecentRuns } = require('../services/diagnostics');
+const { maskPhone } = require('../services/redact');
+const { logger } = require('../services/logger');
+const router = express.Router();
+
+const log = logger.child({ module: 'diagnostics' });
+
+const STATUSES = ['pending', 'processing', 'done', 'failed'];
+
+let supabase;
+
+// Initialize with services from server.js
+function initDiagnosticsRoutes(supabaseClient) {
+  supabase = supabaseClient;
+  return router;
+}
+
+// GET /dashboard/diagnostics - Recent webhook runs for admins: stage timings, how the number
+// matched, the AI result and database writes. Spans every landlord, so numbers stay masked.
+router.get('/dashboard/diagnostics', requireAdmin, async (req, res) => {
+  try {
+    const status = STATUSES.includes(req.query.status) ? req.query.status : '';
+    const requestId = String(req.query.request_id || '').trim();
+    const runs = await getRecentRuns(supabase, { status: status || null, requestId: requestId || null });
+
+    res.render('diagnostics', {
+      landlordName: req.session.landlordName,
+      runs: runs.map(run => ({ ...run, phone: maskPhone(run.phone) })),
+      statuses: STATUSES,
+      status,
+      requestId
+    });
+  } catch (error) {
+    log.error('Diagnostics error', { error });
+    res.status(500).send('Error loading diagnostics');
+  }
+});
+
+module.exports = initDiagnosticsRoutes;
@@ -0,0 +1,237 @@
+const express = require('express');
+const { requireLogin } = require('./middleware');
+const { parseSpreadsheet, toCsv } = require('../services/spreadsheet');
+const { IMPORT_FIELDS, MAX_IMPORT_ROWS, normalizeAddress, suggestMapping, importedPhones, validateImport, isImportable } = require('../services/imports');
+const { getLandlordSettings } = require('../services/landlords');
+const { findOwnedProperty } = require('../services/ownership');
+const { fetchAllRows } = require('../services/paging');
+const { logger } = require('../services/logger');
+const router = express.Router();
+
+const log = logger.child({ module: 'imports' });
+
+let supabase;
+
+const MAX_FILE_SIZE = '5mb';
+
+// Initialize with services from server.js
+function initImportRoutes(supabaseClient) {
+  supabase = supabaseClient;
+  return router;
+}
+
+function isImportKind(kind) {
+  return Object.prototype.hasOwnProperty.call(IMPORT_FIELDS, kind);
+}
+
+// What rows are checked against: the landlord's current properties, and for tenants
+// the numbers already in use by any current tenant
+async function loadImportContext(landlordId, kind, rows, mapping) {
+  const { data: properties } = await supabase
+    .from('properties')
+    .select('id, address')
+    .eq('landlord_id', landlordId)
+    .is('archived_at', null);
+
+  if (kind === 'properties') {
+    return { addresses: new Set((properties || []).map(p => normalizeAddress(p.address))) };
+  }
+
+  const settings = await getLandlordSettings(supabase, landlordId);
+  const { data: existing } = await supabase
+    .from('tenants')
+    .select('phone')
+    .in('phone', importedPhones(rows, mapping, settings.country))
+    .is('archived_at', null);
+
+  return {
+    country: settings.country,
+    phones: new Set((existing || []).map(t => t.phone)),
+    propertiesByAddress: new Map((properties || []).map(p => [normalizeAddress(p.address), p]))
+  };
+}
+
+async function checkImport(req) {
+  const { kind } = req.params;
+  const rows = Array.isArray(req.body.rows) ? req.body.rows.filter(Array.isArray) : [];
+  const mapping = req.body.mapping || {};
+  const context = await loadImportContext(req.session.landlordId, kind, rows, mapping);
+  return validateImport(kind, rows, mapping, context);
+}
+
+function attachment(res, fileName) {
+  res.type('text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+}
+
+// "Av. Reforma 100, Depto 3" → "av-reforma-100-depto-3"
+function slug(text) {
+  return normalizeAddress(text).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'propiedad';
+}
+
+// POST /dashboard/import/:kind/parse - Read an uploaded CSV/XLSX (raw body, sent by the page's JS)
+router.post('/dashboard/import/:kind/parse', requireLogin, express.raw({ type: () => true, limit: MAX_FILE_SIZE }), async (req, res) => {
+  try {
+    if (!isImportKind(req.params.kind)) {
+      return res.status(404).json({ success: false, error: 'Unknown import' });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ success: false, error: 'Empty file' });
+    }
+
+    let table;
+    try {
+      table = parseSpreadsheet(req.body);
+    } catch (e) {
+      return res.status(400).json({ success: false, error: 'Could not read the file: ' + e.message });
+    }
+
+    const [headers = [], ...rows] = table;
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ success: false, error: `At most ${MAX_IMPORT_ROWS} rows per file` });
+    }
+
+    res.json({
+      success: true,
+      headers,
+      rows,
+      mapping: suggestMapping(req.params.kind, headers),
+      fields: IMPORT_FIELDS[req.params.kind].map(({ key, label, required }) => ({ key, label, required: !!required }))
+    });
+  } catch (error) {
+    log.error('Import parse error', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /dashboard/import/:kind/preview - Validate mapped rows without saving anything
+router.post('/dashboard/import/:kind/preview', requireLogin, async (req, res) => {
+  try {
+    if (!isImportKind(req.params.kind)) {
+      return res.status(404).json({ success: false, error: 'Unknown import' });
+    }
+
+    res.json({ success: true, ...await checkImport(req) });
+  } catch (error) {
+    log.error('Import preview error', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /dashboard/import/:kind/commit - Save every row, or none if any of them is invalid
+router.post('/dashboard/import/:kind/commit', requireLogin, async (req, res) => {
+  try {
+    const { kind } = req.params;
+    const landlordId = req.session.landlordId;
+    if (!isImportKind(kind)) {
+      return res.status(404).json({ success: false, error: 'Unknown import' });
+    }
+
+    // Checked again: the data may have changed since the preview
+    const result = await checkImport(req);
+    if (!isImportable(result)) {
+      return res.status(400).json({ success: false, error: 'Fix the highlighted rows and try again', ...result });
+    }
+
+    let records = result.rows.map(row => row.record);
+    if (kind === 'properties') {
+      const { data: landlord } = await supabase
+        .from('landlords')
+        .select('phone, name')
+        .eq('id', landlordId)
+        .single();
+
+      records = records.map(record => ({
+        ...record,
+        landlord_id: landlordId,
+        landlord_phone: landlord?.phone || null,
+        landlord_name: landlord?.name || null
+      }));
+    }
+
+    // One insert: the database takes all the rows or none
+    const { error } = await supabase.from(kind).insert(records);
+    if (error) {
+      log.error('Import failed', { kind, error });
+      return res.status(409).json({ success: false, error: 'Nothing was imported: ' + error.message });
+    }
+
+    log.info('Import done', { kind, records: records.length, landlordId });
+    res.json({ success: true, imported: records.length });
+  } catch (error) {
+    log.error('Import commit error', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /dashboard/tenants/export.csv - Current and former tenants
+router.get('/dashboard/tenants/export.csv', requireLogin, async (req, res) => {
+  try {
+    const { data: tenants } = await supabase
+      .from('tenants')
+      .select('*, properties!inner (address, monthly_rent, rent_due_day, landlord_id)')
+      .eq('properties.landlord_id', req.session.landlordId)
+      .order('name', { ascending: true });
+
+    const rows = [
+      ['Nombre', 'WhatsApp', 'Propiedad', 'Renta mensual', 'Día de pago', 'Fecha de entrada', 'Estado', 'Fecha de salida'],
+      ...(tenants || []).map(t => [
+        t.name,
+        t.phone,
+        t.properties?.address,
+        t.properties?.monthly_rent,
+        t.properties?.rent_due_day,
+        t.move_in_date,
+        t.archived_at ? 'Exinquilino' : 'Actual',
+        t.move_out_date
+      ])
+    ];
+
+    attachment(res, `inquilinos-${new Date().toISOString().slice(0, 10)}.csv`);
+    res.send(toCsv(rows));
+  } catch (error) {
+    log.error('Tenant export error', { error });
+    res.status(500).send('Error exporting tenants');
+  }
+});
+
+// GET /dashboard/properties/:id/messages.csv - Full message history of everyone who lives or lived there
+router.get('/dashboard/properties/:id/messages.csv', requireLogin, async (req, res) => {
+  try {
+    const property = await findOwnedProperty(supabase, req.session.landlordId, req.params.id);
+    if (!property) {
+      return res.status(404).send('Property not found');
+    }
+
+    // Messages are filed under the unit they were sent from, so tenants who moved on are included
+    const messages = await fetchAllRows(() => supabase
+      .from('messages')
+      .select('*, tenants (name, phone)')
+      .eq('property_id', property.id)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true }));
+
+    const rows = [
+      ['Fecha', 'Inquilino', 'WhatsApp', 'Dirección', 'Autor', 'Categoría', 'Mensaje', 'Respuesta IA', 'Entrega'],
+      ...messages.map(m => [
+        m.created_at,
+        m.tenants?.name,
+        m.tenants?.phone,
+        m.direction === 'incoming' ? 'Entrante' : 'Saliente',
+        m.author,
+        m.category,
+        m.message_body,
+        m.ai_response,
+        m.delivery_status
+      ])
+    ];
+
+    attachment(res, `mensajes-${slug(property.address)}.csv`);
+    res.send(toCsv(rows));
+  } catch (error) {
+    log.error('Message export error', { error });
+    res.status(500).send('Error exporting messages');
+  }
+});
+
+module.exports = initImportRoutes;
@@ -0,0 +1,114 @@
+const express = require('express');
+const { requireLogin } = require('./middleware');
+const { FAQ_TOPICS } = require('../services/knowledge');
+const { findOwnedProperty, findOwnedFaq } = require('../services/ownership');
+const { logger } = require('../services/logger');
+const router = express.Router();
+
+const log = logger.child({ module: 'knowledge' });
+
+let supabase;
+
+// Initialize with services from server.js
+function initKnowledgeRoutes(supabaseClient) {
+  supabase = supabaseClient;
+  return router;
+}
+
+// FAQ fields from the add/edit forms; null when the question or answer is missing
+function parseFaqForm(body) {
+  const question = (body.question || '').trim();
+  const answer = (body.answer || '').trim();
+  if (!question || !answer) return null;
+
+  return {
+    topic: FAQ_TOPICS[body.topic] ? body.topic : 'other',
+    question,
+    answer,
+    keywords: (body.keywords || '').trim() || null
+  };
+}
+
+// POST /dashboard/properties/:id/faqs - Add a FAQ entry to a property
+router.post('/dashboard/properties/:id/faqs', requireLogin, async (req, res) => {
+  try {
+    const property = await findOwnedProperty(supabase, req.session.landlordId, req.params.id);
+    if (!property) {
+      return res.status(404).send('Property not found');
+    }
+
+    const fields = parseFaqForm(req.body);
+    if (!fields) {
+      return res.status(400).send('Question and answer are required');
+    }
+
+    const { error } = await supabase
+      .from('property_faqs')
+      .insert([{ property_id: property.id, ...fields }]);
+
+    if (error) {
+      log.error('Add FAQ error', { error });
+      return res.status(500).send('Error adding FAQ: ' + error.message);
+    }
+
+    res.redirect('/dashboard/properties');
+  } catch (error) {
+    log.error('Add FAQ error', { error });
+    res.status(500).send('Error adding FAQ: ' + error.message);
+  }
+});
+
+// POST /dashboard/faqs/:id - Edit a FAQ entry
+router.post('/dashboard/faqs/:id', requireLogin, async (req, res) => {
+  try {
+    if (!await findOwnedFaq(supabase, req.session.landlordId, req.params.id)) {
+      return res.status(404).send('FAQ not found');
+    }
+
+    const fields = parseFaqForm(req.body);
+    if (!fields) {
+      return res.status(400).send('Question and answer are required');
+    }
+
+    const { error } = await supabase
+      .from('property_faqs')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id);
+
+    if (error) {
+      log.error('Update FAQ error', { error });
+      return res.status(500).send('Error updating FAQ: ' + error.message);
+    }
+
+    res.redirect('/dashboard/properties');
+  } catch (error) {
+    log.error('Update FAQ error', { error });
+    res.status(500).send('Error updating FAQ: ' + error.message);
+  }
+});
+
+// POST /dashboard/faqs/:id/delete - Remove a FAQ entry
+router.post('/dashboard/faqs/:id/delete', requireLogin, async (req, res) => {
+  try {
+    if (!await findOwnedFaq(supabase, req.session.landlordId, req.params.id)) {
+      return res.status(404).send('FAQ not found');
+    }
+
+    const { error } = await supabase
+      .from('property_faqs')
+      .delete()
+      .eq('id', req.params.id);
+
+    if (error) {
+      log.error('Delete FAQ error', { error });
+      return res.status(500).send('Error deleting FAQ: ' + error.message);
+    }
+
+    res.redirect('/dashboard/properties');
+  } catch (error) {
+    log.error('Delete FAQ error', { error });
+    res.status(500).send('Error deleting FAQ: ' + error.message);
+  }
+});
+
+module.exports = initKnowledgeRoutes;
@@ -0,0 +1,235 @@
+const express = require('express');
+const { requireLogin } = require('./middleware');
+const {
+  ESCALATION_TYPES,
+  parseDate,
+  formatDate,
+  daysUntilEnd,
+  rentOn,
+  describeEscalation,
+  uploadLeaseDocument,
+  downloadLeaseDocument
+} = require('../services/leases');
+const { findOwnedTenant, findOwnedLease } = require('../services/ownership');
+const { logger } = require('../services/logger');
+const router = express.Router();
+
+const log = logger.child({ module: 'leases' });
+
+let supabase;
+
+const MAX_DOCUMENT_SIZE = '10mb';
+
+// Initialize with services from server.js
+function initLeaseRoutes(supabaseClient) {
+  supabase = supabaseClient;
+  return router;
+}
+
+// Lease fields from the add/renew forms; `error` is set when the dates don't make sense
+function parseLeaseForm(body) {
+  const start = parseDate(body.start_date);
+  const end = parseDate(body.end_date);
+  if (!start || !end || isNaN(start) || isNaN(end) || end <= start) {
+    return { error: 'The end date must be after the start date' };
+  }
+
+  return {
+    fields: {
+      start_date: body.start_date,
+      end_date: body.end_date,
+      monthly_rent: parseFloat(body.monthly_rent) || 0,
+      escalation_type: ESCALATION_TYPES.includes(body.escalation_type) ? body.escalation_type : null,
+      escalation_value: parseFloat(body.escalation_value) || null,
+      deposit_amount: parseFloat(body.deposit_amount) || 0,
+      deposit_refundable: body.deposit_refundable === 'on',
+      deposit_terms: (body.deposit_terms || '').trim() || null,
+      terms: (body.terms || '').trim() || null
+    }
+  };
+}
+
+// GET /dashboard/leases - Leases, renewals and contracts
+router.get('/dashboard/leases', requireLogin, async (req, res) => {
+  try {
+    const landlordId = req.session.landlordId;
+
+    const { data: leases } = await supabase
+      .from('leases')
+      .select('*, tenants (id, name, phone), properties!inner (address, landlord_id)')
+      .eq('properties.landlord_id', landlordId)
+      .order('end_date', { ascending: true });
+
+    const { data: tenants } = await supabase
+      .from('tenants')
+      .select('id, name, property_id, move_in_date, properties!inner (address, monthly_rent, landlord_id)')
+      .eq('properties.landlord_id', landlordId)
+      .is('archived_at', null)
+      .order('name', { ascending: true });
+
+    const today = parseDate(new Date().toISOString());
+
+    res.render('leases', {
+      landlordName: req.session.landlordName,
+      activeLeases: (leases || []).filter(l => l.status === 'active'),
+      pastLeases: (leases || []).filter(l => l.status !== 'active').reverse(),
+      tenants: tenants || [],
+      today,
+      formatDate,
+      daysUntilEnd,
+      rentOn,
+      describeEscalation
+    });
+  } catch (error) {
+    log.error('Leases page error', { error });
+    res.status(500).send('Error loading leases');
+  }
+});
+
+// POST /dashboard/leases/add - New lease for one of the landlord's tenants
+router.post('/dashboard/leases/add', requireLogin, async (req, res) => {
+  try {
+    const tenant = await findOwnedTenant(supabase, req.session.landlordId, req.body.tenant_id);
+
+    if (!tenant) {
+      return res.status(404).send('Tenant not found');
+    }
+
+    const { fields, error: formError } = parseLeaseForm(req.body);
+    if (formError) {
+      return res.status(400).send(formError);
+    }
+
+    const { error } = await supabase
+      .from('leases')
+      .insert([{ tenant_id: tenant.id, property_id: tenant.property_id, status: 'active', ...fields }]);
+
+    if (error) {
+      log.error('Add lease error', { error });
+      return res.status(500).send('Error adding lease: ' + error.message);
+    }
+
+    res.redirect('/dashboard/leases');
+  } catch (error) {
+    log.error('Add lease error', { error });
+    res.status(500).send('Error adding lease: ' + error.message);
+  }
+});
+
+// POST /dashboard/leases/:id/renew - Sign a new term starting the day after this one ends
+router.post('/dashboard/leases/:id/renew', requireLogin, async (req, res) => {
+  try {
+    const lease = await findOwnedLease(supabase, req.session.landlordId, req.params.id);
+    if (!lease || lease.status !== 'active') {
+      return res.status(404).send('Lease not found');
+    }
+
+    const start = new Date(parseDate(lease.end_date).getTime() + 24 * 60 * 60 * 1000);
+    const { fields, error: formError } = parseLeaseForm({
+      ...lease,
+      deposit_refundable: lease.deposit_refundable ? 'on' : '',
+      start_date: start.toISOString().slice(0, 10),
+      end_date: req.body.end_date,
+      // The escalated rent becomes the new term's starting rent unless the landlord set another
+      monthly_rent: req.body.monthly_rent || rentOn(lease, start)
+    });
+    if (formError) {
+      return res.status(400).send(formError);
+    }
+
+    const { error } = await supabase
+      .from('leases')
+      .insert([{
+        tenant_id: lease.tenant_id,
+        property_id: lease.property_id,
+        status: 'active',
+        ...fields,
+        document_path: null,
+        document_name: null
+      }]);
+
+    if (error) {
+      log.error('Renew lease error', { error });
+      return res.status(500).send('Error renewing lease: ' + error.message);
+    }
+
+    await supabase
+      .from('leases')
+      .update({ status: 'renewed', updated_at: new Date().toISOString() })
+      .eq('id', lease.id);
+
+    res.redirect('/dashboard/leases');
+  } catch (error) {
+    log.error('Renew lease error', { error });
+    res.status(500).send('Error renewing lease: ' + error.message);
+  }
+});
+
+// POST /dashboard/leases/:id/end - Tenant is leaving: no more renewal notices
+router.post('/dashboard/leases/:id/end', requireLogin, async (req, res) => {
+  try {
+    const lease = await findOwnedLease(supabase, req.session.landlordId, req.params.id);
+    if (!lease) {
+      return res.status(404).send('Lease not found');
+    }
+
+    const { error } = await supabase
+      .from('leases')
+      .update({ status: 'ended', updated_at: new Date().toISOString() })
+      .eq('id', lease.id);
+
+    if (error) {
+      log.error('End lease error', { error });
+      return res.status(500).send('Error ending lease: ' + error.message);
+    }
+
+    res.redirect('/dashboard/leases');
+  } catch (error) {
+    log.error('End lease error', { error });
+    res.status(500).send('Error ending lease: ' + error.message);
+  }
+});
+
+// POST /dashboard/leases/:id/document - Upload the signed PDF (raw body, sent by the page's JS)
+router.post('/dashboard/leases/:id/document', requireLogin, express.raw({ type: 'application/pdf', limit: MAX_DOCUMENT_SIZE }), async (req, res) => {
+  try {
+    const lease = await findOwnedLease(supabase, req.session.landlordId, req.params.id);
+    if (!lease) {
+      return res.status(404).json({ success: false, error: 'Lease not found' });
+    }
+
+    // Every PDF starts with "%PDF"
+    if (!Buffer.isBuffer(req.body) || req.body.subarray(0, 4).toString() !== '%PDF') {
+      return res.status(400).json({ success: false, error: 'Only PDF files are accepted' });
+    }
+
+    const fileName = decodeURIComponent(req.get('x-file-name') || '') || 'contrato.pdf';
+    await uploadLeaseDocument(supabase, lease, req.body, fileName);
+    log.info('Lease document uploaded', { leaseId: lease.id });
+
+    res.json({ success: true });
+  } catch (error) {
+    log.error('Lease document error', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /dashboard/leases/:id/document - The signed PDF
+router.get('/dashboard/leases/:id/document', requireLogin, async (req, res) => {
+  try {
+    const lease = await findOwnedLease(supabase, req.session.landlordId, req.params.id);
+    if (!lease?.document_path) {
+      return res.status(404).send('Document not found');
+    }
+
+    const buffer = await downloadLeaseDocument(supabase, lease);
+    res.type('application/pdf');
+    res.set('Content-Disposition', `inline; filename="${encodeURIComponent(lease.document_name || 'contrato.pdf')}"`);
+    res.send(buffer);
+  } catch (error) {
+    log.error('Lease document error', { error });
+    res.status(502).send('Could not load document');
+  }
+});
+
+module.exports = initLeaseRoutes;
@@ -0,0 +1,77 @@
+// Shared middleware for dashboard routes
+const { randomUUID } = require('crypto');
+const twilio = require('twilio');
+const { logger, withLogContext } = require('../services/logger');
+
+const log = logger.child({ module: 'http' });
+
+// Every request gets an id (the caller's X-Request-Id if it looks like one, or a new one), sent
+// back in X-Request-Id and carried by every log line written while handling it
+function requestContext(req, res, next) {
+  const given = req.get('x-request-id');
+  req.id = given && /^[\w.-]{1,64}$/.test(given) ? given : randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const started = Date.now();
+  res.on('finish', () => {
+    // No query string: reset links carry their token there
+    log.info('Request', {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Date.now() - started
+    });
+  });
+
+  withLogContext({ requestId: req.id }, next);
+}
+
+// Check if user is logged in
+function requireLogin(req, res, next) {
+  if (!req.session.landlordId) {
+    return res.redirect('/login');
+  }
+  next();
+}
+
+// Admins (ADMIN_EMAILS, comma-separated login emails) see the diagnostics page, which spans
+// every landlord's webhooks
+function isAdminEmail(email) {
+  const admins = (process.env.ADMIN_EMAILS || '').split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
+  return !!email && admins.includes(String(email).trim().toLowerCase());
+}
+
+function requireAdmin(req, res, next) {
+  if (!req.session.landlordId) {
+    return res.redirect('/login');
+  }
+  if (!req.session.isAdmin) {
+    return res.status(403).send('Forbidden');
+  }
+  next();
+}
+
+// The URL Twilio posted to, as Twilio saw it (the signature covers it).
+// Behind Railway's proxy the public address comes from RAILWAY_URL or X-Forwarded-Proto.
+function twilioWebhookUrl(req) {
+  if (process.env.RAILWAY_URL) return process.env.RAILWAY_URL.replace(/\/$/, '') + req.originalUrl;
+  const protocol = (req.get('x-forwarded-proto') || req.protocol).split(',')[0].trim();
+  return `${protocol}://${req.get('host')}${req.originalUrl}`;
+}
+
+// Only accept webhooks signed with our Twilio auth token.
+// TWILIO_VALIDATE_WEBHOOKS=false turns the check off for local testing with curl.
+function requireTwilioSignature(req, res, next) {
+  if (process.env.TWILIO_VALIDATE_WEBHOOKS === 'false') return next();
+
+  const signature = req.get('x-twilio-signature');
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!signature || !authToken || !twilio.validateRequest(authToken, signature, twilioWebhookUrl(req), req.body || {})) {
+    log.warn('Rejected unsigned webhook request', { path: req.originalUrl });
+    return res.status(403).send('Invalid Twilio signature');
+  }
+  next();
+}
+
+module.exports = { requestContext, requireLogin, requireAdmin, isAdminEmail, requireTwilioSignature, twilioWebhookUrl };
@@ -2,8 +2,11 @@ const express = require('express');
 const bcrypt = require('bcrypt');
 const crypto = require('crypto');
 const { Resend } = require('resend');
+const { logger } = require('../services/logger');
 const router = express.Router();
 
+const log = logger.child({ module: 'password-reset' });
+
 let supabase;
 const resend = new Resend(process.env.RESEND_API_KEY);
 
@@ -82,9 +85,9 @@ router.post('/forgot-password', async (req, res) => {
         `
       });
       
-      console.log('✅ Password reset email sent to:', email);
+      log.info('Password reset email sent', { email });
     } catch (emailError) {
-      console.error('❌ Error sending email:', emailError);
+      log.error('Error sending email', { error: emailError });
       // Continue anyway - we don't want to reveal if email sending failed
     }
     
@@ -94,7 +97,7 @@ router.post('/forgot-password', async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Forgot password error:', error);
+    log.error('Forgot password error', { error });
     res.render('forgot-password', { 
       error: 'Algo salió mal. Por favor intenta de nuevo.',
       success: null
@@ -137,7 +140,7 @@ router.get('/reset-password', async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Reset password page error:', error);
+    log.error('Reset password page error', { error });
     res.render('reset-password', { 
       error: 'Algo salió mal. Por favor intenta de nuevo.',
       token: null
@@ -197,7 +200,7 @@ router.post('/reset-password', async (req, res) => {
       .update({ used: true })
       .eq('token', token);
     
-    console.log('✅ Password reset successfully for landlord:', resetToken.landlord_id);
+    log.info('Password reset', { landlordId: resetToken.landlord_id });
     
     // Redirect to login with success message
     res.render('login', { 
@@ -206,7 +209,7 @@ router.post('/reset-password', async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Reset password error:', error);
+    log.error('Reset password error', { error });
     res.render('reset-password', { 
       error: 'Algo salió mal. Por favor intenta de nuevo.',
       token: req.body.token
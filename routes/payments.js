@@ -0,0 +1,171 @@
+const express = require('express');
+const { requireLogin } = require('./middleware');
+const { PAYMENT_STATUSES, getDueDate, toPeriod } = require('../services/payments');
+const { downloadMedia } = require('../services/media');
+const { isActiveTenant } = require('../services/tenants');
+const { findOwnedTenant, findOwnedPayment } = require('../services/ownership');
+const { logger } = require('../services/logger');
+const router = express.Router();
+
+const log = logger.child({ module: 'payments' });
+
+let supabase;
+
+// Initialize with services from server.js
+function initPaymentRoutes(supabaseClient) {
+  supabase = supabaseClient;
+  return router;
+}
+
+function currentPeriod() {
+  return new Date().toISOString().slice(0, 7);
+}
+
+// GET /dashboard/payments - Rent ledger for one month
+router.get('/dashboard/payments', requireLogin, async (req, res) => {
+  try {
+    const landlordId = req.session.landlordId;
+    const period = /^\d{4}-\d{2}$/.test(req.query.period || '') ? req.query.period : currentPeriod();
+
+    const { data: properties } = await supabase
+      .from('properties')
+      .select('*')
+      .eq('landlord_id', landlordId);
+
+    const { data: tenants } = await supabase
+      .from('tenants')
+      .select('*, properties (address, monthly_rent, rent_due_day)')
+      .in('property_id', properties?.map(p => p.id) || [])
+      .order('name', { ascending: true });
+
+    const tenantIds = tenants?.map(t => t.id) || [];
+
+    // This month's ledger rows
+    const { data: payments } = await supabase
+      .from('payments')
+      .select('*')
+      .in('tenant_id', tenantIds)
+      .eq('period', period);
+
+    // Tenant-reported payments waiting for confirmation (any month)
+    const { data: pending } = await supabase
+      .from('payments')
+      .select('*, tenants (name, phone, properties (address))')
+      .in('tenant_id', tenantIds)
+      .eq('status', 'pending')
+      .order('reported_at', { ascending: false });
+
+    const paymentsByTenant = {};
+    (payments || []).forEach(p => { paymentsByTenant[p.tenant_id] = p; });
+
+    // Moved-out tenants only show up in months they have a ledger row for
+    const rows = (tenants || [])
+      .filter(tenant => isActiveTenant(tenant) || paymentsByTenant[tenant.id])
+      .map(tenant => ({
+        tenant,
+        payment: paymentsByTenant[tenant.id] || null
+      }));
+
+    const collected = (payments || []).reduce((sum, p) => sum + Number(p.amount_paid || 0), 0);
+    const expected = rows.reduce((sum, { tenant }) => sum + Number(tenant.properties?.monthly_rent || 0), 0);
+
+    res.render('payments', {
+      landlordName: req.session.landlordName,
+      period,
+      rows,
+      pending: pending || [],
+      statuses: PAYMENT_STATUSES,
+      collected,
+      expected
+    });
+
+  } catch (error) {
+    log.error('Payments page error', { error });
+    res.status(500).send('Error loading payments');
+  }
+});
+
+// POST /dashboard/payments/update - Mark a month as paid, partial, late...
+router.post('/dashboard/payments/update', requireLogin, async (req, res) => {
+  try {
+    const { tenant_id, period, status, amount_paid, notes } = req.body;
+
+    if (!PAYMENT_STATUSES.includes(status) || !/^\d{4}-\d{2}$/.test(period || '')) {
+      return res.status(400).send('Invalid payment status or period');
+    }
+
+    const tenant = await findOwnedTenant(supabase, req.session.landlordId, tenant_id);
+    if (!tenant) {
+      return res.status(404).send('Tenant not found');
+    }
+
+    const property = tenant.properties || {};
+    const [year, month] = period.split('-').map(Number);
+    const dueDate = getDueDate(year, month - 1, property.rent_due_day || 1);
+    const amountDue = Number(property.monthly_rent || 0);
+
+    // "Paid" without an amount means the full rent
+    let amountPaid = amount_paid === '' || amount_paid === undefined ? null : parseFloat(amount_paid);
+    if (amountPaid === null) {
+      amountPaid = ['paid', 'late'].includes(status) ? amountDue : status === 'unpaid' ? 0 : null;
+    }
+
+    const now = new Date().toISOString();
+    const row = {
+      tenant_id: tenant.id,
+      property_id: tenant.property_id,
+      period: toPeriod(dueDate),
+      due_date: dueDate.toISOString().slice(0, 10),
+      amount_due: amountDue,
+      status,
+      notes: notes || null,
+      updated_at: now,
+      paid_at: ['paid', 'late', 'partial'].includes(status) ? now : null
+    };
+    if (amountPaid !== null) row.amount_paid = amountPaid;
+
+    const { error } = await supabase
+      .from('payments')
+      .upsert(row, { onConflict: 'tenant_id,period' });
+
+    if (error) {
+      log.error('Payment update error', { error });
+      return res.status(500).send('Error updating payment: ' + error.message);
+    }
+
+    log.info('Payment updated', { tenantId: tenant.id, period, status });
+    res.redirect(`/dashboard/payments?period=${period}`);
+
+  } catch (error) {
+    log.error('Payment update error', { error });
+    res.status(500).send('Error updating payment: ' + error.message);
+  }
+});
+
+// GET /dashboard/payments/:id/receipt - Show a receipt photo sent over WhatsApp
+// (Twilio media URLs need the account credentials, so we proxy them)
+router.get('/dashboard/payments/:id/receipt', requireLogin, async (req, res) => {
+  try {
+    const payment = await findOwnedPayment(supabase, req.session.landlordId, req.params.id);
+
+    if (!payment?.receipt_url) {
+      return res.status(404).send('Receipt not found');
+    }
+
+    let receipt;
+    try {
+      receipt = await downloadMedia(payment.receipt_url);
+    } catch (e) {
+      return res.status(502).send('Could not load receipt');
+    }
+
+    res.type(receipt.contentType);
+    res.send(receipt.buffer);
+
+  } catch (error) {
+    log.error('Receipt error', { error });
+    res.status(500).send('Error loading receipt');
+  }
+});
+
+module.exports = initPaymentRoutes;
@@ -0,0 +1,76 @@
+const express = require('express');
+const { requireLogin } = require('./middleware');
+const { AI_REPLY_MODES, ALERT_CHANNELS, getLandlordSettings } = require('../services/landlords');
+const { AI_PROVIDERS } = require('../services/assistant');
+const { COUNTRIES, DEFAULT_COUNTRY } = require('../services/phone');
+const { logger } = require('../services/logger');
+const router = express.Router();
+
+const log = logger.child({ module: 'settings' });
+
+let supabase;
+
+// Initialize with services from server.js
+function initSettingsRoutes(supabaseClient) {
+  supabase = supabaseClient;
+  return router;
+}
+
+// Hour of the day from a form field, or null when left empty
+function parseHour(value) {
+  const hour = parseInt(value);
+  return hour >= 0 && hour <= 23 ? hour : null;
+}
+
+// GET /dashboard/settings - Landlord preferences
+router.get('/dashboard/settings', requireLogin, async (req, res) => {
+  try {
+    const settings = await getLandlordSettings(supabase, req.session.landlordId);
+
+    res.render('settings', {
+      landlordName: req.session.landlordName,
+      settings,
+      providers: AI_PROVIDERS,
+      countries: COUNTRIES,
+      success: req.query.saved ? 'Configuración guardada' : null
+    });
+  } catch (error) {
+    log.error('Settings page error', { error });
+    res.status(500).send('Error loading settings');
+  }
+});
+
+// POST /dashboard/settings - Save landlord preferences
+router.post('/dashboard/settings', requireLogin, async (req, res) => {
+  try {
+    const { ai_reply_mode, auto_pause_hours, ai_provider, ai_model, alert_channel, alert_email, daily_digest, quiet_hours_start, quiet_hours_end, country } = req.body;
+
+    const { error } = await supabase
+      .from('landlords')
+      .update({
+        ai_reply_mode: AI_REPLY_MODES.includes(ai_reply_mode) ? ai_reply_mode : 'auto',
+        auto_pause_hours: Math.max(parseInt(auto_pause_hours) || 0, 0),
+        ai_provider: AI_PROVIDERS.includes(ai_provider) ? ai_provider : null,
+        ai_model: (ai_model || '').trim() || null,
+        alert_channel: ALERT_CHANNELS.includes(alert_channel) ? alert_channel : 'whatsapp',
+        alert_email: alert_email === 'on',
+        daily_digest: daily_digest === 'on',
+        quiet_hours_start: parseHour(quiet_hours_start),
+        quiet_hours_end: parseHour(quiet_hours_end),
+        country: COUNTRIES[country] ? country : DEFAULT_COUNTRY
+      })
+      .eq('id', req.session.landlordId);
+
+    if (error) {
+      log.error('Settings error', { error });
+      return res.status(500).send('Error saving settings: ' + error.message);
+    }
+
+    res.redirect('/dashboard/settings?saved=1');
+  } catch (error) {
+    log.error('Settings error', { error });
+    res.status(500).send('Error saving settings: ' + error.message);
+  }
+});
+
+module.exports = initSettingsRoutes;
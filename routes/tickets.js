@@ -0,0 +1,184 @@
+const express = require('express');
+const { requireLogin } = require('./middleware');
+const { TICKET_STATUSES, TICKET_PRIORITIES, buildStatusMessage } = require('../services/tickets');
+const { getTenantLanguage } = require('../services/language');
+const { sendTenantMessage } = require('../services/messaging');
+const { rankVendors, dispatchJob, tradeLabel } = require('../services/vendors');
+const { findOwnedTicket, findOwnedVendor } = require('../services/ownership');
+const { logger } = require('../services/logger');
+const router = express.Router();
+
+const log = logger.child({ module: 'tickets' });
+
+let supabase;
+let twilioClient;
+
+// Initialize with services from server.js
+function initTicketRoutes(supabaseClient, twilio) {
+  supabase = supabaseClient;
+  twilioClient = twilio;
+  return router;
+}
+
+// GET /dashboard/tickets - Maintenance board
+router.get('/dashboard/tickets', requireLogin, async (req, res) => {
+  try {
+    const { data: properties } = await supabase
+      .from('properties')
+      .select('id')
+      .eq('landlord_id', req.session.landlordId);
+
+    const { data: vendors } = await supabase
+      .from('vendors')
+      .select('*')
+      .eq('landlord_id', req.session.landlordId)
+      .eq('active', true);
+
+    const { data: tickets } = await supabase
+      .from('tickets')
+      .select('*, tenants (name, phone), properties (address)')
+      .in('property_id', properties?.map(p => p.id) || [])
+      .order('updated_at', { ascending: false });
+
+    // Conversation attached to each ticket
+    const { data: messages } = await supabase
+      .from('messages')
+      .select('ticket_id, direction, message_body, ai_response, created_at')
+      .in('ticket_id', tickets?.map(t => t.id) || [])
+      .order('created_at', { ascending: true });
+
+    const messagesByTicket = {};
+    (messages || []).forEach(m => {
+      (messagesByTicket[m.ticket_id] = messagesByTicket[m.ticket_id] || []).push(m);
+    });
+
+    // Vendors each ticket was sent to, with their replies
+    const { data: jobs } = await supabase
+      .from('vendor_jobs')
+      .select('*, vendors (name, trade), vendor_messages (direction, message_body, created_at)')
+      .in('ticket_id', tickets?.map(t => t.id) || [])
+      .order('created_at', { ascending: true });
+
+    const jobsByTicket = {};
+    (jobs || []).forEach(j => {
+      (j.vendor_messages || []).sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+      (jobsByTicket[j.ticket_id] = jobsByTicket[j.ticket_id] || []).push(j);
+    });
+
+    // Suggested vendors per ticket, best match first
+    const vendorsByTicket = {};
+    (tickets || []).forEach(t => {
+      vendorsByTicket[t.id] = rankVendors(vendors || [], t, t.properties?.address);
+    });
+
+    // Open first, then by priority
+    const byPriority = (a, b) => TICKET_PRIORITIES.indexOf(b.priority) - TICKET_PRIORITIES.indexOf(a.priority);
+    const columns = {};
+    TICKET_STATUSES.forEach(status => {
+      columns[status] = (tickets || []).filter(t => t.status === status);
+      if (status !== 'resolved') columns[status].sort(byPriority);
+    });
+
+    res.render('tickets', {
+      landlordName: req.session.landlordName,
+      columns,
+      messagesByTicket,
+      jobsByTicket,
+      vendorsByTicket,
+      tradeLabel
+    });
+
+  } catch (error) {
+    log.error('Tickets page error', { error });
+    res.status(500).send('Error loading tickets');
+  }
+});
+
+// POST /dashboard/tickets/:id/status - Move a ticket and let the tenant know
+router.post('/dashboard/tickets/:id/status', requireLogin, async (req, res) => {
+  try {
+    const { status, scheduled_for, priority, note } = req.body;
+
+    if (!TICKET_STATUSES.includes(status)) {
+      return res.status(400).send('Invalid ticket status');
+    }
+
+    const ticket = await findOwnedTicket(supabase, req.session.landlordId, req.params.id);
+    if (!ticket) {
+      return res.status(404).send('Ticket not found');
+    }
+
+    const update = {
+      status,
+      updated_at: new Date().toISOString(),
+      resolved_at: status === 'resolved' ? new Date().toISOString() : null
+    };
+    if (status === 'scheduled' && scheduled_for) update.scheduled_for = new Date(scheduled_for).toISOString();
+    if (TICKET_PRIORITIES.includes(priority)) update.priority = priority;
+
+    const { data: updated, error } = await supabase
+      .from('tickets')
+      .update(update)
+      .eq('id', ticket.id)
+      .select()
+      .single();
+
+    if (error) {
+      log.error('Ticket update error', { error });
+      return res.status(500).send('Error updating ticket: ' + error.message);
+    }
+
+    // Tell the tenant when the status actually changed
+    if (ticket.status !== status || (status === 'scheduled' && update.scheduled_for)) {
+      try {
+        const language = await getTenantLanguage(supabase, ticket.tenant_id);
+        const body = buildStatusMessage(updated, ticket.tenants, language, note);
+        await sendTenantMessage(supabase, twilioClient, ticket.tenants, body, {
+          category: ticket.category,
+          ticket_id: ticket.id
+        });
+        log.info('Ticket updated, tenant notified', { ticketId: ticket.id, status });
+      } catch (e) {
+        log.error('Ticket update notification failed', { error: e });
+      }
+    }
+
+    res.redirect('/dashboard/tickets');
+
+  } catch (error) {
+    log.error('Ticket update error', { error });
+    res.status(500).send('Error updating ticket: ' + error.message);
+  }
+});
+
+// POST /dashboard/tickets/:id/dispatch - Send the job summary to a vendor
+router.post('/dashboard/tickets/:id/dispatch', requireLogin, async (req, res) => {
+  try {
+    const ticket = await findOwnedTicket(supabase, req.session.landlordId, req.params.id);
+    if (!ticket) {
+      return res.status(404).send('Ticket not found');
+    }
+
+    const vendor = await findOwnedVendor(supabase, req.session.landlordId, req.body.vendor_id);
+
+    if (!vendor?.active) {
+      return res.status(404).send('Vendor not found');
+    }
+
+    await dispatchJob(supabase, twilioClient, {
+      ticket,
+      vendor,
+      tenant: ticket.tenants,
+      property: ticket.tenants?.properties
+    });
+
+    log.info('Ticket sent to vendor', { ticketId: ticket.id, vendorId: vendor.id });
+    res.redirect('/dashboard/tickets');
+
+  } catch (error) {
+    log.error('Dispatch error', { error });
+    res.status(500).send('Error sending job to vendor: ' + error.message);
+  }
+});
+
+module.exports = initTicketRoutes;
@@ -0,0 +1,129 @@
+const express = require('express');
+const { requireLogin } = require('./middleware');
+const { TRADES, VENDOR_CHANNELS, tradeLabel } = require('../services/vendors');
+const { getLandlordSettings } = require('../services/landlords');
+const { normalizePhone } = require('../services/phone');
+const { findOwnedVendor } = require('../services/ownership');
+const { logger } = require('../services/logger');
+const router = express.Router();
+
+const log = logger.child({ module: 'vendors' });
+
+let supabase;
+
+// Initialize with services from server.js
+function initVendorRoutes(supabaseClient) {
+  supabase = supabaseClient;
+  return router;
+}
+
+// GET /dashboard/vendors - Vendor directory
+router.get('/dashboard/vendors', requireLogin, async (req, res) => {
+  try {
+    const { data: vendors } = await supabase
+      .from('vendors')
+      .select('*, vendor_jobs (id, status)')
+      .eq('landlord_id', req.session.landlordId)
+      .eq('active', true)
+      .order('trade', { ascending: true });
+
+    res.render('vendors', {
+      landlordName: req.session.landlordName,
+      vendors: vendors || [],
+      trades: TRADES,
+      channels: VENDOR_CHANNELS,
+      tradeLabel
+    });
+  } catch (error) {
+    log.error('Vendors page error', { error });
+    res.status(500).send('Error loading vendors');
+  }
+});
+
+// POST /dashboard/vendors/add - Add new vendor
+router.post('/dashboard/vendors/add', requireLogin, async (req, res) => {
+  try {
+    const { name, trade, channel, language, service_areas, auto_dispatch } = req.body;
+
+    if (!TRADES.includes(trade)) {
+      return res.status(400).send('Invalid trade');
+    }
+
+    const settings = await getLandlordSettings(supabase, req.session.landlordId);
+    const phone = normalizePhone(req.body.phone, settings.country);
+    if (!phone) {
+      return res.status(400).send(`Invalid phone number: ${req.body.phone}`);
+    }
+
+    const { error } = await supabase
+      .from('vendors')
+      .insert([{
+        landlord_id: req.session.landlordId,
+        name,
+        trade,
+        phone,
+        channel: VENDOR_CHANNELS.includes(channel) ? channel : 'whatsapp',
+        language: language === 'en' ? 'en' : 'es',
+        service_areas: service_areas || null,
+        auto_dispatch: auto_dispatch === 'on'
+      }]);
+
+    if (error) {
+      log.error('Add vendor error', { error });
+      return res.status(500).send('Error adding vendor: ' + error.message);
+    }
+
+    res.redirect('/dashboard/vendors');
+  } catch (error) {
+    log.error('Add vendor error', { error });
+    res.status(500).send('Error adding vendor: ' + error.message);
+  }
+});
+
+// POST /dashboard/vendors/:id/auto-dispatch - Turn automatic dispatch on/off
+router.post('/dashboard/vendors/:id/auto-dispatch', requireLogin, async (req, res) => {
+  try {
+    if (!await findOwnedVendor(supabase, req.session.landlordId, req.params.id)) {
+      return res.status(404).send('Vendor not found');
+    }
+
+    const { error } = await supabase
+      .from('vendors')
+      .update({ auto_dispatch: req.body.auto_dispatch === 'on' })
+      .eq('id', req.params.id)
+      .eq('landlord_id', req.session.landlordId);
+
+    if (error) {
+      return res.status(500).send('Error updating vendor: ' + error.message);
+    }
+    res.redirect('/dashboard/vendors');
+  } catch (error) {
+    log.error('Update vendor error', { error });
+    res.status(500).send('Error updating vendor: ' + error.message);
+  }
+});
+
+// POST /dashboard/vendors/delete/:id - Remove a vendor (job history is kept)
+router.post('/dashboard/vendors/delete/:id', requireLogin, async (req, res) => {
+  try {
+    if (!await findOwnedVendor(supabase, req.session.landlordId, req.params.id)) {
+      return res.status(404).send('Vendor not found');
+    }
+
+    const { error } = await supabase
+      .from('vendors')
+      .update({ active: false, auto_dispatch: false })
+      .eq('id', req.params.id)
+      .eq('landlord_id', req.session.landlordId);
+
+    if (error) {
+      return res.status(500).send('Error deleting vendor: ' + error.message);
+    }
+    res.redirect('/dashboard/vendors');
+  } catch (error) {
+    log.error('Delete vendor error', { error });
+    res.status(500).send('Error deleting vendor: ' + error.message);
+  }
+});
+
+module.exports = initVendorRoutes;
@@ -0,0 +1,57 @@
+// Export a tenant's recorded conversation as a replay fixture for test/replay.test.js
+//
+//   node scripts/export-conversation.js <tenant_id> [description] > test/fixtures/conversations/<name>.json
+//
+// The tenant's name is replaced with the test tenant's ("Ana"). Review the output for other
+// personal details (addresses, phone numbers, amounts) before committing it.
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+
+const TEST_TENANT_NAME = 'Ana';
+
+async function main() {
+  const [tenantId, description] = process.argv.slice(2);
+  if (!tenantId) {
+    console.error('Usage: node scripts/export-conversation.js <tenant_id> [description]');
+    process.exit(1);
+  }
+
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+  const { data: tenant } = await supabase.from('tenants').select('name').eq('id', tenantId).maybeSingle();
+  if (!tenant) {
+    console.error('Tenant not found');
+    process.exit(1);
+  }
+
+  const { data: messages, error } = await supabase
+    .from('messages')
+    .select('message_body, ai_response, ai_draft, category, needs_landlord_attention')
+    .eq('tenant_id', tenantId)
+    .eq('direction', 'incoming')
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('Could not load messages:', error.message);
+    process.exit(1);
+  }
+
+  const anonymize = text => (text || '').split(tenant.name).join(TEST_TENANT_NAME);
+
+  // What the model said at the time becomes the scripted AI reply for that turn
+  const turns = (messages || []).map(m => {
+    const aiMessage = anonymize(m.ai_draft || m.ai_response);
+    return {
+      body: anonymize(m.message_body),
+      ai: { message: aiMessage, category: m.category, needsAttention: m.needs_landlord_attention },
+      expect: { reply: aiMessage, category: m.category, needsAttention: m.needs_landlord_attention }
+    };
+  });
+
+  console.log(JSON.stringify({ description: description || `Recorded conversation (${turns.length} turns)`, turns }, null, 2));
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
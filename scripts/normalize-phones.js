@@ -0,0 +1,183 @@
+// One-off cleanup of tenant and vendor phone numbers stored before E.164 normalization
+//
+//   node scripts/normalize-phones.js         # report only
+//   node scripts/normalize-phones.js --fix   # rewrite numbers and merge duplicates
+//
+// Numbers are read with the landlord's country as the default. Malformed numbers are only
+// reported. Tenants sharing a number are merged into the oldest row when they are the same
+// person (same name and property): their messages, payments, tickets and leases move to it and
+// the extra rows are deleted. A month both rows have a payment for keeps the one that got further
+// (paid over reported over unpaid). Nothing is deleted until everything has moved, so a merge that
+// fails halfway can be run again. Different people sharing a number are reported for a manual fix.
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { DEFAULT_COUNTRY, normalizePhone } = require('../services/phone');
+
+// Tables whose rows belong to a tenant (payments are merged month by month, see planPaymentMerge)
+const TENANT_TABLES = ['messages', 'tickets', 'leases'];
+
+// How far a month got, to choose between two payment rows for it
+const PAYMENT_PROGRESS = ['unpaid', 'partial', 'pending', 'late', 'paid'];
+const PAYMENT_FIELDS = ['amount_due', 'amount_paid', 'status', 'reported_amount', 'reported_at', 'receipt_url', 'paid_at', 'notes'];
+
+const samePerson = (a, b) =>
+  a.property_id === b.property_id && (a.name || '').trim().toLowerCase() === (b.name || '').trim().toLowerCase();
+
+// What needs to change, without touching the database
+function planPhoneFixes(rows, countries = {}, { dedupe = true } = {}) {
+  const plan = { malformed: [], updates: [], merges: [], conflicts: [] };
+  const byPhone = {};
+
+  for (const row of rows) {
+    const phone = normalizePhone(row.phone, countries[row.landlord_id] || DEFAULT_COUNTRY);
+    if (!phone) {
+      plan.malformed.push(row);
+      continue;
+    }
+    if (phone !== row.phone) plan.updates.push({ row, phone });
+    (byPhone[phone] = byPhone[phone] || []).push(row);
+  }
+
+  for (const [phone, group] of Object.entries(byPhone)) {
+    if (!dedupe || group.length < 2) continue;
+    const [keep, ...others] = [...group].sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+    if (others.every(other => samePerson(keep, other))) {
+      plan.merges.push({ phone, keep, remove: others });
+    } else {
+      plan.conflicts.push({ phone, rows: group });
+    }
+  }
+
+  // Rows about to be deleted don't need their number rewritten
+  const removed = new Set(plan.merges.flatMap(m => m.remove.map(r => r.id)));
+  plan.updates = plan.updates.filter(u => !removed.has(u.row.id));
+  return plan;
+}
+
+// Payments of the kept tenant and its duplicates, one row per month once merged (payments are
+// unique per tenant and month). For a month with several rows the kept tenant's row survives,
+// with the data of whichever row got further; the rest are dropped.
+// Returns { updates: [{ id, fields }], move: [ids], drop: [ids] }.
+function planPaymentMerge(payments, keepId) {
+  const plan = { updates: [], move: [], drop: [] };
+  const byPeriod = {};
+  payments.forEach(p => (byPeriod[p.period] = byPeriod[p.period] || []).push(p));
+
+  for (const rows of Object.values(byPeriod)) {
+    const survivor = rows.find(p => p.tenant_id === keepId) || rows[0];
+    const best = [...rows].sort((a, b) =>
+      PAYMENT_PROGRESS.indexOf(b.status) - PAYMENT_PROGRESS.indexOf(a.status) || Number(b.amount_paid || 0) - Number(a.amount_paid || 0)
+    )[0];
+
+    if (best !== survivor) {
+      plan.updates.push({ id: survivor.id, fields: Object.fromEntries(PAYMENT_FIELDS.map(key => [key, best[key] ?? null])) });
+    }
+    if (survivor.tenant_id !== keepId) plan.move.push(survivor.id);
+    rows.filter(p => p !== survivor).forEach(p => plan.drop.push(p.id));
+  }
+  return plan;
+}
+
+async function mergeTenant(supabase, keep, ids) {
+  const { data: payments, error: paymentsError } = await supabase
+    .from('payments')
+    .select('*')
+    .in('tenant_id', [keep.id, ...ids]);
+  if (paymentsError) throw new Error(`Loading payments of tenant ${keep.id}: ${paymentsError.message}`);
+  const payment = planPaymentMerge(payments || [], keep.id);
+
+  for (const { id, fields } of payment.updates) {
+    const { error } = await supabase.from('payments').update(fields).eq('id', id);
+    if (error) throw new Error(`Merging payment ${id}: ${error.message}`);
+  }
+  for (const id of payment.move) {
+    const { error } = await supabase.from('payments').update({ tenant_id: keep.id }).eq('id', id);
+    if (error) throw new Error(`Moving payment ${id} to tenant ${keep.id}: ${error.message}`);
+  }
+  for (const table of TENANT_TABLES) {
+    const { error } = await supabase.from(table).update({ tenant_id: keep.id }).in('tenant_id', ids);
+    if (error) throw new Error(`Moving ${table} to tenant ${keep.id}: ${error.message}`);
+  }
+
+  // Everything moved: only now drop the leftover months and the duplicate rows
+  if (payment.drop.length) {
+    const { error } = await supabase.from('payments').delete().in('id', payment.drop);
+    if (error) throw new Error(`Deleting merged payments of tenant ${keep.id}: ${error.message}`);
+  }
+  const { error } = await supabase.from('tenants').delete().in('id', ids);
+  if (error) throw new Error(`Deleting duplicates of tenant ${keep.id}: ${error.message}`);
+}
+
+async function applyTenantFixes(supabase, plan) {
+  for (const { keep, remove } of plan.merges) {
+    await mergeTenant(supabase, keep, remove.map(r => r.id));
+  }
+  await applyUpdates(supabase, 'tenants', plan.updates);
+}
+
+async function applyUpdates(supabase, table, updates) {
+  for (const { row, phone } of updates) {
+    const { error } = await supabase.from(table).update({ phone }).eq('id', row.id);
+    if (error) throw new Error(`Updating ${table} ${row.id}: ${error.message}`);
+  }
+}
+
+function report(label, plan) {
+  console.log(`\n${label}`);
+  console.log(`  ${plan.updates.length} to rewrite in E.164`);
+  plan.updates.forEach(({ row, phone }) => console.log(`    ${row.name}: "${row.phone}" → ${phone}`));
+
+  console.log(`  ${plan.malformed.length} malformed (fix by hand)`);
+  plan.malformed.forEach(row => console.log(`    ${row.name} (${row.id}): "${row.phone}"`));
+
+  if (plan.merges.length) {
+    console.log(`  ${plan.merges.length} duplicated numbers to merge`);
+    plan.merges.forEach(m => console.log(`    ${m.phone}: keep ${m.keep.name} (${m.keep.id}), merge ${m.remove.map(r => r.id).join(', ')}`));
+  }
+  if (plan.conflicts.length) {
+    console.log(`  ⚠️  ${plan.conflicts.length} numbers shared by different tenants (fix by hand)`);
+    plan.conflicts.forEach(c => console.log(`    ${c.phone}: ${c.rows.map(r => `${r.name} (${r.id})`).join(', ')}`));
+  }
+}
+
+async function main() {
+  const fix = process.argv.includes('--fix');
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+  const [{ data: landlords }, { data: tenants, error }, { data: vendors }] = await Promise.all([
+    supabase.from('landlords').select('id, country'),
+    supabase.from('tenants').select('id, name, phone, property_id, created_at, properties (landlord_id)'),
+    supabase.from('vendors').select('id, name, phone, landlord_id, created_at')
+  ]);
+
+  if (error) {
+    console.error('Could not load tenants:', error.message);
+    process.exit(1);
+  }
+
+  const countries = Object.fromEntries((landlords || []).map(l => [l.id, l.country]));
+  const tenantPlan = planPhoneFixes((tenants || []).map(t => ({ ...t, landlord_id: t.properties?.landlord_id })), countries);
+  // Vendors are per landlord and only need their numbers rewritten
+  const vendorPlan = planPhoneFixes(vendors || [], countries, { dedupe: false });
+
+  report('📞 Tenants', tenantPlan);
+  report('🧰 Vendors', vendorPlan);
+
+  if (!fix) {
+    console.log('\nDry run. Run again with --fix to apply.');
+    return;
+  }
+
+  await applyTenantFixes(supabase, tenantPlan);
+  await applyUpdates(supabase, 'vendors', vendorPlan.updates);
+  console.log('\n✅ Phone numbers normalized');
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { planPhoneFixes, planPaymentMerge, applyTenantFixes };
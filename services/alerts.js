@@ -0,0 +1,306 @@
+const cron = require('node-cron');
+const { Resend } = require('resend');
+const { getLandlordSettings } = require('./landlords');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'alerts' });
+
+let supabase;
+let twilioClient;
+const resend = new Resend(process.env.RESEND_API_KEY);
+
+// Configuration (all optional, see defaults)
+const DIGEST_SCHEDULE = process.env.LANDLORD_DIGEST_CRON || '0 8 * * *'; // Every day at 8:00
+const TIMEZONE = process.env.TIMEZONE || 'America/Mexico_City';
+const EMAIL_FROM = process.env.ALERT_EMAIL_FROM || 'Landlord AI <onboarding@resend.dev>';
+const DASHBOARD_URL = `${process.env.RAILWAY_URL || 'http://localhost:3000'}/dashboard`;
+
+const URGENT_CATEGORIES = ['URGENTE', 'URGENT'];
+
+// Initialize with services from server.js and start the digest / quiet-hours jobs
+function initLandlordAlerts(supabaseClient, twilio) {
+  supabase = supabaseClient;
+  twilioClient = twilio;
+  const api = { alertLandlord, alertFailingNumber, runDailyDigest, flushHeldAlerts };
+
+  // Alerts held during quiet hours go out once they're over, whether or not the digest runs
+  if (process.env.LANDLORD_HELD_ALERTS_ENABLED === 'false') {
+    log.info('Held alerts delivery disabled');
+  } else {
+    cron.schedule('5 * * * *', () => {
+      flushHeldAlerts().catch(error => log.error('Held alerts error', { error }));
+    }, { timezone: TIMEZONE, name: 'landlord-held-alerts', noOverlap: true });
+  }
+
+  if (process.env.LANDLORD_DIGEST_ENABLED === 'false') {
+    log.info('Landlord digest disabled');
+    return api;
+  }
+
+  cron.schedule(DIGEST_SCHEDULE, () => {
+    runDailyDigest().catch(error => log.error('Daily digest error', { error }));
+  }, { timezone: TIMEZONE, name: 'landlord-digest', noOverlap: true });
+
+  log.info('Landlord digest scheduled', { schedule: DIGEST_SCHEDULE, timezone: TIMEZONE });
+  return api;
+}
+
+function isUrgentCategory(category) {
+  return URGENT_CATEGORIES.includes((category || '').toUpperCase());
+}
+
+// Quiet hours are whole hours in TIMEZONE and may wrap midnight (e.g. 22 → 7)
+function isQuietHours(settings, now = new Date()) {
+  const start = settings.quiet_hours_start;
+  const end = settings.quiet_hours_end;
+  if (start === null || end === null || start === end) return false;
+
+  const hour = parseInt(new Intl.DateTimeFormat('en-US', {
+    timeZone: TIMEZONE, hour: 'numeric', hourCycle: 'h23'
+  }).format(now));
+
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+// Tenant messages go into email HTML as text
+function escapeHtml(text) {
+  return String(text || '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function conversationLink(tenant) {
+  return `${DASHBOARD_URL}/tenants/${tenant.id}/conversation`;
+}
+
+function buildAlertText(tenant, message) {
+  return `🚨 Mensaje urgente de ${tenant.name} (${tenant.properties?.address || 'tu propiedad'}):\n` +
+    `"${message.message_body}"\n\n` +
+    `Ver conversación: ${conversationLink(tenant)}`;
+}
+
+function buildFailingNumberText(tenant, message) {
+  return `⚠️ Los mensajes a ${tenant.name} (${tenant.properties?.address || 'tu propiedad'}) no se están entregando` +
+    ` (${message.delivery_error || 'error de entrega'}). Revisa que su número de WhatsApp siga siendo el correcto.\n\n` +
+    `Ver conversación: ${conversationLink(tenant)}`;
+}
+
+// WhatsApp/SMS alert to the landlord's own phone (settings first, then the property's)
+async function sendPhoneAlert(settings, tenant, text) {
+  const phone = (settings.phone || tenant.properties?.landlord_phone || '').replace('whatsapp:', '');
+  if (!phone) throw new Error('Landlord has no phone number');
+
+  const whatsapp = settings.alert_channel !== 'sms';
+  return twilioClient.messages.create({
+    from: whatsapp ? process.env.TWILIO_WHATSAPP_NUMBER : process.env.TWILIO_SMS_NUMBER,
+    to: whatsapp ? `whatsapp:${phone}` : phone,
+    body: text
+  });
+}
+
+async function sendAlertEmail(settings, tenant, message) {
+  await resend.emails.send({
+    from: EMAIL_FROM,
+    to: settings.email,
+    subject: `🚨 Urgente: ${tenant.name} - ${tenant.properties?.address || 'Landlord AI'}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #0071e3;">🏠 SuperAdmin AI</h1>
+        <h2>Mensaje urgente</h2>
+        <p><strong>${escapeHtml(tenant.name)}</strong> · ${escapeHtml(tenant.properties?.address)}</p>
+        <p style="background: #fff4f4; border-left: 4px solid #ff3b30; padding: 12px;">${escapeHtml(message.message_body)}</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${conversationLink(tenant)}" style="background-color: #0071e3; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px; display: inline-block;">Ver conversación</a>
+        </div>
+      </div>
+    `
+  });
+}
+
+async function sendFailingNumberEmail(settings, tenant, message) {
+  await resend.emails.send({
+    from: EMAIL_FROM,
+    to: settings.email,
+    subject: `⚠️ No se pueden entregar mensajes a ${tenant.name} - Landlord AI`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #0071e3;">🏠 SuperAdmin AI</h1>
+        <h2>Mensajes sin entregar</h2>
+        <p>Los últimos mensajes a <strong>${escapeHtml(tenant.name)}</strong> · ${escapeHtml(tenant.properties?.address)} no se entregaron (${escapeHtml(message.delivery_error)}).</p>
+        <p>Revisa que su número de WhatsApp siga siendo el correcto.</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${conversationLink(tenant)}" style="background-color: #0071e3; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px; display: inline-block;">Ver conversación</a>
+        </div>
+      </div>
+    `
+  });
+}
+
+async function setAlertStatus(messageId, status) {
+  if (!messageId) return;
+  await supabase
+    .from('messages')
+    .update({ alert_status: status, alerted_at: status === 'sent' ? new Date().toISOString() : null })
+    .eq('id', messageId);
+}
+
+// Urgent tenant message: phone alert (held during quiet hours) and email right away.
+// `tenant` needs `properties`; `message` is the saved incoming row.
+async function alertLandlord(tenant, message) {
+  const settings = await getLandlordSettings(supabase, tenant.properties?.landlord_id);
+
+  if (settings.alert_channel !== 'none') {
+    if (isQuietHours(settings)) {
+      await setAlertStatus(message.id, 'held');
+      log.info('Quiet hours, phone alert held', { landlordId: tenant.properties?.landlord_id, messageId: message.id });
+    } else {
+      try {
+        await sendPhoneAlert(settings, tenant, buildAlertText(tenant, message));
+        await setAlertStatus(message.id, 'sent');
+        log.info('Landlord alerted', { channel: settings.alert_channel, messageId: message.id });
+      } catch (e) {
+        await setAlertStatus(message.id, 'failed');
+        log.error('Landlord phone alert failed', { error: e });
+      }
+    }
+  }
+
+  if (settings.alert_email && settings.email) {
+    try {
+      await sendAlertEmail(settings, tenant, message);
+      log.info('Landlord alerted', { channel: 'email', messageId: message.id });
+    } catch (e) {
+      log.error('Landlord email alert failed', { error: e });
+    }
+  }
+}
+
+// A tenant's number keeps failing: tell the landlord once (not during quiet hours; it isn't urgent).
+// `message` is the last failed message, with its delivery error.
+async function alertFailingNumber(tenant, message) {
+  const settings = await getLandlordSettings(supabase, tenant.properties?.landlord_id);
+
+  if (settings.alert_channel !== 'none' && !isQuietHours(settings)) {
+    try {
+      await sendPhoneAlert(settings, tenant, buildFailingNumberText(tenant, message));
+      log.info('Landlord told a tenant\'s number keeps failing', { tenantId: tenant.id, channel: settings.alert_channel });
+    } catch (e) {
+      log.error('Failing number alert failed', { error: e });
+    }
+  }
+
+  if (settings.alert_email && settings.email) {
+    try {
+      await sendFailingNumberEmail(settings, tenant, message);
+      log.info('Landlord told a tenant\'s number keeps failing', { tenantId: tenant.id, channel: 'email' });
+    } catch (e) {
+      log.error('Failing number email failed', { error: e });
+    }
+  }
+}
+
+async function flushHeldAlerts() {
+  const { data: held } = await supabase
+    .from('messages')
+    .select('id, message_body, needs_landlord_attention, tenants (*, properties (*))')
+    .eq('alert_status', 'held');
+
+  let sent = 0;
+  const settingsByLandlord = {};
+  for (const message of held || []) {
+    const tenant = message.tenants;
+    const landlordId = tenant?.properties?.landlord_id;
+    if (!landlordId) continue;
+
+    // Already handled from the dashboard while the landlord was off
+    if (!message.needs_landlord_attention) {
+      await setAlertStatus(message.id, null);
+      continue;
+    }
+
+    settingsByLandlord[landlordId] = settingsByLandlord[landlordId] || await getLandlordSettings(supabase, landlordId);
+    const settings = settingsByLandlord[landlordId];
+    if (isQuietHours(settings)) continue;
+
+    try {
+      await sendPhoneAlert(settings, tenant, buildAlertText(tenant, message));
+      await setAlertStatus(message.id, 'sent');
+      sent++;
+    } catch (e) {
+      await setAlertStatus(message.id, 'failed');
+      log.error('Held alert failed', { messageId: message.id, error: e });
+    }
+  }
+
+  if (sent > 0) log.info('Held alerts sent', { sent });
+  return sent;
+}
+
+function buildDigestHtml(landlord, messages) {
+  const rows = messages.map(m => `
+          <tr>
+            <td style="padding: 8px; border-bottom: 1px solid #eee;"><strong>${escapeHtml(m.tenants?.name)}</strong><br><span style="color: #666;">${escapeHtml(m.tenants?.properties?.address)}</span></td>
+            <td style="padding: 8px; border-bottom: 1px solid #eee;">${escapeHtml(m.category)}</td>
+            <td style="padding: 8px; border-bottom: 1px solid #eee;">${escapeHtml(m.message_body)}</td>
+          </tr>`).join('');
+
+  return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #0071e3;">🏠 SuperAdmin AI</h1>
+        <h2>Resumen del día</h2>
+        <p>Hola ${escapeHtml(landlord.name)}, tienes ${messages.length} mensaje(s) pendientes de revisar:</p>
+        <table style="width: 100%; border-collapse: collapse; font-size: 14px;">${rows}
+        </table>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${DASHBOARD_URL}" style="background-color: #0071e3; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px; display: inline-block;">Abrir panel</a>
+        </div>
+      </div>
+    `;
+}
+
+// One email per landlord with the last day's non-urgent messages still waiting on them
+async function runDailyDigest() {
+  log.info('Running landlord digest');
+  const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+
+  const { data: landlords, error } = await supabase
+    .from('landlords')
+    .select('id, name, email')
+    .eq('daily_digest', true)
+    .not('email', 'is', null);
+
+  if (error) {
+    log.error('Could not load landlords', { error });
+    return 0;
+  }
+
+  let sent = 0;
+  for (const landlord of landlords || []) {
+    try {
+      const { data: messages } = await supabase
+        .from('messages')
+        .select('message_body, category, created_at, tenants!inner (name, properties!inner (address, landlord_id))')
+        .eq('tenants.properties.landlord_id', landlord.id)
+        .eq('direction', 'incoming')
+        .eq('needs_landlord_attention', true)
+        .gte('created_at', since)
+        .order('created_at', { ascending: true });
+
+      const pending = (messages || []).filter(m => !isUrgentCategory(m.category));
+      if (pending.length === 0) continue;
+
+      await resend.emails.send({
+        from: EMAIL_FROM,
+        to: landlord.email,
+        subject: `Resumen del día: ${pending.length} mensaje(s) pendientes - Landlord AI`,
+        html: buildDigestHtml(landlord, pending)
+      });
+      sent++;
+    } catch (e) {
+      log.error('Digest failed', { landlordId: landlord.id, error: e });
+    }
+  }
+
+  log.info('Landlord digest done', { sent });
+  return sent;
+}
+
+module.exports = { initLandlordAlerts, isUrgentCategory, isQuietHours };
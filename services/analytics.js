@@ -0,0 +1,184 @@
+// Landlord analytics: message trends, AI vs. landlord handling, first-reply times,
+// busiest properties and on-time rent collection. Pure functions over rows the route loads.
+const { getDueDate } = require('./payments');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 90;
+
+// Outgoing messages that count as the landlord answering: their own replies and approved AI drafts
+const LANDLORD_REPLY_AUTHORS = ['landlord', 'ai'];
+
+function isDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value));
+}
+
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD, both inclusive; the last 90 days when missing or invalid
+function parseRange({ from, to } = {}, today = new Date()) {
+  const end = isDate(to) ? to : today.toISOString().slice(0, 10);
+  let start = isDate(from) ? from : new Date(new Date(end) - (DEFAULT_RANGE_DAYS - 1) * DAY_MS).toISOString().slice(0, 10);
+  if (start > end) start = end;
+
+  return {
+    from: start,
+    to: end,
+    startIso: new Date(start).toISOString(),
+    endIso: new Date(new Date(end).getTime() + DAY_MS).toISOString() // exclusive
+  };
+}
+
+// Days for short ranges, weeks (starting Monday) up to six months, months beyond
+function bucketSize(range) {
+  const days = (new Date(range.to) - new Date(range.from)) / DAY_MS + 1;
+  if (days <= 31) return 'day';
+  if (days <= 183) return 'week';
+  return 'month';
+}
+
+function bucketKey(date, size) {
+  const d = new Date(date);
+  if (size === 'month') return d.toISOString().slice(0, 7);
+  if (size === 'week') {
+    const monday = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - (d.getUTCDay() + 6) % 7));
+    return monday.toISOString().slice(0, 10);
+  }
+  return d.toISOString().slice(0, 10);
+}
+
+// Every bucket in the range, so quiet periods show up as gaps instead of disappearing
+function bucketKeys(range, size) {
+  const keys = [];
+  for (let t = new Date(range.from).getTime(); t <= new Date(range.to).getTime(); t += DAY_MS) {
+    const key = bucketKey(new Date(t), size);
+    if (keys[keys.length - 1] !== key) keys.push(key);
+  }
+  return keys;
+}
+
+// Escalated messages keep needs_landlord_attention until handled; drafts keep draft_status after
+function wasEscalated(message) {
+  return !!message.needs_landlord_attention || !!message.draft_status;
+}
+
+// Incoming messages per bucket and category: { size, categories, buckets: [{ key, counts, total }], max }
+function messageVolume(incoming, range) {
+  const size = bucketSize(range);
+  const buckets = bucketKeys(range, size).map(key => ({ key, counts: {}, total: 0 }));
+  const byKey = Object.fromEntries(buckets.map(b => [b.key, b]));
+  const categories = new Set();
+
+  incoming.forEach(message => {
+    const bucket = byKey[bucketKey(message.created_at, size)];
+    if (!bucket) return;
+    const category = (message.category || 'SIN CATEGORÍA').toUpperCase();
+    categories.add(category);
+    bucket.counts[category] = (bucket.counts[category] || 0) + 1;
+    bucket.total++;
+  });
+
+  return {
+    size,
+    categories: [...categories].sort(),
+    buckets,
+    max: Math.max(0, ...buckets.map(b => b.total))
+  };
+}
+
+// How many incoming messages the AI handled alone vs. passed to the landlord
+function resolutionShare(incoming) {
+  const escalated = incoming.filter(wasEscalated).length;
+  const total = incoming.length;
+  return {
+    total,
+    resolved: total - escalated,
+    escalated,
+    resolvedRate: total ? (total - escalated) / total : null,
+    escalatedRate: total ? escalated / total : null
+  };
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Minutes from each escalated message to the landlord's next reply to that tenant.
+// `outgoing` must be in created_at order. Returns { medianMinutes, answered, unanswered }.
+function firstReplyTimes(incoming, outgoing) {
+  const repliesByTenant = {};
+  outgoing
+    .filter(m => LANDLORD_REPLY_AUTHORS.includes(m.author))
+    .forEach(m => { (repliesByTenant[m.tenant_id] = repliesByTenant[m.tenant_id] || []).push(m); });
+
+  const minutes = [];
+  let unanswered = 0;
+  incoming.filter(wasEscalated).forEach(message => {
+    const reply = (repliesByTenant[message.tenant_id] || []).find(r => new Date(r.created_at) > new Date(message.created_at));
+    if (reply) minutes.push((new Date(reply.created_at) - new Date(message.created_at)) / 60000);
+    else unanswered++;
+  });
+
+  return { medianMinutes: median(minutes), answered: minutes.length, unanswered };
+}
+
+// Properties by incoming messages, most first. Messages count toward the unit they were sent from.
+function busiestProperties(incoming, properties, limit = 5) {
+  const stats = {};
+
+  incoming.forEach(message => {
+    const propertyId = message.property_id;
+    if (!propertyId) return;
+    stats[propertyId] = stats[propertyId] || { messages: 0, escalated: 0 };
+    stats[propertyId].messages++;
+    if (wasEscalated(message)) stats[propertyId].escalated++;
+  });
+
+  return properties
+    .filter(p => stats[p.id])
+    .map(p => ({ property: p, ...stats[p.id] }))
+    .sort((a, b) => b.messages - a.messages)
+    .slice(0, limit);
+}
+
+// Paid in full by the end of the due date (the stored one, or the property's due day).
+// Payments the landlord marked as late never count.
+function isPaidOnTime(payment, property) {
+  if (!payment.paid_at || payment.status !== 'paid') return false;
+  const [year, month] = payment.period.split('-').map(Number);
+  const due = payment.due_date ? new Date(payment.due_date) : getDueDate(year, month - 1, property?.rent_due_day || 1);
+  return new Date(payment.paid_at) < new Date(due.getTime() + DAY_MS);
+}
+
+// On-time collection per month: [{ period, charged, paid, onTime, rate }], oldest first
+function collectionByMonth(payments, properties) {
+  const propertyById = Object.fromEntries(properties.map(p => [p.id, p]));
+  const months = {};
+
+  payments
+    .filter(p => Number(p.amount_due) > 0)
+    .forEach(payment => {
+      const month = months[payment.period] = months[payment.period] || { period: payment.period, charged: 0, paid: 0, onTime: 0 };
+      month.charged++;
+      if (['paid', 'late'].includes(payment.status)) month.paid++;
+      if (isPaidOnTime(payment, propertyById[payment.property_id])) month.onTime++;
+    });
+
+  return Object.values(months)
+    .sort((a, b) => a.period.localeCompare(b.period))
+    .map(m => ({ ...m, rate: m.onTime / m.charged }));
+}
+
+module.exports = {
+  parseRange,
+  bucketSize,
+  bucketKey,
+  wasEscalated,
+  messageVolume,
+  resolutionShare,
+  median,
+  firstReplyTimes,
+  busiestProperties,
+  isPaidOnTime,
+  collectionByMonth
+};
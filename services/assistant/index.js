@@ -0,0 +1,111 @@
+// Tenant assistant: tenant context + history + message in, reply/category/needsAttention out.
+//
+// context: { tenant (with properties), language (locale code), isSpanish (its base language is Spanish),
+//           balance, balanceSummary, openTicket, media }
+// history: recent `messages` rows, oldest first
+// reply:   { message, category, needsAttention, ticket, ticketFollowUp, provider, fallback, fallbackReason }
+//
+// suggestReplies drafts replies for the landlord to edit and send: same context plus
+// landlordReplies (their recent replies, to match their voice), and a tone from SUGGESTION_TONES.
+//
+// context.memory (optional): { summary, openItems, related } from services/memory.js, which
+// summarizeConversation keeps up to date.
+//
+// Providers: 'openai', 'compatible' (AI_COMPATIBLE_BASE_URL) and 'local' (rule-based, offline).
+// AI_PROVIDER / AI_MODEL set the default; landlords can pick their own in settings.
+const { createOpenAIProvider } = require('./providers/openai');
+const local = require('./providers/local');
+const { SUGGESTION_TONES } = require('./prompt');
+const { logger } = require('../logger');
+
+const log = logger.child({ module: 'assistant' });
+
+const AI_PROVIDERS = ['openai', 'compatible', 'local'];
+const DEFAULT_PROVIDER = process.env.AI_PROVIDER || 'openai';
+
+const providers = {
+  openai: createOpenAIProvider({
+    name: 'openai',
+    apiKey: process.env.OPENAI_API_KEY,
+    defaultModel: process.env.AI_MODEL || 'gpt-4o-mini'
+  }),
+  local
+};
+
+if (process.env.AI_COMPATIBLE_BASE_URL) {
+  providers.compatible = createOpenAIProvider({
+    name: 'compatible',
+    baseURL: process.env.AI_COMPATIBLE_BASE_URL,
+    apiKey: process.env.AI_COMPATIBLE_API_KEY || 'none',
+    defaultModel: process.env.AI_COMPATIBLE_MODEL,
+    jsonMode: process.env.AI_COMPATIBLE_JSON_MODE !== 'false',
+    vision: process.env.AI_COMPATIBLE_VISION === 'true'
+  });
+}
+
+// Extra providers, e.g. scripted stand-ins in tests:
+// { name, generate(context, history, message, { model }), suggest?(context, history, { model, tone, count }),
+//   summarize?(input, { model }) }
+function registerProvider(provider) {
+  providers[provider.name] = provider;
+}
+
+// Unknown or unconfigured names fall back to the default provider
+function getProvider(name) {
+  return providers[name] || providers[DEFAULT_PROVIDER] || providers.openai;
+}
+
+// `options.provider` / `options.model` come from the landlord's settings (null = defaults)
+async function generateReply(context, history, message, options = {}) {
+  const provider = getProvider(options.provider);
+
+  try {
+    const reply = await provider.generate(context, history, message, { model: options.model });
+    return { ...reply, provider: provider.name, fallback: false, fallbackReason: null };
+  } catch (e) {
+    log.warn('AI reply failed, using the local fallback', { provider: provider.name, error: e });
+    const reply = await local.generate(context, history, message);
+    return { ...reply, provider: local.name, fallback: true, fallbackReason: `${provider.name}: ${e.message}` };
+  }
+}
+
+// Providers without `suggest` use the local drafts, like a failed call
+async function suggestReplies(context, history, options = {}) {
+  const provider = getProvider(options.provider);
+  const tone = SUGGESTION_TONES[options.tone] ? options.tone : 'friendly';
+
+  try {
+    if (!provider.suggest) throw new Error('Provider has no suggestions');
+    const suggestions = await provider.suggest(context, history, { model: options.model, tone, count: 3 });
+    return { suggestions, tone, provider: provider.name, fallback: false };
+  } catch (e) {
+    log.warn('AI suggestions failed, using local drafts', { provider: provider.name, error: e });
+    const suggestions = local.suggest(context, history, { tone, count: 3 });
+    return { suggestions, tone, provider: local.name, fallback: true };
+  }
+}
+
+// input: { tenant, language, previousSummary, previousOpenItems, messages, openTickets }.
+// Returns { summary, openItems, provider, fallback }; providers without `summarize` use the local one.
+async function summarizeConversation(input, options = {}) {
+  const provider = getProvider(options.provider);
+
+  try {
+    if (!provider.summarize) throw new Error('Provider has no summaries');
+    const memory = await provider.summarize(input, { model: options.model });
+    return { ...memory, provider: provider.name, fallback: false };
+  } catch (e) {
+    log.warn('AI summary failed, using the local summary', { provider: provider.name, error: e });
+    return { ...local.summarize(input), provider: local.name, fallback: true };
+  }
+}
+
+module.exports = {
+  AI_PROVIDERS,
+  SUGGESTION_TONES,
+  registerProvider,
+  getProvider,
+  generateReply,
+  suggestReplies,
+  summarizeConversation
+};
@@ -0,0 +1,169 @@
+// Prompt building for the tenant assistant, shared by every chat-model provider
+const { describeTicket } = require('../tickets');
+const { describeMedia } = require('../media');
+const { describeLease } = require('../leases');
+const { describeFaqs } = require('../knowledge');
+const { getLocale } = require('../../locales');
+
+// One message as transcript lines: the tenant's words and what was answered
+function describeTurn(msg) {
+  if (msg.direction === 'incoming') {
+    let lines = `Tenant: "${msg.message_body}"\n`;
+    if (msg.ai_response) {
+      lines += `You: "${msg.ai_response}"\n`;
+    }
+    return lines;
+  } else if (msg.author === 'landlord') {
+    return `Landlord (written personally): "${msg.message_body}"\n`;
+  }
+  return `You: "${msg.message_body}"\n`;
+}
+
+// Recent messages (oldest first) as a transcript the model can follow
+function buildConversationContext(history) {
+  if (!history || history.length === 0) return '';
+
+  let conversationContext = '\n\nRECENT CONVERSATION HISTORY:\n';
+  history.forEach((msg) => {
+    conversationContext += describeTurn(msg);
+  });
+  conversationContext += '\n⚠️ IMPORTANT: This is the previous conversation context. The tenant\'s current message may be a continuation or follow-up. Respond coherently considering what has already been discussed.';
+  conversationContext += '\nMessages from the Landlord were written by them personally: never contradict what they promised, and build on it.';
+  return conversationContext;
+}
+
+// Long-term memory (services/memory.js): what was said before the recent turns
+function buildMemoryContext(memory) {
+  if (!memory) return '';
+  const { summary, openItems = [], related = [] } = memory;
+
+  let memoryContext = '';
+  if (summary) {
+    memoryContext += `\n\nCONVERSATION SUMMARY (earlier messages):\n${summary}\n`;
+  }
+  if (openItems.length) {
+    memoryContext += '\nOPEN ITEMS (still unresolved: follow up on them when the tenant brings them up):\n';
+    memoryContext += openItems.map(item => `- ${item}`).join('\n') + '\n';
+  }
+  if (related.length) {
+    memoryContext += '\nRELATED EARLIER MESSAGES:\n';
+    related.forEach((msg) => {
+      memoryContext += `[${(msg.created_at || '').slice(0, 10)}] ${describeTurn(msg)}`;
+    });
+  }
+  return memoryContext;
+}
+
+// In the tenant's language (`context.language`, a locale code)
+function buildSystemMessage(language) {
+  return getLocale(language).systemMessage;
+}
+
+// The locale's own prompt, or the English one told to reply in the tenant's language
+function buildPrompt(context, history, message) {
+  const { tenant, language, isSpanish, balanceSummary, openTicket, lease, faqs = [], media = [] } = context;
+  const locale = getLocale(language);
+  const data = {
+    tenant,
+    balanceSummary,
+    leaseText: describeLease(lease, isSpanish),
+    faqsText: describeFaqs(faqs, isSpanish),
+    ticketText: describeTicket(openTicket, isSpanish),
+    conversationContext: buildMemoryContext(context.memory) + buildConversationContext(history),
+    message,
+    mediaText: describeMedia(media, isSpanish)
+  };
+
+  return locale.buildPrompt ? locale.buildPrompt(data, locale.name) : getLocale('en').buildPrompt(data, locale.name);
+}
+
+// Tones the landlord can ask suggested replies in
+const SUGGESTION_TONES = {
+  friendly: 'warm and friendly, like a landlord who knows the tenant well',
+  formal: 'polite and formal (in Spanish, address the tenant as "usted")',
+  brief: 'short and to the point: one or two sentences'
+};
+
+// The landlord's own recent replies, so suggestions sound like them
+function describeLandlordReplies(replies) {
+  if (!replies || replies.length === 0) return 'None yet';
+  return replies.map(reply => `- "${reply.message_body}"`).join('\n');
+}
+
+// Drafts for the landlord to edit and send themselves, written as the landlord (not the assistant)
+function buildSuggestionPrompt(context, history, { tone = 'friendly', count = 3 } = {}) {
+  const { tenant, language, balanceSummary, openTicket, lease, faqs = [], landlordReplies = [], memory } = context;
+  const lastMessage = [...(history || [])].reverse().find(msg => msg.direction === 'incoming');
+
+  return `You are helping a landlord answer their tenant on WhatsApp. Write ${count} different replies the landlord could send next, in the first person, as the landlord.
+
+PROPERTY INFORMATION:
+Tenant: ${tenant.name}
+Address: ${tenant.properties?.address || 'the property'}
+Monthly rent: $${tenant.properties?.monthly_rent || 'N/A'} MXN
+Payment due: Day ${tenant.properties?.rent_due_day || 'N/A'} of each month
+Outstanding balance (payment ledger): ${balanceSummary}
+Special notes: ${tenant.properties?.special_instructions || 'None'}
+Lease: ${describeLease(lease, false)}
+Open maintenance request: ${describeTicket(openTicket, false)}
+
+BUILDING INFORMATION (FAQ entries related to the conversation):
+${describeFaqs(faqs, false)}
+${buildMemoryContext(memory)}${buildConversationContext(history)}
+
+MESSAGE TO ANSWER: "${lastMessage?.message_body || '(none: the landlord is starting the conversation)'}"
+
+HOW THE LANDLORD USUALLY WRITES (their recent replies):
+${describeLandlordReplies(landlordReplies)}
+
+GUIDELINES:
+1. Write every reply in ${getLocale(language).name}, the tenant's language
+2. Tone: ${SUGGESTION_TONES[tone] || SUGGESTION_TONES.friendly}
+3. Match the landlord's usual wording, greetings and sign-offs when they have past replies
+4. Make the replies genuinely different (e.g. a direct answer, a follow-up question, a commitment with a time frame)
+5. Only use facts from the information above; never promise dates, amounts or visits that aren't there
+
+Respond ONLY with a JSON object (no markdown):
+{"suggestions":["reply 1","reply 2","reply 3"]}`;
+}
+
+// Rolling summary for the long-term memory: the previous summary and open items, updated with the new messages
+function buildSummaryPrompt({ tenant, previousSummary, previousOpenItems = [], messages, openTickets = [] }) {
+  const transcript = messages.map(msg => `[${(msg.created_at || '').slice(0, 10)}] ${describeTurn(msg)}`).join('');
+
+  return `You keep the long-term memory of a WhatsApp conversation between a property assistant and a tenant. Update it with the new messages.
+
+TENANT: ${tenant.name} (${tenant.properties?.address || 'the property'})
+
+PREVIOUS SUMMARY:
+${previousSummary || 'None yet'}
+
+PREVIOUS OPEN ITEMS:
+${previousOpenItems.length ? previousOpenItems.map(item => `- ${item}`).join('\n') : 'None'}
+
+OPEN MAINTENANCE REQUESTS:
+${openTickets.length ? openTickets.map(ticket => `- ${describeTicket(ticket, false)}`).join('\n') : 'None'}
+
+NEW MESSAGES (oldest first):
+${transcript}
+
+GUIDELINES:
+1. Write in Spanish: the landlord reads the summary in their dashboard
+2. Summary: at most 150 words, facts only, with dates (reported problems, payments, agreements, promises made to the tenant)
+3. Open items: what is still unresolved or promised (a leak not yet fixed, a visit to schedule, a pending payment); drop the ones the messages show as resolved
+4. At most 8 open items, one short sentence each
+5. Never invent facts that aren't in the messages or the information above
+
+Respond ONLY with a JSON object (no markdown):
+{"summary":"...","openItems":["...","..."]}`;
+}
+
+module.exports = {
+  SUGGESTION_TONES,
+  buildConversationContext,
+  buildMemoryContext,
+  buildSystemMessage,
+  buildPrompt,
+  buildSuggestionPrompt,
+  buildSummaryPrompt
+};
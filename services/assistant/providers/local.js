@@ -0,0 +1,99 @@
+// Deterministic rule-based stand-in for the chat model: no network, same reply shape.
+// Also the fallback when the configured provider fails. Keywords and texts come from the
+// tenant's locale (locales/*.js).
+const { describeLease } = require('../../leases');
+const { faqTopicLabel } = require('../../knowledge');
+const { describeTicket } = require('../../tickets');
+const { SUPPORTED_LANGUAGES, getLocale } = require('../../../locales');
+
+const SUMMARY_LINES = 12;
+const INQUIRY_CATEGORIES = SUPPORTED_LANGUAGES.map(code => getLocale(code).categories.inquiry);
+
+function generate(context, history, message) {
+  const { tenant, language, isSpanish, balance = { total: 0 }, balanceSummary, lease, faqs = [] } = context;
+  const { categories, fallback } = getLocale(language);
+
+  // Empathetic fallback responses with context, in the tenant's language
+  const lower = message.toLowerCase();
+  const mentions = topic => fallback.keywords[topic].some(word => lower.includes(word));
+  const rent = { rent: tenant.properties?.monthly_rent || '30,000', dueDay: tenant.properties?.rent_due_day || '1', balanceSummary };
+
+  // Check if this is a follow-up (short message after recent conversation)
+  const isFollowUp = history.length > 0 && message.length < 30;
+
+  let reply;
+  if (lease && mentions('lease')) {
+    reply = [fallback.lease(describeLease(lease, isSpanish)), false, categories.inquiry];
+  } else if (mentions('payment')) {
+    reply = [balance.total > 0 ? fallback.balance(rent) : fallback.payment(rent), false, categories.payment];
+  } else if (mentions('emergency')) {
+    reply = [isFollowUp ? fallback.emergencyFollowUp : fallback.emergency, true, categories.urgent];
+  } else if (mentions('maintenance')) {
+    reply = [isFollowUp ? fallback.maintenanceFollowUp : fallback.maintenance, true, categories.maintenance];
+  } else if (faqs.length > 0) {
+    reply = [fallback.faq(faqs[0].answer, faqTopicLabel(faqs[0].topic)), false, categories.inquiry];
+  } else if (mentions('thanks')) {
+    reply = [fallback.thanks, false, categories.inquiry];
+  } else if (isFollowUp) {
+    reply = [fallback.followUp, true, categories.inquiry];
+  } else {
+    reply = [fallback.greeting, false, categories.inquiry];
+  }
+
+  const [aiReply, needsAttention, category] = reply;
+  return { message: aiReply, category, needsAttention, ticket: null, ticketFollowUp: null };
+}
+
+// First sentence only, for the brief tone
+function firstSentence(text) {
+  const match = text.match(/^.*?[.!?](?=\s|$)/);
+  return match ? match[0] : text;
+}
+
+// Drafts for the landlord: the rule-based answer to the tenant's last message, a
+// "let me check" commitment and a short acknowledgement
+function suggest(context, history, { tone = 'friendly', count = 3 } = {}) {
+  const { tenant, language } = context;
+  const { suggestions } = getLocale(language);
+  const texts = { ...suggestions, ...(tone === 'formal' ? suggestions.formal : {}) };
+  const lastMessage = [...history].reverse().find(msg => msg.direction === 'incoming');
+  const firstName = (tenant.name || '').split(' ')[0];
+  const frame = (suggestions.frames[tone] || suggestions.frames.friendly)(firstName);
+
+  const answer = lastMessage?.message_body
+    ? generate(context, history.filter(msg => msg !== lastMessage), lastMessage.message_body).message
+    : texts.checkIn;
+
+  return [answer, texts.willCheck, texts.acknowledge]
+    .map(text => tone === 'brief' ? firstSentence(text) : text)
+    .map(text => `${frame.open}${text}${frame.close}`)
+    .slice(0, count);
+}
+
+function truncate(text, length = 140) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+// Without a model: the previous summary plus a dated line for every message that mattered
+// (anything but a plain inquiry, and what the landlord wrote), keeping the latest lines.
+// Open items are the open maintenance requests.
+function summarize({ previousSummary, messages = [], openTickets = [] }) {
+  const lines = (previousSummary || '').split('\n').filter(Boolean);
+
+  messages.forEach((msg) => {
+    const date = (msg.created_at || '').slice(0, 10);
+    if (!msg.message_body) return;
+    if (msg.direction === 'incoming' && (msg.needs_landlord_attention || !INQUIRY_CATEGORIES.includes(msg.category))) {
+      lines.push(`- ${date} Inquilino${msg.category ? ` (${msg.category})` : ''}: ${truncate(msg.message_body)}`);
+    } else if (msg.author === 'landlord') {
+      lines.push(`- ${date} Propietario: ${truncate(msg.message_body)}`);
+    }
+  });
+
+  return {
+    summary: lines.slice(-SUMMARY_LINES).join('\n') || null,
+    openItems: openTickets.map(ticket => describeTicket(ticket, true))
+  };
+}
+
+module.exports = { name: 'local', generate, suggest, summarize };
@@ -0,0 +1,110 @@
+// Chat-completions provider for OpenAI and any OpenAI-compatible endpoint (vLLM, Ollama, OpenRouter...)
+const OpenAI = require('openai');
+const { buildPrompt, buildSystemMessage, buildSuggestionPrompt, buildSummaryPrompt } = require('../prompt');
+const { toImageParts } = require('../../media');
+
+// Models don't always honour "no markdown": strip ```json fences before parsing
+function parseJson(content) {
+  return JSON.parse((content || '').replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ''));
+}
+
+function parseReply(content) {
+  const parsed = parseJson(content);
+
+  if (typeof parsed.message !== 'string' || !parsed.message.trim()) {
+    throw new Error('AI reply has no message');
+  }
+
+  return {
+    message: parsed.message,
+    category: parsed.category,
+    needsAttention: parsed.needsAttention,
+    ticket: parsed.ticket || null,
+    ticketFollowUp: typeof parsed.ticketFollowUp === 'boolean' ? parsed.ticketFollowUp : null
+  };
+}
+
+// At most `count` non-empty drafts, at least one
+function parseSuggestions(content, count) {
+  const parsed = parseJson(content);
+  const suggestions = (Array.isArray(parsed.suggestions) ? parsed.suggestions : [])
+    .filter(text => typeof text === 'string' && text.trim())
+    .map(text => text.trim())
+    .slice(0, count);
+
+  if (suggestions.length === 0) {
+    throw new Error('AI reply has no suggestions');
+  }
+  return suggestions;
+}
+
+// { summary, openItems }: the summary is required, open items are optional
+function parseSummary(content) {
+  const parsed = parseJson(content);
+
+  if (typeof parsed.summary !== 'string' || !parsed.summary.trim()) {
+    throw new Error('AI reply has no summary');
+  }
+
+  const openItems = (Array.isArray(parsed.openItems) ? parsed.openItems : [])
+    .filter(item => typeof item === 'string' && item.trim())
+    .map(item => item.trim())
+    .slice(0, 8);
+
+  return { summary: parsed.summary.trim(), openItems };
+}
+
+// `jsonMode` sends response_format (not every compatible server supports it),
+// `vision` sends tenant photos along with the prompt
+function createOpenAIProvider({ name, baseURL, apiKey, defaultModel, jsonMode = true, vision = true }) {
+  let client;
+
+  async function generate(context, history, message, { model } = {}) {
+    client = client || new OpenAI({ apiKey, baseURL });
+
+    const prompt = buildPrompt(context, history, message);
+    const imageParts = vision ? await toImageParts(context.media || []) : [];
+
+    const completion = await client.chat.completions.create({
+      model: model || defaultModel,
+      messages: [
+        { role: 'system', content: buildSystemMessage(context.language) },
+        { role: 'user', content: imageParts.length ? [{ type: 'text', text: prompt }, ...imageParts] : prompt }
+      ],
+      ...(jsonMode ? { response_format: { type: 'json_object' } } : {}),
+      temperature: 0.7
+    });
+
+    return parseReply(completion.choices[0].message.content);
+  }
+
+  async function suggest(context, history, { model, tone, count = 3 } = {}) {
+    client = client || new OpenAI({ apiKey, baseURL });
+
+    const completion = await client.chat.completions.create({
+      model: model || defaultModel,
+      messages: [{ role: 'user', content: buildSuggestionPrompt(context, history, { tone, count }) }],
+      ...(jsonMode ? { response_format: { type: 'json_object' } } : {}),
+      temperature: 0.9
+    });
+
+    return parseSuggestions(completion.choices[0].message.content, count);
+  }
+
+  async function summarize(input, { model } = {}) {
+    client = client || new OpenAI({ apiKey, baseURL });
+
+    const completion = await client.chat.completions.create({
+      model: model || defaultModel,
+      messages: [{ role: 'user', content: buildSummaryPrompt(input) }],
+      ...(jsonMode ? { response_format: { type: 'json_object' } } : {}),
+      temperature: 0.3
+    });
+
+    return parseSummary(completion.choices[0].message.content);
+  }
+
+  return { name, generate, suggest, summarize };
+}
+
+module.exports = { createOpenAIProvider, parseReply, parseSuggestions, parseSummary };
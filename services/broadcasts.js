@@ -0,0 +1,200 @@
+// Broadcasts: one announcement (water shutoff, fumigation...) to many tenants,
+// rendered per tenant in their language and tracked per recipient
+const { getTenantLanguage } = require('./language');
+const { getLocale } = require('../locales');
+const { isInSessionWindow, sendTenantMessage } = require('./messaging');
+const { STATUS_RANK, FAILED_STATUSES } = require('./delivery');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'broadcasts' });
+
+const BROADCAST_AUDIENCES = ['all', 'property', 'selected'];
+
+// {variable} placeholders, with Spanish and English names
+const TEMPLATE_VARIABLES = {
+  nombre: ({ tenant }) => tenant.name,
+  name: ({ tenant }) => tenant.name,
+  direccion: ({ property }) => property?.address,
+  address: ({ property }) => property?.address,
+  renta: ({ property }) => property?.monthly_rent ? `$${Number(property.monthly_rent).toLocaleString('es-MX')} MXN` : null,
+  rent: ({ property }) => property?.monthly_rent ? `$${Number(property.monthly_rent).toLocaleString('es-MX')} MXN` : null,
+  dia_pago: ({ property }) => property?.rent_due_day,
+  due_day: ({ property }) => property?.rent_due_day
+};
+
+// Approved WhatsApp template for announcements outside the 24-hour window: BROADCAST_TEMPLATE_SID_ES,
+// _EN, _PT, _FR..., else the one for the language the announcement itself is written in.
+// It should read like "Hola {{1}}, aviso sobre {{2}}: {{3}}" (name, address, announcement).
+function broadcastTemplateSid(language, variantLanguage) {
+  return process.env[`BROADCAST_TEMPLATE_SID_${language.toUpperCase()}`] ||
+    process.env[`BROADCAST_TEMPLATE_SID_${variantLanguage.toUpperCase()}`] || null;
+}
+
+// Fill {nombre}, {direccion}... for one tenant; unknown or empty variables are left as typed
+function renderBroadcast(text, tenant, property) {
+  return (text || '').replace(/\{(\w+)\}/g, (match, key) => {
+    const value = TEMPLATE_VARIABLES[key.toLowerCase()]?.({ tenant, property });
+    return value === null || value === undefined || value === '' ? match : String(value);
+  });
+}
+
+// Landlords write announcements in Spanish and English: the variant for the tenant's language
+// (its base one for Portuguese and French), or the other one if only one was written
+function pickVariant(broadcast, language) {
+  const preferred = getLocale(language).base;
+  const other = preferred === 'es' ? 'en' : 'es';
+  const variant = broadcast[`body_${preferred}`] ? preferred : other;
+  return { language: variant, text: broadcast[`body_${variant}`] };
+}
+
+// The landlord's current tenants the broadcast goes to
+async function findAudience(supabase, landlordId, { audience, propertyId, tenantIds = [] }) {
+  const { data: tenants } = await supabase
+    .from('tenants')
+    .select('*, properties!inner (*)')
+    .eq('properties.landlord_id', landlordId)
+    .is('archived_at', null)
+    .order('name', { ascending: true });
+
+  return (tenants || []).filter(tenant => {
+    if (audience === 'property') return tenant.property_id === propertyId;
+    if (audience === 'selected') return tenantIds.includes(tenant.id);
+    return true;
+  });
+}
+
+// Template variables can't carry line breaks or long runs of spaces
+function templateValue(text) {
+  return String(text || '').replace(/\s*\n\s*/g, ' ').replace(/ {4,}/g, '   ').trim();
+}
+
+async function updateRecipient(supabase, id, fields) {
+  await supabase
+    .from('broadcast_recipients')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', id);
+}
+
+// Send to one tenant: free text inside the session window, the approved template outside it
+async function sendToRecipient(supabase, twilioClient, broadcast, recipient, tenant, language) {
+  const inWindow = await isInSessionWindow(supabase, tenant.id);
+  const templateSid = inWindow ? null : broadcastTemplateSid(language, recipient.language);
+
+  if (!inWindow && !templateSid) {
+    await updateRecipient(supabase, recipient.id, {
+      status: 'skipped',
+      error: 'Outside the 24-hour window and no approved template configured'
+    });
+    return 'skipped';
+  }
+
+  const send = templateSid
+    ? {
+      contentSid: templateSid,
+      contentVariables: JSON.stringify({
+        1: templateValue(tenant.name),
+        2: templateValue(tenant.properties?.address),
+        3: templateValue(recipient.body)
+      })
+    }
+    : {};
+
+  try {
+    const sent = await sendTenantMessage(supabase, twilioClient, tenant, recipient.body, {
+      category: getLocale(language).categories.notice,
+      broadcast_id: broadcast.id
+    }, send);
+    await updateRecipient(supabase, recipient.id, {
+      channel: templateSid ? 'template' : 'session',
+      message_sid: sent.sid,
+      status: sent.status || 'queued'
+    });
+    return 'sent';
+  } catch (e) {
+    await updateRecipient(supabase, recipient.id, { status: 'failed', error: e.message });
+    return 'failed';
+  }
+}
+
+// Render, record and send the broadcast to every tenant. Returns counts per outcome.
+async function sendBroadcast(supabase, twilioClient, broadcast, tenants) {
+  const counts = { sent: 0, skipped: 0, failed: 0 };
+
+  for (const tenant of tenants) {
+    const language = await getTenantLanguage(supabase, tenant.id);
+    const variant = pickVariant(broadcast, language);
+
+    const { data: recipient, error } = await supabase
+      .from('broadcast_recipients')
+      .insert({
+        broadcast_id: broadcast.id,
+        tenant_id: tenant.id,
+        language: variant.language,
+        body: renderBroadcast(variant.text, tenant, tenant.properties)
+      })
+      .select()
+      .single();
+
+    if (error) {
+      log.error('Broadcast sent but not recorded', { broadcastId: broadcast.id, tenantId: tenant.id, error });
+      counts.failed++;
+      continue;
+    }
+
+    counts[await sendToRecipient(supabase, twilioClient, broadcast, recipient, tenant, language)]++;
+  }
+
+  await supabase
+    .from('broadcasts')
+    .update({ status: 'sent', sent_at: new Date().toISOString(), recipient_count: tenants.length })
+    .eq('id', broadcast.id);
+
+  log.info('Broadcast sent', { broadcastId: broadcast.id, ...counts });
+  return counts;
+}
+
+// Twilio status callback: move the recipient forward (callbacks can arrive out of order)
+async function recordBroadcastStatus(supabase, { MessageSid, MessageStatus, ErrorCode }) {
+  if (!MessageSid || !MessageStatus) return false;
+
+  const { data: recipient } = await supabase
+    .from('broadcast_recipients')
+    .select('id, status')
+    .eq('message_sid', MessageSid)
+    .maybeSingle();
+
+  if (!recipient || FAILED_STATUSES.includes(recipient.status)) return false;
+
+  const failed = FAILED_STATUSES.includes(MessageStatus);
+  if (!failed && (STATUS_RANK[MessageStatus] ?? -1) <= (STATUS_RANK[recipient.status] ?? -1)) return false;
+
+  await updateRecipient(supabase, recipient.id, {
+    status: MessageStatus,
+    error: failed ? `Twilio error ${ErrorCode || 'unknown'}` : null
+  });
+  return true;
+}
+
+// Recipient counts for the dashboard: { total, delivered, read, failed, skipped, pending }
+function summarizeRecipients(recipients = []) {
+  const summary = { total: recipients.length, delivered: 0, read: 0, failed: 0, skipped: 0, pending: 0 };
+  recipients.forEach(({ status }) => {
+    if (status === 'read') summary.read++;
+    else if (status === 'delivered') summary.delivered++;
+    else if (FAILED_STATUSES.includes(status)) summary.failed++;
+    else if (status === 'skipped') summary.skipped++;
+    else summary.pending++;
+  });
+  return summary;
+}
+
+module.exports = {
+  BROADCAST_AUDIENCES,
+  TEMPLATE_VARIABLES,
+  renderBroadcast,
+  pickVariant,
+  findAudience,
+  sendBroadcast,
+  recordBroadcastStatus,
+  summarizeRecipients
+};
@@ -0,0 +1,141 @@
+// Tenant self-service commands over WhatsApp: a menu ("ayuda" / "help") and one-word commands
+// answered straight from the records, before and without the AI. Recognized in every locale's
+// words (`commands` in locales/*.js), typed ("saldo", "Balance.", "/estado") or tapped on the
+// interactive menu or buttons (Twilio sends the item id as ListId / ButtonPayload).
+//
+// Interactive messages are Twilio Content templates, created once per language in the Twilio console:
+//   COMMAND_MENU_CONTENT_SID_ES / _EN / _PT / _FR     twilio/list-picker with one item per command,
+//                                                     the command name as its id (balance, receipt...)
+//   COMMAND_BUTTONS_CONTENT_SID_ES / _EN / _PT / _FR  twilio/quick-reply with body "{{1}}" (the reply) and
+//                                                     buttons with command ids, e.g. help, balance, status
+// Without them the menu and the replies go out as plain text.
+const { normalizeText } = require('./language');
+const { SUPPORTED_LANGUAGES, getLocale } = require('../locales');
+const { formatPeriod, describeBalance } = require('./payments');
+const { buildStatusMessage } = require('./tickets');
+
+const COMMAND_NAMES = ['balance', 'receipt', 'report', 'status', 'contact', 'help'];
+
+// Command name → words that call it, per language (accents and case don't matter)
+const COMMANDS = Object.fromEntries(COMMAND_NAMES.map(name => [
+  name,
+  Object.fromEntries(SUPPORTED_LANGUAGES.map(code => [code, getLocale(code).commands.words[name].map(normalizeText)]))
+]));
+
+// Only "reportar" takes text after it (the problem); the rest are the whole message
+const TAKES_TEXT = ['report'];
+
+function contentSid(kind, language) {
+  return process.env[`COMMAND_${kind}_CONTENT_SID_${language.toUpperCase()}`] || null;
+}
+
+// { name, text } for a command message, or null. `params` are the webhook's form fields.
+function parseCommand(params) {
+  const tapped = params.ListId || params.ButtonPayload;
+  if (tapped && COMMANDS[tapped]) return { name: tapped, text: '' };
+
+  const words = normalizeText(params.Body).trim().replace(/^[/#]/, '').split(/\s+/);
+  const keyword = (words[0] || '').replace(/[.!?¿¡,:;]+$/g, '').replace(/^[¿¡]+/, '');
+  const text = words.slice(1).join(' ').trim();
+
+  const name = Object.keys(COMMANDS).find(key => Object.values(COMMANDS[key]).some(list => list.includes(keyword)));
+  if (!name || (text && !TAKES_TEXT.includes(name))) return null;
+
+  // The description as the tenant typed it, accents included
+  return { name, text: text ? String(params.Body).trim().split(/\s+/).slice(1).join(' ') : '' };
+}
+
+function buildMenu(language) {
+  const { menu } = getLocale(language).commands;
+  return [menu.intro, ...COMMAND_NAMES.map(name => `• ${menu.items[name]}`), menu.outro].join('\n');
+}
+
+function describeReceipt(payment, language) {
+  const locale = getLocale(language);
+  if (!payment) return locale.commands.noReceipt;
+
+  const date = payment.paid_at
+    ? new Date(payment.paid_at).toLocaleDateString(locale.dateLocale, { day: 'numeric', month: 'long', year: 'numeric', timeZone: process.env.TIMEZONE || 'America/Mexico_City' })
+    : null;
+  return locale.commands.receipt({
+    month: formatPeriod(payment.period, language),
+    amount: `$${Number(payment.amount_paid || payment.amount_due || 0).toLocaleString('es-MX')} MXN`,
+    date
+  });
+}
+
+function describeContact(tenant, settings, language) {
+  const { commands } = getLocale(language);
+  const property = tenant.properties || {};
+  const name = property.landlord_name || settings.name;
+  const phone = property.landlord_phone || settings.phone;
+  const email = settings.email;
+
+  if (!phone && !email) return commands.noContact;
+
+  const lines = [
+    commands.landlord(name),
+    phone && `📞 ${phone.replace(/^whatsapp:/, '')}`,
+    email && `✉️ ${email}`
+  ];
+  return lines.filter(Boolean).join('\n');
+}
+
+// The reply to a command. `context`: { tenant (with properties), settings, balance, openTicket,
+// lastPayment, language }. Returns { message, category, needsAttention, ticket, send }:
+// `ticket` (details for trackTicket) opens a maintenance request, `send` the interactive version.
+function answerCommand(command, { tenant, settings, balance, openTicket, lastPayment, language }) {
+  const locale = getLocale(language);
+  const { commands } = locale;
+  const reply = { category: locale.categories.inquiry, needsAttention: false, ticket: null };
+
+  switch (command.name) {
+    case 'balance':
+      reply.category = locale.categories.payment;
+      reply.message = balance.open.length === 0
+        ? commands.caughtUp
+        : commands.balance(describeBalance(balance, language));
+      break;
+
+    case 'receipt':
+      reply.category = locale.categories.payment;
+      reply.message = describeReceipt(lastPayment, language);
+      break;
+
+    case 'report':
+      if (!command.text) {
+        reply.message = commands.reportHowTo;
+        break;
+      }
+      reply.category = locale.categories.maintenance;
+      reply.needsAttention = true;
+      reply.ticket = { description: command.text };
+      reply.message = commands.reported(command.text);
+      break;
+
+    case 'status':
+      reply.message = openTicket ? buildStatusMessage(openTicket, tenant, language) : commands.noOpenRequest;
+      break;
+
+    case 'contact':
+      reply.message = describeContact(tenant, settings, language);
+      reply.needsAttention = !(tenant.properties?.landlord_phone || settings.phone || settings.email);
+      break;
+
+    default: {
+      reply.message = buildMenu(language);
+      const menuSid = contentSid('MENU', language);
+      return { ...reply, send: menuSid ? { contentSid: menuSid } : {} };
+    }
+  }
+
+  // The quick-reply body goes in a template variable, which can't hold line breaks
+  const buttonsSid = contentSid('BUTTONS', language);
+  const variables = { 1: reply.message.replace(/\s*\n\s*/g, ' · ') };
+  return {
+    ...reply,
+    send: buttonsSid ? { contentSid: buttonsSid, contentVariables: JSON.stringify(variables) } : {}
+  };
+}
+
+module.exports = { COMMANDS, parseCommand, buildMenu, answerCommand };
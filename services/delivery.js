@@ -0,0 +1,202 @@
+// Delivery tracking for messages sent to tenants: Twilio status callbacks move each
+// message forward, transient failures are retried with backoff, and a number that
+// keeps failing is flagged to the landlord
+const cron = require('node-cron');
+const { deliverToTenant } = require('./messaging');
+const { isActiveTenant } = require('./tenants');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'delivery' });
+
+// Delivery states in the order Twilio moves through them; failures are final (per SID)
+const STATUS_RANK = { pending: 0, queued: 1, accepted: 1, sending: 2, sent: 2, delivered: 3, read: 4 };
+const FAILED_STATUSES = ['failed', 'undelivered'];
+const DELIVERED_STATUSES = ['delivered', 'read'];
+
+// Twilio errors worth another try: queue overflow, handset unreachable, unknown error, missing segment.
+// Others (blocked, landline, outside the 24-hour window...) won't fix themselves.
+const RETRYABLE_ERRORS = ['30001', '30003', '30008', '30009'];
+const RETRY_DELAYS_MINUTES = [5, 30]; // after the 1st and 2nd failed attempt
+const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+
+// Configuration (all optional, see defaults)
+const ALERT_AFTER_FAILURES = parseInt(process.env.DELIVERY_FAILURE_ALERT_AFTER || '3');
+const RETRY_SCHEDULE = process.env.DELIVERY_RETRY_CRON || '*/5 * * * *';
+const TIMEZONE = process.env.TIMEZONE || 'America/Mexico_City';
+
+// Start the job that resends messages whose retry is due
+function initDeliveryRetries(supabase, twilioClient) {
+  if (process.env.DELIVERY_RETRIES_ENABLED === 'false') {
+    log.info('Delivery retries disabled');
+    return;
+  }
+
+  cron.schedule(RETRY_SCHEDULE, () => {
+    retryDueMessages(supabase, twilioClient).catch(error => log.error('Delivery retries error', { error }));
+  }, { timezone: TIMEZONE, name: 'delivery-retries', noOverlap: true });
+
+  log.info('Delivery retries scheduled', { schedule: RETRY_SCHEDULE });
+}
+
+function isFailedStatus(status) {
+  return FAILED_STATUSES.includes(status);
+}
+
+function isRetryable(errorCode) {
+  return RETRYABLE_ERRORS.includes(String(errorCode || ''));
+}
+
+// Find the message a callback is about: by SID, or by row id for TwiML auto-replies
+// (their SID isn't known until Twilio reports it)
+async function findTrackedMessage(supabase, MessageSid, replyTo) {
+  const query = supabase
+    .from('messages')
+    .select('*, tenants (*, properties (*))');
+
+  const { data: message } = replyTo
+    ? await query.eq('id', replyTo).eq('direction', 'incoming').maybeSingle()
+    : await query.eq('twilio_sid', MessageSid).maybeSingle();
+
+  // A callback for an earlier attempt of a message that has been resent since
+  if (message?.twilio_sid && message.twilio_sid !== MessageSid) return null;
+  return message;
+}
+
+// Twilio status callback: move the message forward (callbacks can arrive out of order)
+// and schedule a retry for transient failures. Returns the updated message, or null.
+async function recordDeliveryStatus(supabase, { MessageSid, MessageStatus, ErrorCode }, { replyTo } = {}) {
+  if (!MessageSid || !MessageStatus) return null;
+
+  const message = await findTrackedMessage(supabase, MessageSid, replyTo);
+  if (!message || isFailedStatus(message.delivery_status)) return null;
+
+  const failed = isFailedStatus(MessageStatus);
+  if (!failed && (STATUS_RANK[MessageStatus] ?? -1) <= (STATUS_RANK[message.delivery_status] ?? -1)) return null;
+
+  const now = new Date();
+  const attempts = message.delivery_attempts || 1;
+  const retry = failed && isRetryable(ErrorCode) && attempts < MAX_ATTEMPTS;
+
+  const fields = {
+    twilio_sid: MessageSid,
+    delivery_status: MessageStatus,
+    delivery_error: failed ? `Twilio error ${ErrorCode || 'unknown'}` : null,
+    delivery_attempts: attempts,
+    delivery_retry_at: retry ? new Date(now.getTime() + RETRY_DELAYS_MINUTES[attempts - 1] * 60 * 1000).toISOString() : null,
+    delivery_updated_at: now.toISOString()
+  };
+
+  await supabase
+    .from('messages')
+    .update(fields)
+    .eq('id', message.id);
+
+  return { ...message, ...fields };
+}
+
+// Send a failed message again (the AI's auto-reply on incoming rows) and track the new SID
+async function retryDelivery(supabase, twilioClient, message) {
+  const body = message.direction === 'incoming' ? message.ai_response : message.message_body;
+  const sent = await deliverToTenant(twilioClient, message.tenants, body, message.send_params || {});
+
+  const fields = {
+    twilio_sid: sent.sid,
+    delivery_status: sent.status || 'queued',
+    delivery_error: null,
+    delivery_attempts: (message.delivery_attempts || 1) + 1,
+    delivery_retry_at: null,
+    delivery_updated_at: new Date().toISOString()
+  };
+
+  await supabase
+    .from('messages')
+    .update(fields)
+    .eq('id', message.id);
+
+  // Broadcast recipients follow the message's new SID
+  if (message.broadcast_id && message.twilio_sid) {
+    await supabase
+      .from('broadcast_recipients')
+      .update({ message_sid: sent.sid, status: fields.delivery_status, error: null, updated_at: fields.delivery_updated_at })
+      .eq('message_sid', message.twilio_sid);
+  }
+
+  return { ...message, ...fields };
+}
+
+// Resend every message whose retry is due; returns how many went out
+async function retryDueMessages(supabase, twilioClient, now = new Date()) {
+  const { data: due } = await supabase
+    .from('messages')
+    .select('*, tenants (*, properties (*))')
+    .lte('delivery_retry_at', now.toISOString());
+
+  let retried = 0;
+  for (const message of due || []) {
+    // Their number may belong to someone else by now
+    if (!isActiveTenant(message.tenants)) {
+      await supabase.from('messages').update({ delivery_retry_at: null }).eq('id', message.id);
+      continue;
+    }
+
+    try {
+      await retryDelivery(supabase, twilioClient, message);
+      retried++;
+    } catch (e) {
+      await supabase
+        .from('messages')
+        .update({ delivery_retry_at: null, delivery_error: e.message })
+        .eq('id', message.id);
+      log.error('Message resend failed', { messageId: message.id, error: e });
+    }
+  }
+
+  if (retried > 0) log.info('Messages resent', { retried });
+  return retried;
+}
+
+// After a callback: has this tenant's number now failed ALERT_AFTER_FAILURES times in a row?
+// Returns the tenant the first time (the landlord is told once), and clears the flag
+// once something gets through again.
+async function checkFailingNumber(supabase, message) {
+  const tenant = message.tenants;
+  if (!tenant) return null;
+
+  if (DELIVERED_STATUSES.includes(message.delivery_status)) {
+    if (tenant.delivery_alerted_at) {
+      await supabase.from('tenants').update({ delivery_alerted_at: null }).eq('id', tenant.id);
+    }
+    return null;
+  }
+
+  if (!isFailedStatus(message.delivery_status) || message.delivery_retry_at || tenant.delivery_alerted_at) return null;
+
+  const { data: recent } = await supabase
+    .from('messages')
+    .select('delivery_status, delivery_retry_at')
+    .eq('tenant_id', tenant.id)
+    .not('delivery_status', 'is', null)
+    .order('created_at', { ascending: false })
+    .limit(ALERT_AFTER_FAILURES);
+
+  const failures = (recent || []).filter(m => isFailedStatus(m.delivery_status) && !m.delivery_retry_at);
+  if (failures.length < ALERT_AFTER_FAILURES) return null;
+
+  await supabase
+    .from('tenants')
+    .update({ delivery_alerted_at: new Date().toISOString() })
+    .eq('id', tenant.id);
+  return tenant;
+}
+
+module.exports = {
+  STATUS_RANK,
+  FAILED_STATUSES,
+  ALERT_AFTER_FAILURES,
+  initDeliveryRetries,
+  isFailedStatus,
+  recordDeliveryStatus,
+  retryDelivery,
+  retryDueMessages,
+  checkFailingNumber
+};
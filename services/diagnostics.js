@@ -0,0 +1,75 @@
+// What happened in each webhook run, for the admin diagnostics page: how long each stage took,
+// how the sender's number was written and what it matched, what the AI did (or why it fell back)
+// and whether the database writes went through. Stored on the job (webhook_jobs.trace) with ids,
+// formats and statuses only: no numbers, names or message text.
+const { redactText } = require('./redact');
+
+const RECENT_RUNS_LIMIT = 50;
+
+// `job`: the claimed webhook_jobs row. Call `stage(name)` as each stage ends, `finish` at the end.
+function createTrace(job, now = new Date()) {
+  const started = Date.now();
+  let mark = started;
+
+  const data = {
+    attempt: job.attempts || 1,
+    startedAt: now.toISOString(),
+    queuedMs: job.created_at ? Math.max(0, now.getTime() - Date.parse(job.created_at)) : null,
+    stages: [],
+    phone: null,
+    ai: null,
+    writes: [],
+    outcome: null
+  };
+
+  return {
+    data,
+
+    stage(name) {
+      const at = Date.now();
+      data.stages.push({ name, ms: at - mark });
+      mark = at;
+    },
+
+    set(key, value) {
+      data[key] = value;
+    },
+
+    // A database write: `error` is the Supabase error or exception, if it failed
+    write(name, error = null) {
+      data.writes.push(error
+        ? { name, status: 'error', error: redactText(error.message || String(error)) }
+        : { name, status: 'ok' });
+    },
+
+    finish(outcome, error = null) {
+      data.outcome = outcome;
+      if (error) data.error = redactText(error.message || String(error));
+      data.totalMs = Date.now() - started;
+      return data;
+    }
+  };
+}
+
+async function saveTrace(supabase, jobId, trace) {
+  const { error } = await supabase.from('webhook_jobs').update({ trace: trace.data }).eq('id', jobId);
+  if (error) throw new Error(error.message);
+}
+
+// Latest webhook runs, newest first; `status` narrows to pending / processing / done / failed,
+// `requestId` to the run of one request (the id on its log lines)
+async function getRecentRuns(supabase, { status = null, requestId = null, limit = RECENT_RUNS_LIMIT } = {}) {
+  let query = supabase
+    .from('webhook_jobs')
+    .select('id, kind, request_id, message_sid, phone, status, attempts, last_error, message_id, trace, created_at, finished_at')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (status) query = query.eq('status', status);
+  if (requestId) query = query.eq('request_id', requestId);
+
+  const { data, error } = await query;
+  if (error) throw new Error(error.message);
+  return data || [];
+}
+
+module.exports = { RECENT_RUNS_LIMIT, createTrace, saveTrace, getRecentRuns };
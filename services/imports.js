@@ -0,0 +1,176 @@
+// Bulk import of properties and tenants from a spreadsheet: map columns to fields,
+// validate every row, and only then insert them all at once
+const { normalizePhone } = require('./phone');
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Fields per import, with the column headers each one is recognized by (compared without accents or case)
+const IMPORT_FIELDS = {
+  properties: [
+    { key: 'address', label: 'Dirección', required: true, aliases: ['direccion', 'address', 'domicilio', 'propiedad', 'property', 'unidad', 'unit'] },
+    { key: 'monthly_rent', label: 'Renta mensual', required: true, aliases: ['renta', 'renta mensual', 'rent', 'monthly rent', 'monto'] },
+    { key: 'rent_due_day', label: 'Día de pago', required: true, aliases: ['dia de pago', 'dia', 'vence', 'due day', 'rent due day'] },
+    { key: 'special_instructions', label: 'Instrucciones', aliases: ['instrucciones', 'notas', 'notes', 'instructions', 'special instructions'] }
+  ],
+  tenants: [
+    { key: 'name', label: 'Nombre', required: true, aliases: ['nombre', 'inquilino', 'name', 'tenant'] },
+    { key: 'phone', label: 'WhatsApp', required: true, aliases: ['whatsapp', 'telefono', 'celular', 'movil', 'phone', 'mobile'] },
+    { key: 'property', label: 'Propiedad (dirección)', required: true, aliases: ['propiedad', 'direccion', 'unidad', 'depto', 'property', 'address', 'unit'] },
+    { key: 'move_in_date', label: 'Fecha de entrada', aliases: ['fecha de entrada', 'entrada', 'move in', 'move in date'] }
+  ]
+};
+
+// "Dirección_ " → "direccion"
+function normalizeKey(text) {
+  return String(text || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[_-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Addresses match regardless of accents, case, punctuation and spacing
+function normalizeAddress(text) {
+  return normalizeKey(text).replace(/[.,#]/g, '').replace(/\s+/g, ' ');
+}
+
+// Guess which column holds each field: { field: columnIndex | null }
+function suggestMapping(kind, headers) {
+  const used = new Set();
+  const mapping = {};
+  IMPORT_FIELDS[kind].forEach(field => {
+    const names = [normalizeKey(field.key), ...field.aliases];
+    const index = headers.findIndex((header, i) => !used.has(i) && names.includes(normalizeKey(header)));
+    mapping[field.key] = index >= 0 ? index : null;
+    if (index >= 0) used.add(index);
+  });
+  return mapping;
+}
+
+// "$15,000.00 MXN" → 15000
+function parseAmount(text) {
+  const value = parseFloat(String(text || '').replace(/[$\s]|mxn/gi, '').replace(/,/g, ''));
+  return isFinite(value) && value >= 0 ? value : null;
+}
+
+// YYYY-MM-DD, DD/MM/YYYY (as written in Mexico) or an Excel date serial → YYYY-MM-DD
+function parseDate(text) {
+  const value = String(text || '').trim();
+  let date = null;
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date = new Date(value);
+  } else if (/^\d{1,2}\/\d{1,2}\/\d{4}$/.test(value)) {
+    const [day, month, year] = value.split('/').map(Number);
+    date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1) date = null;
+  } else if (/^\d{5}(\.\d+)?$/.test(value)) {
+    date = new Date(Date.UTC(1899, 11, 30) + Math.floor(Number(value)) * 24 * 60 * 60 * 1000);
+  }
+
+  return date && !isNaN(date) ? date.toISOString().slice(0, 10) : null;
+}
+
+// Column indexes as posted by the page ("2", "" for none) → { field: index | null }
+function readMapping(kind, raw = {}) {
+  return Object.fromEntries(IMPORT_FIELDS[kind].map(field => {
+    const index = parseInt(raw[field.key]);
+    return [field.key, index >= 0 ? index : null];
+  }));
+}
+
+function cell(row, mapping, key) {
+  return mapping[key] === null ? '' : String(row[mapping[key]] ?? '').trim();
+}
+
+// The numbers a tenant file would add, normalized, to check against current tenants in one query
+function importedPhones(rows, rawMapping, country) {
+  const mapping = readMapping('tenants', rawMapping);
+  return [...new Set(rows.map(row => normalizePhone(cell(row, mapping, 'phone'), country)).filter(Boolean))];
+}
+
+function validateProperty(values, context, seen) {
+  const errors = [];
+  const record = {};
+
+  record.address = values.address;
+  const addressKey = normalizeAddress(values.address);
+  if (!values.address) errors.push('Falta la dirección');
+  else if (context.addresses.has(addressKey)) errors.push('Ya tienes una propiedad con esta dirección');
+  else if (seen.has(addressKey)) errors.push(`Dirección repetida (fila ${seen.get(addressKey)})`);
+
+  record.monthly_rent = parseAmount(values.monthly_rent);
+  if (record.monthly_rent === null) errors.push(`Renta inválida: "${values.monthly_rent}"`);
+
+  record.rent_due_day = parseInt(values.rent_due_day);
+  if (!(record.rent_due_day >= 1 && record.rent_due_day <= 31)) errors.push(`Día de pago inválido: "${values.rent_due_day}"`);
+
+  record.special_instructions = values.special_instructions || null;
+  return { record, errors, key: addressKey };
+}
+
+function validateTenant(values, context, seen) {
+  const errors = [];
+  const record = { name: values.name };
+  if (!values.name) errors.push('Falta el nombre');
+
+  record.phone = normalizePhone(values.phone, context.country);
+  if (!record.phone) errors.push(`Teléfono inválido: "${values.phone}"`);
+  else if (context.phones.has(record.phone)) errors.push(`Otro inquilino ya usa ${record.phone}`);
+  else if (seen.has(record.phone)) errors.push(`Teléfono repetido (fila ${seen.get(record.phone)})`);
+
+  const property = context.propertiesByAddress.get(normalizeAddress(values.property));
+  record.property_id = property?.id || null;
+  if (!property) errors.push(values.property ? `Propiedad desconocida: "${values.property}"` : 'Falta la propiedad');
+
+  record.move_in_date = null;
+  if (values.move_in_date) {
+    record.move_in_date = parseDate(values.move_in_date);
+    if (!record.move_in_date) errors.push(`Fecha inválida: "${values.move_in_date}"`);
+  }
+
+  return { record, errors, key: record.phone };
+}
+
+// Check every row before anything is saved.
+// `context`: { addresses } for properties, { phones, propertiesByAddress, country } for tenants.
+// Returns { errors (about the mapping), rows: [{ line, values, record, errors }], valid, invalid }.
+function validateImport(kind, rows, rawMapping, context) {
+  const fields = IMPORT_FIELDS[kind];
+  const mapping = readMapping(kind, rawMapping);
+  const errors = fields
+    .filter(field => field.required && mapping[field.key] === null)
+    .map(field => `Elige la columna de "${field.label}"`);
+
+  const seen = new Map();
+  const checked = rows.map((row, i) => {
+    const line = i + 2; // row 1 is the header
+    const values = Object.fromEntries(fields.map(field => [field.key, cell(row, mapping, field.key)]));
+    const result = kind === 'properties' ? validateProperty(values, context, seen) : validateTenant(values, context, seen);
+    if (result.key && !seen.has(result.key)) seen.set(result.key, line);
+    return { line, values, record: result.record, errors: result.errors };
+  });
+
+  if (rows.length === 0) errors.push('El archivo no tiene filas');
+  if (rows.length > MAX_IMPORT_ROWS) errors.push(`Máximo ${MAX_IMPORT_ROWS} filas por archivo`);
+
+  const invalid = checked.filter(row => row.errors.length > 0).length;
+  return { errors, rows: checked, valid: checked.length - invalid, invalid };
+}
+
+function isImportable(result) {
+  return result.errors.length === 0 && result.invalid === 0;
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  IMPORT_FIELDS,
+  normalizeAddress,
+  suggestMapping,
+  parseAmount,
+  parseDate,
+  importedPhones,
+  validateImport,
+  isImportable
+};
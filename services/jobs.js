@@ -0,0 +1,182 @@
+// Background queue for incoming webhooks: the HTTP request only stores the job (once per
+// MessageSid, so Twilio's retries don't process a message twice) and returns, and a worker
+// runs it. Jobs live in `webhook_jobs`, so a restart loses nothing. Failed jobs are retried
+// with backoff, then marked failed for the landlord to see in the dashboard.
+const cron = require('node-cron');
+const { redactText } = require('./redact');
+const { logger, withLogContext } = require('./logger');
+
+const log = logger.child({ module: 'jobs' });
+
+const RETRY_DELAYS_SECONDS = [30, 120, 600, 1800]; // after the 1st, 2nd, 3rd and 4th failed attempt
+const MAX_ATTEMPTS = RETRY_DELAYS_SECONDS.length + 1;
+const STALE_AFTER_MS = 10 * 60 * 1000; // still 'processing' after this long: the server stopped mid-job
+
+// Configuration (all optional, see defaults)
+const POLL_SCHEDULE = process.env.JOB_RETRY_CRON || '*/15 * * * * *'; // retries and jobs left by a restart
+const TIMEZONE = process.env.TIMEZONE || 'America/Mexico_City';
+
+// Delay before attempt `attempts + 1`
+function retryDelayMs(attempts) {
+  return RETRY_DELAYS_SECONDS[Math.min(attempts, RETRY_DELAYS_SECONDS.length) - 1] * 1000;
+}
+
+// `handlers`: { [kind]: { run(job), failed?(job, error) } }. `run` throws to retry;
+// `failed` is called once the last attempt has failed.
+// Jobs run one at a time, oldest first, so a tenant's messages are answered in order.
+// Returns { enqueue, runDueJobs, retryJob, drain }.
+function initJobQueue(supabase, handlers) {
+  let running = null;
+  let again = false;
+
+  async function claim(job, now) {
+    const { data } = await supabase
+      .from('webhook_jobs')
+      .update({ status: 'processing', attempts: (job.attempts || 0) + 1, locked_at: now.toISOString(), updated_at: now.toISOString() })
+      .eq('id', job.id)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+    return data; // null: another worker got there first
+  }
+
+  async function finish(job, fields) {
+    await supabase
+      .from('webhook_jobs')
+      .update({ ...fields, locked_at: null, updated_at: new Date().toISOString() })
+      .eq('id', job.id);
+  }
+
+  // Retries are scheduled from `now`, so a catch-up run doesn't retry the same job straight away.
+  // Everything logged during the run carries the id of the request that queued the job.
+  function runJob(job, now) {
+    return withLogContext({ requestId: job.request_id || null, jobId: job.id }, async () => {
+      const handler = handlers[job.kind];
+      log.info('Job started', { kind: job.kind, attempt: job.attempts });
+
+      try {
+        if (!handler) throw new Error(`No handler for ${job.kind} jobs`);
+        await handler.run(job);
+        await finish(job, { status: 'done', last_error: null, finished_at: new Date().toISOString() });
+        log.info('Job done', { attempt: job.attempts });
+        return true;
+      } catch (e) {
+        const error = redactText(e.message);
+        if (job.attempts < MAX_ATTEMPTS) {
+          const runAt = new Date(now.getTime() + retryDelayMs(job.attempts)).toISOString();
+          await finish(job, { status: 'pending', last_error: error, run_at: runAt });
+          log.warn('Job failed, will retry', { attempt: job.attempts, runAt, error: e });
+        } else {
+          await finish(job, { status: 'failed', last_error: error, finished_at: new Date().toISOString() });
+          log.error('Job failed for good', { attempt: job.attempts, error: e });
+          if (handler?.failed) {
+            await handler.failed(job, e).catch(err => log.error('Job failure handler failed', { error: err }));
+          }
+        }
+        return false;
+      }
+    });
+  }
+
+  // Run every due job, oldest first; returns how many succeeded
+  async function work(at) {
+    let done = 0;
+    for (;;) {
+      const now = at || new Date();
+      const { data: next } = await supabase
+        .from('webhook_jobs')
+        .select('*')
+        .eq('status', 'pending')
+        .lte('run_at', now.toISOString())
+        .order('created_at', { ascending: true })
+        .limit(1)
+        .maybeSingle();
+      if (!next) return done;
+
+      const job = await claim(next, now);
+      if (job && await runJob(job, now)) done++;
+    }
+  }
+
+  // Start the worker, or have it look again when it's already running
+  function kick(now) {
+    if (running) {
+      again = true;
+      return running;
+    }
+    running = (async () => {
+      let done = 0;
+      do {
+        again = false;
+        done += await work(now);
+      } while (again);
+      return done;
+    })()
+      .catch(error => {
+        log.error('Job queue error', { error });
+        return 0;
+      })
+      .finally(() => { running = null; });
+    return running;
+  }
+
+  // Store a job and start it. `key` (Twilio's MessageSid) makes it idempotent: a second
+  // request with the same key is ignored. `requestId` ties the run's logs to the request.
+  // Returns { job, duplicate }.
+  async function enqueue(kind, payload, { key = null, phone = null, requestId = null } = {}) {
+    const row = { kind, message_sid: key, phone, payload, request_id: requestId, status: 'pending', attempts: 0, run_at: new Date().toISOString() };
+    const query = key
+      ? supabase.from('webhook_jobs').upsert(row, { onConflict: 'message_sid', ignoreDuplicates: true })
+      : supabase.from('webhook_jobs').insert(row);
+    const { data: job, error } = await query.select().maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (!job) return { job: null, duplicate: true };
+
+    kick();
+    return { job, duplicate: false };
+  }
+
+  // Retries that are due, and jobs a restart left half-done
+  async function runDueJobs(now = new Date()) {
+    await supabase
+      .from('webhook_jobs')
+      .update({ status: 'pending', locked_at: null })
+      .eq('status', 'processing')
+      .lt('locked_at', new Date(now.getTime() - STALE_AFTER_MS).toISOString());
+
+    return kick(now);
+  }
+
+  // The landlord's "retry now": a failed or waiting job goes back to the front with fresh attempts
+  async function retryJob(jobId) {
+    const { data: job } = await supabase
+      .from('webhook_jobs')
+      .update({ status: 'pending', attempts: 0, run_at: new Date().toISOString(), finished_at: null, updated_at: new Date().toISOString() })
+      .eq('id', jobId)
+      .in('status', ['pending', 'failed'])
+      .select()
+      .maybeSingle();
+
+    if (job) kick();
+    return job;
+  }
+
+  // Resolves once the worker is idle (tests wait on this before checking replies)
+  async function drain() {
+    while (running) await running;
+  }
+
+  if (process.env.JOB_RETRIES_ENABLED === 'false') {
+    log.info('Job retries disabled');
+  } else {
+    cron.schedule(POLL_SCHEDULE, () => {
+      runDueJobs().catch(error => log.error('Job retries error', { error }));
+    }, { timezone: TIMEZONE, name: 'webhook-jobs', noOverlap: true });
+    log.info('Job retries scheduled', { schedule: POLL_SCHEDULE });
+  }
+
+  return { enqueue, runDueJobs, retryJob, drain };
+}
+
+module.exports = { MAX_ATTEMPTS, RETRY_DELAYS_SECONDS, initJobQueue };
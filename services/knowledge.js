@@ -0,0 +1,86 @@
+// Per-property knowledge base: FAQ entries the assistant can quote (Wi-Fi, trash days, parking...)
+const { normalizeText } = require('./language');
+
+// Topics with the words tenants use when asking about them (accents removed)
+const FAQ_TOPICS = {
+  wifi: { label: 'Wi-Fi e internet', keywords: ['wifi', 'wi-fi', 'internet', 'red', 'contrasena', 'clave', 'modem', 'router', 'password', 'network'] },
+  trash: { label: 'Basura y reciclaje', keywords: ['basura', 'reciclaje', 'recoleccion', 'camion', 'desechos', 'trash', 'garbage', 'recycling', 'bins', 'pickup'] },
+  parking: { label: 'Estacionamiento', keywords: ['estacionamiento', 'estacionar', 'cajon', 'coche', 'carro', 'auto', 'moto', 'bicicleta', 'parking', 'park', 'car', 'garage'] },
+  rules: { label: 'Reglas del edificio', keywords: ['regla', 'reglas', 'reglamento', 'ruido', 'mascota', 'mascotas', 'perro', 'gato', 'fiesta', 'visitas', 'fumar', 'alberca', 'gimnasio', 'rules', 'noise', 'pet', 'pets', 'dog', 'cat', 'party', 'guests', 'smoking', 'pool', 'gym'] },
+  appliances: { label: 'Electrodomésticos y manuales', keywords: ['lavadora', 'secadora', 'estufa', 'horno', 'boiler', 'calentador', 'refrigerador', 'refri', 'microondas', 'clima', 'aire', 'manual', 'washer', 'dryer', 'stove', 'oven', 'heater', 'fridge', 'microwave', 'thermostat'] },
+  emergency: { label: 'Contactos de emergencia', keywords: ['emergencia', 'fuga', 'gas', 'luz', 'electricidad', 'apagon', 'cerrajero', 'llaves', 'portero', 'administracion', 'emergency', 'leak', 'power', 'outage', 'locksmith', 'keys', 'doorman', 'concierge'] },
+  other: { label: 'Otros', keywords: [] }
+};
+
+// Common words that say nothing about the topic
+const STOP_WORDS = new Set([
+  'como', 'cual', 'cuando', 'donde', 'para', 'pero', 'porque', 'puedo', 'tengo', 'hay', 'esta', 'este', 'esto',
+  'tiene', 'quiero', 'saber', 'hola', 'gracias', 'favor', 'what', 'when', 'where', 'which', 'there', 'have',
+  'does', 'with', 'that', 'this', 'thanks', 'hello', 'please', 'know', 'about', 'the', 'and', 'del', 'las',
+  'los', 'que', 'una', 'uno', 'por', 'con', 'mis', 'sus', 'les', 'nos', 'for', 'you', 'your', 'can', 'are', 'how',
+  'buenos', 'buenas', 'dia', 'dias', 'tardes', 'noches', 'good', 'morning', 'day', 'days', 'afternoon', 'evening'
+]);
+
+const MAX_FAQS_IN_PROMPT = 5;
+
+function faqTopicLabel(topic) {
+  return (FAQ_TOPICS[topic] || FAQ_TOPICS.other).label;
+}
+
+function tokenize(text) {
+  return normalizeText(text).split(/[^a-z0-9ñ-]+/).filter(word => word.length >= 3 && !STOP_WORDS.has(word));
+}
+
+// Topics a text touches, by their keywords ("fuga" and "leak" are both 'emergency')
+function textTopics(text) {
+  const words = new Set(tokenize(text));
+  return Object.keys(FAQ_TOPICS).filter(topic => FAQ_TOPICS[topic].keywords.some(keyword => words.has(keyword)));
+}
+
+async function getPropertyFaqs(supabase, propertyId) {
+  if (!propertyId) return [];
+  const { data } = await supabase
+    .from('property_faqs')
+    .select('*')
+    .eq('property_id', propertyId)
+    .order('topic', { ascending: true });
+  return data || [];
+}
+
+// How well an entry matches the question: topic words count double, then words shared
+// with the entry's question, keywords and answer
+function scoreFaq(faq, words) {
+  const topicWords = (FAQ_TOPICS[faq.topic] || FAQ_TOPICS.other).keywords;
+  const entryWords = new Set(tokenize(`${faq.question} ${faq.keywords || ''} ${faq.answer}`));
+
+  return words.reduce((score, word) => {
+    if (topicWords.includes(word)) score += 2;
+    if (entryWords.has(word)) score += 1;
+    return score;
+  }, 0);
+}
+
+// Entries relevant to the tenant's message (and, with less weight, their previous one,
+// so "¿y la contraseña?" after a Wi-Fi question still finds the Wi-Fi entry)
+function findRelevantFaqs(faqs, message, history = [], limit = MAX_FAQS_IN_PROMPT) {
+  if (!faqs?.length) return [];
+
+  const words = tokenize(message);
+  const previous = [...history].reverse().find(m => m.direction === 'incoming');
+  const previousWords = previous ? tokenize(previous.message_body) : [];
+
+  return faqs
+    .map(faq => ({ faq, score: scoreFaq(faq, words) * 2 + scoreFaq(faq, previousWords) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ faq }) => faq);
+}
+
+// Relevant entries for the AI prompt
+function describeFaqs(faqs, isSpanish) {
+  if (!faqs?.length) return isSpanish ? 'Ninguna relacionada con este mensaje' : 'None related to this message';
+  return faqs.map(faq => `- [${faqTopicLabel(faq.topic)}] ${faq.question}: ${faq.answer}`).join('\n');
+}
+
+module.exports = { FAQ_TOPICS, faqTopicLabel, tokenize, textTopics, getPropertyFaqs, findRelevantFaqs, describeFaqs };
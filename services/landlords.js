@@ -0,0 +1,40 @@
+// Per-landlord settings, with defaults for landlords who never opened the settings page
+const { DEFAULT_COUNTRY } = require('./phone');
+
+const AI_REPLY_MODES = ['auto', 'draft'];
+const ALERT_CHANNELS = ['whatsapp', 'sms', 'none'];
+
+const DEFAULT_SETTINGS = {
+  ai_reply_mode: 'auto',
+  auto_pause_hours: 0,
+  alert_channel: 'whatsapp',
+  alert_email: true,
+  daily_digest: true,
+  quiet_hours_start: null,
+  quiet_hours_end: null,
+  ai_provider: null,  // null = AI_PROVIDER default
+  ai_model: null,
+  country: DEFAULT_COUNTRY  // for phone numbers typed without a country code
+};
+
+async function getLandlordSettings(supabase, landlordId) {
+  const { data } = await supabase
+    .from('landlords')
+    .select('id, name, email, phone, ai_reply_mode, auto_pause_hours, alert_channel, alert_email, daily_digest, quiet_hours_start, quiet_hours_end, ai_provider, ai_model, country')
+    .eq('id', landlordId)
+    .maybeSingle();
+
+  const settings = { ...DEFAULT_SETTINGS };
+  Object.keys(data || {}).forEach(key => {
+    if (data[key] !== null && data[key] !== undefined) settings[key] = data[key];
+  });
+  return settings;
+}
+
+// AI is paused for a tenant manually, or for a while after the landlord replied
+function isAiPaused(tenant) {
+  if (tenant.ai_paused) return true;
+  return !!tenant.ai_paused_until && new Date(tenant.ai_paused_until) > new Date();
+}
+
+module.exports = { AI_REPLY_MODES, ALERT_CHANNELS, getLandlordSettings, isAiPaused };
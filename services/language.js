@@ -0,0 +1,155 @@
+// Which language to talk to each tenant in: their stored preference, or what they write in.
+// Shared by the webhook, the suggested replies and outgoing automated messages.
+const { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES, isSupportedLanguage, getLocale } = require('../locales');
+
+// A conversation only switches language on a message with at least this many words of the new one,
+// so "ok", "gracias" or "thank you" don't flip it
+const SWITCH_SCORE = 3;
+
+// Requests to switch ("reply in English please", "en español por favor") are short, and name the
+// language right after "in"/"en"/"em", either opening the message or following one of these verbs
+const MAX_REQUEST_WORDS = 8;
+const REQUEST_VERBS = ['reply', 'respond', 'answer', 'write', 'speak', 'talk', 'text',
+  'habla', 'hablame', 'hablar', 'escribe', 'escribeme', 'escribir', 'responde', 'respondeme', 'responder',
+  'contesta', 'contestame', 'contestar', 'parle', 'parlez', 'parler', 'ecris', 'ecrivez', 'ecrire',
+  'reponds', 'repondez', 'repondre', 'fala', 'fale', 'falar', 'escreva', 'escrever', 'responda'];
+const REQUEST_PREPOSITIONS = ['in', 'en', 'em'];
+// Allowed between the verb and "in" ("reply to me in", "háblame en", "parlez-moi en")
+const REQUEST_OBJECTS = ['to', 'me', 'us', 'nos', 'moi', 'nous'];
+// Allowed around a bare language name ("English please", "en español por favor")
+const POLITE_WORDS = ['please', 'pls', 'plz', 'thanks', 'por', 'favor', 'porfa', 'gracias', "s'il", 'vous', 'plait',
+  'merci', 'obrigado', 'obrigada'];
+const NEGATIONS = ['no', 'not', 'dont', "don't", 'cant', "can't", 'nao', 'ne', 'pas'];
+
+// Lowercase and strip accents, for keyword matching ("pagué" → "pague")
+function normalizeText(text) {
+  return (text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function tokenize(text) {
+  return normalizeText(text).match(/[\p{L}']+/gu) || [];
+}
+
+const wordSets = Object.fromEntries(SUPPORTED_LANGUAGES.map(code => [
+  code,
+  new Set(getLocale(code).words.map(normalizeText))
+]));
+
+// Score every language by whole words (not substrings: "no" in "not" or "la" in "flat" don't count)
+// plus telltale characters (ñ, ã, è...). Returns { language, score, confident, scores }.
+// `confident`: at least two words and a clear winner; otherwise `language` is only a guess
+// (the default language when nothing matched).
+function detectLanguage(text) {
+  const tokens = tokenize(text);
+  const lower = (text || '').toLowerCase();
+
+  const scores = SUPPORTED_LANGUAGES.map(code => {
+    const letters = getLocale(code).letters;
+    const score = tokens.filter(token => wordSets[code].has(token)).length + (letters && letters.test(lower) ? 2 : 0);
+    return { language: code, score };
+  }).sort((a, b) => b.score - a.score);
+
+  const [best, second] = scores;
+  return {
+    language: best.score > 0 ? best.language : DEFAULT_LANGUAGE,
+    score: best.score,
+    confident: best.score >= 2 && best.score > second.score,
+    scores: Object.fromEntries(scores.map(s => [s.language, s.score]))
+  };
+}
+
+// "Reply in English please", "¿me puedes escribir en francés?", "english" → 'en'; anything else → null.
+// Sentences that only mention a language ("No hablo inglés", "I speak French too") are not requests.
+function detectLanguageRequest(text) {
+  const tokens = tokenize(text);
+  if (tokens.length === 0 || tokens.length > MAX_REQUEST_WORDS) return null;
+  if (tokens.some(token => NEGATIONS.includes(token))) return null;
+
+  const requested = SUPPORTED_LANGUAGES.filter(code => getLocale(code).names.some(name => tokens.includes(name)));
+  if (requested.length !== 1) return null;
+
+  const names = getLocale(requested[0]).names;
+  const at = tokens.findIndex(token => names.includes(token));
+  const onlyPolite = words => words.every(word => POLITE_WORDS.includes(word));
+
+  // Just the name, or "en español" opening the message, with nothing but courtesy around it
+  let start = at;
+  if (REQUEST_PREPOSITIONS.includes(tokens[start - 1])) start--;
+  if (onlyPolite(tokens.slice(0, start)) && onlyPolite(tokens.slice(at + 1))) return requested[0];
+
+  // "<verb> [me] in <name>" anywhere in the message
+  if (!REQUEST_PREPOSITIONS.includes(tokens[at - 1])) return null;
+  let verb = at - 2;
+  while (verb >= 0 && REQUEST_OBJECTS.includes(tokens[verb])) verb--;
+  return REQUEST_VERBS.includes(tokens[verb]) ? requested[0] : null;
+}
+
+// Language of an earlier incoming message: stored since language tracking began, detected for older rows
+function messageLanguage(msg) {
+  if (isSupportedLanguage(msg.language)) return msg.language;
+  const detected = detectLanguage(msg.message_body);
+  return detected.confident ? detected.language : null;
+}
+
+// Language for a reply to `message`. The tenant's preference always wins; otherwise the conversation
+// keeps its language (`history`: recent messages, oldest first) unless this message is clearly in another.
+function resolveLanguage(tenant, message, history = []) {
+  if (isSupportedLanguage(tenant?.preferred_language)) return tenant.preferred_language;
+
+  const detected = detectLanguage(message);
+  const previous = [...history].reverse().filter(msg => msg.direction === 'incoming').map(messageLanguage).find(Boolean);
+
+  if (!previous) return detected.language;
+  if (detected.confident && detected.score >= SWITCH_SCORE) return detected.language;
+  return previous;
+}
+
+// Texts written only in Spanish and English (the lease, ticket, FAQ and media descriptions for the AI) use this
+function isSpanishLanguage(code) {
+  return getLocale(code).base === 'es';
+}
+
+// Tenant's language for automated messages: their preference, else their most recent message's
+async function getTenantLanguage(supabase, tenantId) {
+  const { data: tenant } = await supabase
+    .from('tenants')
+    .select('preferred_language')
+    .eq('id', tenantId)
+    .maybeSingle();
+
+  if (isSupportedLanguage(tenant?.preferred_language)) return tenant.preferred_language;
+
+  const { data: lastMessage } = await supabase
+    .from('messages')
+    .select('message_body, language')
+    .eq('tenant_id', tenantId)
+    .eq('direction', 'incoming')
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (isSupportedLanguage(lastMessage?.language)) return lastMessage.language;
+  return detectLanguage(lastMessage?.message_body).language;
+}
+
+// Store the tenant's preference (null: back to following what they write)
+async function setPreferredLanguage(supabase, tenantId, language) {
+  const value = isSupportedLanguage(language) ? language : null;
+  const { error } = await supabase
+    .from('tenants')
+    .update({ preferred_language: value })
+    .eq('id', tenantId);
+
+  if (error) throw new Error(error.message);
+  return value;
+}
+
+module.exports = {
+  normalizeText,
+  detectLanguage,
+  detectLanguageRequest,
+  resolveLanguage,
+  isSpanishLanguage,
+  getTenantLanguage,
+  setPreferredLanguage
+};
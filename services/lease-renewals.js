@@ -0,0 +1,124 @@
+const cron = require('node-cron');
+const { getTenantLanguage } = require('./language');
+const { getLocale } = require('../locales');
+const { sendTenantMessage } = require('./messaging');
+const { parseDate, daysUntilEnd, rentOn } = require('./leases');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'lease-renewals' });
+
+let supabase;
+let twilioClient;
+
+// Configuration (all optional, see defaults)
+const NOTICE_DAYS = (process.env.LEASE_RENEWAL_NOTICE_DAYS || '60,30')
+  .split(',').map(Number).filter(n => n > 0).sort((a, b) => b - a);
+const SCHEDULE = process.env.LEASE_RENEWAL_CRON || '0 10 * * *'; // Every day at 10:00
+const TIMEZONE = process.env.TIMEZONE || 'America/Mexico_City';
+
+// Initialize with services from server.js and start the daily job
+function initLeaseRenewals(supabaseClient, twilio) {
+  supabase = supabaseClient;
+  twilioClient = twilio;
+
+  if (process.env.LEASE_RENEWALS_ENABLED === 'false') {
+    log.info('Lease renewal notices disabled');
+    return { runLeaseRenewals };
+  }
+
+  cron.schedule(SCHEDULE, () => {
+    runLeaseRenewals().catch(error => log.error('Lease renewals error', { error }));
+  }, { timezone: TIMEZONE, name: 'lease-renewals', noOverlap: true });
+
+  log.info('Lease renewal notices scheduled', { noticeDays: NOTICE_DAYS, schedule: SCHEDULE, timezone: TIMEZONE });
+  return { runLeaseRenewals };
+}
+
+// Today's date in the landlord's timezone, as a UTC midnight Date
+function getToday() {
+  const [year, month, day] = new Intl.DateTimeFormat('en-CA', {
+    timeZone: TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit'
+  }).format(new Date()).split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+// Which notice (60, 30, ...) is due for a lease, if any. A notice missed while the
+// server was down still goes out, but only the closest one.
+function getNoticeDue(lease, today) {
+  const daysLeft = daysUntilEnd(lease, today);
+  if (daysLeft <= 0 || lease.renewal_response) return null;
+
+  const due = NOTICE_DAYS.filter(days => daysLeft <= days).pop();
+  if (!due) return null;
+  if (lease.renewal_notice_days && lease.renewal_notice_days <= due) return null;
+  return due;
+}
+
+function buildRenewalNotice(tenant, lease, daysLeft, language) {
+  const locale = getLocale(language);
+  const renewalRent = rentOn(lease, parseDate(lease.end_date));
+  const rentChanged = renewalRent !== rentOn(lease, getToday());
+
+  return locale.renewals.notice({
+    name: tenant.name,
+    address: lease.properties?.address || locale.renewals.home,
+    endDate: parseDate(lease.end_date).toLocaleDateString(locale.dateLocale, { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' }),
+    days: daysLeft,
+    renewalRent: rentChanged ? `$${renewalRent.toLocaleString('es-MX')} MXN` : null
+  });
+}
+
+async function sendRenewalNotice(lease, days, today) {
+  const tenant = lease.tenants;
+  const language = await getTenantLanguage(supabase, tenant.id);
+  const body = buildRenewalNotice(tenant, lease, daysUntilEnd(lease, today), language);
+
+  await sendTenantMessage(supabase, twilioClient, tenant, body, {
+    category: getLocale(language).categories.lease
+  });
+
+  const { error } = await supabase
+    .from('leases')
+    .update({ renewal_notice_days: days, renewal_notice_sent_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq('id', lease.id);
+  if (error) log.error('Renewal notice sent but not recorded', { tenantId: tenant.id, error });
+
+  log.info('Renewal notice sent', { tenantId: tenant.id, days });
+}
+
+// Send today's renewal notices. Returns the number of messages sent.
+async function runLeaseRenewals() {
+  const today = getToday();
+  const horizon = new Date(today.getTime() + NOTICE_DAYS[0] * 24 * 60 * 60 * 1000);
+  log.info('Running lease renewals', { date: today.toISOString().slice(0, 10) });
+
+  const { data: leases, error } = await supabase
+    .from('leases')
+    .select('*, tenants!inner (*), properties (address)')
+    .eq('status', 'active')
+    .gt('end_date', today.toISOString().slice(0, 10))
+    .lte('end_date', horizon.toISOString().slice(0, 10));
+
+  if (error) {
+    log.error('Could not load leases', { error });
+    return 0;
+  }
+
+  let sent = 0;
+  for (const lease of leases || []) {
+    const days = getNoticeDue(lease, today);
+    if (!days) continue;
+
+    try {
+      await sendRenewalNotice(lease, days, today);
+      sent++;
+    } catch (e) {
+      log.error('Renewal notice failed', { leaseId: lease.id, error: e });
+    }
+  }
+
+  log.info('Lease renewals done', { sent });
+  return sent;
+}
+
+module.exports = initLeaseRenewals;
@@ -0,0 +1,188 @@
+// Leases: term, deposit, yearly rent escalation, the signed PDF and the renewal answer
+const { normalizeText } = require('./language');
+const { SUPPORTED_LANGUAGES, getLocale } = require('../locales');
+
+const LEASE_STATUSES = ['active', 'renewed', 'ended'];
+const ESCALATION_TYPES = ['percent', 'fixed'];
+const LEASE_CATEGORIES = ['CONTRATO', 'LEASE'];
+const RENEWAL_RESPONSES = ['renew', 'leave'];
+
+// Signed contracts live in this private Supabase Storage bucket
+const DOCUMENT_BUCKET = 'leases';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Renewal answers in any language, normalized like the tenant's message
+const RENEWAL_KEYWORDS = Object.fromEntries(RENEWAL_RESPONSES.map(response => [
+  response,
+  SUPPORTED_LANGUAGES.flatMap(code => getLocale(code).renewals.keywords[response]).map(keyword => normalizeText(keyword).replace(/['’]/g, ''))
+]));
+
+// A renewal answer is a few words ("NO RENOVAR, nos mudamos en marzo"); anything longer, or a
+// question ("¿qué pasa si no renuevo?"), goes to the AI
+const MAX_RENEWAL_REPLY_WORDS = 6;
+
+function containsWords(text, words) {
+  return new RegExp(`(^|[^a-z])${words}([^a-z]|$)`).test(text);
+}
+
+// 'YYYY-MM-DD' → UTC midnight Date
+function parseDate(value) {
+  return value ? new Date(`${String(value).slice(0, 10)}T00:00:00Z`) : null;
+}
+
+function formatDate(value, isSpanish = true) {
+  return parseDate(value).toLocaleDateString(isSpanish ? 'es-MX' : 'en-US', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+function daysUntilEnd(lease, today) {
+  return Math.round((parseDate(lease.end_date) - today) / DAY_MS);
+}
+
+// Full lease years between the start date and `date`
+function yearsElapsed(lease, date) {
+  const start = parseDate(lease.start_date);
+  let years = date.getUTCFullYear() - start.getUTCFullYear();
+  if (date.getUTCMonth() < start.getUTCMonth() || (date.getUTCMonth() === start.getUTCMonth() && date.getUTCDate() < start.getUTCDate())) years--;
+  return Math.max(years, 0);
+}
+
+// Rent on `date` after the yearly escalation, applied on each lease anniversary
+function rentOn(lease, date) {
+  const rent = Number(lease.monthly_rent) || 0;
+  const years = yearsElapsed(lease, date);
+  const value = Number(lease.escalation_value) || 0;
+
+  if (lease.escalation_type === 'percent') return Math.round(rent * Math.pow(1 + value / 100, years) * 100) / 100;
+  if (lease.escalation_type === 'fixed') return rent + value * years;
+  return rent;
+}
+
+function describeEscalation(lease, isSpanish) {
+  const value = Number(lease.escalation_value) || 0;
+  if (!ESCALATION_TYPES.includes(lease.escalation_type) || !value) return isSpanish ? 'sin aumento pactado' : 'no agreed increase';
+
+  const amount = lease.escalation_type === 'percent' ? `${value}%` : `$${value.toLocaleString('es-MX')} MXN`;
+  return isSpanish ? `aumento de ${amount} cada aniversario del contrato` : `${amount} increase on each lease anniversary`;
+}
+
+// Lease terms for the AI prompt
+function describeLease(lease, isSpanish, today = new Date()) {
+  if (!lease) return isSpanish ? 'No registrado' : 'Not on file';
+
+  const rent = rentOn(lease, today).toLocaleString('es-MX');
+  const deposit = Number(lease.deposit_amount) || 0;
+  const parts = isSpanish
+    ? [
+        `del ${formatDate(lease.start_date, true)} al ${formatDate(lease.end_date, true)}`,
+        `renta actual $${rent} MXN (${describeEscalation(lease, true)})`,
+        deposit
+          ? `depósito de $${deposit.toLocaleString('es-MX')} MXN, ${lease.deposit_refundable ? 'reembolsable' : 'no reembolsable'}`
+          : 'sin depósito',
+        lease.deposit_terms && `condiciones del depósito: ${lease.deposit_terms}`,
+        lease.terms && `otras cláusulas: ${lease.terms}`,
+        lease.renewal_response && `el inquilino ya respondió que ${lease.renewal_response === 'renew' ? 'quiere renovar' : 'no renovará'}`
+      ]
+    : [
+        `from ${formatDate(lease.start_date, false)} to ${formatDate(lease.end_date, false)}`,
+        `current rent $${rent} MXN (${describeEscalation(lease, false)})`,
+        deposit
+          ? `deposit of $${deposit.toLocaleString('es-MX')} MXN, ${lease.deposit_refundable ? 'refundable' : 'non-refundable'}`
+          : 'no deposit',
+        lease.deposit_terms && `deposit conditions: ${lease.deposit_terms}`,
+        lease.terms && `other clauses: ${lease.terms}`,
+        lease.renewal_response && `the tenant already answered they ${lease.renewal_response === 'renew' ? 'want to renew' : 'will not renew'}`
+      ];
+  return parts.filter(Boolean).join('; ');
+}
+
+// Current lease: the active one ending last
+async function getActiveLease(supabase, tenantId) {
+  const { data } = await supabase
+    .from('leases')
+    .select('*')
+    .eq('tenant_id', tenantId)
+    .eq('status', 'active')
+    .order('end_date', { ascending: false })
+    .limit(1);
+  return data?.[0] || null;
+}
+
+// "RENOVAR", "sí quiero renovar", "je reste" or a tapped button (payload 'renew' / 'leave') → 'renew';
+// "NO RENOVAR", "me voy a mudar" → 'leave'; anything else → null.
+// Keywords from every locale: a tenant may answer in another language than the notice's.
+function parseRenewalReply(message, payload) {
+  if (RENEWAL_RESPONSES.includes(payload)) return payload;
+
+  const text = normalizeText(message).replace(/['’]/g, '').trim();
+  if (!text || text.includes('?') || text.split(/\s+/).length > MAX_RENEWAL_REPLY_WORDS) return null;
+  return ['leave', 'renew'].find(response => RENEWAL_KEYWORDS[response].some(keyword => containsWords(text, keyword))) || null;
+}
+
+// A renewal notice went out and the tenant hasn't answered yet
+function awaitingRenewalReply(lease) {
+  return !!lease && lease.status === 'active' && !!lease.renewal_notice_sent_at && !lease.renewal_response;
+}
+
+async function recordRenewalReply(supabase, lease, response) {
+  const { error } = await supabase
+    .from('leases')
+    .update({ renewal_response: response, renewal_response_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq('id', lease.id);
+  if (error) throw error;
+}
+
+function buildRenewalAck(tenant, response, language) {
+  const { renewals } = getLocale(language);
+  return response === 'renew' ? renewals.renewed(tenant.name) : renewals.leaving(tenant.name);
+}
+
+function isLeaseCategory(category) {
+  return LEASE_CATEGORIES.includes((category || '').toUpperCase());
+}
+
+// Store the signed PDF and remember where it is
+async function uploadLeaseDocument(supabase, lease, buffer, fileName) {
+  const path = `${lease.id}/${Date.now()}.pdf`;
+  const { error } = await supabase.storage
+    .from(DOCUMENT_BUCKET)
+    .upload(path, buffer, { contentType: 'application/pdf', upsert: true });
+  if (error) throw error;
+
+  const { error: updateError } = await supabase
+    .from('leases')
+    .update({ document_path: path, document_name: fileName || 'contrato.pdf', updated_at: new Date().toISOString() })
+    .eq('id', lease.id);
+  if (updateError) throw updateError;
+
+  if (lease.document_path) {
+    await supabase.storage.from(DOCUMENT_BUCKET).remove([lease.document_path]);
+  }
+  return path;
+}
+
+async function downloadLeaseDocument(supabase, lease) {
+  const { data, error } = await supabase.storage.from(DOCUMENT_BUCKET).download(lease.document_path);
+  if (error) throw error;
+  return Buffer.from(await data.arrayBuffer());
+}
+
+module.exports = {
+  LEASE_STATUSES,
+  ESCALATION_TYPES,
+  RENEWAL_RESPONSES,
+  parseDate,
+  formatDate,
+  daysUntilEnd,
+  rentOn,
+  describeEscalation,
+  describeLease,
+  getActiveLease,
+  parseRenewalReply,
+  awaitingRenewalReply,
+  recordRenewalReply,
+  buildRenewalAck,
+  isLeaseCategory,
+  uploadLeaseDocument,
+  downloadLeaseDocument
+};
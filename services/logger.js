@@ -0,0 +1,116 @@
+// Structured logs: one JSON line per event with a level, a message and fields, with personal
+// data masked. Everything logged while handling a request or running a job carries its
+// requestId (and jobId), so one webhook can be followed from the request to the reply.
+//
+//   const log = logger.child({ module: 'alerts' });
+//   log.info('Landlord alerted', { tenantId, channel: 'whatsapp' });
+//   log.error('Landlord alert failed', { error });
+//
+// LOG_LEVEL: debug | info | warn | error (default info), or silent. LOG_FORMAT=pretty prints one readable
+// line per event instead of JSON, for local runs.
+const { AsyncLocalStorage } = require('node:async_hooks');
+const { maskPhone, maskEmail, describeText, redactText } = require('./redact');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Field names (lowercase) whose values are personal data, whatever they contain
+const PHONE_FIELDS = ['phone', 'from', 'to', 'waid', 'e164'];
+const EMAIL_FIELDS = ['email'];
+const TEXT_FIELDS = ['body', 'message', 'text', 'reply', 'transcript', 'prompt'];
+const NAME_FIELDS = ['name', 'profilename', 'tenantname', 'landlordname'];
+const ID_FIELD = /(?:^id|Id|_id|Sid)$/;
+const MAX_DEPTH = 4;
+
+const context = new AsyncLocalStorage();
+
+// Run `fn` with fields every log line inside it gets (requestId, jobId), nested contexts add up
+function withLogContext(fields, fn) {
+  return context.run({ ...(context.getStore() || {}), ...fields }, fn);
+}
+
+function logContext() {
+  return context.getStore() || {};
+}
+
+// Exceptions and Supabase's { message, code, details } errors
+function serializeError(error) {
+  return {
+    message: redactText(error.message),
+    ...(error.code ? { code: error.code } : {}),
+    ...(error.details ? { details: redactText(error.details) } : {}),
+    ...(process.env.LOG_LEVEL === 'debug' && error.stack ? { stack: redactText(error.stack) } : {})
+  };
+}
+
+// Copy of `value` safe to write: personal fields masked, free text scanned for numbers and emails
+function redactValue(key, value, depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (value instanceof Error) return serializeError(value);
+  if (value instanceof Date) return value.toISOString();
+
+  const name = String(key).toLowerCase();
+  if (name === 'error' && typeof value === 'object') return serializeError(value);
+  if (typeof value !== 'object') {
+    if (/^mediaurl\d*$/.test(name)) return '[url]';
+    if (PHONE_FIELDS.includes(name)) return maskPhone(value);
+    if (EMAIL_FIELDS.includes(name)) return maskEmail(value);
+    if (TEXT_FIELDS.includes(name)) return describeText(value);
+    if (NAME_FIELDS.includes(name)) return '[redacted]';
+    // requestId, tenant_id, MessageSid...: ids, never personal data
+    if (ID_FIELD.test(key)) return value;
+    return typeof value === 'string' ? redactText(value) : value;
+  }
+
+  if (depth >= MAX_DEPTH) return '[object]';
+  if (Array.isArray(value)) return value.map(item => redactValue(key, item, depth + 1));
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactValue(k, v, depth + 1)]));
+}
+
+function redactFields(fields = {}) {
+  return redactValue('', fields);
+}
+
+function threshold() {
+  if (process.env.LOG_LEVEL === 'silent') return Infinity;
+  return LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+}
+
+function formatPretty({ time, level, msg, ...fields }) {
+  const extra = Object.keys(fields).length ? ` ${JSON.stringify(fields)}` : '';
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${extra}`;
+}
+
+// `fields` may be an Error on its own: logged as { error }
+function write(level, bindings, msg, fields) {
+  if (LEVELS[level] < threshold()) return;
+
+  const own = fields instanceof Error ? { error: fields } : fields;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactText(msg),
+    ...redactFields({ ...logContext(), ...bindings, ...own })
+  };
+
+  const line = process.env.LOG_FORMAT === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+  // Looked up on every call, so tests can capture or silence the console
+  if (LEVELS[level] >= LEVELS.warn) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write('debug', bindings, msg, fields),
+    info: (msg, fields) => write('info', bindings, msg, fields),
+    warn: (msg, fields) => write('warn', bindings, msg, fields),
+    error: (msg, fields) => write('error', bindings, msg, fields),
+    child: fields => createLogger({ ...bindings, ...fields })
+  };
+}
+
+const logger = createLogger();
+
+module.exports = { LEVELS, logger, createLogger, withLogContext, logContext, redactFields };
@@ -0,0 +1,85 @@
+// Photos, voice notes and documents tenants send over WhatsApp (Twilio MediaUrlN fields)
+const { toFile } = require('openai');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'media' });
+
+const TRANSCRIBE_MODEL = process.env.OPENAI_TRANSCRIBE_MODEL || 'whisper-1';
+
+function mediaKind(contentType) {
+  if (/^image\//.test(contentType)) return 'image';
+  if (/^audio\//.test(contentType)) return 'audio';
+  if (/^video\//.test(contentType)) return 'video';
+  return 'document';
+}
+
+// Every attachment on an incoming Twilio webhook, in order
+function extractMedia(body) {
+  const count = parseInt(body.NumMedia || '0') || 0;
+  const media = [];
+  for (let i = 0; i < count; i++) {
+    if (!body[`MediaUrl${i}`]) continue;
+    const contentType = body[`MediaContentType${i}`] || 'application/octet-stream';
+    media.push({ url: body[`MediaUrl${i}`], content_type: contentType, kind: mediaKind(contentType) });
+  }
+  return media;
+}
+
+// Twilio media URLs need the account credentials
+async function downloadMedia(url) {
+  const auth = Buffer.from(`${process.env.TWILIO_ACCOUNT_SID}:${process.env.TWILIO_AUTH_TOKEN}`).toString('base64');
+  const response = await fetch(url, { headers: { Authorization: `Basic ${auth}` } });
+
+  if (!response.ok) {
+    throw new Error(`Media download failed (${response.status})`);
+  }
+
+  return {
+    buffer: Buffer.from(await response.arrayBuffer()),
+    contentType: response.headers.get('content-type') || 'application/octet-stream'
+  };
+}
+
+// Voice note → text, stored on the media item so the dashboard can show it too
+async function transcribeAudio(openai, item) {
+  const { buffer, contentType } = await downloadMedia(item.url);
+  const extension = (contentType.split('/')[1] || 'ogg').split(';')[0];
+  const transcription = await openai.audio.transcriptions.create({
+    file: await toFile(buffer, `voice-note.${extension}`, { type: contentType }),
+    model: TRANSCRIBE_MODEL
+  });
+  item.transcript = (transcription.text || '').trim();
+  return item.transcript;
+}
+
+// Images as inline data URLs (the model can't fetch Twilio's authenticated URLs)
+async function toImageParts(media) {
+  const parts = [];
+  for (const item of media.filter(m => m.kind === 'image')) {
+    try {
+      const { buffer, contentType } = await downloadMedia(item.url);
+      parts.push({ type: 'image_url', image_url: { url: `data:${contentType};base64,${buffer.toString('base64')}` } });
+    } catch (e) {
+      log.warn('Could not load image for the AI', { error: e });
+    }
+  }
+  return parts;
+}
+
+// One line for the prompt about what came attached
+function describeMedia(media, isSpanish) {
+  if (!media.length) return isSpanish ? 'Ninguno' : 'None';
+
+  const labels = isSpanish
+    ? { image: 'foto', audio: 'nota de voz', video: 'video', document: 'documento' }
+    : { image: 'photo', audio: 'voice note', video: 'video', document: 'document' };
+
+  return media.map(m => {
+    let text = labels[m.kind];
+    if (m.kind === 'image') text += isSpanish ? ' (adjunta, obsérvala)' : ' (attached, look at it)';
+    if (m.transcript) text += isSpanish ? ` (transcripción: "${m.transcript}")` : ` (transcript: "${m.transcript}")`;
+    return text;
+  }).join(', ');
+}
+
+module.exports = { mediaKind, extractMedia, downloadMedia, transcribeAudio, toImageParts, describeMedia };
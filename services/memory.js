@@ -0,0 +1,220 @@
+// Long-term conversation memory: a rolling summary per tenant with the issues still open,
+// refreshed periodically by the assistant, plus older messages retrieved by topic. The prompt
+// gets the summary, the open items, related older messages and the recent turns, within a token budget.
+const cron = require('node-cron');
+const { summarizeConversation } = require('./assistant');
+const { getLandlordSettings } = require('./landlords');
+const { tokenize, textTopics } = require('./knowledge');
+const { getTenantLanguage } = require('./language');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'memory' });
+
+// Configuration (all optional, see defaults)
+const SUMMARY_SCHEDULE = process.env.MEMORY_SUMMARY_CRON || '20 * * * *';
+const SUMMARY_AFTER_MESSAGES = parseInt(process.env.MEMORY_SUMMARY_AFTER || '10'); // new messages before a refresh
+const TOKEN_BUDGET = parseInt(process.env.AI_MEMORY_TOKEN_BUDGET || '1500');       // summary + open items + turns
+const TIMEZONE = process.env.TIMEZONE || 'America/Mexico_City';
+
+const RECENT_MESSAGES_LIMIT = 30;  // fetched for the prompt, then trimmed to the budget
+const MIN_RECENT_MESSAGES = 2;     // always in the prompt, whatever the budget
+const SUMMARY_BATCH_LIMIT = 200;   // messages summarized per refresh
+const RELATED_SEARCH_LIMIT = 300;  // older messages searched by topic
+const RELATED_LIMIT = 3;
+const RELATED_MIN_SCORE = 2;
+
+// Start the job that refreshes the summaries of tenants with new messages
+function initConversationMemory(supabase) {
+  if (process.env.CONVERSATION_MEMORY_ENABLED === 'false') {
+    log.info('Conversation summaries disabled');
+    return;
+  }
+
+  cron.schedule(SUMMARY_SCHEDULE, () => {
+    summarizeDueConversations(supabase).catch(error => log.error('Conversation summaries error', { error }));
+  }, { timezone: TIMEZONE, name: 'conversation-memory', noOverlap: true });
+
+  log.info('Conversation summaries scheduled', { schedule: SUMMARY_SCHEDULE });
+}
+
+// Rough count (about 4 characters per token), enough to keep the prompt in budget
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function messageTokens(msg) {
+  return estimateTokens(msg.message_body) + estimateTokens(msg.ai_response) + 8;
+}
+
+// Stored memory row for a tenant, or null
+async function getMemory(supabase, tenantId) {
+  const { data } = await supabase
+    .from('conversation_memories')
+    .select('*')
+    .eq('tenant_id', tenantId)
+    .maybeSingle();
+  return data;
+}
+
+// Older messages about the same thing as `message`: shared words, and shared topics counted double
+async function findRelatedMessages(supabase, tenantId, message, before) {
+  if (!before) return [];
+
+  const { data: older } = await supabase
+    .from('messages')
+    .select('direction, author, message_body, ai_response, created_at')
+    .eq('tenant_id', tenantId)
+    .lt('created_at', before)
+    .order('created_at', { ascending: false })
+    .limit(RELATED_SEARCH_LIMIT);
+
+  const words = new Set(tokenize(message));
+  const topics = textTopics(message);
+  if (words.size === 0) return [];
+
+  return (older || [])
+    .map(msg => {
+      const text = `${msg.message_body || ''} ${msg.ai_response || ''}`;
+      const shared = new Set(tokenize(text).filter(word => words.has(word))).size;
+      const sharedTopics = textTopics(text).filter(topic => topics.includes(topic)).length;
+      return { msg, score: shared + sharedTopics * 2 };
+    })
+    .filter(({ score }) => score >= RELATED_MIN_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, RELATED_LIMIT)
+    .map(({ msg }) => msg)
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+}
+
+// What the assistant remembers for a reply to `message`. `recent`: the latest messages, oldest first.
+// Returns { summary, openItems, related, summarizedUntil }.
+async function getConversationMemory(supabase, tenantId, message, recent = []) {
+  const memory = await getMemory(supabase, tenantId);
+  const related = recent.length >= RECENT_MESSAGES_LIMIT
+    ? await findRelatedMessages(supabase, tenantId, message, recent[0]?.created_at)
+    : []; // the whole history is already in the recent turns
+
+  return {
+    summary: memory?.summary || null,
+    openItems: memory?.open_items || [],
+    related,
+    summarizedUntil: memory?.summarized_until || null
+  };
+}
+
+// Trim memory and recent turns to `budget` tokens. Kept in this order: the last couple of turns,
+// the open items, the summary (shortened if needed), more recent turns, then related older messages.
+// Returns { memory, history } to put in the prompt.
+function fitToBudget(memory, history, budget = TOKEN_BUDGET) {
+  let remaining = budget;
+  const fits = cost => {
+    if (cost > remaining) return false;
+    remaining -= cost;
+    return true;
+  };
+
+  const kept = history.slice(-MIN_RECENT_MESSAGES);
+  kept.forEach(msg => { remaining -= messageTokens(msg); });
+
+  const openItems = (memory.openItems || []).filter(item => fits(estimateTokens(item) + 2));
+
+  let summary = memory.summary || null;
+  if (summary && !fits(estimateTokens(summary))) {
+    const chars = Math.max(remaining, 0) * 4;
+    summary = chars > 40 ? `…${summary.slice(-(chars - 1))}` : null;
+    remaining -= estimateTokens(summary);
+  }
+
+  const older = history.slice(0, -MIN_RECENT_MESSAGES);
+  const earlier = [];
+  for (let i = older.length - 1; i >= 0 && fits(messageTokens(older[i])); i--) {
+    earlier.unshift(older[i]);
+  }
+
+  const related = (memory.related || []).filter(msg => fits(messageTokens(msg)));
+
+  return { memory: { summary, openItems, related }, history: [...earlier, ...kept] };
+}
+
+// Summarize the messages since the last summary, carrying forward what's still open.
+// Only runs with SUMMARY_AFTER_MESSAGES new messages, unless `force`. Returns the memory row (or null).
+async function refreshConversationMemory(supabase, tenant, { force = false } = {}) {
+  const memory = await getMemory(supabase, tenant.id);
+
+  let query = supabase
+    .from('messages')
+    .select('direction, author, message_body, ai_response, category, needs_landlord_attention, created_at')
+    .eq('tenant_id', tenant.id)
+    .order('created_at', { ascending: true })
+    .limit(SUMMARY_BATCH_LIMIT);
+  if (memory?.summarized_until) query = query.gt('created_at', memory.summarized_until);
+  const { data: messages } = await query;
+
+  if (!messages?.length || (!force && messages.length < SUMMARY_AFTER_MESSAGES)) return memory;
+
+  const { data: openTickets } = await supabase
+    .from('tickets')
+    .select('description, location, status, priority, scheduled_for, created_at')
+    .eq('tenant_id', tenant.id)
+    .in('status', ['open', 'scheduled']);
+
+  const settings = await getLandlordSettings(supabase, tenant.properties?.landlord_id);
+  const result = await summarizeConversation({
+    tenant,
+    language: await getTenantLanguage(supabase, tenant.id),
+    previousSummary: memory?.summary || null,
+    previousOpenItems: memory?.open_items || [],
+    messages,
+    openTickets: openTickets || []
+  }, { provider: settings.ai_provider, model: settings.ai_model });
+
+  const { data: saved, error } = await supabase
+    .from('conversation_memories')
+    .upsert({
+      tenant_id: tenant.id,
+      summary: result.summary,
+      open_items: result.openItems,
+      summarized_until: messages[messages.length - 1].created_at,
+      summarized_messages: (memory?.summarized_messages || 0) + messages.length,
+      provider: result.provider,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'tenant_id' })
+    .select()
+    .single();
+
+  if (error) throw new Error(error.message);
+  log.info('Conversation summary updated', { tenantId: tenant.id, newMessages: messages.length, provider: result.provider });
+  return saved;
+}
+
+// Current tenants whose conversation has moved on since their last summary
+async function summarizeDueConversations(supabase) {
+  const { data: tenants } = await supabase
+    .from('tenants')
+    .select('*, properties (*)')
+    .is('archived_at', null);
+
+  let updated = 0;
+  for (const tenant of tenants || []) {
+    try {
+      const before = await getMemory(supabase, tenant.id);
+      const after = await refreshConversationMemory(supabase, tenant);
+      if (after && after.summarized_until !== before?.summarized_until) updated++;
+    } catch (e) {
+      log.error('Conversation summary not updated', { tenantId: tenant.id, error: e });
+    }
+  }
+  return updated;
+}
+
+module.exports = {
+  RECENT_MESSAGES_LIMIT,
+  initConversationMemory,
+  estimateTokens,
+  getMemory,
+  getConversationMemory,
+  findRelatedMessages,
+  fitToBudget,
+  refreshConversationMemory,
+  summarizeDueConversations
+};
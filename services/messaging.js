@@ -0,0 +1,71 @@
+// Outgoing WhatsApp messages to tenants
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'messaging' });
+
+// WhatsApp only allows free-form messages within 24 hours of the tenant's last message;
+// after that, only pre-approved templates go through
+const SESSION_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Where Twilio reports delivery updates (needs the public URL, so not in local runs)
+function statusCallbackUrl() {
+  return process.env.RAILWAY_URL ? `${process.env.RAILWAY_URL.replace(/\/$/, '')}/webhook/twilio/status` : null;
+}
+
+// Is the tenant's 24-hour session window open?
+async function isInSessionWindow(supabase, tenantId, now = new Date()) {
+  const { data: lastIncoming } = await supabase
+    .from('messages')
+    .select('created_at')
+    .eq('tenant_id', tenantId)
+    .eq('direction', 'incoming')
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  return !!lastIncoming && now - new Date(lastIncoming.created_at) < SESSION_WINDOW_MS;
+}
+
+// The Twilio call itself, with delivery updates going to the status callback.
+// `send` adds Twilio parameters, e.g. { contentSid, contentVariables } for a template
+// (the template replaces `body` on WhatsApp).
+async function deliverToTenant(twilioClient, tenant, body, send = {}) {
+  const callback = statusCallbackUrl();
+  return twilioClient.messages.create({
+    from: process.env.TWILIO_WHATSAPP_NUMBER,
+    to: `whatsapp:${tenant.phone}`,
+    ...(send.contentSid ? {} : { body }),
+    ...(callback ? { statusCallback: callback } : {}),
+    ...send
+  });
+}
+
+// Send a message and log it to `messages` as outgoing so it shows up in the dashboard
+// and in the AI's conversation history. `fields.author` is 'ai', 'landlord' or 'system' (default).
+// `send` is passed to deliverToTenant; `body` is still what the thread shows.
+// The row keeps the Twilio SID so status callbacks can track delivery.
+async function sendTenantMessage(supabase, twilioClient, tenant, body, fields = {}, send = {}) {
+  const sent = await deliverToTenant(twilioClient, tenant, body, send);
+
+  const { error } = await supabase.from('messages').insert({
+    tenant_id: tenant.id,
+    property_id: tenant.property_id,
+    direction: 'outgoing',
+    author: 'system',
+    message_body: body,
+    needs_landlord_attention: false,
+    twilio_sid: sent.sid,
+    delivery_status: sent.status || 'queued',
+    delivery_attempts: 1,
+    delivery_updated_at: new Date().toISOString(),
+    send_params: Object.keys(send).length ? send : null,
+    ...fields
+  });
+
+  if (error) {
+    log.error('Message sent but not saved', { tenantId: tenant.id, error });
+  }
+  return sent;
+}
+
+module.exports = { SESSION_WINDOW_MS, statusCallbackUrl, isInSessionWindow, deliverToTenant, sendTenantMessage };
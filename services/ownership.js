@@ -0,0 +1,116 @@
+// Authorization: every record a dashboard request touches must belong to the logged-in landlord.
+// Each finder returns the record scoped to `landlordId`, or null (routes answer 404, so other
+// landlords' ids can't even be probed). Never trust an id from the URL or body without one of these.
+
+async function findOwnedProperty(supabase, landlordId, propertyId) {
+  if (!landlordId || !propertyId) return null;
+  const { data } = await supabase
+    .from('properties')
+    .select('*')
+    .eq('id', propertyId)
+    .eq('landlord_id', landlordId)
+    .maybeSingle();
+  return data;
+}
+
+async function findOwnedTenant(supabase, landlordId, tenantId) {
+  if (!landlordId || !tenantId) return null;
+  const { data } = await supabase
+    .from('tenants')
+    .select('*, properties!inner (*)')
+    .eq('id', tenantId)
+    .eq('properties.landlord_id', landlordId)
+    .maybeSingle();
+  return data;
+}
+
+// Records that hang off a tenant (messages, payments, tickets) are owned through the tenant's property
+async function findThroughTenant(supabase, table, landlordId, id) {
+  if (!landlordId || !id) return null;
+  const { data } = await supabase
+    .from(table)
+    .select('*, tenants!inner (*, properties!inner (*))')
+    .eq('id', id)
+    .eq('tenants.properties.landlord_id', landlordId)
+    .maybeSingle();
+  return data;
+}
+
+function findOwnedMessage(supabase, landlordId, messageId) {
+  return findThroughTenant(supabase, 'messages', landlordId, messageId);
+}
+
+function findOwnedPayment(supabase, landlordId, paymentId) {
+  return findThroughTenant(supabase, 'payments', landlordId, paymentId);
+}
+
+function findOwnedTicket(supabase, landlordId, ticketId) {
+  return findThroughTenant(supabase, 'tickets', landlordId, ticketId);
+}
+
+// Leases and FAQ entries are owned through their property
+async function findOwnedLease(supabase, landlordId, leaseId) {
+  if (!landlordId || !leaseId) return null;
+  const { data } = await supabase
+    .from('leases')
+    .select('*, tenants (id, name), properties!inner (address, landlord_id)')
+    .eq('id', leaseId)
+    .eq('properties.landlord_id', landlordId)
+    .maybeSingle();
+  return data;
+}
+
+async function findOwnedFaq(supabase, landlordId, faqId) {
+  if (!landlordId || !faqId) return null;
+  const { data } = await supabase
+    .from('property_faqs')
+    .select('*, properties!inner (landlord_id)')
+    .eq('id', faqId)
+    .eq('properties.landlord_id', landlordId)
+    .maybeSingle();
+  return data;
+}
+
+async function findOwnedVendor(supabase, landlordId, vendorId) {
+  if (!landlordId || !vendorId) return null;
+  const { data } = await supabase
+    .from('vendors')
+    .select('*')
+    .eq('id', vendorId)
+    .eq('landlord_id', landlordId)
+    .maybeSingle();
+  return data;
+}
+
+// Webhook jobs are owned through the sender's number: one of the landlord's current tenants
+async function findOwnedJob(supabase, landlordId, jobId) {
+  if (!landlordId || !jobId) return null;
+  const { data: job } = await supabase
+    .from('webhook_jobs')
+    .select('*')
+    .eq('id', jobId)
+    .maybeSingle();
+  if (!job?.phone) return null;
+
+  const { data: tenant } = await supabase
+    .from('tenants')
+    .select('id, properties!inner (landlord_id)')
+    .eq('phone', job.phone)
+    .is('archived_at', null)
+    .eq('properties.landlord_id', landlordId)
+    .limit(1)
+    .maybeSingle();
+  return tenant ? job : null;
+}
+
+module.exports = {
+  findOwnedProperty,
+  findOwnedTenant,
+  findOwnedMessage,
+  findOwnedPayment,
+  findOwnedTicket,
+  findOwnedLease,
+  findOwnedFaq,
+  findOwnedVendor,
+  findOwnedJob
+};
@@ -0,0 +1,17 @@
+// Supabase answers at most 1000 rows per request (the API's max-rows setting) and cuts the rest
+// silently; reads that need every row go page by page
+const PAGE_SIZE = 1000;
+
+// `buildQuery()` returns a fresh query, ordered so pages don't overlap; resolves to all its rows.
+// Pages continue from what came back, so a server capped below `pageSize` still gets read whole.
+async function fetchAllRows(buildQuery, pageSize = PAGE_SIZE) {
+  const rows = [];
+  for (;;) {
+    const { data, error } = await buildQuery().range(rows.length, rows.length + pageSize - 1);
+    if (error) throw error;
+    if (!data?.length) return rows;
+    rows.push(...data);
+  }
+}
+
+module.exports = { PAGE_SIZE, fetchAllRows };
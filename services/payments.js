@@ -0,0 +1,270 @@
+// Rent payment ledger: one `payments` row per tenant and month ('YYYY-MM')
+const { normalizeText } = require('./language');
+const { getLocale } = require('../locales');
+const { isActiveTenant } = require('./tenants');
+
+const PAYMENT_STATUSES = ['unpaid', 'pending', 'partial', 'paid', 'late'];
+const SETTLED_STATUSES = ['paid', 'late'];
+
+const paymentReportKeywords = [
+  // Spanish (accents removed before matching)
+  'ya pague', 'ya pagamos', 'ya hice el pago', 'ya realice el pago', 'ya deposite', 'ya transferi',
+  'ya te pague', 'ya quedo pagad', 'te mando el comprobante', 'aqui esta el comprobante', 'comprobante de pago',
+  // English
+  'i paid', "i've paid", 'i have paid', 'already paid', 'just paid', 'payment sent', 'sent the rent',
+  'sent the payment', 'made the payment', 'here is the receipt', "here's the receipt", 'payment receipt'
+];
+
+// "ya pagué", "I paid the rent", ...
+function isPaymentReport(message) {
+  const text = normalizeText(message);
+  return paymentReportKeywords.some(keyword => text.includes(keyword));
+}
+
+// Numbers in a message ("15,000", "15000.50"), whole: never the middle of a longer run of digits
+const NUMBER_PATTERN = /(?<![\d.,])(\d{1,3}(?:,\d{3})+|\d+)(\.\d{1,2})?(?![\d,]|\.\d)/g;
+const CURRENCY_BEFORE = /(?:\$|mxn|pesos?)\s*$/;
+const CURRENCY_AFTER = /^\s*(?:mxn|mn|pesos?)\b/;
+// A payment word up to two words before the number: "pagué 15000", "paid the rent, 15000"
+const PAYMENT_BEFORE = /\b(?:pague|pagamos|pago|deposite|depositamos|transferi|transferimos|renta|paid|payment|deposited|transferred|sent|rent)\b(?:\s+\S+){0,2}\s*$/;
+
+// Amount the tenant says they paid: a number next to a currency marker ("$15,000", "15000 pesos")
+// or a payment word ("pagué 15000"). Years ("5 de marzo de 2026") and phone or reference numbers
+// (7 digits or more) are not amounts.
+function extractAmount(message) {
+  const text = normalizeText(message);
+  for (const match of text.matchAll(NUMBER_PATTERN)) {
+    const [number, whole] = match;
+    const grouped = whole.includes(',');
+    if (!grouped && (whole.length < 3 || whole.length >= 7)) continue;
+
+    const before = text.slice(0, match.index);
+    const after = text.slice(match.index + number.length);
+    const amount = parseFloat(number.replace(/,/g, ''));
+    if (CURRENCY_BEFORE.test(before) || CURRENCY_AFTER.test(after)) return amount;
+    if (/^(?:19|20)\d{2}$/.test(whole)) continue;
+    if (PAYMENT_BEFORE.test(before)) return amount;
+  }
+  return null;
+}
+
+// Due date for a given month, clamped to the month's last day (e.g. day 31 in February)
+function getDueDate(year, month, rentDueDay) {
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(rentDueDay, lastDay)));
+}
+
+function toPeriod(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+// '2026-10' → 'octubre de 2026', 'October 2026', 'octobre 2026'...
+function formatPeriod(period, language) {
+  const [year, month] = period.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, 1))
+    .toLocaleDateString(getLocale(language).dateLocale, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+// Create the month's charge for every tenant whose rent is already due.
+// Safe to run repeatedly: existing rows are left untouched.
+async function openDueCharges(supabase, today) {
+  const { data: properties, error } = await supabase
+    .from('properties')
+    .select('id, monthly_rent, rent_due_day, tenants (id, archived_at)')
+    .not('rent_due_day', 'is', null);
+
+  if (error) throw error;
+
+  const rows = [];
+  (properties || []).forEach(property => {
+    const dueDate = getDueDate(today.getUTCFullYear(), today.getUTCMonth(), property.rent_due_day);
+    if (dueDate > today || !property.monthly_rent) return;
+
+    (property.tenants || []).filter(isActiveTenant).forEach(tenant => {
+      rows.push({
+        tenant_id: tenant.id,
+        property_id: property.id,
+        period: toPeriod(dueDate),
+        due_date: dueDate.toISOString().slice(0, 10),
+        amount_due: property.monthly_rent
+      });
+    });
+  });
+
+  if (rows.length === 0) return 0;
+
+  const { error: upsertError } = await supabase
+    .from('payments')
+    .upsert(rows, { onConflict: 'tenant_id,period', ignoreDuplicates: true });
+
+  if (upsertError) throw upsertError;
+  return rows.length;
+}
+
+async function getPayment(supabase, tenantId, period) {
+  const { data } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('tenant_id', tenantId)
+    .eq('period', period)
+    .maybeSingle();
+  return data;
+}
+
+function isSettled(payment) {
+  return !!payment && SETTLED_STATUSES.includes(payment.status);
+}
+
+// Most recent month the landlord confirmed as paid (the tenant's "receipt")
+async function getLastSettledPayment(supabase, tenantId) {
+  const { data } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('tenant_id', tenantId)
+    .in('status', SETTLED_STATUSES)
+    .order('period', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  return data;
+}
+
+// Outstanding balance from the ledger: total owed plus the open months
+async function getTenantBalance(supabase, tenantId) {
+  const { data: payments } = await supabase
+    .from('payments')
+    .select('period, amount_due, amount_paid, status')
+    .eq('tenant_id', tenantId)
+    .order('period', { ascending: true });
+
+  const open = (payments || [])
+    .filter(p => !isSettled(p))
+    .map(p => ({
+      period: p.period,
+      status: p.status,
+      owed: Math.max(Number(p.amount_due) - Number(p.amount_paid || 0), 0)
+    }))
+    .filter(p => p.owed > 0);
+
+  return {
+    total: open.reduce((sum, p) => sum + p.owed, 0),
+    open,
+    hasPending: open.some(p => p.status === 'pending')
+  };
+}
+
+// One-line summary of the balance in the tenant's language, for the AI prompt and the balance command
+function describeBalance(balance, language) {
+  const { ledger } = getLocale(language);
+  if (balance.open.length === 0) return ledger.upToDate;
+
+  const months = balance.open.map(p => {
+    const label = `${formatPeriod(p.period, language)}: $${p.owed.toLocaleString('es-MX')} MXN`;
+    return ledger[p.status] ? `${label} (${ledger[p.status]})` : label;
+  });
+
+  return `$${balance.total.toLocaleString('es-MX')} MXN — ${months.join('; ')}`;
+}
+
+// Tenant says they paid: mark the oldest open month (or the current one) as pending confirmation
+async function recordReportedPayment(supabase, tenant, { message, receiptUrl } = {}) {
+  const { data: openPayments } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('tenant_id', tenant.id)
+    .in('status', ['unpaid', 'partial'])
+    .order('period', { ascending: true })
+    .limit(1);
+
+  const now = new Date();
+  const update = {
+    status: 'pending',
+    reported_amount: extractAmount(message),
+    reported_at: now.toISOString(),
+    updated_at: now.toISOString()
+  };
+  if (receiptUrl) update.receipt_url = receiptUrl;
+
+  if (openPayments?.length > 0) {
+    return markReported(supabase, openPayments[0], update);
+  }
+
+  // Nothing open: this month may already be settled (a second "ya pagué") or reported
+  const property = tenant.properties || {};
+  const dueDate = getDueDate(now.getUTCFullYear(), now.getUTCMonth(), property.rent_due_day || 1);
+  const period = toPeriod(dueDate);
+  const current = await getPayment(supabase, tenant.id, period);
+  if (current) return markReported(supabase, current, update);
+
+  // Paying ahead of the due date: create this month's row (a concurrent insert wins)
+  const { data, error } = await supabase
+    .from('payments')
+    .upsert({
+      tenant_id: tenant.id,
+      property_id: tenant.property_id,
+      period,
+      due_date: dueDate.toISOString().slice(0, 10),
+      amount_due: property.monthly_rent || 0,
+      ...update
+    }, { onConflict: 'tenant_id,period', ignoreDuplicates: true })
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+  return data || markReported(supabase, await getPayment(supabase, tenant.id, period), update);
+}
+
+// Mark a month as reported by the tenant; a month the landlord already confirmed is left as is
+async function markReported(supabase, payment, update) {
+  if (isSettled(payment)) return payment;
+
+  const { data, error } = await supabase
+    .from('payments')
+    .update(update)
+    .eq('id', payment.id)
+    .in('status', PAYMENT_STATUSES.filter(status => !SETTLED_STATUSES.includes(status)))
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+  return data || getPayment(supabase, payment.tenant_id, payment.period);
+}
+
+// Receipt photo sent on its own right after "ya pagué": attach it to the pending payment
+async function attachReceipt(supabase, tenantId, receiptUrl) {
+  const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+  const { data: pending } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('tenant_id', tenantId)
+    .eq('status', 'pending')
+    .is('receipt_url', null)
+    .gte('reported_at', since)
+    .order('reported_at', { ascending: false })
+    .limit(1);
+
+  if (!pending?.length) return null;
+
+  const { data, error } = await supabase
+    .from('payments')
+    .update({ receipt_url: receiptUrl, updated_at: new Date().toISOString() })
+    .eq('id', pending[0].id)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+module.exports = {
+  PAYMENT_STATUSES,
+  isPaymentReport,
+  extractAmount,
+  getDueDate,
+  toPeriod,
+  formatPeriod,
+  openDueCharges,
+  getPayment,
+  isSettled,
+  getLastSettledPayment,
+  getTenantBalance,
+  describeBalance,
+  recordReportedPayment,
+  attachReceipt
+};
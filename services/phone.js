@@ -0,0 +1,77 @@
+// Phone numbers in E.164 ("+525512345678"), the one format stored and looked up everywhere
+
+// Calling code, national number length and trunk prefixes dialled before national numbers
+const COUNTRIES = {
+  MX: { name: 'México', code: '52', length: 10, trunk: ['044', '045', '01'] },
+  US: { name: 'Estados Unidos', code: '1', length: 10, trunk: ['1'] },
+  CA: { name: 'Canadá', code: '1', length: 10, trunk: ['1'] },
+  ES: { name: 'España', code: '34', length: 9, trunk: [] },
+  CO: { name: 'Colombia', code: '57', length: 10, trunk: [] },
+  AR: { name: 'Argentina', code: '54', length: 10, trunk: ['0'] },
+  CL: { name: 'Chile', code: '56', length: 9, trunk: [] },
+  PE: { name: 'Perú', code: '51', length: 9, trunk: ['0'] },
+  BR: { name: 'Brasil', code: '55', length: 11, trunk: ['0'] },
+  PT: { name: 'Portugal', code: '351', length: 9, trunk: [] },
+  FR: { name: 'Francia', code: '33', length: 9, trunk: ['0'] },
+  GB: { name: 'Reino Unido', code: '44', length: 10, trunk: ['0'] }
+};
+
+const DEFAULT_COUNTRY = process.env.DEFAULT_COUNTRY || 'MX';
+
+// Mexico dropped the mobile "1" after +52 in 2019, but WhatsApp still sends some
+// numbers as +521XXXXXXXXXX: both mean the same phone
+function fixMexicanMobile(digits) {
+  return /^521\d{10}$/.test(digits) ? '52' + digits.slice(3) : digits;
+}
+
+// Anything a landlord types or Twilio sends ("whatsapp:+521...", "55 1234 5678",
+// "044 55 1234 5678", "+1 (415) 555-0100") → E.164, or null if it can't be a phone number.
+// Numbers without a country code are read as `country`'s.
+function normalizePhone(input, country = DEFAULT_COUNTRY) {
+  if (!input) return null;
+
+  let text = String(input).trim().replace(/^whatsapp:/i, '');
+  const international = text.startsWith('+') || text.startsWith('00');
+  let digits = text.replace(/\D/g, '');
+  if (text.startsWith('00')) digits = digits.slice(2);
+
+  if (!international) {
+    const rules = COUNTRIES[country] || COUNTRIES[DEFAULT_COUNTRY];
+    const trunk = rules.trunk.find(prefix => digits.startsWith(prefix) && digits.length === prefix.length + rules.length);
+
+    if (trunk) digits = digits.slice(trunk.length);
+    if (digits.length === rules.length) {
+      digits = rules.code + digits;
+    } else if (!digits.startsWith(rules.code) && !/^521\d{10}$/.test(digits)) {
+      return null;
+    }
+  }
+
+  digits = fixMexicanMobile(digits);
+  if (digits.length < 8 || digits.length > 15 || digits.startsWith('0')) return null;
+  return '+' + digits;
+}
+
+function isValidPhone(input, country) {
+  return normalizePhone(input, country) !== null;
+}
+
+// Which of the accepted ways of writing a number `input` is in (for diagnostics):
+// 'e164', 'mx_mobile_521' (+521…), 'intl_00', 'no_plus' (country code without +),
+// 'trunk' (044 55…), 'national', or 'invalid'
+function describePhoneFormat(input, country = DEFAULT_COUNTRY) {
+  if (!normalizePhone(input, country)) return 'invalid';
+
+  const text = String(input).trim().replace(/^whatsapp:/i, '');
+  const digits = text.replace(/\D/g, '');
+  if (text.startsWith('00')) return 'intl_00';
+  if (/^521\d{10}$/.test(digits)) return 'mx_mobile_521';
+  if (text.startsWith('+')) return 'e164';
+
+  const rules = COUNTRIES[country] || COUNTRIES[DEFAULT_COUNTRY];
+  if (digits.length === rules.length) return 'national';
+  if (rules.trunk.some(prefix => digits.startsWith(prefix) && digits.length === prefix.length + rules.length)) return 'trunk';
+  return 'no_plus';
+}
+
+module.exports = { COUNTRIES, DEFAULT_COUNTRY, normalizePhone, isValidPhone, describePhoneFormat };
@@ -0,0 +1,40 @@
+// Keep personal data (numbers, names, emails, message text) out of the logs
+
+// '+525512345678' → '+52******5678'
+function maskPhone(phone) {
+  if (!phone) return phone;
+  const value = String(phone).replace(/^whatsapp:/, '');
+  const digits = value.replace(/\D/g, '');
+  if (digits.length <= 6) return '***';
+  return `${value.startsWith('+') ? '+' : ''}${digits.slice(0, 2)}${'*'.repeat(digits.length - 6)}${digits.slice(-4)}`;
+}
+
+// 'sofia@example.com' → 's***@example.com'
+function maskEmail(email) {
+  if (!email || !String(email).includes('@')) return email;
+  const [user, domain] = String(email).split('@');
+  return `${user.slice(0, 1)}***@${domain}`;
+}
+
+// UUIDs and Twilio SIDs ('SM' + 32 hex) can hold long digit runs that look like phone numbers
+const ID_PATTERN = /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b|\b[a-z]{2}[0-9a-f]{32}\b/i;
+const PHONE_PATTERN = /\+?\d[\d\s().-]{8,}\d/;
+const ID_OR_PHONE = new RegExp(`${ID_PATTERN.source}|${PHONE_PATTERN.source}`, 'gi');
+
+// Phone numbers and emails inside free text (errors, AI output); ids are left whole
+function redactText(text) {
+  if (!text) return text;
+  return String(text)
+    .replace(/[\w.+-]+@[\w-]+\.[\w.-]+/g, maskEmail)
+    .replace(ID_OR_PHONE, match => {
+      if (ID_PATTERN.test(match)) return match;
+      return match.replace(/\D/g, '').length >= 10 ? maskPhone(match) : match;
+    });
+}
+
+// What a message was, without what it said
+function describeText(text) {
+  return text ? `[${String(text).length} chars]` : '[empty]';
+}
+
+module.exports = { maskPhone, maskEmail, redactText, describeText };
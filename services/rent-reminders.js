@@ -0,0 +1,151 @@
+const cron = require('node-cron');
+const { getTenantLanguage } = require('./language');
+const { SUPPORTED_LANGUAGES, getLocale } = require('../locales');
+const { sendTenantMessage } = require('./messaging');
+const { isActiveTenant } = require('./tenants');
+const { getDueDate, toPeriod, getPayment, isSettled, openDueCharges } = require('./payments');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'rent-reminders' });
+
+let supabase;
+let twilioClient;
+
+// Configuration (all optional, see defaults)
+const DAYS_BEFORE = parseInt(process.env.RENT_REMINDER_DAYS_BEFORE || '3');
+const DAYS_AFTER = parseInt(process.env.RENT_REMINDER_DAYS_AFTER || '3');
+const SCHEDULE = process.env.RENT_REMINDER_CRON || '0 9 * * *'; // Every day at 9:00
+const TIMEZONE = process.env.RENT_REMINDER_TIMEZONE || process.env.TIMEZONE || 'America/Mexico_City';
+
+const REMINDER_CATEGORIES = [...new Set(SUPPORTED_LANGUAGES.map(code => getLocale(code).categories.reminder))];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Initialize with services from server.js and start the daily job
+function initRentReminders(supabaseClient, twilio) {
+  supabase = supabaseClient;
+  twilioClient = twilio;
+
+  if (process.env.RENT_REMINDERS_ENABLED === 'false') {
+    log.info('Rent reminders disabled');
+    return { runRentReminders };
+  }
+
+  cron.schedule(SCHEDULE, () => {
+    runRentReminders().catch(error => log.error('Rent reminders error', { error }));
+  }, { timezone: TIMEZONE, name: 'rent-reminders', noOverlap: true });
+
+  log.info('Rent reminders scheduled', { schedule: SCHEDULE, timezone: TIMEZONE });
+  return { runRentReminders };
+}
+
+// Today's date in the landlord's timezone, as a UTC midnight Date
+function getToday() {
+  const [year, month, day] = new Intl.DateTimeFormat('en-CA', {
+    timeZone: TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit'
+  }).format(new Date()).split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+// Which reminder (if any) a property gets today: 'upcoming', 'due' or 'overdue'
+function getReminderStage(today, rentDueDay) {
+  for (const offset of [-1, 0, 1]) {
+    const dueDate = getDueDate(today.getUTCFullYear(), today.getUTCMonth() + offset, rentDueDay);
+    const daysUntilDue = Math.round((dueDate - today) / DAY_MS);
+
+    if (daysUntilDue === 0) return { stage: 'due', dueDate };
+    if (DAYS_BEFORE > 0 && daysUntilDue === DAYS_BEFORE) return { stage: 'upcoming', dueDate };
+    if (DAYS_AFTER > 0 && daysUntilDue === -DAYS_AFTER) return { stage: 'overdue', dueDate };
+  }
+  return null;
+}
+
+function buildReminderMessage(stage, tenant, property, dueDate, language) {
+  const locale = getLocale(language);
+  return locale.reminders[stage]({
+    name: tenant.name,
+    rent: `$${Number(property.monthly_rent).toLocaleString('es-MX')} MXN`,
+    address: property.address || locale.reminders.property,
+    date: dueDate.toLocaleDateString(locale.dateLocale, { day: 'numeric', month: 'long', timeZone: 'UTC' }),
+    days: DAYS_BEFORE
+  });
+}
+
+// Avoid sending twice on the same day (e.g. after a restart)
+async function alreadyReminded(tenantId) {
+  const { data } = await supabase
+    .from('messages')
+    .select('id')
+    .eq('tenant_id', tenantId)
+    .eq('direction', 'outgoing')
+    .in('category', REMINDER_CATEGORIES)
+    .gte('created_at', new Date(Date.now() - 20 * 60 * 60 * 1000).toISOString())
+    .limit(1);
+
+  return data?.length > 0;
+}
+
+async function sendReminder(stage, tenant, property, dueDate) {
+  if (isSettled(await getPayment(supabase, tenant.id, toPeriod(dueDate)))) {
+    log.debug('Rent reminder skipped: already paid', { tenantId: tenant.id });
+    return false;
+  }
+
+  if (await alreadyReminded(tenant.id)) {
+    log.debug('Rent reminder skipped: already reminded today', { tenantId: tenant.id });
+    return false;
+  }
+
+  const language = await getTenantLanguage(supabase, tenant.id);
+  const body = buildReminderMessage(stage, tenant, property, dueDate, language);
+
+  await sendTenantMessage(supabase, twilioClient, tenant, body, {
+    category: getLocale(language).categories.reminder
+  });
+
+  log.info('Rent reminder sent', { tenantId: tenant.id, stage });
+  return true;
+}
+
+// Send today's reminders for every property. Returns the number of messages sent.
+async function runRentReminders() {
+  const today = getToday();
+  log.info('Running rent reminders', { date: today.toISOString().slice(0, 10) });
+
+  // Open this month's ledger rows so balances include rent that just came due
+  try {
+    const opened = await openDueCharges(supabase, today);
+    log.info('Ledger checked', { dueCharges: opened });
+  } catch (e) {
+    log.error('Could not open due charges', { error: e });
+  }
+
+  const { data: properties, error } = await supabase
+    .from('properties')
+    .select('*, tenants (*)')
+    .not('rent_due_day', 'is', null);
+
+  if (error) {
+    log.error('Could not load properties', { error });
+    return 0;
+  }
+
+  let sent = 0;
+  for (const property of properties || []) {
+    const reminder = getReminderStage(today, property.rent_due_day);
+    if (!reminder || !property.monthly_rent) continue;
+
+    for (const tenant of (property.tenants || []).filter(isActiveTenant)) {
+      try {
+        if (await sendReminder(reminder.stage, tenant, property, reminder.dueDate)) sent++;
+      } catch (e) {
+        log.error('Rent reminder failed', { tenantId: tenant.id, error: e });
+      }
+    }
+  }
+
+  log.info('Rent reminders done', { sent });
+  return sent;
+}
+
+module.exports = initRentReminders;
+module.exports.getReminderStage = getReminderStage;
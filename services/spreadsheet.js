@@ -0,0 +1,172 @@
+// CSV and XLSX reading, CSV writing. Spreadsheets come from Excel, Google Sheets or
+// Numbers, so CSVs may use ";" and XLSX files are read straight from the zip.
+const zlib = require('zlib');
+
+// Largest a file inside an XLSX may be once unzipped: far more than an import's rows need, and
+// small enough that a zip bomb can't fill the memory
+const MAX_UNZIPPED_SIZE = 10 * 1024 * 1024;
+
+// Excel in Spanish locales separates with ";": pick whichever the header line uses more
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const count = char => firstLine.split(char).length - 1;
+  return count(';') > count(',') ? ';' : ',';
+}
+
+// RFC 4180: quoted fields may contain the delimiter, "" and line breaks. Blank lines are dropped.
+function parseCsv(text) {
+  text = String(text || '').replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Cells starting with = + - @ run as formulas when opened in Excel; phone numbers
+// ("+52...") and negative amounts are left alone
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=@]/.test(text) || /^[+-][^\d\s]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows (arrays) → CSV, with a BOM so Excel opens accents correctly
+function toCsv(rows) {
+  return '\uFEFF' + rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function inflateEntry(data) {
+  try {
+    return zlib.inflateRawSync(data, { maxOutputLength: MAX_UNZIPPED_SIZE });
+  } catch (e) {
+    if (e.code === 'ERR_BUFFER_TOO_LARGE') throw new Error('The XLSX file is too large once unzipped');
+    throw e;
+  }
+}
+
+// Zip entries by name → Buffer (stored or deflated, the only methods XLSX writers use)
+function readZip(buffer) {
+  const eocd = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (eocd < 0) throw new Error('Not a valid XLSX file');
+
+  const entries = {};
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Not a valid XLSX file');
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    entries[name] = () => (method === 8 ? inflateEntry(data) : data);
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(code))
+    .replace(/&#x([0-9a-f]+);/gi, (m, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+// All the <t> runs of a shared or inline string (rich text splits one string into several)
+function xmlText(xml) {
+  return [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(m => decodeXml(m[1])).join('');
+}
+
+function columnIndex(ref) {
+  const letters = ref.replace(/\d+$/, '');
+  return [...letters].reduce((n, c) => n * 26 + c.charCodeAt(0) - 64, 0) - 1;
+}
+
+// First worksheet of an XLSX file → rows (arrays of strings). Numbers come back as typed
+// in the cell's raw value (dates as Excel serial numbers).
+function parseXlsx(buffer) {
+  const zip = readZip(buffer);
+  const file = name => zip[name] ? zip[name]().toString('utf8') : null;
+
+  const workbook = file('xl/workbook.xml') || '';
+  const rels = file('xl/_rels/workbook.xml.rels') || '';
+  const firstSheetRel = workbook.match(/<sheet\b[^>]*\br:id="([^"]+)"/)?.[1];
+  const target = [...rels.matchAll(/<Relationship\b[^>]*>/g)]
+    .map(m => m[0])
+    .find(rel => rel.includes(`Id="${firstSheetRel}"`))
+    ?.match(/Target="([^"]+)"/)?.[1];
+  const sheetPath = target ? (target.startsWith('/') ? target.slice(1) : `xl/${target}`) : 'xl/worksheets/sheet1.xml';
+
+  const sheet = file(sheetPath);
+  if (!sheet) throw new Error('The spreadsheet has no worksheet');
+
+  const shared = [...(file('xl/sharedStrings.xml') || '').matchAll(/<si>([\s\S]*?)<\/si>/g)].map(m => xmlText(m[1]));
+
+  const rows = [];
+  for (const [, rowXml = ''] of sheet.matchAll(/<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const row = [];
+    for (const [, attrs, inner = ''] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const ref = attrs.match(/\br="([A-Z]+\d+)"/)?.[1];
+      const type = attrs.match(/\bt="(\w+)"/)?.[1];
+      const raw = inner.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+
+      let value = '';
+      if (type === 's') value = shared[parseInt(raw)] || '';
+      else if (type === 'inlineStr') value = xmlText(inner);
+      else if (raw !== undefined) value = decodeXml(raw);
+
+      row[ref ? columnIndex(ref) : row.length] = value;
+    }
+    rows.push(Array.from(row, value => value || ''));
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// An uploaded file → rows. XLSX files are zips, so they start with "PK"; anything else is read as CSV.
+function parseSpreadsheet(buffer) {
+  if (buffer.subarray(0, 2).toString() === 'PK') return parseXlsx(buffer);
+  return parseCsv(buffer.toString('utf8'));
+}
+
+module.exports = { MAX_UNZIPPED_SIZE, parseCsv, toCsv, parseXlsx, parseSpreadsheet };
@@ -0,0 +1,70 @@
+// Suggested replies in the dashboard: the same context (and memory) the webhook gives the assistant,
+// plus the landlord's own recent replies so the drafts sound like them
+const { suggestReplies } = require('./assistant');
+const { getTenantLanguage, isSpanishLanguage } = require('./language');
+const { getLandlordSettings } = require('./landlords');
+const { getTenantBalance, describeBalance } = require('./payments');
+const { getOpenTicket } = require('./tickets');
+const { getActiveLease } = require('./leases');
+const { getPropertyFaqs, findRelevantFaqs } = require('./knowledge');
+const { RECENT_MESSAGES_LIMIT, getConversationMemory, fitToBudget } = require('./memory');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'suggestions' });
+
+const LANDLORD_REPLIES_LIMIT = 5;
+
+// The landlord's latest replies to any of their tenants
+async function getLandlordReplies(supabase, landlordId, limit = LANDLORD_REPLIES_LIMIT) {
+  const { data } = await supabase
+    .from('messages')
+    .select('message_body, created_at, tenants!inner (properties!inner (landlord_id))')
+    .eq('author', 'landlord')
+    .eq('tenants.properties.landlord_id', landlordId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  return (data || []).map(({ message_body, created_at }) => ({ message_body, created_at }));
+}
+
+// `tenant` comes from findOwnedTenant (with its property). Returns { suggestions, tone, language, provider, fallback }
+async function suggestTenantReplies(supabase, tenant, tone) {
+  const landlordId = tenant.properties?.landlord_id;
+
+  const { data: recent } = await supabase
+    .from('messages')
+    .select('direction, author, message_body, ai_response, created_at')
+    .eq('tenant_id', tenant.id)
+    .order('created_at', { ascending: false })
+    .limit(RECENT_MESSAGES_LIMIT);
+  const recentMessages = (recent || []).reverse();
+
+  const language = await getTenantLanguage(supabase, tenant.id);
+  const isSpanish = isSpanishLanguage(language);
+  const settings = await getLandlordSettings(supabase, landlordId);
+  const balance = await getTenantBalance(supabase, tenant.id);
+  const lastMessage = [...recentMessages].reverse().find(msg => msg.direction === 'incoming');
+  const { memory, history } = fitToBudget(
+    await getConversationMemory(supabase, tenant.id, lastMessage?.message_body || '', recentMessages),
+    recentMessages
+  );
+
+  const context = {
+    tenant,
+    language,
+    isSpanish,
+    balance,
+    balanceSummary: describeBalance(balance, language),
+    openTicket: await getOpenTicket(supabase, tenant.id),
+    lease: await getActiveLease(supabase, tenant.id),
+    faqs: findRelevantFaqs(await getPropertyFaqs(supabase, tenant.property_id), lastMessage?.message_body || '', history),
+    landlordReplies: await getLandlordReplies(supabase, landlordId),
+    memory
+  };
+
+  const result = await suggestReplies(context, history, { tone, provider: settings.ai_provider, model: settings.ai_model });
+  log.info('Suggested replies', { tenantId: tenant.id, count: result.suggestions.length, provider: result.provider, tone: result.tone });
+  return { ...result, language };
+}
+
+module.exports = { getLandlordReplies, suggestTenantReplies };
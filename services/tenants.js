@@ -0,0 +1,47 @@
+// Tenant lifecycle: current tenants vs. moved out (archived, history kept)
+
+function isActiveTenant(tenant) {
+  return !!tenant && !tenant.archived_at;
+}
+
+// Archive the tenant and end their lease; messages, payments and tickets stay for the record
+async function moveOutTenant(supabase, tenant, { moveOutDate, notes } = {}) {
+  const now = new Date().toISOString();
+
+  const { error } = await supabase
+    .from('tenants')
+    .update({
+      archived_at: now,
+      move_out_date: moveOutDate || now.slice(0, 10),
+      move_out_notes: notes || null,
+      ai_paused: false,
+      ai_paused_until: null
+    })
+    .eq('id', tenant.id);
+  if (error) throw error;
+
+  await endActiveLeases(supabase, tenant.id);
+}
+
+// Move a current tenant to another unit. Their lease was for the old one, so it ends;
+// the landlord registers the new one on the leases page.
+async function moveTenantToProperty(supabase, tenant, propertyId) {
+  const { error } = await supabase
+    .from('tenants')
+    .update({ property_id: propertyId })
+    .eq('id', tenant.id);
+  if (error) throw error;
+
+  await endActiveLeases(supabase, tenant.id);
+}
+
+async function endActiveLeases(supabase, tenantId) {
+  const { error } = await supabase
+    .from('leases')
+    .update({ status: 'ended', updated_at: new Date().toISOString() })
+    .eq('tenant_id', tenantId)
+    .eq('status', 'active');
+  if (error) throw error;
+}
+
+module.exports = { isActiveTenant, moveOutTenant, moveTenantToProperty };
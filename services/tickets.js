@@ -0,0 +1,146 @@
+// Maintenance tickets built from URGENT/MAINTENANCE conversations
+const { normalizeTrade } = require('./vendors');
+const { getLocale } = require('../locales');
+
+const TICKET_STATUSES = ['open', 'scheduled', 'resolved'];
+const TICKET_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const URGENT_CATEGORIES = ['URGENTE', 'URGENT'];
+const MAINTENANCE_CATEGORIES = [...URGENT_CATEGORIES, 'MANTENIMIENTO', 'MAINTENANCE'];
+
+// Short messages within this window are treated as follow-ups when the AI can't tell us
+const FOLLOW_UP_WINDOW_MS = 48 * 60 * 60 * 1000;
+
+const priorityAliases = { baja: 'low', media: 'medium', alta: 'high', urgente: 'urgent' };
+
+function isMaintenanceCategory(category) {
+  return MAINTENANCE_CATEGORIES.includes((category || '').toUpperCase());
+}
+
+function normalizePriority(priority, category) {
+  const value = (priority || '').toLowerCase();
+  if (TICKET_PRIORITIES.includes(value)) return value;
+  if (priorityAliases[value]) return priorityAliases[value];
+  return URGENT_CATEGORIES.includes((category || '').toUpperCase()) ? 'urgent' : 'medium';
+}
+
+// Most recent ticket that is still open or scheduled
+async function getOpenTicket(supabase, tenantId) {
+  const { data } = await supabase
+    .from('tickets')
+    .select('*')
+    .eq('tenant_id', tenantId)
+    .in('status', ['open', 'scheduled'])
+    .order('updated_at', { ascending: false })
+    .limit(1);
+  return data?.[0] || null;
+}
+
+// Open ticket summary for the AI prompt
+function describeTicket(ticket, isSpanish) {
+  if (!ticket) return isSpanish ? 'Ninguno' : 'None';
+
+  const parts = [
+    ticket.description,
+    ticket.location && (isSpanish ? `ubicación: ${ticket.location}` : `location: ${ticket.location}`),
+    isSpanish ? `prioridad: ${ticket.priority}` : `priority: ${ticket.priority}`,
+    isSpanish ? `estado: ${ticket.status}` : `status: ${ticket.status}`
+  ];
+  if (ticket.scheduled_for) {
+    parts.push((isSpanish ? 'programado para ' : 'scheduled for ') + new Date(ticket.scheduled_for).toLocaleString(isSpanish ? 'es-MX' : 'en-US'));
+  }
+  return parts.filter(Boolean).join(', ');
+}
+
+// Decide whether an incoming message belongs to a ticket, and open or update it.
+// `details` is what the AI extracted ({ location, description, priority, trade }), `followUp` is
+// the AI's opinion on whether the message continues the open ticket (null when unknown).
+async function trackTicket(supabase, tenant, { category, message, details, followUp, openTicket }) {
+  const isMaintenance = isMaintenanceCategory(category);
+  const now = new Date().toISOString();
+
+  let attach = false;
+  if (openTicket) {
+    if (followUp === true) {
+      attach = true;
+    } else if (followUp === null || followUp === undefined) {
+      const recent = Date.now() - new Date(openTicket.updated_at).getTime() < FOLLOW_UP_WINDOW_MS;
+      attach = isMaintenance || (recent && message.length < 30);
+    }
+  }
+
+  if (attach) {
+    const update = { updated_at: now };
+    if (!openTicket.location && details?.location) update.location = details.location;
+    if (!openTicket.description && details?.description) update.description = details.description;
+    if (!openTicket.trade && isMaintenance) update.trade = normalizeTrade(details?.trade, `${details?.description || ''} ${message}`);
+
+    // Only ever escalate the priority from a follow-up
+    const priority = (details?.priority || URGENT_CATEGORIES.includes((category || '').toUpperCase()))
+      ? normalizePriority(details?.priority, category)
+      : null;
+    if (priority && TICKET_PRIORITIES.indexOf(priority) > TICKET_PRIORITIES.indexOf(openTicket.priority)) {
+      update.priority = priority;
+    }
+
+    const { data, error } = await supabase
+      .from('tickets')
+      .update(update)
+      .eq('id', openTicket.id)
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  if (!isMaintenance) return null;
+
+  const { data, error } = await supabase
+    .from('tickets')
+    .insert({
+      tenant_id: tenant.id,
+      property_id: tenant.property_id,
+      status: 'open',
+      priority: normalizePriority(details?.priority, category),
+      category,
+      location: details?.location || null,
+      description: details?.description || message,
+      trade: normalizeTrade(details?.trade, `${details?.description || ''} ${message}`)
+    })
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+// WhatsApp update sent to the tenant when the landlord changes a ticket's status
+function buildStatusMessage(ticket, tenant, language, note) {
+  const locale = getLocale(language);
+  const issue = ticket.description ? `"${ticket.description}"` : locale.ticketStatus.maintenance;
+  const when = ticket.scheduled_for
+    ? new Date(ticket.scheduled_for).toLocaleString(locale.dateLocale, {
+      weekday: 'long', day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit',
+      timeZone: process.env.TIMEZONE || 'America/Mexico_City'
+    })
+    : null;
+
+  let text;
+  if (ticket.status === 'scheduled') {
+    text = locale.ticketStatus.scheduled(tenant.name, issue, when);
+  } else if (ticket.status === 'resolved') {
+    text = locale.ticketStatus.resolved(tenant.name, issue);
+  } else {
+    text = locale.ticketStatus.open(tenant.name, issue);
+  }
+
+  return note ? `${text}\n\n${note}` : text;
+}
+
+module.exports = {
+  TICKET_STATUSES,
+  TICKET_PRIORITIES,
+  isMaintenanceCategory,
+  getOpenTicket,
+  describeTicket,
+  trackTicket,
+  buildStatusMessage
+};
@@ -0,0 +1,252 @@
+// Vendor directory and job dispatch (plumbers, electricians...)
+const { normalizeText } = require('./language');
+
+const TRADES = ['plumber', 'electrician', 'gas', 'locksmith', 'appliances', 'pest_control', 'handyman', 'other'];
+const VENDOR_CHANNELS = ['whatsapp', 'sms'];
+const JOB_STATUSES = ['sent', 'accepted', 'declined', 'completed'];
+const OPEN_JOB_STATUSES = ['sent', 'accepted'];
+
+const tradeLabels = {
+  es: { plumber: 'Plomería', electrician: 'Electricidad', gas: 'Gas', locksmith: 'Cerrajería', appliances: 'Electrodomésticos', pest_control: 'Fumigación', handyman: 'Mantenimiento general', other: 'Otro' },
+  en: { plumber: 'Plumbing', electrician: 'Electrical', gas: 'Gas', locksmith: 'Locksmith', appliances: 'Appliances', pest_control: 'Pest control', handyman: 'General handyman', other: 'Other' }
+};
+
+// Keywords used when the AI didn't tell us which trade a ticket needs
+const tradeKeywords = {
+  plumber: ['fuga', 'agua', 'tuberia', 'drenaje', 'bano', 'excusado', 'inodoro', 'lavabo', 'fregadero', 'regadera', 'boiler', 'calentador', 'leak', 'water', 'pipe', 'toilet', 'sink', 'drain', 'shower', 'flood'],
+  electrician: ['luz', 'electric', 'apagon', 'enchufe', 'contacto', 'corto', 'foco', 'breaker', 'power', 'outlet', 'light', 'fuse'],
+  gas: ['gas', 'estufa', 'stove'],
+  locksmith: ['llave', 'cerradura', 'chapa', 'key', 'lock'],
+  appliances: ['refrigerador', 'lavadora', 'secadora', 'microondas', 'fridge', 'washer', 'dryer', 'microwave', 'aire acondicionado', 'air conditioning'],
+  pest_control: ['cucaracha', 'plaga', 'rata', 'raton', 'hormiga', 'chinche', 'roach', 'pest', 'mouse', 'bed bug']
+};
+
+function guessTrade(text) {
+  const lower = normalizeText(text);
+  const match = Object.keys(tradeKeywords).find(trade => tradeKeywords[trade].some(k => lower.includes(k)));
+  return match || null;
+}
+
+function normalizeTrade(trade, text) {
+  const value = normalizeText(trade).replace(/\s+/g, '_');
+  if (TRADES.includes(value)) return value;
+  return guessTrade(text) || 'handyman';
+}
+
+function tradeLabel(trade, language = 'es') {
+  return tradeLabels[language === 'en' ? 'en' : 'es'][trade] || trade;
+}
+
+// Vendors with an empty service area cover everywhere
+function coversAddress(vendor, address) {
+  const areas = (vendor.service_areas || '').split(',').map(a => normalizeText(a.trim())).filter(Boolean);
+  if (areas.length === 0) return true;
+  const target = normalizeText(address);
+  return areas.some(area => target.includes(area));
+}
+
+// Best vendors for a ticket: same trade and area first, then same trade, then handymen
+function rankVendors(vendors, ticket, address) {
+  const score = vendor => {
+    let s = 0;
+    if (vendor.trade === ticket.trade) s += 2;
+    else if (vendor.trade === 'handyman') s += 1;
+    else return -1;
+    if (coversAddress(vendor, address)) s += 2;
+    return s;
+  };
+
+  return vendors
+    .filter(v => v.active !== false)
+    .map(v => ({ vendor: v, score: score(v) }))
+    .filter(v => v.score >= 0)
+    .sort((a, b) => b.score - a.score)
+    .map(v => v.vendor);
+}
+
+// Job summary sent to the vendor in their language
+function buildJobSummary(ticket, tenant, property, vendor) {
+  const en = vendor.language === 'en';
+  const lines = en
+    ? [
+      `New job (${tradeLabel(ticket.trade, 'en')})${ticket.priority === 'urgent' ? ' - URGENT' : ''}`,
+      `Address: ${property?.address || '-'}`,
+      ticket.location && `Location: ${ticket.location}`,
+      `Problem: ${ticket.description || '-'}`,
+      `Tenant: ${tenant?.name || '-'} ${tenant?.phone || ''}`.trim(),
+      property?.landlord_name && `Landlord: ${property.landlord_name} ${property.landlord_phone || ''}`.trim(),
+      '',
+      'Reply ACCEPT if you can take it, DECLINE if not, or DONE once it is fixed.'
+    ]
+    : [
+      `Nuevo trabajo (${tradeLabel(ticket.trade, 'es')})${ticket.priority === 'urgent' ? ' - URGENTE' : ''}`,
+      `Dirección: ${property?.address || '-'}`,
+      ticket.location && `Ubicación: ${ticket.location}`,
+      `Problema: ${ticket.description || '-'}`,
+      `Inquilino: ${tenant?.name || '-'} ${tenant?.phone || ''}`.trim(),
+      property?.landlord_name && `Propietario: ${property.landlord_name} ${property.landlord_phone || ''}`.trim(),
+      '',
+      'Responde ACEPTO si puedes tomarlo, NO PUEDO si no, o LISTO cuando quede arreglado.'
+    ];
+
+  return lines.filter(line => line !== null && line !== undefined && line !== false).join('\n');
+}
+
+async function sendToVendor(twilioClient, vendor, body) {
+  const whatsapp = vendor.channel !== 'sms';
+  return twilioClient.messages.create({
+    from: whatsapp ? process.env.TWILIO_WHATSAPP_NUMBER : process.env.TWILIO_SMS_NUMBER,
+    to: whatsapp ? `whatsapp:${vendor.phone}` : vendor.phone,
+    body
+  });
+}
+
+// Send a ticket to a vendor and record the job
+async function dispatchJob(supabase, twilioClient, { ticket, vendor, tenant, property, automatic = false }) {
+  const body = buildJobSummary(ticket, tenant, property, vendor);
+  await sendToVendor(twilioClient, vendor, body);
+
+  const { data: job, error } = await supabase
+    .from('vendor_jobs')
+    .insert({
+      ticket_id: ticket.id,
+      vendor_id: vendor.id,
+      channel: vendor.channel,
+      automatic
+    })
+    .select()
+    .single();
+  if (error) throw error;
+
+  await supabase.from('vendor_messages').insert({
+    job_id: job.id,
+    vendor_id: vendor.id,
+    direction: 'outgoing',
+    message_body: body
+  });
+
+  return job;
+}
+
+// Urgent ticket: send it to the best auto-dispatch vendor, unless someone already has it
+async function autoDispatch(supabase, twilioClient, ticket, tenant) {
+  const property = tenant.properties || {};
+  if (!property.landlord_id) return null;
+
+  const { data: existing } = await supabase
+    .from('vendor_jobs')
+    .select('id')
+    .eq('ticket_id', ticket.id)
+    .neq('status', 'declined')
+    .limit(1);
+  if (existing?.length) return null;
+
+  const { data: vendors } = await supabase
+    .from('vendors')
+    .select('*')
+    .eq('landlord_id', property.landlord_id)
+    .eq('auto_dispatch', true)
+    .eq('active', true);
+
+  const vendor = rankVendors(vendors || [], ticket, property.address)
+    .find(v => v.trade === ticket.trade && coversAddress(v, property.address));
+  if (!vendor) return null;
+
+  return dispatchJob(supabase, twilioClient, { ticket, vendor, tenant, property, automatic: true });
+}
+
+// Vendor texting us back, by their E.164 number (stored vendor numbers are normalized on save).
+// A plumber working for several landlords has one row per landlord: the reply is about the most
+// recently dispatched open job, so that row wins; without open jobs, the oldest row.
+async function findVendorByPhone(supabase, phone) {
+  const { data: vendors } = await supabase
+    .from('vendors')
+    .select('*')
+    .eq('phone', phone)
+    .eq('active', true)
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true });
+  if (!vendors?.length) return null;
+  if (vendors.length === 1) return vendors[0];
+
+  const { data: jobs } = await supabase
+    .from('vendor_jobs')
+    .select('vendor_id')
+    .in('vendor_id', vendors.map(v => v.id))
+    .in('status', OPEN_JOB_STATUSES)
+    .order('created_at', { ascending: false })
+    .limit(1);
+  return vendors.find(v => v.id === jobs?.[0]?.vendor_id) || vendors[0];
+}
+
+function parseVendorReply(message) {
+  const text = normalizeText(message).trim();
+  if (/\b(listo|terminado|terminamos|quedo|arreglado|done|fixed|finished|completed)\b/.test(text)) return 'completed';
+  if (/\b(no puedo|no podemos|no disponible|rechazo|decline|declined|can't|cannot|not available)\b/.test(text)) return 'declined';
+  if (/\b(acepto|aceptado|voy|vamos|si|ok|okay|accept|accepted|on my way|yes)\b/.test(text)) return 'accepted';
+  return null;
+}
+
+// Thread a vendor's message onto their most recent open job and update its status
+async function recordVendorReply(supabase, vendor, message) {
+  const { data: jobs } = await supabase
+    .from('vendor_jobs')
+    .select('*, tickets (id, description, tenant_id)')
+    .eq('vendor_id', vendor.id)
+    .in('status', OPEN_JOB_STATUSES)
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  const job = jobs?.[0] || null;
+
+  await supabase.from('vendor_messages').insert({
+    job_id: job?.id || null,
+    vendor_id: vendor.id,
+    direction: 'incoming',
+    message_body: message
+  });
+
+  if (!job) return { job: null, status: null };
+
+  const status = parseVendorReply(message);
+  if (status && status !== job.status) {
+    await supabase
+      .from('vendor_jobs')
+      .update({ status, updated_at: new Date().toISOString() })
+      .eq('id', job.id);
+  }
+
+  // Keep the ticket at the top of the board
+  await supabase
+    .from('tickets')
+    .update({ updated_at: new Date().toISOString() })
+    .eq('id', job.ticket_id);
+
+  return { job, status };
+}
+
+function buildVendorAck(vendor, status, hasJob) {
+  const en = vendor.language === 'en';
+  if (!hasJob) {
+    return en ? 'Thanks! We don\'t have an open job for you right now. The landlord will get your message.' : '¡Gracias! No tienes un trabajo abierto en este momento. El propietario recibirá tu mensaje.';
+  }
+  if (status === 'accepted') return en ? 'Great, thank you! The landlord has been notified.' : '¡Perfecto, gracias! Ya le avisamos al propietario.';
+  if (status === 'declined') return en ? 'No problem, thanks for letting us know.' : 'Sin problema, gracias por avisar.';
+  if (status === 'completed') return en ? 'Thank you for completing the job! The landlord will confirm with the tenant.' : '¡Gracias por terminar el trabajo! El propietario lo confirmará con el inquilino.';
+  return en ? 'Thanks, we got your message and passed it on to the landlord.' : 'Gracias, recibimos tu mensaje y se lo pasamos al propietario.';
+}
+
+module.exports = {
+  TRADES,
+  VENDOR_CHANNELS,
+  JOB_STATUSES,
+  guessTrade,
+  normalizeTrade,
+  tradeLabel,
+  rankVendors,
+  dispatchJob,
+  autoDispatch,
+  findVendorByPhone,
+  recordVendorReply,
+  buildVendorAck
+};
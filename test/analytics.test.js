@@ -0,0 +1,115 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { withLogin, defaultSeed } = require('./helpers/harness');
+const {
+  parseRange, messageVolume, resolutionShare, firstReplyTimes, busiestProperties, collectionByMonth
+} = require('../services/analytics');
+
+const RANGE = parseRange({ from: '2026-09-01', to: '2026-09-30' });
+
+// Ana (property 1) writes four times, one escalated and answered after 90 minutes;
+// Bob (property 3) writes once and is escalated, and nobody has answered yet
+const MESSAGES = [
+  { tenant_id: 'tenant-1', property_id: 'property-1', direction: 'incoming', category: 'CONSULTA', created_at: '2026-09-02T10:00:00.000Z' },
+  { tenant_id: 'tenant-1', property_id: 'property-1', direction: 'incoming', category: 'CONSULTA', created_at: '2026-09-02T12:00:00.000Z' },
+  { tenant_id: 'tenant-1', property_id: 'property-1', direction: 'incoming', category: 'URGENTE', needs_landlord_attention: true, created_at: '2026-09-10T08:00:00.000Z' },
+  { tenant_id: 'tenant-1', property_id: 'property-1', direction: 'outgoing', author: 'system', created_at: '2026-09-10T08:30:00.000Z' },
+  { tenant_id: 'tenant-1', property_id: 'property-1', direction: 'outgoing', author: 'landlord', created_at: '2026-09-10T09:30:00.000Z' },
+  { tenant_id: 'tenant-1', property_id: 'property-1', direction: 'incoming', category: 'PAGO', draft_status: 'sent', created_at: '2026-09-20T10:00:00.000Z' },
+  { tenant_id: 'tenant-1', property_id: 'property-1', direction: 'outgoing', author: 'ai', created_at: '2026-09-20T10:10:00.000Z' },
+  { tenant_id: 'tenant-3', property_id: 'property-3', direction: 'incoming', category: 'MANTENIMIENTO', needs_landlord_attention: true, created_at: '2026-09-15T10:00:00.000Z' },
+  { tenant_id: 'tenant-1', property_id: 'property-1', direction: 'incoming', category: 'CONSULTA', created_at: '2026-10-05T10:00:00.000Z' }
+];
+
+const BUILDING = {
+  properties: [
+    ...defaultSeed().properties,
+    { id: 'property-3', landlord_id: 'landlord-1', address: 'Av. Reforma 100, Depto 5', monthly_rent: 17000, rent_due_day: 5 },
+    { id: 'property-2', landlord_id: 'landlord-2', address: 'Calle Ajena 9' }
+  ],
+  tenants: [
+    ...defaultSeed().tenants,
+    { id: 'tenant-3', property_id: 'property-3', name: 'Bob', phone: '+525511112222' }
+  ],
+  messages: MESSAGES,
+  payments: [
+    { tenant_id: 'tenant-1', property_id: 'property-1', period: '2026-09', amount_due: 15000, status: 'paid', paid_at: '2026-09-01T20:00:00.000Z' },
+    { tenant_id: 'tenant-3', property_id: 'property-3', period: '2026-09', amount_due: 17000, status: 'paid', paid_at: '2026-09-09T12:00:00.000Z' }
+  ]
+};
+
+describe('analytics', () => {
+  test('date range defaults to the last 90 days and never runs backwards', () => {
+    assert.deepEqual(
+      [parseRange({}, new Date('2026-10-19T15:00:00Z'))].map(r => [r.from, r.to]),
+      [['2026-07-22', '2026-10-19']]
+    );
+    const reversed = parseRange({ from: '2026-10-10', to: '2026-10-01' });
+    assert.equal(reversed.from, '2026-10-01');
+  });
+
+  test('volume per day and category, AI vs. escalated, and first-reply time', () => {
+    const incoming = MESSAGES.filter(m => m.direction === 'incoming' && m.created_at < RANGE.endIso);
+    const outgoing = MESSAGES.filter(m => m.direction === 'outgoing');
+
+    const volume = messageVolume(incoming, RANGE);
+    assert.equal(volume.size, 'day');
+    assert.equal(volume.buckets.length, 30);
+    assert.deepEqual(volume.buckets[1], { key: '2026-09-02', counts: { CONSULTA: 2 }, total: 2 });
+    assert.deepEqual(volume.categories, ['CONSULTA', 'MANTENIMIENTO', 'PAGO', 'URGENTE']);
+
+    assert.deepEqual(resolutionShare(incoming), { total: 5, resolved: 2, escalated: 3, resolvedRate: 0.4, escalatedRate: 0.6 });
+
+    // 90 minutes (the automatic message doesn't count) and 10 minutes for the approved draft
+    assert.deepEqual(firstReplyTimes(incoming, outgoing), { medianMinutes: 50, answered: 2, unanswered: 1 });
+
+    const busiest = busiestProperties(incoming, BUILDING.properties);
+    assert.deepEqual(busiest.map(b => [b.property.id, b.messages, b.escalated]), [['property-1', 4, 2], ['property-3', 1, 1]]);
+  });
+
+  test('on-time collection uses the due day of each property', () => {
+    const months = collectionByMonth([
+      ...BUILDING.payments,
+      { tenant_id: 'tenant-1', property_id: 'property-1', period: '2026-10', amount_due: 15000, status: 'late', paid_at: '2026-10-01T10:00:00.000Z' },
+      { tenant_id: 'tenant-3', property_id: 'property-3', period: '2026-10', amount_due: 17000, status: 'unpaid' }
+    ], BUILDING.properties);
+
+    assert.deepEqual(months.map(m => [m.period, m.charged, m.paid, m.onTime]), [['2026-09', 2, 2, 1], ['2026-10', 2, 1, 0]]);
+  });
+
+  test('the page filters by property and date range', () => withLogin(BUILDING, async (h) => {
+    const all = (await h.get('/dashboard/analytics?from=2026-09-01&to=2026-09-30')).text;
+    assert.match(all, /Mensajes recibidos<\/div>\s*<div class="stat-value">5</);
+    assert.match(all, /50 min/);
+    assert.match(all, /50% · 1 de 2 a tiempo, 1 tarde/);
+
+    const one = (await h.get('/dashboard/analytics?from=2026-09-01&to=2026-09-30&property_id=property-3')).text;
+    assert.match(one, /Mensajes recibidos<\/div>\s*<div class="stat-value">1</);
+    assert.match(one, /0% · 0 de 1 a tiempo/);
+
+    // Someone else's property is ignored, not shown
+    const other = (await h.get('/dashboard/analytics?from=2026-09-01&to=2026-09-30&property_id=property-2')).text;
+    assert.match(other, /Mensajes recibidos<\/div>\s*<div class="stat-value">5</);
+    assert.ok(!other.includes('Calle Ajena'));
+  }));
+
+  test('a tenant who moved counts toward the unit each message came from', () => withLogin({
+    ...BUILDING,
+    tenants: [{ ...defaultSeed().tenants[0], property_id: 'property-3' }, BUILDING.tenants[1]]
+  }, async (h) => {
+    const old = (await h.get('/dashboard/analytics?from=2026-09-01&to=2026-09-30&property_id=property-1')).text;
+    assert.match(old, /Mensajes recibidos<\/div>\s*<div class="stat-value">4</);
+    assert.match(old, /100% · 1 de 1 a tiempo/);
+
+    const current = (await h.get('/dashboard/analytics?from=2026-09-01&to=2026-09-30&property_id=property-3')).text;
+    assert.match(current, /Mensajes recibidos<\/div>\s*<div class="stat-value">1</);
+  }));
+
+  test('counts every message and payment, past the rows one request returns', () => withLogin(BUILDING, async (h) => {
+    h.supabase.maxRows = 2;
+
+    const all = (await h.get('/dashboard/analytics?from=2026-09-01&to=2026-09-30')).text;
+    assert.match(all, /Mensajes recibidos<\/div>\s*<div class="stat-value">5</);
+    assert.match(all, /50% · 1 de 2 a tiempo, 1 tarde/);
+  }));
+});
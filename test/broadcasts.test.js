@@ -0,0 +1,141 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { withLogin, defaultSeed } = require('./helpers/harness');
+const { renderBroadcast } = require('../services/broadcasts');
+
+const HOUR = 60 * 60 * 1000;
+
+function hoursAgo(hours) {
+  return new Date(Date.now() - hours * HOUR).toISOString();
+}
+
+// Ana writes in Spanish, Bob (another unit) in English; both wrote in the last 24 hours
+const BUILDING = {
+  properties: [
+    ...defaultSeed().properties,
+    { id: 'property-3', landlord_id: 'landlord-1', address: 'Av. Reforma 100, Depto 5', monthly_rent: 17000, rent_due_day: 5 },
+    { id: 'property-2', landlord_id: 'landlord-2', address: 'Calle Ajena 9' }
+  ],
+  tenants: [
+    ...defaultSeed().tenants,
+    { id: 'tenant-3', property_id: 'property-3', name: 'Bob', phone: '+525511112222' },
+    { id: 'tenant-2', property_id: 'property-2', name: 'Beto', phone: '+525587654321' }
+  ],
+  messages: [
+    { tenant_id: 'tenant-1', direction: 'incoming', message_body: 'Hola, gracias por todo', created_at: hoursAgo(2) },
+    { tenant_id: 'tenant-3', direction: 'incoming', message_body: 'Thanks, see you there', created_at: hoursAgo(3) }
+  ]
+};
+
+const WATER = {
+  body_es: 'Hola {nombre}, el jueves no habrá agua en {direccion}.',
+  body_en: 'Hi {name}, no water at {address} on Thursday.'
+};
+
+describe('broadcast text', () => {
+  test('variables are filled per tenant; unknown ones stay as typed', () => {
+    const text = renderBroadcast('{nombre}: renta {renta}, día {dia_pago}, {otra}', { name: 'Ana' }, { monthly_rent: 15000, rent_due_day: 1 });
+    assert.equal(text, 'Ana: renta $15,000 MXN, día 1, {otra}');
+  });
+});
+
+describe('sending broadcasts', () => {
+  test('all tenants get the variant in their language, and it lands in each conversation', () => withLogin(BUILDING, async (h) => {
+    assert.equal((await h.post('/dashboard/broadcasts', { audience: 'all', ...WATER })).status, 302);
+
+    assert.deepEqual(h.twilio.sent.map(m => [m.to, m.body]), [
+      ['whatsapp:+525512345678', 'Hola Ana, el jueves no habrá agua en Av. Reforma 100, Depto 3.'],
+      ['whatsapp:+525511112222', 'Hi Bob, no water at Av. Reforma 100, Depto 5 on Thursday.']
+    ]);
+
+    const recipients = h.rows('broadcast_recipients');
+    assert.deepEqual(recipients.map(r => [r.language, r.channel, r.status]), [['es', 'session', 'queued'], ['en', 'session', 'queued']]);
+    assert.equal(h.rows('broadcasts')[0].recipient_count, 2);
+
+    const logged = h.rows('messages').filter(m => m.direction === 'outgoing');
+    assert.deepEqual(logged.map(m => m.category), ['AVISO', 'NOTICE']);
+    assert.ok(logged.every(m => m.broadcast_id === h.rows('broadcasts')[0].id));
+
+    assert.match((await h.get('/dashboard/broadcasts')).text, /2 inquilino\(s\)/);
+  }));
+
+  test('one property, or a selection of the landlord\'s own tenants', () => withLogin(BUILDING, async (h) => {
+    await h.post('/dashboard/broadcasts', { audience: 'property', property_id: 'property-3', body_es: 'Fumigación mañana' });
+    assert.deepEqual(h.twilio.sent.map(m => m.to), ['whatsapp:+525511112222']);
+
+    // Only one variant written: everyone gets it
+    assert.equal(h.twilio.sent[0].body, 'Fumigación mañana');
+
+    assert.equal((await h.post('/dashboard/broadcasts', { audience: 'property', property_id: 'property-2', body_es: 'x' })).status, 404);
+    assert.equal((await h.post('/dashboard/broadcasts', { audience: 'selected', tenant_ids: 'tenant-2', body_es: 'x' })).status, 400);
+    assert.equal((await h.post('/dashboard/broadcasts', { audience: 'all' })).status, 400);
+    assert.equal(h.twilio.sent.length, 1);
+  }));
+
+  test('outside the 24-hour window the approved template is used, or the tenant is skipped', () => withLogin({
+    messages: [{ tenant_id: 'tenant-1', direction: 'incoming', message_body: 'Hola', created_at: hoursAgo(30) }]
+  }, async (h) => {
+    await h.post('/dashboard/broadcasts', { audience: 'all', body_es: 'Hola {nombre},\nasamblea el lunes' });
+    assert.equal(h.twilio.sent.length, 0);
+    assert.equal(h.rows('broadcast_recipients')[0].status, 'skipped');
+
+    process.env.BROADCAST_TEMPLATE_SID_ES = 'HX0000000000000000000000000000000a';
+    try {
+      await h.post('/dashboard/broadcasts', { audience: 'all', body_es: 'Hola {nombre},\nasamblea el lunes' });
+    } finally {
+      delete process.env.BROADCAST_TEMPLATE_SID_ES;
+    }
+
+    const [sent] = h.twilio.sent;
+    assert.equal(sent.contentSid, 'HX0000000000000000000000000000000a');
+    assert.equal(sent.body, undefined);
+    assert.deepEqual(JSON.parse(sent.contentVariables), { 1: 'Ana', 2: 'Av. Reforma 100, Depto 3', 3: 'Hola Ana, asamblea el lunes' });
+    assert.equal(h.rows('broadcast_recipients')[1].channel, 'template');
+  }));
+
+  test('a Portuguese-speaking tenant gets the Portuguese template, else the one for the variant sent', () => withLogin({
+    tenants: [{ ...defaultSeed().tenants[0], preferred_language: 'pt' }],
+    messages: [{ tenant_id: 'tenant-1', direction: 'incoming', message_body: 'Olá', created_at: hoursAgo(30) }]
+  }, async (h) => {
+    process.env.BROADCAST_TEMPLATE_SID_EN = 'HX000000000000000000000000000000en';
+    try {
+      await h.post('/dashboard/broadcasts', { audience: 'all', ...WATER });
+      process.env.BROADCAST_TEMPLATE_SID_PT = 'HX000000000000000000000000000000pt';
+      await h.post('/dashboard/broadcasts', { audience: 'all', ...WATER });
+    } finally {
+      delete process.env.BROADCAST_TEMPLATE_SID_EN;
+      delete process.env.BROADCAST_TEMPLATE_SID_PT;
+    }
+
+    assert.deepEqual(h.twilio.sent.map(m => m.contentSid), ['HX000000000000000000000000000000en', 'HX000000000000000000000000000000pt']);
+    assert.equal(JSON.parse(h.twilio.sent[1].contentVariables)[3], 'Hi Ana, no water at Av. Reforma 100, Depto 3 on Thursday.');
+    assert.deepEqual(h.rows('broadcast_recipients').map(r => r.language), ['en', 'en']);
+    assert.ok(h.rows('messages').filter(m => m.direction === 'outgoing').every(m => m.category === 'NOTICE'));
+  }));
+});
+
+describe('delivery status', () => {
+  test('callbacks move each recipient forward, never back', () => withLogin(BUILDING, async (h) => {
+    await h.post('/dashboard/broadcasts', { audience: 'property', property_id: 'property-1', body_es: 'Aviso' });
+    const [{ sid }] = h.twilio.sent;
+
+    assert.equal((await h.statusCallback({ MessageSid: sid, MessageStatus: 'delivered' })).status, 204);
+    await h.statusCallback({ MessageSid: sid, MessageStatus: 'sent' });
+    assert.equal(h.rows('broadcast_recipients')[0].status, 'delivered');
+
+    await h.statusCallback({ MessageSid: sid, MessageStatus: 'read' });
+    assert.equal(h.rows('broadcast_recipients')[0].status, 'read');
+    assert.match((await h.get('/dashboard/broadcasts')).text, /Leído/);
+
+    assert.equal((await h.statusCallback({ MessageSid: sid, MessageStatus: 'failed' }, { signed: false })).status, 403);
+  }));
+
+  test('failures are recorded with Twilio\'s error code', () => withLogin(BUILDING, async (h) => {
+    await h.post('/dashboard/broadcasts', { audience: 'property', property_id: 'property-1', body_es: 'Aviso' });
+    await h.statusCallback({ MessageSid: h.twilio.sent[0].sid, MessageStatus: 'undelivered', ErrorCode: '63016' });
+
+    const [recipient] = h.rows('broadcast_recipients');
+    assert.equal(recipient.status, 'undelivered');
+    assert.equal(recipient.error, 'Twilio error 63016');
+  }));
+});
@@ -0,0 +1,179 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { withHarness, defaultSeed } = require('./helpers/harness');
+const { parseCommand } = require('../services/commands');
+
+const ANA = 'whatsapp:+5215512345678';
+
+// Runs `fn` with the given env vars set, restoring them afterwards
+async function withEnv(vars, fn) {
+  const previous = Object.fromEntries(Object.keys(vars).map(key => [key, process.env[key]]));
+  Object.assign(process.env, vars);
+  try {
+    await fn();
+  } finally {
+    for (const [key, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+}
+
+describe('parsing', () => {
+  test('one command word, typed in either language or tapped', () => {
+    assert.deepEqual(parseCommand({ Body: 'Saldo' }), { name: 'balance', text: '' });
+    assert.deepEqual(parseCommand({ Body: '/estado' }), { name: 'status', text: '' });
+    assert.deepEqual(parseCommand({ Body: 'Help!' }), { name: 'help', text: '' });
+    assert.deepEqual(parseCommand({ Body: 'menú' }), { name: 'help', text: '' });
+    assert.deepEqual(parseCommand({ Body: 'Reportar fuga en el baño' }), { name: 'report', text: 'fuga en el baño' });
+    assert.deepEqual(parseCommand({ Body: '', ListId: 'receipt', ListTitle: 'Recibo' }), { name: 'receipt', text: '' });
+    assert.deepEqual(parseCommand({ Body: 'Contacto', ButtonPayload: 'contact' }), { name: 'contact', text: '' });
+  });
+
+  test('the words of every locale call the same commands', () => {
+    assert.deepEqual(parseCommand({ Body: 'Solde' }), { name: 'balance', text: '' });
+    assert.deepEqual(parseCommand({ Body: 'reçu' }), { name: 'receipt', text: '' });
+    assert.deepEqual(parseCommand({ Body: 'Signaler fuite sous l\'évier' }), { name: 'report', text: 'fuite sous l\'évier' });
+    assert.deepEqual(parseCommand({ Body: 'Situação' }), { name: 'status', text: '' });
+    assert.deepEqual(parseCommand({ Body: 'ajuda' }), { name: 'help', text: '' });
+  });
+
+  test('sentences that only start with a command word go to the AI', () => {
+    assert.equal(parseCommand({ Body: 'Estado de cuenta de septiembre por favor' }), null);
+    assert.equal(parseCommand({ Body: 'Ayuda, se metió agua a la cocina' }), null);
+    assert.equal(parseCommand({ Body: 'Hola' }), null);
+    assert.equal(parseCommand({ Body: 'Hola', ButtonPayload: 'something-else' }), null);
+  });
+});
+
+describe('answers from the records, without the AI', () => {
+  test('saldo lists the open months', () => withHarness({
+    payments: [{ tenant_id: 'tenant-1', property_id: 'property-1', period: '2026-09', amount_due: 15000, amount_paid: 0, status: 'unpaid' }]
+  }, async (h) => {
+    const { reply } = await h.whatsapp({ From: ANA, Body: 'saldo' });
+    assert.match(reply, /^Tu saldo pendiente: \$15,000 MXN/);
+
+    const { trace } = h.rows('webhook_jobs')[0];
+    assert.deepEqual(trace.ai, { skipped: 'command' });
+    assert.equal(trace.command, 'balance');
+    assert.equal(h.ai.calls.length, 0);
+
+    const [saved] = h.rows('messages');
+    assert.equal(saved.category, 'PAGO');
+    assert.equal(saved.needs_landlord_attention, false);
+  }));
+
+  test('balance in English when that is the tenant\'s language', () => withHarness({
+    tenants: [{ ...defaultSeed().tenants[0], preferred_language: 'en' }]
+  }, async (h) => {
+    const { reply } = await h.whatsapp({ From: ANA, Body: 'Balance' });
+    assert.equal(reply, 'You\'re all caught up! No outstanding balance.');
+  }));
+
+  test('French and Portuguese tenants get their own menu and answers', () => withHarness({
+    tenants: [{ ...defaultSeed().tenants[0], preferred_language: 'fr' }]
+  }, async (h) => {
+    const menu = await h.whatsapp({ From: ANA, Body: 'aide' });
+    assert.match(menu.reply, /^Voici ce que je peux faire pour vous/);
+    assert.match(menu.reply, /• SOLDE : /);
+
+    h.rows('tenants')[0].preferred_language = 'pt';
+    await withEnv({ COMMAND_BUTTONS_CONTENT_SID_PT: 'HXbuttons-pt' }, () => h.whatsapp({ From: ANA, Body: 'saldo' }));
+    const sent = h.twilio.sent.at(-1);
+    assert.equal(sent.contentSid, 'HXbuttons-pt');
+    assert.deepEqual(JSON.parse(sent.contentVariables), { 1: 'Você está em dia! Nenhum saldo pendente.' });
+  }));
+
+  test('recibo describes the last confirmed payment', () => withHarness({
+    payments: [
+      { tenant_id: 'tenant-1', property_id: 'property-1', period: '2026-08', amount_due: 15000, amount_paid: 15000, status: 'paid', paid_at: '2026-08-02T17:00:00Z' },
+      { tenant_id: 'tenant-1', property_id: 'property-1', period: '2026-09', amount_due: 15000, amount_paid: 15000, status: 'pending' }
+    ]
+  }, async (h) => {
+    const { reply } = await h.whatsapp({ From: ANA, Body: 'Recibo' });
+    assert.match(reply, /^Recibo de renta de agosto de 2026: \$15,000 MXN, confirmado el 2 de agosto de 2026/i);
+    assert.equal(h.rows('payments')[1].status, 'pending');
+  }));
+
+  test('balance and receipt name the month in French and Portuguese', () => withHarness({
+    tenants: [{ ...defaultSeed().tenants[0], preferred_language: 'fr' }],
+    payments: [
+      { tenant_id: 'tenant-1', property_id: 'property-1', period: '2026-08', amount_due: 15000, amount_paid: 15000, status: 'paid', paid_at: '2026-08-02T17:00:00Z' },
+      { tenant_id: 'tenant-1', property_id: 'property-1', period: '2026-09', amount_due: 15000, amount_paid: 7500, status: 'partial' }
+    ]
+  }, async (h) => {
+    assert.equal((await h.whatsapp({ From: ANA, Body: 'solde' })).reply,
+      'Votre solde en attente : $7,500 MXN — septembre 2026: $7,500 MXN (paiement partiel).');
+    assert.equal((await h.whatsapp({ From: ANA, Body: 'reçu' })).reply,
+      'Quittance de loyer de août 2026 : $15,000 MXN, confirmé le 2 août 2026. Merci !');
+
+    h.rows('tenants')[0].preferred_language = 'pt';
+    assert.match((await h.whatsapp({ From: ANA, Body: 'saldo' })).reply, /setembro de 2026: \$7,500 MXN \(pagamento parcial\)/);
+    assert.match((await h.whatsapp({ From: ANA, Body: 'recibo' })).reply, /agosto de 2026/);
+  }));
+
+  test('reportar opens a ticket the landlord sees, and estado reports on it', () => withHarness({}, async (h) => {
+    const reported = await h.whatsapp({ From: ANA, Body: 'reportar fuga en el baño' });
+    assert.match(reported.reply, /registré tu reporte: "fuga en el baño"/);
+
+    const [ticket] = h.rows('tickets');
+    assert.equal(ticket.description, 'fuga en el baño');
+    assert.equal(ticket.status, 'open');
+    assert.equal(h.rows('messages')[0].needs_landlord_attention, true);
+
+    const status = await h.whatsapp({ From: ANA, Body: 'Estado' });
+    assert.ok(status.reply && !status.reply.includes('No tienes reportes abiertos'));
+    assert.equal(h.rows('tickets').length, 1);
+    assert.equal(h.ai.calls.length, 0);
+  }));
+
+  test('reportar on its own explains how to use it', () => withHarness({}, async (h) => {
+    const { reply } = await h.whatsapp({ From: ANA, Body: 'Reportar' });
+    assert.match(reply, /Escribe REPORTAR seguido del problema/);
+    assert.equal(h.rows('tickets').length, 0);
+  }));
+
+  test('contacto gives the landlord\'s details', () => withHarness({}, async (h) => {
+    const { reply } = await h.whatsapp({ From: ANA, Body: 'contacto' });
+    assert.equal(reply, 'Tu arrendador, Sofía:\n📞 +5215500000001\n✉️ sofia@example.com');
+  }));
+
+  test('a message that only starts with a command word still reaches the AI', () => withHarness({}, async (h) => {
+    h.ai.reply({ message: 'Te lo envío hoy', category: 'PAGO', needsAttention: true });
+    const { reply } = await h.whatsapp({ From: ANA, Body: 'Estado de cuenta de septiembre por favor' });
+    assert.equal(reply, 'Te lo envío hoy');
+    assert.equal(h.ai.calls.length, 1);
+  }));
+
+  test('commands skip draft mode', () => withHarness({
+    landlords: [{ ...defaultSeed().landlords[0], ai_reply_mode: 'draft' }]
+  }, async (h) => {
+    const { reply } = await h.whatsapp({ From: ANA, Body: 'saldo' });
+    assert.match(reply, /al corriente/);
+    assert.equal(h.rows('messages')[0].ai_draft, null);
+  }));
+});
+
+describe('interactive messages', () => {
+  test('ayuda is a text menu until a list template is configured', () => withHarness({}, async (h) => {
+    const { reply } = await h.whatsapp({ From: ANA, Body: 'ayuda' });
+    assert.match(reply, /^Esto es lo que puedo hacer por ti/);
+    assert.match(reply, /• SALDO: /);
+
+    await withEnv({ COMMAND_MENU_CONTENT_SID_ES: 'HXmenu-es' }, () => h.whatsapp({ From: ANA, Body: 'Menú' }));
+    const sent = h.twilio.sent.at(-1);
+    assert.equal(sent.contentSid, 'HXmenu-es');
+    assert.equal(sent.body, undefined);
+    assert.deepEqual(h.rows('messages')[1].send_params, { contentSid: 'HXmenu-es' });
+  }));
+
+  test('a tapped list item is answered, with quick-reply buttons when configured', () => withHarness({}, async (h) => {
+    await withEnv({ COMMAND_BUTTONS_CONTENT_SID_ES: 'HXbuttons-es' }, () =>
+      h.whatsapp({ From: ANA, Body: 'Contacto', ListId: 'contact', ListTitle: 'Contacto' }));
+
+    const sent = h.twilio.sent.at(-1);
+    assert.equal(sent.contentSid, 'HXbuttons-es');
+    assert.deepEqual(JSON.parse(sent.contentVariables), { 1: 'Tu arrendador, Sofía: · 📞 +5215500000001 · ✉️ sofia@example.com' });
+    assert.match(h.rows('messages')[0].ai_response, /^Tu arrendador, Sofía:\n/);
+  }));
+});
@@ -0,0 +1,134 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { withHarness, withLogin, defaultSeed } = require('./helpers/harness');
+
+// A second landlord whose tenant must stay out of reach
+const OTHER_LANDLORD = {
+  properties: [
+    { id: 'property-1', landlord_id: 'landlord-1', address: 'Av. Reforma 100, Depto 3', monthly_rent: 15000, rent_due_day: 1, landlord_phone: '+5215500000001' },
+    { id: 'property-2', landlord_id: 'landlord-2', address: 'Calle Ajena 9', monthly_rent: 9000, rent_due_day: 5 }
+  ],
+  tenants: [
+    { id: 'tenant-1', property_id: 'property-1', name: 'Ana', phone: '+525512345678' },
+    { id: 'tenant-2', property_id: 'property-2', name: 'Beto', phone: '+525587654321' }
+  ]
+};
+
+describe('login', () => {
+  test('dashboard redirects to login without a session', () => withHarness({}, async (h) => {
+    const res = await h.get('/dashboard');
+    assert.equal(res.status, 302);
+    assert.equal(res.location, '/login');
+  }));
+
+  test('wrong password stays on the login page', () => withHarness({}, async (h) => {
+    const res = await h.login('sofia@example.com', 'nope');
+    assert.equal(res.status, 200);
+    assert.match(res.text, /Correo o contraseña incorrectos/);
+  }));
+});
+
+describe('dashboard pages', () => {
+  test('dashboard lists the landlord\'s tenants and messages only', () => withLogin({
+    ...OTHER_LANDLORD,
+    messages: [
+      { tenant_id: 'tenant-1', direction: 'incoming', author: 'tenant', message_body: 'Mensaje de Ana', needs_landlord_attention: true, category: 'CONSULTA' },
+      { tenant_id: 'tenant-2', direction: 'incoming', author: 'tenant', message_body: 'Mensaje de Beto', category: 'CONSULTA' }
+    ]
+  }, async (h) => {
+    const res = await h.get('/dashboard');
+
+    assert.equal(res.status, 200);
+    assert.match(res.text, /Mensaje de Ana/);
+    assert.doesNotMatch(res.text, /Mensaje de Beto/);
+  }));
+
+  for (const path of ['/dashboard/tenants', '/dashboard/properties', '/dashboard/payments', '/dashboard/tickets', '/dashboard/vendors', '/dashboard/settings']) {
+    test(`${path} renders`, () => withLogin({}, async (h) => {
+      const res = await h.get(path);
+      assert.equal(res.status, 200);
+    }));
+  }
+
+  test('conversation of another landlord\'s tenant is not found', () => withLogin(OTHER_LANDLORD, async (h) => {
+    assert.equal((await h.get('/dashboard/tenants/tenant-1/conversation')).status, 200);
+    assert.equal((await h.get('/dashboard/tenants/tenant-2/conversation')).status, 404);
+  }));
+});
+
+describe('adding tenants', () => {
+  test('phone typed in national format is stored in E.164', () => withLogin({}, async (h) => {
+    const res = await h.post('/dashboard/tenants/add', { name: 'Luis', phone: '55 8765 4321', property_id: 'property-1' });
+
+    assert.equal(res.status, 302);
+    assert.equal(h.rows('tenants').find(t => t.name === 'Luis').phone, '+525587654321');
+  }));
+
+  test('numbers without a country code use the landlord\'s country', () => withLogin({
+    landlords: [{ ...defaultSeed().landlords[0], country: 'US' }]
+  }, async (h) => {
+    await h.post('/dashboard/tenants/add', { name: 'Luis', phone: '(415) 555-0100', property_id: 'property-1' });
+
+    assert.equal(h.rows('tenants').find(t => t.name === 'Luis').phone, '+14155550100');
+  }));
+
+  test('malformed and already used numbers are rejected', () => withLogin({}, async (h) => {
+    assert.equal((await h.post('/dashboard/tenants/add', { name: 'Luis', phone: '1234', property_id: 'property-1' })).status, 400);
+    assert.equal((await h.post('/dashboard/tenants/add', { name: 'Luis', phone: '+521 55 1234 5678', property_id: 'property-1' })).status, 409);
+    assert.equal(h.rows('tenants').length, 1);
+  }));
+});
+
+describe('replying to tenants', () => {
+  test('reply goes out on WhatsApp and is stored as the landlord\'s', () => withLogin({}, async (h) => {
+    const res = await h.postJson('/dashboard/reply', { tenant_id: 'tenant-1', message: 'Mañana paso a revisar' });
+
+    assert.deepEqual(JSON.parse(res.text), { success: true });
+    assert.equal(h.twilio.sent[0].to, 'whatsapp:+525512345678');
+    assert.equal(h.twilio.sent[0].body, 'Mañana paso a revisar');
+
+    const [outgoing] = h.rows('messages');
+    assert.equal(outgoing.direction, 'outgoing');
+    assert.equal(outgoing.author, 'landlord');
+  }));
+
+  test('cannot reply to another landlord\'s tenant', () => withLogin(OTHER_LANDLORD, async (h) => {
+    const res = await h.postJson('/dashboard/reply', { tenant_id: 'tenant-2', message: 'Hola' });
+
+    assert.equal(JSON.parse(res.text).success, false);
+    assert.equal(h.twilio.sent.length, 0);
+  }));
+
+  test('manual reply pauses the AI when auto-pause is on', () => withLogin({
+    landlords: [{ ...defaultSeed().landlords[0], auto_pause_hours: 2 }]
+  }, async (h) => {
+    await h.postJson('/dashboard/reply', { tenant_id: 'tenant-1', message: 'Yo me encargo' });
+
+    const pausedUntil = new Date(h.rows('tenants')[0].ai_paused_until);
+    assert.ok(pausedUntil > new Date(Date.now() + 60 * 60 * 1000));
+  }));
+
+  test('AI pause toggle', () => withLogin({}, async (h) => {
+    await h.post('/dashboard/tenants/tenant-1/ai-pause', { paused: 'on' });
+    assert.equal(h.rows('tenants')[0].ai_paused, true);
+
+    await h.post('/dashboard/tenants/tenant-1/ai-pause', { paused: 'false' });
+    assert.equal(h.rows('tenants')[0].ai_paused, false);
+  }));
+
+  test('approving an edited draft sends it as the landlord', () => withLogin({
+    messages: [{
+      id: 'message-1', tenant_id: 'tenant-1', direction: 'incoming', author: 'tenant', message_body: '¿Puedo pintar?',
+      ai_draft: 'Sí, claro', draft_status: 'pending', category: 'CONSULTA', needs_landlord_attention: true
+    }]
+  }, async (h) => {
+    const res = await h.postJson('/dashboard/drafts/message-1/approve', { message: 'Sí, pero en colores claros' });
+
+    assert.deepEqual(JSON.parse(res.text), { success: true });
+    assert.equal(h.twilio.sent[0].body, 'Sí, pero en colores claros');
+    const incoming = h.rows('messages').find(m => m.id === 'message-1');
+    assert.equal(incoming.draft_status, 'sent');
+    assert.equal(incoming.needs_landlord_attention, false);
+    assert.equal(h.rows('messages').find(m => m.direction === 'outgoing').author, 'landlord');
+  }));
+});
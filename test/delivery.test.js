@@ -0,0 +1,131 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { withLogin } = require('./helpers/harness');
+const { retryDueMessages } = require('../services/delivery');
+
+const MINUTE = 60 * 1000;
+const ANA = 'whatsapp:+5215512345678';
+const LANDLORD_WHATSAPP = 'whatsapp:+5215500000001';
+
+async function reply(h, message) {
+  await h.postJson('/dashboard/reply', { tenant_id: 'tenant-1', message });
+  return h.rows('messages').filter(m => m.direction === 'outgoing').pop();
+}
+
+describe('delivery status', () => {
+  test('outgoing messages are tracked by SID and only move forward', () => withLogin({}, async (h) => {
+    const msg = await reply(h, 'Mañana paso a revisar');
+    assert.equal(msg.twilio_sid, h.twilio.sent[0].sid);
+    assert.equal(msg.delivery_status, 'queued');
+
+    await h.statusCallback({ MessageSid: msg.twilio_sid, MessageStatus: 'delivered' });
+    await h.statusCallback({ MessageSid: msg.twilio_sid, MessageStatus: 'sent' });
+    assert.equal(h.rows('messages')[0].delivery_status, 'delivered');
+
+    await h.statusCallback({ MessageSid: msg.twilio_sid, MessageStatus: 'read' });
+    assert.equal(h.rows('messages')[0].delivery_status, 'read');
+    assert.match((await h.get('/dashboard/tenants/tenant-1/conversation')).text, /✓✓ Leído/);
+  }));
+
+  test('the AI\'s reply is tracked on the incoming message', () => withLogin({}, async (h) => {
+    process.env.RAILWAY_URL = h.url;
+    try {
+      h.ai.reply({ message: 'Hola Ana', category: 'CONSULTA', needsAttention: false });
+      const { reply: text } = await h.whatsapp({ From: ANA, Body: 'Hola' });
+      const [incoming] = h.rows('messages');
+
+      assert.equal(text, 'Hola Ana');
+      assert.equal(h.twilio.sent[0].statusCallback, `${h.url}/webhook/twilio/status`);
+      assert.equal(incoming.twilio_sid, h.twilio.sent[0].sid);
+      assert.equal(incoming.delivery_status, 'queued');
+
+      await h.statusCallback({ MessageSid: incoming.twilio_sid, MessageStatus: 'delivered' });
+      assert.equal(incoming.delivery_status, 'delivered');
+    } finally {
+      delete process.env.RAILWAY_URL;
+    }
+  }));
+
+  test('replies sent as TwiML before the queue still report back by message id', () => withLogin({
+    messages: [{ id: 'msg-1', tenant_id: 'tenant-1', direction: 'incoming', author: 'tenant', message_body: 'Hola', ai_response: 'Hola Ana' }]
+  }, async (h) => {
+    await h.statusCallback({ MessageSid: 'SMreply', MessageStatus: 'delivered' }, { replyTo: 'msg-1' });
+
+    const [incoming] = h.rows('messages');
+    assert.equal(incoming.delivery_status, 'delivered');
+    assert.equal(incoming.twilio_sid, 'SMreply');
+  }));
+});
+
+describe('failed messages', () => {
+  test('transient failures are resent with backoff, then flagged', () => withLogin({}, async (h) => {
+    const msg = await reply(h, 'Mañana paso a revisar');
+
+    await h.statusCallback({ MessageSid: h.twilio.sent[0].sid, MessageStatus: 'undelivered', ErrorCode: '30003' });
+    assert.equal(msg.delivery_error, 'Twilio error 30003');
+    const retryAt = new Date(msg.delivery_retry_at).getTime();
+    assert.ok(Math.abs(retryAt - (Date.now() + 5 * MINUTE)) < MINUTE);
+    assert.match((await h.get('/dashboard/tenants/tenant-1/conversation')).text, /se reintentará/);
+
+    // Not due yet
+    assert.equal(await retryDueMessages(h.supabase, h.twilio), 0);
+    assert.equal(await retryDueMessages(h.supabase, h.twilio, new Date(retryAt + MINUTE)), 1);
+
+    assert.equal(h.twilio.sent[1].body, 'Mañana paso a revisar');
+    assert.equal(msg.twilio_sid, h.twilio.sent[1].sid);
+    assert.equal(msg.delivery_attempts, 2);
+    assert.equal(msg.delivery_status, 'queued');
+
+    // A late callback for the first attempt changes nothing
+    await h.statusCallback({ MessageSid: h.twilio.sent[0].sid, MessageStatus: 'delivered' });
+    assert.equal(msg.delivery_status, 'queued');
+
+    await h.statusCallback({ MessageSid: h.twilio.sent[1].sid, MessageStatus: 'failed', ErrorCode: '30003' });
+    await retryDueMessages(h.supabase, h.twilio, new Date(Date.now() + 31 * MINUTE));
+    await h.statusCallback({ MessageSid: h.twilio.sent[2].sid, MessageStatus: 'failed', ErrorCode: '30003' });
+
+    // Out of attempts: it stays failed and shows up on the dashboard
+    assert.equal(msg.delivery_attempts, 3);
+    assert.equal(msg.delivery_retry_at, null);
+    assert.match((await h.get('/dashboard')).text, /Mensajes no entregados/);
+  }));
+
+  test('permanent failures wait for the landlord to resend', () => withLogin({
+    messages: [{
+      id: 'msg-other', tenant_id: 'tenant-2', direction: 'outgoing', message_body: 'x',
+      twilio_sid: 'SMother', delivery_status: 'failed', delivery_attempts: 1
+    }]
+  }, async (h) => {
+    const msg = await reply(h, 'Tu recibo está listo');
+    await h.statusCallback({ MessageSid: msg.twilio_sid, MessageStatus: 'undelivered', ErrorCode: '63016' });
+    assert.equal(msg.delivery_retry_at, null);
+    assert.match((await h.get('/dashboard/tenants/tenant-1/conversation')).text, /Reintentar/);
+
+    const res = await h.postJson(`/dashboard/messages/${msg.id}/resend`, {});
+    assert.equal(JSON.parse(res.text).success, true);
+    assert.equal(h.twilio.sent.length, 2);
+    assert.equal(msg.delivery_status, 'queued');
+
+    // Only failed messages, and only the landlord's own
+    assert.equal(JSON.parse((await h.postJson(`/dashboard/messages/${msg.id}/resend`, {})).text).success, false);
+    assert.equal(JSON.parse((await h.postJson('/dashboard/messages/msg-other/resend', {})).text).success, false);
+    assert.equal(h.twilio.sent.length, 2);
+  }));
+
+  test('the landlord hears once when a tenant\'s number keeps failing', () => withLogin({}, async (h) => {
+    for (const text of ['Uno', 'Dos', 'Tres', 'Cuatro']) {
+      const msg = await reply(h, text);
+      await h.statusCallback({ MessageSid: msg.twilio_sid, MessageStatus: 'failed', ErrorCode: '63024' });
+    }
+
+    const alerts = h.twilio.sent.filter(m => m.to === LANDLORD_WHATSAPP);
+    assert.equal(alerts.length, 1);
+    assert.match(alerts[0].body, /Ana .* no se están entregando \(Twilio error 63024\)/);
+    assert.ok(h.rows('tenants')[0].delivery_alerted_at);
+
+    // Working again: the next streak of failures alerts again
+    const msg = await reply(h, 'Cinco');
+    await h.statusCallback({ MessageSid: msg.twilio_sid, MessageStatus: 'delivered' });
+    assert.equal(h.rows('tenants')[0].delivery_alerted_at, null);
+  }));
+});
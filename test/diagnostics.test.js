@@ -0,0 +1,192 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const util = require('util');
+const { withHarness } = require('./helpers/harness');
+const { createLogger, withLogContext } = require('../services/logger');
+
+const ANA = 'whatsapp:+5215512345678';
+
+// Parsed log entries written while `fn` runs, at `level` and above
+async function captureLogs(fn, level = 'debug') {
+  const lines = [];
+  const { log, error } = console;
+  const previous = process.env.LOG_LEVEL;
+  console.log = console.error = (...args) => lines.push(util.format(...args));
+  process.env.LOG_LEVEL = level;
+  try {
+    await fn();
+  } finally {
+    Object.assign(console, { log, error });
+    if (previous === undefined) delete process.env.LOG_LEVEL;
+    else process.env.LOG_LEVEL = previous;
+  }
+  return lines.map(line => JSON.parse(line));
+}
+
+// Logged in as Sofía, listed in ADMIN_EMAILS
+async function loginAsAdmin(h) {
+  process.env.ADMIN_EMAILS = 'otra@example.com, SOFIA@example.com';
+  try {
+    await h.login();
+  } finally {
+    delete process.env.ADMIN_EMAILS;
+  }
+}
+
+describe('structured logger', () => {
+  test('one JSON line per event, with personal data masked', async () => {
+    const entries = await captureLogs(async () => {
+      const log = createLogger({ module: 'test' });
+      log.info('Tenant wrote', { phone: '+525512345678', body: 'Se rompió la regadera', profileName: 'Ana', email: 'ana@example.com' });
+      log.error('Save failed', { error: { message: 'duplicate key (phone)=(+525512345678)', code: '23505' } });
+      log.warn('Call failed', new Error('Timeout calling +525512345678'));
+    });
+
+    assert.deepEqual(entries.map(e => [e.level, e.msg, e.module]), [
+      ['info', 'Tenant wrote', 'test'], ['error', 'Save failed', 'test'], ['warn', 'Call failed', 'test']
+    ]);
+    assert.equal(entries[0].phone, '+52******5678');
+    assert.equal(entries[0].body, '[21 chars]');
+    assert.equal(entries[0].profileName, '[redacted]');
+    assert.equal(entries[0].email, 'a***@example.com');
+    assert.deepEqual(entries[1].error, { message: 'duplicate key (phone)=(+52******5678)', code: '23505' });
+    assert.equal(entries[2].error.message, 'Timeout calling +52******5678');
+  });
+
+  test('ids keep their digits, in id fields and inside text', async () => {
+    const uuid = '8f4db307-c169-4170-8624-123456789012';
+    const sid = 'SM00000000000000000000000012345678';
+    const entries = await captureLogs(() => withLogContext({ requestId: uuid }, async () => {
+      createLogger().info(`Job ${uuid} failed`, { tenantId: uuid, tenant_id: uuid, MessageSid: sid, detail: `sid ${sid} for +525512345678` });
+    }));
+
+    const [entry] = entries;
+    assert.equal(entry.requestId, uuid);
+    assert.equal(entry.tenantId, uuid);
+    assert.equal(entry.tenant_id, uuid);
+    assert.equal(entry.MessageSid, sid);
+    assert.equal(entry.msg, `Job ${uuid} failed`);
+    assert.equal(entry.detail, `sid ${sid} for +52******5678`);
+  });
+
+  test('levels below LOG_LEVEL are dropped; context fields reach every line inside it', async () => {
+    const log = createLogger();
+    const entries = await captureLogs(() => withLogContext({ requestId: 'req-1' }, async () => {
+      log.debug('Detail');
+      log.info('Step', { step: 1 });
+      await new Promise(resolve => setImmediate(resolve));
+      log.child({ module: 'jobs' }).warn('Retrying');
+    }), 'info');
+
+    assert.deepEqual(entries.map(e => e.msg), ['Step', 'Retrying']);
+    assert.ok(entries.every(e => e.requestId === 'req-1'));
+    assert.equal(entries[1].module, 'jobs');
+  });
+});
+
+describe('request ids', () => {
+  test('every response carries one; a well-formed incoming id is kept', () => withHarness({}, async (h) => {
+    const fresh = await fetch(h.url + '/login');
+    assert.match(fresh.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+    const given = await fetch(h.url + '/login', { headers: { 'X-Request-Id': 'lb-1234.abc' } });
+    assert.equal(given.headers.get('x-request-id'), 'lb-1234.abc');
+
+    const forged = await fetch(h.url + '/login', { headers: { 'X-Request-Id': 'x"><script>' } });
+    assert.notEqual(forged.headers.get('x-request-id'), 'x"><script>');
+  }));
+
+  test('one webhook run logs under one id, from the request to the reply', () => withHarness({}, async (h) => {
+    h.ai.reply({ message: 'Mañana pasa el técnico', category: 'MANTENIMIENTO', needsAttention: true });
+
+    const entries = await captureLogs(() => h.whatsapp({ From: ANA, Body: 'Se rompió la regadera' }));
+    const received = entries.find(e => e.msg === 'WhatsApp webhook received');
+    const [job] = h.rows('webhook_jobs');
+
+    assert.equal(job.request_id, received.requestId);
+    for (const msg of ['Message queued', 'Job started', 'Sender matched', 'AI reply generated', 'Message saved', 'Reply sent', 'Job done']) {
+      const entry = entries.find(e => e.msg === msg);
+      assert.ok(entry, `no "${msg}" line`);
+      assert.equal(entry.requestId, received.requestId, msg);
+    }
+    assert.equal(entries.find(e => e.msg === 'Reply sent').jobId, job.id);
+    assert.ok(!JSON.stringify(entries).includes('regadera'));
+  }));
+});
+
+describe('webhook traces', () => {
+  test('stage timings, number format and match, AI result and writes are kept on the job', () => withHarness({}, async (h) => {
+    h.ai.reply({ message: 'Mañana pasa el técnico', category: 'MANTENIMIENTO', needsAttention: true });
+    await h.whatsapp({ From: ANA, Body: 'Se rompió la regadera' });
+
+    const { trace } = h.rows('webhook_jobs')[0];
+    assert.equal(trace.outcome, 'replied');
+    assert.deepEqual(trace.phone, { format: 'mx_mobile_521', normalized: true, matched: 'tenant', tenantId: 'tenant-1' });
+    assert.deepEqual(trace.stages.map(s => s.name), ['lookup', 'context', 'ai', 'ticket', 'save', 'reply']);
+    assert.ok(trace.stages.every(s => s.ms >= 0) && trace.totalMs >= 0);
+    assert.equal(trace.ai.provider, 'scripted');
+    assert.equal(trace.ai.fallback, false);
+    assert.deepEqual(trace.writes.map(w => [w.name, w.status]), [['message', 'ok'], ['job', 'ok'], ['ticket', 'ok'], ['message_reply', 'ok']]);
+    assert.ok(!JSON.stringify(trace).includes('5512345678'));
+  }));
+
+  test('a failed AI call records why the fallback answered; unknown numbers record no match', () => withHarness({}, async (h) => {
+    await h.whatsapp({ From: ANA, Body: 'Hola' }); // nothing scripted: the provider throws
+    await h.whatsapp({ From: 'whatsapp:5599999999', Body: 'Hola' });
+
+    const [ana, stranger] = h.rows('webhook_jobs');
+    assert.equal(ana.trace.ai.provider, 'local');
+    assert.equal(ana.trace.ai.fallback, true);
+    assert.equal(ana.trace.ai.fallbackReason, 'scripted: No scripted reply');
+
+    assert.equal(stranger.trace.outcome, 'unknown_sender');
+    assert.deepEqual(stranger.trace.phone, { format: 'national', normalized: true, matched: 'none' });
+  }));
+
+  test('a failing attempt keeps its error and the write that failed', () => withHarness({}, async (h) => {
+    const create = h.twilio.messages.create;
+    h.twilio.messages.create = async () => { throw new Error('Twilio is unavailable (503)'); };
+    h.ai.reply({ message: 'Hola Ana', category: 'CONSULTA', needsAttention: false });
+
+    try {
+      await h.whatsapp({ From: ANA, Body: 'Hola' });
+    } finally {
+      h.twilio.messages.create = create;
+    }
+
+    const [job] = h.rows('webhook_jobs');
+    assert.equal(job.status, 'pending');
+    assert.equal(job.trace.outcome, 'error');
+    assert.equal(job.trace.error, 'Twilio is unavailable (503)');
+    assert.ok(job.trace.writes.some(w => w.name === 'message' && w.status === 'ok'));
+  }));
+});
+
+describe('diagnostics page', () => {
+  test('admins see recent runs with masked numbers', () => withHarness({}, async (h) => {
+    h.ai.reply({ message: 'Hola Ana', category: 'CONSULTA', needsAttention: false });
+    await h.whatsapp({ From: ANA, Body: 'Hola' });
+    await loginAsAdmin(h);
+
+    const page = await h.get('/dashboard/diagnostics');
+    assert.equal(page.status, 200);
+    assert.match(page.text, /Respondido/);
+    assert.match(page.text, /\+521… \(móvil antiguo\)/);
+    assert.match(page.text, /Proveedor: scripted/);
+    assert.match(page.text, /\+52\*+5678/);
+    assert.ok(!page.text.includes('5512345678'));
+    assert.match(page.text, /href="\/dashboard\/diagnostics"/);
+
+    const { request_id: requestId } = h.rows('webhook_jobs')[0];
+    assert.match((await h.get(`/dashboard/diagnostics?request_id=${requestId}`)).text, /Respondido/);
+    assert.doesNotMatch((await h.get('/dashboard/diagnostics?request_id=otro')).text, /Respondido/);
+  }));
+
+  test('other landlords get a 403 and no link', () => withHarness({}, async (h) => {
+    assert.equal((await h.get('/dashboard/diagnostics')).status, 302);
+
+    await h.login();
+    assert.equal((await h.get('/dashboard/diagnostics')).status, 403);
+    assert.doesNotMatch((await h.get('/dashboard')).text, /\/dashboard\/diagnostics/);
+  }));
+});
@@ -0,0 +1,344 @@
+// In-memory stand-in for the part of supabase-js the app uses:
+// from().select/insert/update/upsert/delete, the usual filters, embedded relations
+// (`tenants (*, properties (*))`, `properties!inner (...)`, `tenants (count)`),
+// order/limit/range and single/maybeSingle. Selected column lists are not projected. Like the
+// real API, a read returns at most `db.maxRows` rows (1000), whatever the limit asked for.
+// Storage keeps uploaded files in memory: `db.files[bucket][path]`.
+const crypto = require('crypto');
+
+// Foreign keys that don't follow the `<singular table>_id` convention: child → { parent: column }
+const FOREIGN_KEYS = {
+  vendor_messages: { vendor_jobs: 'job_id' }
+};
+
+function singular(table) {
+  return table.endsWith('ies') ? table.slice(0, -3) + 'y' : table.replace(/s$/, '');
+}
+
+function splitTopLevel(str) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of str) {
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    if (ch === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim()) parts.push(current);
+  return parts.map(p => p.trim()).filter(Boolean);
+}
+
+function parseSelect(str) {
+  const embeds = [];
+  for (const token of splitTopLevel(str || '*')) {
+    const match = token.match(/^(\w+)(!inner)?\s*\(([\s\S]*)\)$/);
+    if (match) embeds.push({ name: match[1], inner: !!match[2], select: match[3].trim() });
+  }
+  return embeds;
+}
+
+function same(a, b) {
+  if (a === b) return true;
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  return String(a) === String(b);
+}
+
+function getPath(row, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), row);
+}
+
+function compare(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+function test(op, actual, expected) {
+  switch (op) {
+    case 'eq': return same(actual, expected);
+    case 'neq': return !same(actual, expected);
+    case 'in': return expected.some(v => same(actual, v));
+    case 'is': return expected === null ? actual === null || actual === undefined : actual === expected;
+    case 'gt': return actual !== null && actual !== undefined && compare(actual, expected) > 0;
+    case 'gte': return actual !== null && actual !== undefined && compare(actual, expected) >= 0;
+    case 'lt': return actual !== null && actual !== undefined && compare(actual, expected) < 0;
+    case 'lte': return actual !== null && actual !== undefined && compare(actual, expected) <= 0;
+    case 'ilike': return new RegExp('^' + String(expected).replace(/%/g, '.*') + '$', 'i').test(actual || '');
+    default: throw new Error(`Fake Supabase: unsupported filter "${op}"`);
+  }
+}
+
+class Query {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = 'select';
+    this.columns = null;
+    this.filters = [];
+    this.orders = [];
+    this.max = null;
+    this.offset = 0;
+    this.mode = null;
+  }
+
+  // Reads
+  select(columns = '*', options = {}) {
+    // After insert/update/upsert this only asks for the rows back
+    if (this.action === 'select') {
+      this.columns = columns;
+    } else {
+      this.returning = columns;
+    }
+    this.countOption = options.count;
+    this.head = options.head;
+    return this;
+  }
+
+  // Writes
+  insert(rows) {
+    this.action = 'insert';
+    this.values = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  upsert(rows, options = {}) {
+    this.action = 'upsert';
+    this.values = Array.isArray(rows) ? rows : [rows];
+    this.upsertOptions = options;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  // Filters
+  filter(column, op, value) {
+    this.filters.push({ column, op, value });
+    return this;
+  }
+
+  eq(column, value) { return this.filter(column, 'eq', value); }
+  neq(column, value) { return this.filter(column, 'neq', value); }
+  in(column, values) { return this.filter(column, 'in', values); }
+  is(column, value) { return this.filter(column, 'is', value); }
+  gt(column, value) { return this.filter(column, 'gt', value); }
+  gte(column, value) { return this.filter(column, 'gte', value); }
+  lt(column, value) { return this.filter(column, 'lt', value); }
+  lte(column, value) { return this.filter(column, 'lte', value); }
+  ilike(column, value) { return this.filter(column, 'ilike', value); }
+
+  not(column, op, value) {
+    this.filters.push({ column, op, value, negate: true });
+    return this;
+  }
+
+  match(values) {
+    Object.keys(values).forEach(key => this.eq(key, values[key]));
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  // Inclusive, like PostgREST
+  range(from, to) {
+    this.offset = from;
+    this.max = to - from + 1;
+    return this;
+  }
+
+  limit(count) {
+    this.max = count;
+    return this;
+  }
+
+  single() {
+    this.mode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.mode = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+  }
+
+  rows() {
+    if (!this.db.tables[this.table]) this.db.tables[this.table] = [];
+    return this.db.tables[this.table];
+  }
+
+  // Top-level filters (embedded ones are applied after embedding)
+  matches(row) {
+    return this.filters.every(f => {
+      const result = test(f.op, getPath(row, f.column), f.value);
+      return f.negate ? !result : result;
+    });
+  }
+
+  execute() {
+    let rows;
+    let affected = null;
+
+    if (this.action === 'insert') {
+      affected = this.values.map(values => this.db.insertRow(this.table, values));
+    } else if (this.action === 'upsert') {
+      affected = this.executeUpsert();
+    } else if (this.action === 'update') {
+      affected = this.rows().filter(row => this.matches(this.db.embed(this.table, row, this.columns || '*')));
+      affected.forEach(row => Object.assign(row, this.values));
+    } else if (this.action === 'delete') {
+      const remove = this.rows().filter(row => this.matches(row));
+      this.db.tables[this.table] = this.rows().filter(row => !remove.includes(row));
+      affected = remove;
+    }
+
+    if (affected) {
+      if (this.returning === undefined) return this.finish(null);
+      rows = affected.map(row => this.db.embed(this.table, row, this.returning));
+    } else {
+      rows = this.rows()
+        .map(row => this.db.embed(this.table, row, this.columns || '*'))
+        .filter(row => row && this.matches(row));
+    }
+
+    for (const { column, ascending } of [...this.orders].reverse()) {
+      rows.sort((a, b) => (ascending ? 1 : -1) * compare(getPath(a, column), getPath(b, column)));
+    }
+    if (this.offset || this.max !== null) rows = rows.slice(this.offset, this.max === null ? undefined : this.offset + this.max);
+    if (this.action === 'select') rows = rows.slice(0, this.db.maxRows);
+
+    return this.finish(rows);
+  }
+
+  executeUpsert() {
+    const keys = (this.upsertOptions.onConflict || 'id').split(',').map(k => k.trim());
+    const written = [];
+    for (const values of this.values) {
+      const existing = this.rows().find(row => keys.every(k => same(row[k], values[k])));
+      if (existing) {
+        if (this.upsertOptions.ignoreDuplicates) continue;
+        Object.assign(existing, values);
+        written.push(existing);
+      } else {
+        written.push(this.db.insertRow(this.table, values));
+      }
+    }
+    return written;
+  }
+
+  finish(rows) {
+    const result = { data: rows, error: null, count: null };
+    if (this.countOption && rows) result.count = rows.length;
+    if (this.head) result.data = null;
+
+    if (this.mode && rows) {
+      if (rows.length > 1 || (this.mode === 'single' && rows.length === 0)) {
+        return { data: null, error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' } };
+      }
+      result.data = rows[0] || null;
+    }
+    return result;
+  }
+}
+
+function createFakeSupabase(seed = {}) {
+  const db = {
+    tables: {},
+    clock: 0,
+    maxRows: 1000,
+
+    from(table) {
+      return new Query(db, table);
+    },
+
+    // created_at always moves forward so "latest first" ordering is stable
+    insertRow(table, values) {
+      db.clock = Math.max(Date.now(), db.clock + 1);
+      const row = {
+        id: crypto.randomUUID(),
+        created_at: new Date(db.clock).toISOString(),
+        ...JSON.parse(JSON.stringify(values))
+      };
+      (db.tables[table] = db.tables[table] || []).push(row);
+      return row;
+    },
+
+    // Copy of `row` with the embedded relations from `select` resolved
+    embed(table, row, select) {
+      const result = { ...row };
+      for (const embed of parseSelect(select)) {
+        const related = db.related(table, row, embed.name);
+
+        if (embed.select === 'count') {
+          result[embed.name] = [{ count: Array.isArray(related) ? related.length : related ? 1 : 0 }];
+          continue;
+        }
+
+        const embedded = Array.isArray(related)
+          ? related.map(r => db.embed(embed.name, r, embed.select))
+          : related && db.embed(embed.name, related, embed.select);
+
+        // !inner drops the row when the relation is missing (or itself filtered out)
+        if (embed.inner && (!embedded || (Array.isArray(embedded) && embedded.length === 0))) return null;
+        result[embed.name] = embedded;
+      }
+      return result;
+    },
+
+    // Many-to-one when the row holds `<parent>_id`, otherwise one-to-many
+    related(table, row, name) {
+      const parentKey = FOREIGN_KEYS[table]?.[name] || `${singular(name)}_id`;
+      const rows = db.tables[name] || [];
+      if (row[parentKey] !== undefined) {
+        return rows.find(r => same(r.id, row[parentKey])) || null;
+      }
+      const childKey = FOREIGN_KEYS[name]?.[table] || `${singular(table)}_id`;
+      return rows.filter(r => same(r[childKey], row.id));
+    }
+  };
+
+  db.files = {};
+  db.storage = {
+    from(bucket) {
+      const files = (db.files[bucket] = db.files[bucket] || {});
+      return {
+        async upload(path, body, { contentType, upsert = false } = {}) {
+          if (files[path] && !upsert) return { data: null, error: { message: 'The resource already exists' } };
+          files[path] = { body: Buffer.from(body), contentType };
+          return { data: { path }, error: null };
+        },
+        async download(path) {
+          if (!files[path]) return { data: null, error: { message: 'Object not found' } };
+          return { data: new Blob([files[path].body], { type: files[path].contentType }), error: null };
+        },
+        async remove(paths) {
+          paths.forEach(path => delete files[path]);
+          return { data: paths.map(name => ({ name })), error: null };
+        }
+      };
+    }
+  };
+
+  Object.keys(seed).forEach(table => seed[table].forEach(values => db.insertRow(table, values)));
+  return db;
+}
+
+module.exports = { createFakeSupabase };
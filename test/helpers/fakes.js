@@ -0,0 +1,90 @@
+// Stand-ins for Twilio, OpenAI (transcription) and the assistant's chat model
+
+// Records every message instead of sending it
+function createFakeTwilio() {
+  const sent = [];
+  return {
+    sent,
+    messages: {
+      async create(message) {
+        const record = { sid: `SM${String(sent.length + 1).padStart(32, '0')}`, status: 'queued', ...message };
+        sent.push(record);
+        return record;
+      }
+    }
+  };
+}
+
+// Only what the app calls outside the assistant: voice-note transcription and /test
+function createFakeOpenAI({ transcript = '' } = {}) {
+  return {
+    audio: {
+      transcriptions: {
+        async create() {
+          return { text: transcript };
+        }
+      }
+    },
+    chat: {
+      completions: {
+        async create() {
+          return { choices: [{ message: { content: 'OpenAI works!' } }] };
+        }
+      }
+    }
+  };
+}
+
+// Assistant provider that answers from a script; with nothing scripted it fails,
+// so the webhook falls back to the local rule-based replies (suggestions and summaries to the local ones)
+function createScriptedAI() {
+  const script = [];
+  const calls = [];
+  const suggestionScript = [];
+  const suggestionCalls = [];
+  const summaryScript = [];
+  const summaryCalls = [];
+
+  return {
+    calls,
+    suggestionCalls,
+    summaryCalls,
+    reply(reply) {
+      script.push(reply);
+    },
+    suggest(suggestions) {
+      suggestionScript.push(suggestions);
+    },
+    summarize(memory) {
+      summaryScript.push(memory);
+    },
+    clear() {
+      script.length = 0;
+      suggestionScript.length = 0;
+      summaryScript.length = 0;
+    },
+    provider: {
+      name: 'scripted',
+      async generate(context, history, message) {
+        calls.push({ context, history, message });
+        const next = script.shift();
+        if (!next) throw new Error('No scripted reply');
+        return { ticket: null, ticketFollowUp: null, ...next };
+      },
+      async suggest(context, history, options) {
+        suggestionCalls.push({ context, history, options });
+        const next = suggestionScript.shift();
+        if (!next) throw new Error('No scripted suggestions');
+        return next;
+      },
+      async summarize(input) {
+        summaryCalls.push(input);
+        const next = summaryScript.shift();
+        if (!next) throw new Error('No scripted summary');
+        return next;
+      }
+    }
+  };
+}
+
+module.exports = { createFakeTwilio, createFakeOpenAI, createScriptedAI };
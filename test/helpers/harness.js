@@ -0,0 +1,180 @@
+// Boots the real app on a random port against in-memory services.
+//
+//   const h = await startHarness(seed);
+//   const { xml, reply } = await h.whatsapp({ From: 'whatsapp:+5215512345678', Body: 'Hola' });
+//   await h.login(); const res = await h.get('/dashboard');
+//   await h.close();
+//
+// Tests wrap this in withHarness(seed, async (h) => ...), or withLogin to start logged in.
+process.env.RESEND_API_KEY = process.env.RESEND_API_KEY || 're_test';
+process.env.TWILIO_WHATSAPP_NUMBER = process.env.TWILIO_WHATSAPP_NUMBER || 'whatsapp:+14155238886';
+process.env.TWILIO_AUTH_TOKEN = 'test-auth-token';
+delete process.env.TWILIO_VALIDATE_WEBHOOKS;
+delete process.env.RAILWAY_URL;
+process.env.RENT_REMINDERS_ENABLED = 'false';
+process.env.LEASE_RENEWALS_ENABLED = 'false';
+process.env.LANDLORD_DIGEST_ENABLED = 'false';
+process.env.LANDLORD_HELD_ALERTS_ENABLED = 'false';
+process.env.DELIVERY_RETRIES_ENABLED = 'false';
+process.env.CONVERSATION_MEMORY_ENABLED = 'false';
+process.env.JOB_RETRIES_ENABLED = 'false';
+process.env.AI_PROVIDER = 'scripted';
+
+const bcrypt = require('bcrypt');
+const twilio = require('twilio');
+const createApp = require('../../app');
+const { registerProvider } = require('../../services/assistant');
+const { createFakeSupabase } = require('./fake-supabase');
+const { createFakeTwilio, createFakeOpenAI, createScriptedAI } = require('./fakes');
+const { normalizePhone } = require('../../services/phone');
+
+const PASSWORD = 'secret123';
+const PASSWORD_HASH = bcrypt.hashSync(PASSWORD, 4);
+
+// One landlord, one property, one tenant; pass `seed` to add or override tables
+function defaultSeed() {
+  return {
+    landlords: [{
+      id: 'landlord-1', name: 'Sofía', email: 'sofia@example.com', phone: '+5215500000001',
+      password_hash: PASSWORD_HASH, alert_email: false
+    }],
+    properties: [{
+      id: 'property-1', landlord_id: 'landlord-1', address: 'Av. Reforma 100, Depto 3',
+      monthly_rent: 15000, rent_due_day: 1, landlord_name: 'Sofía', landlord_phone: '+5215500000001'
+    }],
+    tenants: [{ id: 'tenant-1', property_id: 'property-1', name: 'Ana', phone: '+525512345678' }]
+  };
+}
+
+function parseTwiml(xml) {
+  const messages = [...xml.matchAll(/<Message(?: [^>]*)?>([\s\S]*?)<\/Message>/g)].map(m => m[1]
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&'));
+  return { xml, messages, reply: messages[0] || null };
+}
+
+async function startHarness(seed = {}, { transcript } = {}) {
+  const supabase = createFakeSupabase({ ...defaultSeed(), ...seed });
+  const twilioClient = createFakeTwilio();
+  const ai = createScriptedAI();
+  registerProvider(ai.provider);
+
+  const app = createApp({ supabase, twilioClient, openai: createFakeOpenAI({ transcript }) });
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  let cookie = '';
+  let messageCount = 0;
+
+
+  async function request(method, path, body, type = 'form', extraHeaders = {}) {
+    const headers = { ...extraHeaders };
+    if (cookie) headers.Cookie = cookie;
+    let payload;
+    if (body && type === 'json') {
+      headers['Content-Type'] = 'application/json';
+      payload = JSON.stringify(body);
+    } else if (Buffer.isBuffer(body)) {
+      headers['Content-Type'] = type;
+      payload = body;
+    } else if (body) {
+      headers['Content-Type'] = 'application/x-www-form-urlencoded';
+      payload = new URLSearchParams(body).toString();
+    }
+
+    const res = await fetch(base + path, { method, headers, body: payload, redirect: 'manual' });
+    const setCookie = res.headers.get('set-cookie');
+    if (setCookie) cookie = setCookie.split(';')[0];
+    return { status: res.status, location: res.headers.get('location'), text: await res.text() };
+  }
+
+  // Signed like Twilio does (`signed: false` sends no signature, `signature` sends a given one)
+  function twilioPost(path, params, { signed = true, signature } = {}) {
+    const headers = {};
+    if (signature || signed) {
+      headers['X-Twilio-Signature'] = signature || twilio.getExpectedTwilioSignature(process.env.TWILIO_AUTH_TOKEN, base + path, params);
+    }
+    return request('POST', path, params, 'form', headers);
+  }
+
+  return {
+    db: supabase,
+    supabase,
+    twilio: twilioClient,
+    ai,
+    url: base,
+
+    jobs: app.locals.jobs,
+
+    // Twilio-shaped form post to the webhook. Waits for the queued job (unless `wait: false`), then
+    // returns the acknowledgement (`xml`) and the replies sent back to the sender (`messages`, `reply`).
+    async whatsapp(fields, { wait = true, ...options } = {}) {
+      const sentBefore = twilioClient.sent.length;
+      const params = { NumMedia: '0', MessageSid: `SMtest${++messageCount}`, ...fields };
+      const res = await twilioPost('/webhook/whatsapp', params, options);
+      if (wait) await app.locals.jobs.drain();
+
+      const ack = parseTwiml(res.text);
+      const sender = normalizePhone((fields.From || '').replace('whatsapp:', ''));
+      const replies = twilioClient.sent.slice(sentBefore)
+        .filter(m => sender && normalizePhone(m.to.replace('whatsapp:', '')) === sender)
+        .map(m => m.body);
+      const messages = [...ack.messages, ...replies];
+      return { status: res.status, xml: ack.xml, messages, reply: messages[0] || null };
+    },
+
+    // Delivery update for an outgoing message (`replyTo`: the incoming message a TwiML reply answered)
+    statusCallback: (fields, { replyTo, ...options } = {}) =>
+      twilioPost('/webhook/twilio/status' + (replyTo ? `?reply_to=${replyTo}` : ''), fields, options),
+
+    async login(email = 'sofia@example.com', password = PASSWORD) {
+      return request('POST', '/login', { email, password });
+    },
+
+    get: path => request('GET', path),
+    post: (path, body) => request('POST', path, body),
+    postJson: (path, body) => request('POST', path, body, 'json'),
+    postFile: (path, buffer, contentType) => request('POST', path, buffer, contentType),
+
+    rows(table) {
+      return supabase.tables[table] || [];
+    },
+
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+// Fire-and-forget work (landlord alerts) finishes on later ticks
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 20));
+}
+
+// Run `fn(h)` against a fresh harness, closed afterwards whatever happens. The app logs every
+// step of a webhook: its structured logs are silenced meanwhile (TEST_VERBOSE=1 keeps them).
+async function withHarness(seed, fn) {
+  const level = process.env.LOG_LEVEL;
+  if (!process.env.TEST_VERBOSE) process.env.LOG_LEVEL = 'silent';
+  try {
+    const h = await startHarness(seed);
+    try {
+      await fn(h);
+    } finally {
+      await h.close();
+    }
+  } finally {
+    if (level === undefined) delete process.env.LOG_LEVEL;
+    else process.env.LOG_LEVEL = level;
+  }
+}
+
+// Same, logged in as the default landlord
+function withLogin(seed, fn) {
+  return withHarness(seed, async (h) => {
+    await h.login();
+    await fn(h);
+  });
+}
+
+module.exports = { startHarness, withHarness, withLogin, defaultSeed, parseTwiml, settle, PASSWORD };
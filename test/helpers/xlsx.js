@@ -0,0 +1,85 @@
+// Minimal XLSX writer for tests: one sheet, strings shared, numbers inline, entries deflated
+// like Excel does.
+//
+//   const buffer = buildXlsx([['Nombre', 'Renta'], ['Ana', 15000]]);
+const zlib = require('zlib');
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + (n - 1) % 26) + name;
+  return name;
+}
+
+function zip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, content]) => {
+    const data = Buffer.from(content);
+    const compressed = zlib.deflateRawSync(data);
+    const nameBuffer = Buffer.from(name);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(zlib.crc32(data), 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(zlib.crc32(data), 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, compressed);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + compressed.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+function buildXlsx(rows) {
+  const strings = [];
+  const sheetRows = rows.map((row, r) => {
+    const cells = row.map((value, c) => {
+      const ref = `${columnName(c)}${r + 1}`;
+      if (value === null || value === undefined || value === '') return '';
+      if (typeof value === 'number') return `<c r="${ref}"><v>${value}</v></c>`;
+      strings.push(value);
+      return `<c r="${ref}" t="s"><v>${strings.length - 1}</v></c>`;
+    });
+    return `<row r="${r + 1}">${cells.join('')}</row>`;
+  });
+
+  return zip({
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"/>',
+    'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8"?><workbook xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Hoja1" sheetId="1" r:id="rId1"/></sheets></workbook>',
+    'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8"?><Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>',
+    'xl/sharedStrings.xml': `<?xml version="1.0" encoding="UTF-8"?><sst>${strings.map(s => `<si><t>${escapeXml(s)}</t></si>`).join('')}</sst>`,
+    'xl/worksheets/sheet1.xml': `<?xml version="1.0" encoding="UTF-8"?><worksheet><sheetData>${sheetRows.join('')}</sheetData></worksheet>`
+  });
+}
+
+module.exports = { buildXlsx };
@@ -0,0 +1,186 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { withLogin, defaultSeed } = require('./helpers/harness');
+const { buildXlsx } = require('./helpers/xlsx');
+const { MAX_UNZIPPED_SIZE, parseCsv, toCsv, parseXlsx } = require('../services/spreadsheet');
+const { parseDate } = require('../services/imports');
+const { fetchAllRows } = require('../services/paging');
+const { createFakeSupabase } = require('./helpers/fake-supabase');
+
+const OTHER_LANDLORD = {
+  properties: [...defaultSeed().properties, { id: 'property-2', landlord_id: 'landlord-2', address: 'Calle Ajena 9' }],
+  tenants: [
+    ...defaultSeed().tenants,
+    { id: 'tenant-2', property_id: 'property-2', name: 'Beto', phone: '+525587654321' },
+    { id: 'tenant-9', property_id: 'property-1', name: 'Carla', phone: '+525500009999', archived_at: '2026-01-31T00:00:00Z', move_out_date: '2026-01-31' }
+  ],
+  messages: [
+    { tenant_id: 'tenant-1', property_id: 'property-1', direction: 'incoming', message_body: 'Hola, "urgente": se fue la luz', ai_response: 'Ya aviso', created_at: '2026-10-01T10:00:00.000Z' },
+    { tenant_id: 'tenant-9', property_id: 'property-1', direction: 'incoming', message_body: 'Dejo las llaves', created_at: '2026-01-30T10:00:00.000Z' },
+    { tenant_id: 'tenant-2', property_id: 'property-2', direction: 'incoming', message_body: 'Mensaje ajeno', created_at: '2026-10-01T11:00:00.000Z' }
+  ]
+};
+
+// Diego lived in Depto 3 (property-1) before moving to Depto 5
+const WITH_MOVED_TENANT = {
+  ...OTHER_LANDLORD,
+  properties: [...OTHER_LANDLORD.properties, { id: 'property-3', landlord_id: 'landlord-1', address: 'Av. Reforma 100, Depto 5' }],
+  tenants: [...OTHER_LANDLORD.tenants, { id: 'tenant-3', property_id: 'property-3', name: 'Diego', phone: '+525500003333' }],
+  messages: [
+    ...OTHER_LANDLORD.messages,
+    { tenant_id: 'tenant-3', property_id: 'property-1', direction: 'incoming', message_body: 'Se atora la puerta', created_at: '2026-03-05T10:00:00.000Z' },
+    { tenant_id: 'tenant-3', property_id: 'property-3', direction: 'incoming', message_body: 'Ya me cambié', created_at: '2026-06-01T10:00:00.000Z' }
+  ]
+};
+
+async function parseUpload(h, kind, body, type = 'text/csv') {
+  return JSON.parse((await h.postFile(`/dashboard/import/${kind}/parse`, Buffer.from(body), type)).text);
+}
+
+async function step(h, kind, name, rows, mapping) {
+  const res = await h.postJson(`/dashboard/import/${kind}/${name}`, { rows, mapping });
+  return { status: res.status, ...JSON.parse(res.text) };
+}
+
+describe('spreadsheets', () => {
+  test('CSV with quotes, semicolons and a BOM', () => {
+    assert.deepEqual(parseCsv('\uFEFFNombre;Notas\r\n"Ana";"dice ""hola""; y\nadiós"\r\n\r\n'), [
+      ['Nombre', 'Notas'],
+      ['Ana', 'dice "hola"; y\nadiós']
+    ]);
+  });
+
+  test('CSV output quotes what needs it and defuses formulas, but not phone numbers', () => {
+    assert.equal(toCsv([['a,b', '=HYPERLINK("x")', '+525512345678', -5]]), '\uFEFF"a,b","\'=HYPERLINK(""x"")",+525512345678,-5\r\n');
+  });
+
+  test('XLSX: first sheet, shared strings, numbers and empty cells', () => {
+    const rows = parseXlsx(buildXlsx([['Dirección', 'Renta', 'Notas'], ['Av. Juárez 10 & 12', 12000], ['Calle 5', 9000, 'Con <jardín>']]));
+    assert.deepEqual(rows, [['Dirección', 'Renta', 'Notas'], ['Av. Juárez 10 & 12', '12000'], ['Calle 5', '9000', 'Con <jardín>']]);
+  });
+
+  test('XLSX files that unzip to more than the limit are rejected', () => {
+    const bomb = buildXlsx([['Notas'], ['x'.repeat(MAX_UNZIPPED_SIZE)]]);
+    assert.ok(bomb.length < 100 * 1024);
+    assert.throws(() => parseXlsx(bomb), /too large once unzipped/);
+  });
+
+  test('dates as written in Mexico and as Excel serials', () => {
+    assert.equal(parseDate('2026-03-01'), '2026-03-01');
+    assert.equal(parseDate('01/03/2026'), '2026-03-01');
+    assert.equal(parseDate('46082'), '2026-03-01');
+    assert.equal(parseDate('31/02/2026'), null);
+  });
+});
+
+describe('importing properties', () => {
+  test('columns are guessed, every row is checked, and nothing is saved until all are valid', () => withLogin({}, async (h) => {
+    const csv = 'Domicilio,Renta mensual,Día de pago\n' +
+      'Av. Reforma 100 Depto 3,"$15,000",1\n' +
+      'Calle Roble 12,9500,5\n' +
+      'calle roble 12,9000,5\n' +
+      'Calle Pino 4,mucho,40\n';
+
+    const parsed = await parseUpload(h, 'properties', csv);
+    assert.deepEqual(parsed.mapping, { address: 0, monthly_rent: 1, rent_due_day: 2, special_instructions: null });
+    assert.equal(parsed.rows.length, 4);
+
+    const preview = await step(h, 'properties', 'preview', parsed.rows, parsed.mapping);
+    assert.deepEqual(preview.rows.map(r => r.errors), [
+      ['Ya tienes una propiedad con esta dirección'],
+      [],
+      ['Dirección repetida (fila 3)'],
+      ['Renta inválida: "mucho"', 'Día de pago inválido: "40"']
+    ]);
+    assert.equal(preview.valid, 1);
+
+    const refused = await step(h, 'properties', 'commit', parsed.rows, parsed.mapping);
+    assert.equal(refused.status, 400);
+    assert.equal(h.rows('properties').length, 1);
+
+    const fixed = await step(h, 'properties', 'commit', [parsed.rows[1], ['Calle Pino 4', '8000', '10']], parsed.mapping);
+    assert.equal(fixed.imported, 2);
+
+    const added = h.rows('properties').slice(1);
+    assert.deepEqual(added.map(p => [p.address, p.monthly_rent, p.rent_due_day, p.landlord_id, p.landlord_phone]), [
+      ['Calle Roble 12', 9500, 5, 'landlord-1', '+5215500000001'],
+      ['Calle Pino 4', 8000, 10, 'landlord-1', '+5215500000001']
+    ]);
+  }));
+
+  test('a missing required column is reported before any row', () => withLogin({}, async (h) => {
+    const result = await step(h, 'properties', 'preview', [['Calle Roble 12']], { address: '0', monthly_rent: '', rent_due_day: '' });
+    assert.deepEqual(result.errors, ['Elige la columna de "Renta mensual"', 'Elige la columna de "Día de pago"']);
+  }));
+});
+
+describe('importing tenants', () => {
+  test('bad phones, unknown properties and duplicates are flagged; an Excel file goes in whole', () => withLogin(OTHER_LANDLORD, async (h) => {
+    const rows = [
+      ['Nombre', 'Celular', 'Propiedad', 'Fecha de entrada'],
+      ['Diego', '55 1111 2222', 'av reforma 100, depto 3', '01/03/2026'],
+      ['Elena', '123', 'Av. Reforma 100, Depto 3', ''],
+      ['Fer', '55 1111 2222', 'Av. Reforma 100, Depto 3', ''],
+      ['Gabo', '55 1234 5678', 'Av. Reforma 100, Depto 3', ''],
+      ['Hugo', '55 3333 4444', 'Calle Ajena 9', ''],
+      // Carla moved out: her number is free again
+      ['Carla B.', '55 0000 9999', 'Av. Reforma 100, Depto 3', 46082]
+    ];
+
+    const parsed = await parseUpload(h, 'tenants', buildXlsx(rows), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    assert.deepEqual(parsed.mapping, { name: 0, phone: 1, property: 2, move_in_date: 3 });
+
+    const preview = await step(h, 'tenants', 'preview', parsed.rows, parsed.mapping);
+    assert.deepEqual(preview.rows.map(r => r.errors), [
+      [],
+      ['Teléfono inválido: "123"'],
+      ['Teléfono repetido (fila 2)'],
+      ['Otro inquilino ya usa +525512345678'],
+      ['Propiedad desconocida: "Calle Ajena 9"'],
+      []
+    ]);
+    assert.equal((await step(h, 'tenants', 'commit', parsed.rows, parsed.mapping)).status, 400);
+    assert.equal(h.rows('tenants').length, 3);
+
+    const good = [parsed.rows[0], parsed.rows[5]];
+    assert.equal((await step(h, 'tenants', 'commit', good, parsed.mapping)).imported, 2);
+    assert.deepEqual(h.rows('tenants').slice(3).map(t => [t.name, t.phone, t.property_id, t.move_in_date]), [
+      ['Diego', '+525511112222', 'property-1', '2026-03-01'],
+      ['Carla B.', '+525500009999', 'property-1', '2026-03-01']
+    ]);
+  }));
+
+  test('unknown imports and unreadable files are rejected', () => withLogin({}, async (h) => {
+    assert.equal((await h.postFile('/dashboard/import/landlords/parse', Buffer.from('a,b'), 'text/csv')).status, 404);
+    assert.equal((await h.postFile('/dashboard/import/tenants/parse', Buffer.from('PK broken'), 'application/zip')).status, 400);
+  }));
+});
+
+describe('exports', () => {
+  test('tenants, current and former, only the landlord\'s own', () => withLogin(OTHER_LANDLORD, async (h) => {
+    const res = await h.get('/dashboard/tenants/export.csv');
+    assert.equal(res.status, 200);
+
+    const rows = parseCsv(res.text);
+    assert.deepEqual(rows[0], ['Nombre', 'WhatsApp', 'Propiedad', 'Renta mensual', 'Día de pago', 'Fecha de entrada', 'Estado', 'Fecha de salida']);
+    assert.deepEqual(rows.slice(1).map(r => [r[0], r[6]]), [['Ana', 'Actual'], ['Carla', 'Exinquilino']]);
+  }));
+
+  test('a property\'s full message history, including former tenants and those who moved', () => withLogin(WITH_MOVED_TENANT, async (h) => {
+    const rows = parseCsv((await h.get('/dashboard/properties/property-1/messages.csv')).text);
+    assert.deepEqual(rows.slice(1).map(r => [r[1], r[6]]), [
+      ['Carla', 'Dejo las llaves'],
+      ['Diego', 'Se atora la puerta'],
+      ['Ana', 'Hola, "urgente": se fue la luz']
+    ]);
+    assert.equal(rows[3][7], 'Ya aviso');
+
+    assert.equal((await h.get('/dashboard/properties/property-2/messages.csv')).status, 404);
+  }));
+
+  test('long histories are read page by page', async () => {
+    const supabase = createFakeSupabase({ messages: [1, 2, 3, 4, 5].map(n => ({ id: `m${n}`, property_id: 'property-1', created_at: `2026-10-0${n}` })) });
+    const rows = await fetchAllRows(() => supabase.from('messages').select('*').eq('property_id', 'property-1').order('created_at'), 2);
+    assert.deepEqual(rows.map(m => m.id), ['m1', 'm2', 'm3', 'm4', 'm5']);
+  });
+});
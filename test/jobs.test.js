@@ -0,0 +1,169 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { withLogin, defaultSeed } = require('./helpers/harness');
+const { MAX_ATTEMPTS } = require('../services/jobs');
+
+const ANA = 'whatsapp:+5215512345678';
+const SECOND = 1000;
+const EMPTY_ACK = '<?xml version="1.0" encoding="UTF-8"?><Response/>';
+
+// Twilio's REST API failing until `restore()` is called
+function breakTwilio(h) {
+  const create = h.twilio.messages.create;
+  h.twilio.messages.create = async () => { throw new Error('Twilio is unavailable (503)'); };
+  return () => { h.twilio.messages.create = create; };
+}
+
+// The next insert into `table` fails as if the database dropped the connection
+function failNextInsert(h, table) {
+  const from = h.supabase.from;
+  h.supabase.from = function (name) {
+    const query = from.call(this, name);
+    if (name !== table) return query;
+    const insert = query.insert;
+    query.insert = function (rows) {
+      h.supabase.from = from;
+      this.execute = () => ({ data: null, error: { message: 'connection reset' } });
+      return insert.call(this, rows);
+    };
+    return query;
+  };
+}
+
+describe('webhook acknowledgement', () => {
+  test('Twilio is answered before the AI replies', () => withLogin({}, async (h) => {
+    let release;
+    const generate = h.ai.provider.generate;
+    h.ai.provider.generate = () => new Promise(resolve => { release = () => resolve({ message: 'Ya voy', category: 'CONSULTA', needsAttention: false }); });
+
+    try {
+      const { status, xml } = await h.whatsapp({ From: ANA, Body: 'Hola' }, { wait: false });
+      assert.equal(status, 200);
+      assert.equal(xml, EMPTY_ACK);
+      assert.equal(h.twilio.sent.length, 0);
+
+      while (!release) await new Promise(resolve => setImmediate(resolve));
+      release();
+      await h.jobs.drain();
+      assert.equal(h.twilio.sent[0].body, 'Ya voy');
+      assert.equal(h.rows('webhook_jobs')[0].status, 'done');
+    } finally {
+      h.ai.provider.generate = generate;
+    }
+  }));
+
+  test('a retried webhook with the same MessageSid is processed once', () => withLogin({}, async (h) => {
+    h.ai.reply({ message: 'Hola Ana', category: 'CONSULTA', needsAttention: false });
+    h.ai.reply({ message: 'Otra vez', category: 'CONSULTA', needsAttention: false });
+
+    const first = await h.whatsapp({ From: ANA, Body: 'Hola', MessageSid: 'SMdup' });
+    const retry = await h.whatsapp({ From: ANA, Body: 'Hola', MessageSid: 'SMdup' });
+
+    assert.equal(first.reply, 'Hola Ana');
+    assert.equal(retry.xml, EMPTY_ACK);
+    assert.equal(retry.reply, null);
+    assert.equal(h.ai.calls.length, 1);
+    assert.equal(h.rows('messages').length, 1);
+    assert.equal(h.rows('webhook_jobs').length, 1);
+  }));
+});
+
+describe('failed jobs', () => {
+  test('a failed reply is retried with backoff without processing the message again', () => withLogin({}, async (h) => {
+    const restore = breakTwilio(h);
+    h.ai.reply({ message: 'Hola Ana', category: 'CONSULTA', needsAttention: false });
+    await h.whatsapp({ From: ANA, Body: 'Hola' });
+
+    const [job] = h.rows('webhook_jobs');
+    const [incoming] = h.rows('messages');
+    assert.equal(job.status, 'pending');
+    assert.equal(job.attempts, 1);
+    assert.match(job.last_error, /unavailable/);
+    assert.equal(job.message_id, incoming.id);
+    assert.ok(Math.abs(new Date(job.run_at) - (Date.now() + 30 * SECOND)) < 5 * SECOND);
+    assert.match((await h.get('/dashboard')).text, /Mensajes recibidos sin procesar[\s\S]*Intento 1/);
+
+    restore();
+    assert.equal(await h.jobs.runDueJobs(), 0); // not due yet
+    assert.equal(await h.jobs.runDueJobs(new Date(Date.now() + 31 * SECOND)), 1);
+
+    assert.equal(job.status, 'done');
+    assert.equal(h.twilio.sent[0].body, 'Hola Ana');
+    assert.equal(incoming.twilio_sid, h.twilio.sent[0].sid);
+    assert.equal(h.rows('messages').length, 1);
+    assert.equal(h.ai.calls.length, 1);
+  }));
+
+  test('a message that could not be saved is retried from scratch, opening one ticket', () => withLogin({}, async (h) => {
+    failNextInsert(h, 'messages');
+    const restore = breakTwilio(h);
+    h.ai.reply({
+      message: '¿Dónde exactamente?', category: 'MANTENIMIENTO', needsAttention: true,
+      ticket: { location: 'baño', description: 'Fuga en el lavabo', priority: 'normal', trade: 'plumber' }
+    });
+    await h.whatsapp({ From: ANA, Body: 'Hay una fuga en el lavabo del baño' });
+
+    const [job] = h.rows('webhook_jobs');
+    assert.equal(job.status, 'pending');
+    assert.match(job.last_error, /connection reset/);
+    assert.equal(h.rows('tickets').length, 0);
+
+    restore();
+    assert.equal(await h.jobs.runDueJobs(new Date(Date.now() + 31 * SECOND)), 1);
+
+    assert.equal(job.status, 'done');
+    assert.equal(h.rows('tickets').length, 1);
+    assert.equal(h.rows('messages').length, 1);
+    assert.equal(h.rows('messages')[0].ticket_id, h.rows('tickets')[0].id);
+    assert.deepEqual(h.twilio.sent.map(m => m.body), ['¿Dónde exactamente?']);
+  }));
+
+  test('after the last attempt the job is failed until the landlord retries it', () => withLogin({
+    properties: [...defaultSeed().properties, { id: 'property-2', landlord_id: 'landlord-2', address: 'Calle Ajena 9' }],
+    tenants: [...defaultSeed().tenants, { id: 'tenant-2', property_id: 'property-2', name: 'Beto', phone: '+525587654321' }]
+  }, async (h) => {
+    const restore = breakTwilio(h);
+    await h.whatsapp({ From: ANA, Body: 'Hola' });
+    const [job] = h.rows('webhook_jobs');
+
+    let now = Date.now();
+    for (let attempt = 2; attempt <= MAX_ATTEMPTS; attempt++) {
+      now += 60 * 60 * SECOND;
+      await h.jobs.runDueJobs(new Date(now));
+    }
+    assert.equal(job.status, 'failed');
+    assert.equal(job.attempts, MAX_ATTEMPTS);
+    assert.match((await h.get('/dashboard')).text, /Falló tras 5 intentos/);
+
+    // Someone else's tenant's job can't be touched
+    const beto = (await h.whatsapp({ From: 'whatsapp:+5215587654321', Body: 'Hola' }));
+    assert.equal(beto.status, 200);
+    const betoJob = h.rows('webhook_jobs')[1];
+    assert.equal((await h.post(`/dashboard/jobs/${betoJob.id}/retry`, {})).status, 404);
+
+    restore();
+    const res = JSON.parse((await h.post(`/dashboard/jobs/${job.id}/retry`, {})).text);
+    assert.equal(res.success, true);
+    await h.jobs.drain();
+
+    assert.equal(job.status, 'done');
+    assert.equal(h.rows('messages').filter(m => m.direction === 'incoming' && m.tenant_id === 'tenant-1').length, 1);
+    assert.ok(h.twilio.sent.some(m => m.to === 'whatsapp:+525512345678'));
+    assert.equal(JSON.parse((await h.post(`/dashboard/jobs/${job.id}/retry`, {})).text).success, false);
+  }));
+
+  test('a job left half-done by a restart is picked up again', () => withLogin({
+    webhook_jobs: [{
+      id: 'job-1', kind: 'whatsapp', message_sid: 'SMold', phone: '+525512345678', status: 'processing', attempts: 1,
+      payload: { From: ANA, Body: 'Hola', NumMedia: '0', MessageSid: 'SMold' },
+      run_at: new Date(Date.now() - 20 * 60 * SECOND).toISOString(), locked_at: new Date(Date.now() - 20 * 60 * SECOND).toISOString()
+    }]
+  }, async (h) => {
+    h.ai.reply({ message: 'Hola Ana', category: 'CONSULTA', needsAttention: false });
+    assert.equal(await h.jobs.runDueJobs(), 1);
+
+    assert.equal(h.rows('webhook_jobs')[0].status, 'done');
+    assert.equal(h.rows('webhook_jobs')[0].attempts, 2);
+    assert.equal(h.twilio.sent[0].body, 'Hola Ana');
+  }));
+});
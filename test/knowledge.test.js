@@ -0,0 +1,87 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { withHarness, defaultSeed } = require('./helpers/harness');
+const { findRelevantFaqs } = require('../services/knowledge');
+const { buildPrompt } = require('../services/assistant/prompt');
+
+const ANA = 'whatsapp:+5215512345678';
+
+const FAQS = [
+  { id: 'faq-wifi', property_id: 'property-1', topic: 'wifi', question: '¿Cuál es la contraseña del Wi-Fi?', answer: 'Red Reforma100, contraseña casa2024' },
+  { id: 'faq-trash', property_id: 'property-1', topic: 'trash', question: '¿Qué días pasa la basura?', answer: 'Lunes, miércoles y viernes a las 8 am' },
+  { id: 'faq-parking', property_id: 'property-1', topic: 'parking', question: '¿Dónde me estaciono?', answer: 'Cajón 12 en el sótano' },
+  { id: 'faq-doorman', property_id: 'property-1', topic: 'emergency', question: 'Teléfono del portero', answer: 'Don José, 55 1111 2222', keywords: 'vigilante, conserje' }
+];
+
+describe('finding relevant entries', () => {
+  const cases = [
+    ['¿Cuál es la clave del internet?', ['faq-wifi']],
+    ['What day is garbage pickup?', ['faq-trash']],
+    ['Where can I park my car?', ['faq-parking']],
+    ['¿El vigilante tiene teléfono?', ['faq-doorman']],
+    ['Hola, buenos días', []]
+  ];
+
+  for (const [message, expected] of cases) {
+    test(`"${message}"`, () => {
+      assert.deepEqual(findRelevantFaqs(FAQS, message).map(f => f.id), expected);
+    });
+  }
+
+  test('a follow-up keeps the previous question\'s topic', () => {
+    const history = [{ direction: 'incoming', message_body: '¿Cómo me conecto al wifi?' }];
+    assert.deepEqual(findRelevantFaqs(FAQS, '¿y la contraseña?', history).map(f => f.id), ['faq-wifi']);
+  });
+});
+
+describe('knowledge in the conversation', () => {
+  test('relevant entries of the tenant\'s property reach the prompt', () => withHarness({
+    property_faqs: [...FAQS, { property_id: 'property-2', topic: 'wifi', question: 'Wi-Fi', answer: 'Otra red' }]
+  }, async (h) => {
+    h.ai.reply({ message: 'La red es Reforma100', category: 'CONSULTA', needsAttention: false });
+    await h.whatsapp({ From: ANA, Body: '¿Me pasas la clave del wifi?' });
+
+    const { context, history, message } = h.ai.calls[0];
+    assert.deepEqual(context.faqs.map(f => f.id), ['faq-wifi']);
+    assert.match(buildPrompt(context, history, message), /\[Wi-Fi e internet\] ¿Cuál es la contraseña del Wi-Fi\?: Red Reforma100, contraseña casa2024/);
+  }));
+
+  test('without the AI, the answer comes from the knowledge base', () => withHarness({ property_faqs: FAQS }, async (h) => {
+    const { reply } = await h.whatsapp({ From: ANA, Body: '¿Qué días pasa el camión de la basura?' });
+
+    assert.match(reply, /^Lunes, miércoles y viernes a las 8 am/);
+    assert.equal(h.rows('messages')[0].needs_landlord_attention, false);
+  }));
+});
+
+describe('editing the knowledge base', () => {
+  test('add, edit and delete entries from the properties page', () => withHarness({}, async (h) => {
+    await h.login();
+
+    await h.post('/dashboard/properties/property-1/faqs', { topic: 'wifi', question: '¿Wi-Fi?', answer: 'Red Casa' });
+    const [faq] = h.rows('property_faqs');
+    assert.equal(faq.topic, 'wifi');
+    assert.match((await h.get('/dashboard/properties')).text, /Red Casa/);
+
+    await h.post(`/dashboard/faqs/${faq.id}`, { topic: 'nope', question: '¿Wi-Fi?', answer: 'Red Casa 5G' });
+    assert.equal(h.rows('property_faqs')[0].answer, 'Red Casa 5G');
+    assert.equal(h.rows('property_faqs')[0].topic, 'other');
+
+    assert.equal((await h.post('/dashboard/properties/property-1/faqs', { question: 'Sin respuesta' })).status, 400);
+
+    await h.post(`/dashboard/faqs/${faq.id}/delete`, {});
+    assert.equal(h.rows('property_faqs').length, 0);
+  }));
+
+  test('another landlord\'s property and entries are out of reach', () => withHarness({
+    properties: [...defaultSeed().properties, { id: 'property-2', landlord_id: 'landlord-2', address: 'Calle Ajena 9' }],
+    property_faqs: [{ id: 'faq-other', property_id: 'property-2', topic: 'wifi', question: 'Wi-Fi', answer: 'Otra red' }]
+  }, async (h) => {
+    await h.login();
+
+    assert.equal((await h.post('/dashboard/properties/property-2/faqs', { question: 'x', answer: 'y' })).status, 404);
+    assert.equal((await h.post('/dashboard/faqs/faq-other', { question: 'x', answer: 'y' })).status, 404);
+    assert.equal((await h.post('/dashboard/faqs/faq-other/delete', {})).status, 404);
+    assert.equal(h.rows('property_faqs')[0].answer, 'Otra red');
+  }));
+});
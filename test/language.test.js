@@ -0,0 +1,139 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { withHarness, defaultSeed } = require('./helpers/harness');
+const { detectLanguage, detectLanguageRequest, getTenantLanguage } = require('../services/language');
+const { SUPPORTED_LANGUAGES, getLocale } = require('../locales');
+
+const ANA = 'whatsapp:+5215512345678';
+
+function lastIncoming(h) {
+  return h.rows('messages').filter(m => m.direction === 'incoming').pop();
+}
+
+describe('language identification', () => {
+  test('whole words count, not substrings: English with "no" and "la" is English', () => {
+    assert.equal(detectLanguage('Hi, there is no hot water in the flat').language, 'en');
+    assert.equal(detectLanguage('Hola, no hay agua caliente en la cocina').language, 'es');
+    assert.equal(detectLanguage('Olá, a torneira da cozinha está com vazamento').language, 'pt');
+    assert.equal(detectLanguage('Bonjour, il y a une fuite d\'eau dans la cuisine').language, 'fr');
+  });
+
+  test('one word is not enough to be sure', () => {
+    assert.equal(detectLanguage('ok').confident, false);
+    assert.equal(detectLanguage('gracias').confident, false);
+    assert.equal(detectLanguage('').language, 'es');
+  });
+
+  test('requests to switch, in any language, but not statements', () => {
+    assert.equal(detectLanguageRequest('Reply in English please'), 'en');
+    assert.equal(detectLanguageRequest('¿Me puedes escribir en francés?'), 'fr');
+    assert.equal(detectLanguageRequest('en español por favor'), 'es');
+    assert.equal(detectLanguageRequest('Português'), 'pt');
+    assert.equal(detectLanguageRequest('No hablo inglés'), null);
+    assert.equal(detectLanguageRequest('My English is not great'), null);
+    assert.equal(detectLanguageRequest('Can you send the plumber in the morning, my neighbor only speaks English'), null);
+    assert.equal(detectLanguageRequest('Parlez-moi en français s\'il vous plaît'), 'fr');
+    assert.equal(detectLanguageRequest('English please'), 'en');
+  });
+
+  test('ordinary sentences that mention a language are not requests', () => {
+    for (const text of ['I speak french too', 'Mi hijo habla inglés', 'Please help, the plumber speaks English',
+      'Está en inglés el contrato', 'Meu vizinho é português', 'The lease in English is fine']) {
+      assert.equal(detectLanguageRequest(text), null, text);
+    }
+  });
+
+  test('every locale has the same texts', () => {
+    const shape = locale => ({
+      replies: Object.keys(locale.replies).sort(),
+      categories: Object.keys(locale.categories).sort(),
+      ledger: Object.keys(locale.ledger).sort(),
+      fallback: Object.keys(locale.fallback).sort(),
+      keywords: Object.keys(locale.fallback.keywords).sort(),
+      frames: Object.keys(locale.suggestions.frames).sort()
+    });
+    SUPPORTED_LANGUAGES.forEach(code => assert.deepEqual(shape(getLocale(code)), shape(getLocale('es')), code));
+  });
+});
+
+describe('language in the webhook', () => {
+  test('a tenant asks to switch: the preference is stored and confirmed without the AI', () => withHarness({}, async (h) => {
+    const { reply } = await h.whatsapp({ From: ANA, Body: 'Reply in English please' });
+
+    assert.equal(reply, getLocale('en').replies.languageChanged);
+    assert.equal(h.rows('tenants')[0].preferred_language, 'en');
+    assert.equal(h.ai.calls.length, 0);
+
+    // From then on, English even when they write in Spanish
+    h.ai.reply({ message: 'ok', category: 'INQUIRY', needsAttention: false });
+    await h.whatsapp({ From: ANA, Body: 'Hola, ¿cuándo vence la renta?' });
+    assert.equal(h.ai.calls[0].context.language, 'en');
+    assert.equal(lastIncoming(h).language, 'en');
+  }));
+
+  test('mentioning a language in passing keeps no preference and goes to the AI', () => withHarness({}, async (h) => {
+    h.ai.reply({ message: 'Great!', category: 'INQUIRY', needsAttention: false });
+    const { reply } = await h.whatsapp({ From: ANA, Body: 'I speak french too' });
+
+    assert.equal(reply, 'Great!');
+    assert.equal(h.rows('tenants')[0].preferred_language ?? null, null);
+    assert.equal(h.ai.calls.length, 1);
+  }));
+
+  test('without a preference the conversation keeps its language on short replies', () => withHarness({
+    messages: [{ tenant_id: 'tenant-1', direction: 'incoming', author: 'tenant', message_body: 'The kitchen sink is leaking', language: 'en', created_at: '2026-10-01T10:00:00.000Z' }]
+  }, async (h) => {
+    h.ai.reply({ message: 'ok', category: 'INQUIRY', needsAttention: false });
+    await h.whatsapp({ From: ANA, Body: 'Gracias' });
+    assert.equal(h.ai.calls[0].context.language, 'en');
+
+    h.ai.reply({ message: 'ok', category: 'CONSULTA', needsAttention: false });
+    await h.whatsapp({ From: ANA, Body: 'Ya lo revisé y el agua sigue saliendo por la tubería' });
+    assert.equal(h.ai.calls[1].context.language, 'es');
+  }));
+
+  test('a Portuguese tenant gets the Portuguese fallback when the AI is down', () => withHarness({}, async (h) => {
+    const { reply } = await h.whatsapp({ From: ANA, Body: 'Olá, a torneira da cozinha está com vazamento' });
+
+    assert.equal(reply, getLocale('pt').fallback.emergency);
+    assert.equal(lastIncoming(h).category, 'URGENT');
+    assert.equal(lastIncoming(h).language, 'pt');
+  }));
+});
+
+describe('language set by the landlord', () => {
+  test('edited from the tenants page and used for automated messages', () => withHarness({
+    messages: [{ tenant_id: 'tenant-1', direction: 'incoming', author: 'tenant', message_body: 'Hola, todo bien por aquí', created_at: '2026-10-01T10:00:00.000Z' }]
+  }, async (h) => {
+    await h.login();
+    assert.equal(await getTenantLanguage(h.db, 'tenant-1'), 'es');
+
+    await h.post('/dashboard/tenants/tenant-1/edit', { name: 'Ana', phone: '+525512345678', preferred_language: 'fr' });
+    assert.equal(h.rows('tenants')[0].preferred_language, 'fr');
+    assert.equal(await getTenantLanguage(h.db, 'tenant-1'), 'fr');
+    assert.match((await h.get('/dashboard/tenants')).text, /🌐<\/span>\s*<span>Français/);
+
+    await h.post('/dashboard/tenants/tenant-1/edit', { name: 'Ana', phone: '+525512345678', preferred_language: 'klingon' });
+    assert.equal(h.rows('tenants')[0].preferred_language, null);
+  }));
+
+  test('ticket updates reach the tenant in their language', () => withHarness({
+    tenants: [{ ...defaultSeed().tenants[0], preferred_language: 'fr' }],
+    tickets: [{ id: 'ticket-1', tenant_id: 'tenant-1', property_id: 'property-1', status: 'open', priority: 'high', description: 'Fuite sous l\'évier' }]
+  }, async (h) => {
+    await h.login();
+    await h.post('/dashboard/tickets/ticket-1/status', { status: 'resolved' });
+
+    assert.equal(h.twilio.sent[0].body, 'Bonjour Ana, nous avons marqué votre demande "Fuite sous l\'évier" comme résolue. Si le problème persiste, répondez-nous ici.');
+  }));
+
+  test('suggested replies are drafted in the tenant\'s language', () => withHarness({
+    tenants: [{ ...defaultSeed().tenants[0], preferred_language: 'pt' }]
+  }, async (h) => {
+    await h.login();
+    const res = JSON.parse((await h.postJson('/dashboard/tenants/tenant-1/suggest-replies', { tone: 'friendly' })).text);
+
+    assert.equal(res.language, 'pt');
+    assert.equal(res.suggestions[1], `Olá Ana! ${getLocale('pt').suggestions.willCheck}`);
+  }));
+});
@@ -0,0 +1,181 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { withHarness, defaultSeed } = require('./helpers/harness');
+const initLeaseRenewals = require('../services/lease-renewals');
+const { rentOn, describeLease, parseRenewalReply } = require('../services/leases');
+
+const ANA = 'whatsapp:+5215512345678';
+const PDF = Buffer.from('%PDF-1.4\n% contrato de prueba\n');
+
+// 'YYYY-MM-DD', `days` from today
+function inDays(days) {
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function lease(fields = {}) {
+  return {
+    id: 'lease-1', tenant_id: 'tenant-1', property_id: 'property-1', status: 'active',
+    start_date: '2025-11-01', end_date: inDays(200), monthly_rent: 15000,
+    escalation_type: 'percent', escalation_value: 5, deposit_amount: 15000, deposit_refundable: true,
+    ...fields
+  };
+}
+
+describe('lease terms', () => {
+  test('rent escalates on each anniversary', () => {
+    const terms = { start_date: '2024-03-01', monthly_rent: 10000, escalation_type: 'percent', escalation_value: 5 };
+
+    assert.equal(rentOn(terms, new Date('2025-02-28T00:00:00Z')), 10000);
+    assert.equal(rentOn(terms, new Date('2025-03-01T00:00:00Z')), 10500);
+    assert.equal(rentOn(terms, new Date('2026-03-01T00:00:00Z')), 11025);
+    assert.equal(rentOn({ ...terms, escalation_type: 'fixed', escalation_value: 750 }, new Date('2026-03-01T00:00:00Z')), 11500);
+  });
+
+  test('lease questions reach the AI with the terms', () => withHarness({ leases: [lease({ deposit_terms: 'Se devuelve al entregar' })] }, async (h) => {
+    h.ai.reply({ message: 'Tu contrato termina pronto', category: 'CONSULTA', needsAttention: false });
+    await h.whatsapp({ From: ANA, Body: '¿Cuándo termina mi contrato?' });
+
+    const { lease: sent, isSpanish } = h.ai.calls[0].context;
+    assert.equal(sent.id, 'lease-1');
+    assert.match(describeLease(sent, isSpanish), /reembolsable; condiciones del depósito: Se devuelve al entregar/);
+  }));
+});
+
+describe('renewal notices', () => {
+  test('sent 60 and 30 days before the end, once each', () => withHarness({ leases: [lease({ end_date: inDays(60) })] }, async (h) => {
+    const { runLeaseRenewals } = initLeaseRenewals(h.supabase, h.twilio);
+
+    assert.equal(await runLeaseRenewals(), 1);
+    assert.match(h.twilio.sent[0].body, /^Hola Ana, tu contrato de Av. Reforma 100, Depto 3 termina el .* \(en 60 días\)/);
+    assert.match(h.twilio.sent[0].body, /Responde "RENOVAR"/);
+    assert.equal(h.rows('leases')[0].renewal_notice_days, 60);
+
+    assert.equal(await runLeaseRenewals(), 0);
+
+    h.rows('leases')[0].end_date = inDays(30);
+    assert.equal(await runLeaseRenewals(), 1);
+    assert.equal(h.rows('leases')[0].renewal_notice_days, 30);
+    assert.equal(h.rows('messages').filter(m => m.category === 'CONTRATO').length, 2);
+  }));
+
+  test('not sent for leases far from their end, answered or ended', () => withHarness({
+    leases: [
+      lease({ id: 'lease-1', end_date: inDays(90) }),
+      lease({ id: 'lease-2', end_date: inDays(40), renewal_response: 'renew' }),
+      lease({ id: 'lease-3', end_date: inDays(20), status: 'ended' })
+    ]
+  }, async (h) => {
+    const { runLeaseRenewals } = initLeaseRenewals(h.supabase, h.twilio);
+
+    assert.equal(await runLeaseRenewals(), 0);
+    assert.equal(h.twilio.sent.length, 0);
+  }));
+
+  test('tenant answers "NO RENOVAR" over WhatsApp', () => withHarness({
+    leases: [lease({ end_date: inDays(55), renewal_notice_days: 60, renewal_notice_sent_at: new Date().toISOString() })]
+  }, async (h) => {
+    const { reply } = await h.whatsapp({ From: ANA, Body: 'NO RENOVAR, nos mudamos en marzo' });
+
+    assert.match(reply, /no renovarás/);
+    assert.equal(h.rows('leases')[0].renewal_response, 'leave');
+    assert.equal(h.ai.calls.length, 0);
+
+    const [saved] = h.rows('messages');
+    assert.equal(saved.category, 'CONTRATO');
+    assert.equal(saved.needs_landlord_attention, true);
+  }));
+
+  test('a French-speaking tenant gets the notice in French and can answer in French', () => withHarness({
+    tenants: [{ ...defaultSeed().tenants[0], preferred_language: 'fr' }],
+    leases: [lease({ end_date: inDays(60) })]
+  }, async (h) => {
+    const { runLeaseRenewals } = initLeaseRenewals(h.supabase, h.twilio);
+    await runLeaseRenewals();
+    assert.match(h.twilio.sent[0].body, /^Bonjour Ana, votre bail pour Av. Reforma 100, Depto 3 se termine le .* \(dans 60 jours\)/);
+    assert.match(h.twilio.sent[0].body, /« NE PAS RENOUVELER »/);
+
+    const { reply } = await h.whatsapp({ From: ANA, Body: 'NE PAS RENOUVELER' });
+    assert.match(reply, /vous ne renouvellerez pas/);
+    assert.equal(h.rows('leases')[0].renewal_response, 'leave');
+  }));
+
+  test('only short answers or a tapped button count; questions and long messages do not', () => {
+    assert.equal(parseRenewalReply('RENOVAR'), 'renew');
+    assert.equal(parseRenewalReply('Sí, quiero renovar'), 'renew');
+    assert.equal(parseRenewalReply('No renovar, nos mudamos en marzo'), 'leave');
+    assert.equal(parseRenewalReply('', 'leave'), 'leave');
+    assert.equal(parseRenewalReply('¿Qué pasa si no renuevo?'), null);
+    assert.equal(parseRenewalReply('What if I don\'t renew, is there a penalty?'), null);
+    assert.equal(parseRenewalReply('¿Puedo renovar solo por seis meses?'), null);
+    assert.equal(parseRenewalReply('Estaba pensando en no renovar pero primero quiero hablar con mi pareja'), null);
+  });
+
+  test('a question about not renewing goes to the AI and records nothing', () => withHarness({
+    leases: [lease({ end_date: inDays(55), renewal_notice_days: 60, renewal_notice_sent_at: new Date().toISOString() })]
+  }, async (h) => {
+    h.ai.reply({ message: 'Si no renuevas, el contrato termina en la fecha pactada', category: 'CONTRATO', needsAttention: false });
+    const { reply } = await h.whatsapp({ From: ANA, Body: '¿Qué pasa si no renuevo?' });
+
+    assert.equal(reply, 'Si no renuevas, el contrato termina en la fecha pactada');
+    assert.equal(h.ai.calls.length, 1);
+    assert.equal(h.rows('leases')[0].renewal_response, undefined);
+  }));
+
+  test('"renovar" without a pending notice goes to the AI', () => withHarness({ leases: [lease()] }, async (h) => {
+    h.ai.reply({ message: 'Claro, ¿quieres renovar?', category: 'CONSULTA', needsAttention: false });
+    await h.whatsapp({ From: ANA, Body: 'Quiero renovar el contrato' });
+
+    assert.equal(h.ai.calls.length, 1);
+    assert.equal(h.rows('leases')[0].renewal_response, undefined);
+  }));
+});
+
+describe('lease dashboard', () => {
+  test('add a lease and upload its PDF', () => withHarness({}, async (h) => {
+    await h.login();
+    const res = await h.post('/dashboard/leases/add', {
+      tenant_id: 'tenant-1', start_date: '2026-01-01', end_date: '2026-12-31', monthly_rent: '15000',
+      escalation_type: 'percent', escalation_value: '4', deposit_amount: '15000', deposit_refundable: 'on'
+    });
+    assert.equal(res.status, 302);
+
+    const [added] = h.rows('leases');
+    assert.equal(added.status, 'active');
+    assert.equal(added.property_id, 'property-1');
+
+    assert.equal((await h.postFile(`/dashboard/leases/${added.id}/document`, Buffer.from('not a pdf'), 'application/pdf')).status, 400);
+    assert.deepEqual(JSON.parse((await h.postFile(`/dashboard/leases/${added.id}/document`, PDF, 'application/pdf')).text), { success: true });
+
+    const download = await h.get(`/dashboard/leases/${added.id}/document`);
+    assert.equal(download.status, 200);
+    assert.equal(download.text, PDF.toString());
+
+    assert.equal((await h.get('/dashboard/leases')).status, 200);
+  }));
+
+  test('renewing starts a new term at the escalated rent', () => withHarness({
+    leases: [lease({ start_date: '2025-01-01', end_date: '2025-12-31', monthly_rent: 10000, escalation_value: 5 })]
+  }, async (h) => {
+    await h.login();
+    await h.post('/dashboard/leases/lease-1/renew', { end_date: '2026-12-31' });
+
+    const [previous, renewed] = h.rows('leases');
+    assert.equal(previous.status, 'renewed');
+    assert.equal(renewed.status, 'active');
+    assert.equal(renewed.start_date, '2026-01-01');
+    assert.equal(renewed.monthly_rent, 10500);
+    assert.match((await h.get('/dashboard/leases')).text, /Historial/);
+  }));
+
+  test('another landlord\'s tenant and lease are out of reach', () => withHarness({
+    properties: [...defaultSeed().properties, { id: 'property-2', landlord_id: 'landlord-2', address: 'Calle Ajena 9' }],
+    tenants: [...defaultSeed().tenants, { id: 'tenant-2', property_id: 'property-2', name: 'Beto', phone: '+525587654321' }],
+    leases: [lease({ id: 'lease-2', tenant_id: 'tenant-2', property_id: 'property-2', document_path: 'lease-2/1.pdf' })]
+  }, async (h) => {
+    await h.login();
+
+    assert.equal((await h.post('/dashboard/leases/add', { tenant_id: 'tenant-2', start_date: '2026-01-01', end_date: '2026-12-31' })).status, 404);
+    assert.equal((await h.get('/dashboard/leases/lease-2/document')).status, 404);
+    assert.equal((await h.post('/dashboard/leases/lease-2/end', {})).status, 404);
+  }));
+});
@@ -0,0 +1,152 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { withHarness, defaultSeed } = require('./helpers/harness');
+const { fitToBudget, summarizeDueConversations } = require('../services/memory');
+const { buildPrompt } = require('../services/assistant/prompt');
+const { parseSummary } = require('../services/assistant/providers/openai');
+
+const ANA = 'whatsapp:+5215512345678';
+
+// `count` short exchanges, one a minute from `start`
+function chatter(count, start = '2026-10-15T10:00:00.000Z') {
+  return Array.from({ length: count }, (_, i) => ({
+    tenant_id: 'tenant-1', direction: 'incoming', author: 'tenant', category: 'CONSULTA',
+    message_body: `Mensaje ${i + 1}`, ai_response: 'Con gusto',
+    created_at: new Date(Date.parse(start) + i * 60000).toISOString()
+  }));
+}
+
+const LEAK = {
+  tenant_id: 'tenant-1', direction: 'incoming', author: 'tenant', category: 'URGENTE', needs_landlord_attention: true,
+  message_body: 'Hay una fuga de agua en el baño, gotea el techo', ai_response: 'Aviso al propietario de inmediato',
+  created_at: '2026-09-28T09:00:00.000Z'
+};
+
+describe('token budget', () => {
+  const turn = body => ({ direction: 'incoming', message_body: body, ai_response: null });
+
+  test('the last turns and open items come first, then the summary, then older turns', () => {
+    const history = [turn('a'.repeat(400)), turn('b'.repeat(40)), turn('último'), turn('actual')];
+    const memory = { summary: 's'.repeat(400), openItems: ['Fuga en el baño sin reparar'], related: [turn('viejo')] };
+
+    const roomy = fitToBudget(memory, history, 1000);
+    assert.equal(roomy.history.length, 4);
+    assert.equal(roomy.memory.summary, memory.summary);
+    assert.equal(roomy.memory.related.length, 1);
+
+    const tight = fitToBudget(memory, history, 80);
+    assert.deepEqual(tight.history.map(m => m.message_body), ['último', 'actual']);
+    assert.deepEqual(tight.memory.openItems, ['Fuga en el baño sin reparar']);
+    assert.ok(tight.memory.summary.startsWith('…') && tight.memory.summary.length < 400);
+    assert.deepEqual(tight.memory.related, []);
+  });
+
+  test('without memory the recent turns are kept as they are', () => {
+    const { memory, history } = fitToBudget({ summary: null, openItems: [], related: [] }, [turn('primero'), turn('segundo')]);
+    assert.deepEqual(history.map(m => m.message_body), ['primero', 'segundo']);
+    assert.equal(memory.summary, null);
+  });
+
+  test('model summaries need text; open items are optional', () => {
+    assert.deepEqual(parseSummary('{"summary":" Fuga reportada ","openItems":["Reparar fuga", 3, ""]}'), { summary: 'Fuga reportada', openItems: ['Reparar fuga'] });
+    assert.throws(() => parseSummary('{"openItems":[]}'), /no summary/);
+  });
+});
+
+describe('memory in the webhook', () => {
+  test('the summary and open items reach the prompt', () => withHarness({
+    messages: chatter(3),
+    conversation_memories: [{
+      tenant_id: 'tenant-1', summary: '2026-09-28: Ana reportó una fuga en el baño.', open_items: ['Fuga en el baño sin reparar'],
+      summarized_until: '2026-10-01T00:00:00.000Z', summarized_messages: 12
+    }]
+  }, async (h) => {
+    h.ai.reply({ message: 'Sigo pendiente del plomero', category: 'MANTENIMIENTO', needsAttention: true });
+    await h.whatsapp({ From: ANA, Body: '¿Ya viene alguien por lo del baño?' });
+
+    const { context, history, message } = h.ai.calls[0];
+    assert.equal(context.memory.summary, '2026-09-28: Ana reportó una fuga en el baño.');
+    assert.deepEqual(context.memory.openItems, ['Fuga en el baño sin reparar']);
+    assert.equal(history.length, 3);
+
+    const prompt = buildPrompt(context, history, message);
+    assert.match(prompt, /CONVERSATION SUMMARY[\s\S]*fuga en el baño/);
+    assert.match(prompt, /OPEN ITEMS[\s\S]*- Fuga en el baño sin reparar/);
+  }));
+
+  test('an old message on the same topic is retrieved when it is no longer among the recent turns', () => withHarness({
+    messages: [LEAK, { ...LEAK, message_body: 'Ya pagué la renta de septiembre', category: 'PAGO', created_at: '2026-09-29T09:00:00.000Z' }, ...chatter(30)]
+  }, async (h) => {
+    h.ai.reply({ message: 'Lo reviso', category: 'MANTENIMIENTO', needsAttention: true });
+    await h.whatsapp({ From: ANA, Body: 'La fuga del baño volvió, sigue goteando' });
+
+    const { context, history } = h.ai.calls[0];
+    assert.deepEqual(context.memory.related.map(m => m.message_body), [LEAK.message_body]);
+    assert.ok(!history.some(m => m.message_body === LEAK.message_body));
+  }));
+});
+
+describe('rolling summaries', () => {
+  test('the landlord refreshes the summary; later refreshes only add the new messages', () => withHarness({
+    messages: [LEAK, ...chatter(2)],
+    tickets: [{ id: 'ticket-1', tenant_id: 'tenant-1', property_id: 'property-1', status: 'open', priority: 'urgent', description: 'Fuga en el techo del baño', location: 'baño' }]
+  }, async (h) => {
+    await h.login();
+    h.ai.summarize({ summary: 'Ana reportó una fuga en el baño el 28 de septiembre.', openItems: ['Reparar la fuga del baño'] });
+
+    const res = JSON.parse((await h.post('/dashboard/tenants/tenant-1/memory/refresh', {})).text);
+    assert.equal(res.success, true);
+    assert.deepEqual(res.openItems, ['Reparar la fuga del baño']);
+
+    const input = h.ai.summaryCalls[0];
+    assert.equal(input.messages.length, 3);
+    assert.equal(input.previousSummary, null);
+    assert.equal(input.openTickets[0].description, 'Fuga en el techo del baño');
+
+    const [memory] = h.rows('conversation_memories');
+    assert.equal(memory.summarized_messages, 3);
+    assert.equal(memory.summarized_until, chatter(2)[1].created_at);
+    assert.match((await h.get('/dashboard/tenants/tenant-1/conversation')).text, /Reparar la fuga del baño/);
+
+    // Next time: only what came after, with the previous summary carried forward
+    h.ai.reply({ message: 'Enterado', category: 'MANTENIMIENTO', needsAttention: true });
+    await h.whatsapp({ From: ANA, Body: 'Ya vino el plomero y quedó arreglado' });
+    h.ai.summarize({ summary: 'La fuga del baño quedó arreglada.', openItems: [] });
+    await h.post('/dashboard/tenants/tenant-1/memory/refresh', {});
+
+    assert.equal(h.ai.summaryCalls[1].messages.length, 1);
+    assert.equal(h.ai.summaryCalls[1].previousSummary, 'Ana reportó una fuga en el baño el 28 de septiembre.');
+    assert.deepEqual(h.ai.summaryCalls[1].previousOpenItems, ['Reparar la fuga del baño']);
+    assert.equal(h.rows('conversation_memories').length, 1);
+    assert.equal(h.rows('conversation_memories')[0].summarized_messages, 4);
+  }));
+
+  test('without the AI the local summary keeps what mattered and the open requests', () => withHarness({
+    messages: [LEAK, ...chatter(9)],
+    tickets: [{ id: 'ticket-1', tenant_id: 'tenant-1', property_id: 'property-1', status: 'open', priority: 'urgent', description: 'Fuga en el techo del baño' }]
+  }, async (h) => {
+    assert.equal(await summarizeDueConversations(h.db), 1);
+
+    const [memory] = h.rows('conversation_memories');
+    assert.equal(memory.provider, 'local');
+    assert.match(memory.summary, /2026-09-28 Inquilino \(URGENTE\): Hay una fuga de agua/);
+    assert.doesNotMatch(memory.summary, /Mensaje 1/);
+    assert.match(memory.open_items[0], /Fuga en el techo del baño/);
+
+    // Nothing new since: the job leaves it alone
+    assert.equal(await summarizeDueConversations(h.db), 0);
+  }));
+
+  test('the job waits for enough new messages, and the refresh is limited to the landlord\'s tenants', () => withHarness({
+    properties: [...defaultSeed().properties, { id: 'property-2', landlord_id: 'landlord-2', address: 'Calle Ajena 9' }],
+    tenants: [...defaultSeed().tenants, { id: 'tenant-2', property_id: 'property-2', name: 'Beto', phone: '+525587654321' }],
+    messages: chatter(3)
+  }, async (h) => {
+    assert.equal(await summarizeDueConversations(h.db), 0);
+    assert.equal(h.rows('conversation_memories').length, 0);
+
+    await h.login();
+    const res = await h.post('/dashboard/tenants/tenant-2/memory/refresh', {});
+    assert.equal(res.status, 404);
+  }));
+});
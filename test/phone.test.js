@@ -0,0 +1,105 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePhone, describePhoneFormat } = require('../services/phone');
+const { planPhoneFixes, applyTenantFixes } = require('../scripts/normalize-phones');
+const { createFakeSupabase } = require('./helpers/fake-supabase');
+
+describe('normalizePhone', () => {
+  // [input, country, E.164]
+  const cases = [
+    ['whatsapp:+5215512345678', 'MX', '+525512345678'],
+    ['+52 55 1234 5678', 'MX', '+525512345678'],
+    ['55 1234 5678', 'MX', '+525512345678'],
+    ['(55) 1234-5678', 'MX', '+525512345678'],
+    ['044 55 1234 5678', 'MX', '+525512345678'],
+    ['525512345678', 'MX', '+525512345678'],
+    ['5215512345678', 'MX', '+525512345678'],
+    ['415-555-0100', 'US', '+14155550100'],
+    ['1 415 555 0100', 'US', '+14155550100'],
+    ['+1 (415) 555-0100', 'MX', '+14155550100'],
+    ['0034 612 345 678', 'MX', '+34612345678'],
+    ['612 345 678', 'ES', '+34612345678']
+  ];
+
+  for (const [input, country, expected] of cases) {
+    test(`"${input}" (${country}) → ${expected}`, () => {
+      assert.equal(normalizePhone(input, country), expected);
+    });
+  }
+
+  test('malformed numbers are rejected', () => {
+    for (const input of ['', null, 'sin teléfono', '12345', '55 1234 567', '+1234567890123456']) {
+      assert.equal(normalizePhone(input, 'MX'), null, input);
+    }
+  });
+
+  test('the way a number was written is named for diagnostics', () => {
+    assert.equal(describePhoneFormat('whatsapp:+5215512345678'), 'mx_mobile_521');
+    assert.equal(describePhoneFormat('+52 55 1234 5678'), 'e164');
+    assert.equal(describePhoneFormat('525512345678'), 'no_plus');
+    assert.equal(describePhoneFormat('55 1234 5678'), 'national');
+    assert.equal(describePhoneFormat('044 55 1234 5678'), 'trunk');
+    assert.equal(describePhoneFormat('0034 612 345 678'), 'intl_00');
+    assert.equal(describePhoneFormat('12345'), 'invalid');
+  });
+});
+
+describe('phone cleanup plan', () => {
+  const tenant = (id, name, phone, created_at, property_id = 'property-1') =>
+    ({ id, name, phone, created_at, property_id, landlord_id: 'landlord-1' });
+
+  test('rewrites, merges the same person and reports the rest', () => {
+    const plan = planPhoneFixes([
+      tenant('t1', 'Ana', '+5215512345678', '2025-01-01'),
+      tenant('t2', 'ana ', '55 1234 5678', '2025-03-01'),
+      tenant('t3', 'Beto', '+525587654321', '2025-01-01'),
+      tenant('t4', 'Carla', '5587654321', '2025-02-01'),
+      tenant('t5', 'Dani', 'pendiente', '2025-01-01'),
+      tenant('t6', 'Eva', '415 555 0100', '2025-01-01', 'property-2')
+    ], { 'landlord-1': 'MX' });
+
+    assert.deepEqual(plan.updates.map(u => [u.row.id, u.phone]), [['t1', '+525512345678'], ['t4', '+525587654321'], ['t6', '+524155550100']]);
+    assert.deepEqual(plan.merges.map(m => [m.keep.id, m.remove.map(r => r.id)]), [['t1', ['t2']]]);
+    assert.deepEqual(plan.conflicts.map(c => c.rows.map(r => r.id)), [['t3', 't4']]);
+    assert.deepEqual(plan.malformed.map(r => r.id), ['t5']);
+  });
+
+  const duplicated = () => createFakeSupabase({
+    tenants: [tenant('t1', 'Ana', '+525512345678', '2025-01-01'), tenant('t2', 'Ana', '5512345678', '2025-03-01')],
+    messages: [{ id: 'm1', tenant_id: 't2', message_body: 'Hola' }],
+    payments: [
+      { id: 'p1', tenant_id: 't1', period: '2025-03', status: 'unpaid', amount_due: 15000, amount_paid: 0 },
+      { id: 'p2', tenant_id: 't2', period: '2025-03', status: 'paid', amount_due: 15000, amount_paid: 15000, paid_at: '2025-03-02' },
+      { id: 'p3', tenant_id: 't2', period: '2025-04', status: 'pending', amount_due: 15000, amount_paid: 0 }
+    ]
+  });
+
+  test('a month both duplicates paid for is merged into one row, keeping the furthest along', async () => {
+    const supabase = duplicated();
+    await applyTenantFixes(supabase, planPhoneFixes(supabase.tables.tenants, { 'landlord-1': 'MX' }));
+
+    assert.deepEqual(supabase.tables.tenants.map(t => t.id), ['t1']);
+    assert.deepEqual(supabase.tables.messages.map(m => m.tenant_id), ['t1']);
+    assert.deepEqual(supabase.tables.payments.map(p => [p.id, p.tenant_id, p.period, p.status, p.amount_paid]), [
+      ['p1', 't1', '2025-03', 'paid', 15000],
+      ['p3', 't1', '2025-04', 'pending', 0]
+    ]);
+  });
+
+  test('a merge that fails halfway deletes nothing', async () => {
+    const supabase = duplicated();
+    const from = supabase.from;
+    supabase.from = function (table) {
+      const query = from.call(this, table);
+      if (table === 'messages') query.execute = () => ({ data: null, error: { message: 'statement timeout' } });
+      return query;
+    };
+
+    await assert.rejects(
+      applyTenantFixes(supabase, planPhoneFixes(supabase.tables.tenants, { 'landlord-1': 'MX' })),
+      /Moving messages to tenant t1: statement timeout/
+    );
+    assert.deepEqual(supabase.tables.tenants.map(t => t.id), ['t1', 't2']);
+    assert.equal(supabase.tables.payments.length, 3);
+  });
+});
@@ -0,0 +1,71 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { withHarness, defaultSeed } = require('./helpers/harness');
+const initRentReminders = require('../services/rent-reminders');
+const { getReminderStage } = initRentReminders;
+
+// UTC midnight, like the reminder job's "today"
+function day(iso) {
+  return new Date(`${iso}T00:00:00Z`);
+}
+
+function stage(today, rentDueDay) {
+  const reminder = getReminderStage(day(today), rentDueDay);
+  return reminder && [reminder.stage, reminder.dueDate.toISOString().slice(0, 10)];
+}
+
+// Today in the reminder job's timezone, as 'YYYY-MM-DD'
+function localToday() {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: process.env.RENT_REMINDER_TIMEZONE || process.env.TIMEZONE || 'America/Mexico_City',
+    year: 'numeric', month: '2-digit', day: '2-digit'
+  }).format(new Date());
+}
+
+describe('reminder stage', () => {
+  test('three days before, on and three days after the due day; nothing in between', () => {
+    assert.deepEqual(stage('2026-03-02', 5), ['upcoming', '2026-03-05']);
+    assert.equal(stage('2026-03-03', 5), null);
+    assert.deepEqual(stage('2026-03-05', 5), ['due', '2026-03-05']);
+    assert.equal(stage('2026-03-06', 5), null);
+    assert.deepEqual(stage('2026-03-08', 5), ['overdue', '2026-03-05']);
+  });
+
+  test('across the turn of the month', () => {
+    assert.deepEqual(stage('2026-02-26', 1), ['upcoming', '2026-03-01']);
+    assert.deepEqual(stage('2026-01-03', 31), ['overdue', '2025-12-31']);
+  });
+
+  test('a due day past the end of the month falls on its last day', () => {
+    assert.deepEqual(stage('2026-02-28', 31), ['due', '2026-02-28']);
+    assert.deepEqual(stage('2026-03-03', 31), ['overdue', '2026-02-28']);
+    assert.deepEqual(stage('2026-04-30', 31), ['due', '2026-04-30']);
+    assert.deepEqual(stage('2028-02-26', 30), ['upcoming', '2028-02-29']);
+  });
+});
+
+describe('sending reminders', () => {
+  const today = localToday();
+
+  test('tenants whose month is already settled are skipped; the rest are reminded once a day', () => withHarness({
+    properties: [{ ...defaultSeed().properties[0], rent_due_day: Number(today.slice(8)) }],
+    tenants: [
+      ...defaultSeed().tenants,
+      { id: 'tenant-3', property_id: 'property-1', name: 'Luis', phone: '+525511112222' }
+    ],
+    payments: [{
+      tenant_id: 'tenant-1', property_id: 'property-1', period: today.slice(0, 7),
+      amount_due: 15000, amount_paid: 15000, status: 'paid'
+    }]
+  }, async (h) => {
+    const { runRentReminders } = initRentReminders(h.supabase, h.twilio);
+
+    assert.equal(await runRentReminders(), 1);
+    assert.deepEqual(h.twilio.sent.map(m => m.to), ['whatsapp:+525511112222']);
+    assert.match(h.twilio.sent[0].body, /^Hola Luis, hoy vence tu renta de \$15,000 MXN de Av. Reforma 100, Depto 3/);
+    assert.equal(h.rows('messages').find(m => m.direction === 'outgoing').category, 'RECORDATORIO');
+
+    assert.equal(await runRentReminders(), 0);
+    assert.equal(h.twilio.sent.length, 1);
+  }));
+});
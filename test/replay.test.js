@@ -0,0 +1,42 @@
+// Replays recorded conversations (test/fixtures/conversations/*.json) through the webhook.
+//
+// Each turn posts `body` (from the seeded tenant unless `from` is set). If the turn has an
+// `ai` reply it is what the model answered when the conversation was recorded; without one
+// the AI is unavailable and the local fallback answers. `expect` is checked against the
+// TwiML reply, the saved message and the tenant's latest ticket.
+// Export a real conversation with: node scripts/export-conversation.js <tenant_id>
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { withHarness } = require('./helpers/harness');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'conversations');
+const DEFAULT_FROM = 'whatsapp:+5215512345678';
+
+for (const file of fs.readdirSync(FIXTURES).filter(f => f.endsWith('.json'))) {
+  const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES, file), 'utf8'));
+
+  test(`${file}: ${fixture.description}`, () => withHarness(fixture.seed || {}, async (h) => {
+    for (const [i, turn] of fixture.turns.entries()) {
+      const label = `turn ${i + 1} ("${turn.body}")`;
+      h.ai.clear();
+      if (turn.ai) h.ai.reply(turn.ai);
+
+      const { reply } = await h.whatsapp({ From: turn.from || DEFAULT_FROM, Body: turn.body });
+      const saved = h.rows('messages').filter(m => m.direction === 'incoming').pop();
+      const expect = turn.expect || {};
+
+      if (expect.reply !== undefined) assert.equal(reply, expect.reply, label);
+      if (expect.replyStartsWith !== undefined) assert.ok(reply.startsWith(expect.replyStartsWith), `${label}: ${reply}`);
+      if (expect.category !== undefined) assert.equal(saved.category, expect.category, label);
+      if (expect.needsAttention !== undefined) assert.equal(saved.needs_landlord_attention, expect.needsAttention, label);
+      if (expect.tickets !== undefined) assert.equal(h.rows('tickets').length, expect.tickets, label);
+      if (expect.ticket) {
+        const ticket = h.rows('tickets').find(t => t.id === saved.ticket_id);
+        assert.ok(ticket, `${label}: no ticket`);
+        Object.keys(expect.ticket).forEach(key => assert.equal(ticket[key], expect.ticket[key], `${label}: ticket.${key}`));
+      }
+    }
+  }));
+}
@@ -0,0 +1,130 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const util = require('util');
+const { withHarness, defaultSeed } = require('./helpers/harness');
+const { maskPhone, redactText } = require('../services/redact');
+
+const ANA = 'whatsapp:+5215512345678';
+
+// Landlord 2's records, seen by landlord 1
+const OTHER_LANDLORD = {
+  properties: [...defaultSeed().properties, { id: 'property-2', landlord_id: 'landlord-2', address: 'Calle Ajena 9' }],
+  tenants: [...defaultSeed().tenants, { id: 'tenant-2', property_id: 'property-2', name: 'Beto', phone: '+525587654321' }],
+  messages: [{
+    id: 'msg-2', tenant_id: 'tenant-2', direction: 'incoming', message_body: 'Foto de la fuga',
+    media: [{ url: 'https://api.twilio.com/media/1', content_type: 'image/jpeg', kind: 'image' }],
+    ai_draft: 'Voy para allá', draft_status: 'pending'
+  }],
+  payments: [{ id: 'payment-2', tenant_id: 'tenant-2', property_id: 'property-2', period: '2026-10', receipt_url: 'https://api.twilio.com/media/2' }],
+  vendors: [{ id: 'vendor-2', landlord_id: 'landlord-2', name: 'Plomero ajeno', trade: 'plumber', phone: '+525577777777', active: true }],
+  tickets: [{ id: 'ticket-1', tenant_id: 'tenant-1', property_id: 'property-1', status: 'open', priority: 'high', description: 'Fuga' }]
+};
+
+// Everything the app logs while `fn` runs, down to debug
+async function captureLogs(fn) {
+  const lines = [];
+  const { log, error } = console;
+  const level = process.env.LOG_LEVEL;
+  console.log = console.error = (...args) => lines.push(util.format(...args));
+  process.env.LOG_LEVEL = 'debug';
+  try {
+    await fn();
+  } finally {
+    Object.assign(console, { log, error });
+    if (level === undefined) delete process.env.LOG_LEVEL;
+    else process.env.LOG_LEVEL = level;
+  }
+  return lines.join('\n');
+}
+
+describe('webhook signature', () => {
+  test('unsigned and forged requests are rejected before touching data', () => withHarness({}, async (h) => {
+    assert.equal((await h.whatsapp({ From: ANA, Body: 'Hola' }, { signed: false })).status, 403);
+
+    const forged = await h.whatsapp({ From: ANA, Body: 'Hola' }, { signature: 'bm90IGEgcmVhbCBzaWduYXR1cmU=' });
+    assert.equal(forged.status, 403);
+    assert.equal(h.rows('messages').length, 0);
+    assert.equal(h.ai.calls.length, 0);
+  }));
+
+  test('signed requests go through', () => withHarness({}, async (h) => {
+    h.ai.reply({ message: 'Hola Ana', category: 'CONSULTA', needsAttention: false });
+    const { status, reply } = await h.whatsapp({ From: ANA, Body: 'Hola' });
+
+    assert.equal(status, 200);
+    assert.equal(reply, 'Hola Ana');
+  }));
+
+  test('TWILIO_VALIDATE_WEBHOOKS=false turns the check off', () => withHarness({}, async (h) => {
+    process.env.TWILIO_VALIDATE_WEBHOOKS = 'false';
+    try {
+      assert.equal((await h.whatsapp({ From: ANA, Body: 'Hola' }, { signed: false })).status, 200);
+    } finally {
+      delete process.env.TWILIO_VALIDATE_WEBHOOKS;
+    }
+  }));
+});
+
+describe('personal data in logs', () => {
+  test('masking helpers', () => {
+    assert.equal(maskPhone('whatsapp:+5215512345678'), '+52*******5678');
+    assert.equal(redactText('Key (phone)=(+525512345678) on 2026-10-15, sofia@example.com'), 'Key (phone)=(+52******5678) on 2026-10-15, s***@example.com');
+  });
+
+  test('the webhook entry keeps ids and masks the sender, the text and media links', () => withHarness({}, async (h) => {
+    h.ai.reply({ message: 'Recibido', category: 'MANTENIMIENTO', needsAttention: true });
+
+    const logs = await captureLogs(() => h.whatsapp({
+      From: ANA, Body: 'Hola', ProfileName: 'Ana', MessageSid: 'SM1', NumMedia: '1',
+      MediaUrl0: 'https://api.twilio.com/Media/ME1', MediaContentType0: 'image/jpeg'
+    }));
+    const entry = logs.split('\n').map(line => JSON.parse(line)).find(e => e.msg === 'WhatsApp webhook received');
+
+    assert.deepEqual(entry.params, {
+      From: '+52*******5678', Body: '[4 chars]', ProfileName: '[redacted]', MessageSid: 'SM1', NumMedia: '1',
+      MediaUrl0: '[url]', MediaContentType0: 'image/jpeg'
+    });
+  }));
+
+  test('the webhook logs no names, numbers or message text', () => withHarness({}, async (h) => {
+    h.ai.reply({ message: 'Claro Ana, mañana pasa el técnico', category: 'MANTENIMIENTO', needsAttention: true });
+
+    const logs = await captureLogs(async () => {
+      await h.whatsapp({ From: ANA, Body: 'Se rompió la regadera', ProfileName: 'Ana López' });
+      await h.whatsapp({ From: 'whatsapp:+5215599999999', Body: '¿Quién es?' });
+    });
+
+    assert.match(logs, /WhatsApp webhook received/);
+    for (const secret of ['Ana', '5512345678', '5599999999', 'regadera', 'técnico', 'Quién']) {
+      assert.ok(!logs.includes(secret), `logs mention "${secret}"`);
+    }
+  }));
+});
+
+describe('authorization', () => {
+  test('another landlord\'s messages, payments and vendors are out of reach', () => withHarness(OTHER_LANDLORD, async (h) => {
+    await h.login();
+
+    assert.equal((await h.get('/dashboard/messages/msg-2/media/0')).status, 404);
+    assert.equal(JSON.parse((await h.postJson('/dashboard/drafts/msg-2/approve', {})).text).success, false);
+    assert.equal(JSON.parse((await h.postJson('/dashboard/drafts/msg-2/discard', {})).text).success, false);
+    assert.equal((await h.get('/dashboard/payments/payment-2/receipt')).status, 404);
+    assert.equal((await h.post('/dashboard/vendors/vendor-2/auto-dispatch', { auto_dispatch: 'on' })).status, 404);
+    assert.equal((await h.post('/dashboard/vendors/delete/vendor-2', {})).status, 404);
+    assert.equal((await h.post('/dashboard/tickets/ticket-1/dispatch', { vendor_id: 'vendor-2' })).status, 404);
+    assert.equal((await h.post('/dashboard/tenants/add', { name: 'Intruso', phone: '+525500001111', property_id: 'property-2' })).status, 404);
+
+    assert.equal(h.twilio.sent.length, 0);
+    assert.equal(h.rows('messages')[0].draft_status, 'pending');
+    assert.equal(h.rows('vendors')[0].active, true);
+    assert.equal(h.rows('tenants').length, 2);
+  }));
+
+  test('replies need a tenant id; a phone number alone is not trusted', () => withHarness({}, async (h) => {
+    await h.login();
+    const res = await h.postJson('/dashboard/reply', { tenant_phone: '+525512345678', message: 'Hola' });
+
+    assert.equal(JSON.parse(res.text).success, false);
+    assert.equal(h.twilio.sent.length, 0);
+  }));
+});
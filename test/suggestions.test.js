@@ -0,0 +1,77 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { withLogin, defaultSeed } = require('./helpers/harness');
+const { parseSuggestions } = require('../services/assistant/providers/openai');
+
+const SEED = {
+  properties: [...defaultSeed().properties, { id: 'property-2', landlord_id: 'landlord-2', address: 'Calle Ajena 9' }],
+  tenants: [
+    ...defaultSeed().tenants,
+    { id: 'tenant-2', property_id: 'property-2', name: 'Beto', phone: '+525587654321' },
+    { id: 'tenant-9', property_id: 'property-1', name: 'Carla', phone: '+525500009999', archived_at: '2026-01-31T00:00:00Z' }
+  ],
+  messages: [
+    { tenant_id: 'tenant-9', direction: 'outgoing', author: 'landlord', message_body: 'Qué tal Carla, paso el lunes. Saludos, Sofía', created_at: '2026-01-10T10:00:00.000Z' },
+    { tenant_id: 'tenant-2', direction: 'outgoing', author: 'landlord', message_body: 'Respuesta de otro arrendador', created_at: '2026-10-01T09:00:00.000Z' },
+    { tenant_id: 'tenant-1', direction: 'incoming', author: 'tenant', message_body: 'Hi, the kitchen sink is leaking, can you send someone?', created_at: '2026-10-01T10:00:00.000Z', needs_landlord_attention: true }
+  ]
+};
+
+async function suggest(h, tenantId, tone) {
+  const res = await h.postJson(`/dashboard/tenants/${tenantId}/suggest-replies`, { tone });
+  return { status: res.status, ...JSON.parse(res.text) };
+}
+
+describe('suggested replies', () => {
+  test('drafts use the conversation, the property and the landlord\'s own past replies', () => withLogin(SEED, async (h) => {
+    h.ai.suggest(['I\'ll send the plumber tomorrow morning.', 'Is it dripping or flooding?', 'Thanks Ana, on it.']);
+
+    const result = await suggest(h, 'tenant-1', 'formal');
+    assert.equal(result.success, true);
+    assert.deepEqual(result.suggestions, ['I\'ll send the plumber tomorrow morning.', 'Is it dripping or flooding?', 'Thanks Ana, on it.']);
+    assert.equal(result.language, 'en');
+    assert.equal(result.tone, 'formal');
+
+    const [call] = h.ai.suggestionCalls;
+    assert.equal(call.options.tone, 'formal');
+    assert.equal(call.context.isSpanish, false);
+    assert.equal(call.context.tenant.properties.address, 'Av. Reforma 100, Depto 3');
+    assert.deepEqual(call.history.map(m => m.message_body), ['Hi, the kitchen sink is leaking, can you send someone?']);
+    assert.deepEqual(call.context.landlordReplies.map(m => m.message_body), ['Qué tal Carla, paso el lunes. Saludos, Sofía']);
+
+    // Nothing is sent until the landlord picks, edits and sends one
+    assert.equal(h.twilio.sent.length, 0);
+  }));
+
+  test('without the model, rule-based drafts in the tenant\'s language and tone', () => withLogin({
+    messages: [{ tenant_id: 'tenant-1', direction: 'incoming', message_body: 'Hola, ¿cuándo vence la renta?', created_at: '2026-10-01T10:00:00.000Z' }]
+  }, async (h) => {
+    const formal = await suggest(h, 'tenant-1', 'formal');
+    assert.equal(formal.language, 'es');
+    assert.equal(formal.suggestions.length, 3);
+    assert.ok(formal.suggestions.every(text => text.startsWith('Buen día, Ana.')));
+    assert.match(formal.suggestions[0], /vence el día 1/);
+    assert.match(formal.suggestions[1], /le confirmo/);
+
+    const brief = await suggest(h, 'tenant-1', 'brief');
+    assert.equal(brief.suggestions[1], 'Gracias por avisarme.');
+
+    // Unknown tones fall back to friendly
+    assert.equal((await suggest(h, 'tenant-1', 'sarcastic')).tone, 'friendly');
+  }));
+
+  test('only for the landlord\'s current tenants', () => withLogin(SEED, async (h) => {
+    assert.equal((await suggest(h, 'tenant-2')).status, 404);
+    assert.deepEqual(await suggest(h, 'tenant-9'), { status: 200, success: false, error: 'Tenant has moved out' });
+  }));
+
+  test('the conversation page offers suggestions next to the reply box', () => withLogin({}, async (h) => {
+    const res = await h.get('/dashboard/tenants/tenant-1/conversation');
+    assert.match(res.text, /Sugerir respuesta/);
+  }));
+
+  test('model output: fenced JSON, at most three drafts, none is an error', () => {
+    assert.deepEqual(parseSuggestions('```json\n{"suggestions":["a"," b ","","c","d"]}\n```', 3), ['a', 'b', 'c']);
+    assert.throws(() => parseSuggestions('{"suggestions":[]}', 3), /no suggestions/);
+  });
+});
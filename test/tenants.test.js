@@ -0,0 +1,118 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { withLogin, defaultSeed } = require('./helpers/harness');
+
+const ANA = 'whatsapp:+5215512345678';
+
+const SECOND_UNIT = { id: 'property-3', landlord_id: 'landlord-1', address: 'Av. Reforma 100, Depto 5', monthly_rent: 17000, rent_due_day: 5 };
+const OTHER_LANDLORD = {
+  properties: [...defaultSeed().properties, { id: 'property-2', landlord_id: 'landlord-2', address: 'Calle Ajena 9' }],
+  tenants: [...defaultSeed().tenants, { id: 'tenant-2', property_id: 'property-2', name: 'Beto', phone: '+525587654321' }]
+};
+
+describe('editing tenants', () => {
+  test('name, number and move-in date are updated', () => withLogin({}, async (h) => {
+    const res = await h.post('/dashboard/tenants/tenant-1/edit', { name: 'Ana López', phone: '55 1111 2222', move_in_date: '2025-02-01' });
+
+    assert.equal(res.status, 302);
+    const [ana] = h.rows('tenants');
+    assert.equal(ana.name, 'Ana López');
+    assert.equal(ana.phone, '+525511112222');
+    assert.equal(ana.move_in_date, '2025-02-01');
+  }));
+
+  test('keeping the same number is not a conflict, taking another tenant\'s is', () => withLogin({
+    tenants: [...defaultSeed().tenants, { id: 'tenant-3', property_id: 'property-1', name: 'Luis', phone: '+525587654321' }]
+  }, async (h) => {
+    assert.equal((await h.post('/dashboard/tenants/tenant-1/edit', { name: 'Ana', phone: '+525512345678' })).status, 302);
+    assert.equal((await h.post('/dashboard/tenants/tenant-1/edit', { name: 'Ana', phone: '+525587654321' })).status, 409);
+    assert.equal(h.rows('tenants')[0].phone, '+525512345678');
+  }));
+
+  test('moving to another unit ends the lease for the old one', () => withLogin({
+    properties: [...defaultSeed().properties, SECOND_UNIT],
+    leases: [{ id: 'lease-1', tenant_id: 'tenant-1', property_id: 'property-1', status: 'active', start_date: '2025-01-01', end_date: '2026-12-31' }]
+  }, async (h) => {
+    await h.post('/dashboard/tenants/tenant-1/move', { property_id: 'property-3' });
+
+    assert.equal(h.rows('tenants')[0].property_id, 'property-3');
+    assert.equal(h.rows('leases')[0].status, 'ended');
+  }));
+});
+
+describe('moving out', () => {
+  test('archives the tenant, keeps their messages and frees the number', () => withLogin({
+    messages: [{ id: 'msg-1', tenant_id: 'tenant-1', direction: 'incoming', message_body: 'Entrego las llaves el viernes' }],
+    leases: [{ id: 'lease-1', tenant_id: 'tenant-1', property_id: 'property-1', status: 'active', start_date: '2025-01-01', end_date: '2026-12-31' }]
+  }, async (h) => {
+    await h.post('/dashboard/tenants/tenant-1/move-out', { move_out_date: '2026-10-15', notes: 'Depósito devuelto' });
+
+    const [ana] = h.rows('tenants');
+    assert.ok(ana.archived_at);
+    assert.equal(ana.move_out_date, '2026-10-15');
+    assert.equal(ana.move_out_notes, 'Depósito devuelto');
+    assert.equal(h.rows('leases')[0].status, 'ended');
+    assert.equal(h.rows('messages').length, 1);
+
+    const page = (await h.get('/dashboard/tenants')).text;
+    assert.match(page, /Exinquilinos/);
+    assert.match((await h.get('/dashboard/tenants/tenant-1/conversation')).text, /Entrego las llaves el viernes/);
+
+    // The next tenant can use the same number
+    assert.equal((await h.post('/dashboard/tenants/add', { name: 'Luis', phone: '+525512345678', property_id: 'property-1' })).status, 302);
+  }));
+
+  test('a moved-out tenant is no longer matched or messaged', () => withLogin({}, async (h) => {
+    await h.post('/dashboard/tenants/tenant-1/move-out', {});
+
+    const { reply } = await h.whatsapp({ From: ANA, Body: 'Hola, olvidé una caja' });
+    assert.match(reply, /no encuentro tu número/);
+    assert.equal(h.ai.calls.length, 0);
+    assert.equal(h.rows('messages').length, 0);
+
+    const res = await h.postJson('/dashboard/reply', { tenant_id: 'tenant-1', message: 'Hola' });
+    assert.equal(JSON.parse(res.text).success, false);
+    assert.equal(h.twilio.sent.length, 1); // only the "not found" reply
+  }));
+});
+
+describe('properties', () => {
+  test('edit a property', () => withLogin({}, async (h) => {
+    await h.post('/dashboard/properties/property-1/edit', { address: 'Av. Reforma 100, Depto 4', monthly_rent: '16000', rent_due_day: '3' });
+
+    const [property] = h.rows('properties');
+    assert.equal(property.address, 'Av. Reforma 100, Depto 4');
+    assert.equal(property.monthly_rent, 16000);
+    assert.equal(property.rent_due_day, 3);
+
+    assert.equal((await h.post('/dashboard/properties/property-1/edit', { address: 'x', monthly_rent: '1', rent_due_day: '40' })).status, 400);
+  }));
+
+  test('a property is deleted only without current tenants, and archived if it had any', () => withLogin({
+    properties: [...defaultSeed().properties, SECOND_UNIT]
+  }, async (h) => {
+    assert.equal((await h.post('/dashboard/properties/property-1/delete', {})).status, 409);
+
+    await h.post('/dashboard/properties/property-3/delete', {});
+    assert.equal(h.rows('properties').length, 1);
+
+    await h.post('/dashboard/tenants/tenant-1/move-out', {});
+    await h.post('/dashboard/properties/property-1/delete', {});
+    assert.ok(h.rows('properties')[0].archived_at);
+    assert.doesNotMatch((await h.get('/dashboard/properties')).text, /Av. Reforma 100/);
+  }));
+});
+
+describe('another landlord\'s tenants', () => {
+  test('cannot be deleted, edited, moved or moved out', () => withLogin(OTHER_LANDLORD, async (h) => {
+    assert.equal((await h.post('/dashboard/tenants/delete/tenant-2', {})).status, 404);
+    assert.equal((await h.post('/dashboard/tenants/tenant-2/edit', { name: 'X', phone: '+525500000000' })).status, 404);
+    assert.equal((await h.post('/dashboard/tenants/tenant-2/move-out', {})).status, 404);
+    assert.equal((await h.post('/dashboard/tenants/tenant-2/move', { property_id: 'property-1' })).status, 404);
+    assert.equal((await h.post('/dashboard/tenants/tenant-1/move', { property_id: 'property-2' })).status, 404);
+    assert.equal((await h.post('/dashboard/properties/property-2/delete', {})).status, 404);
+
+    assert.equal(h.rows('tenants').length, 2);
+    assert.ok(!h.rows('tenants')[1].archived_at);
+  }));
+});
@@ -0,0 +1,265 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { withHarness, settle } = require('./helpers/harness');
+
+const ANA = 'whatsapp:+5215512345678';
+
+// A previous exchange, so short messages count as follow-ups
+const HISTORY = {
+  messages: [{
+    tenant_id: 'tenant-1', direction: 'incoming', author: 'tenant',
+    message_body: 'Tengo un problema en el departamento', ai_response: '¿Qué pasó?', category: 'CONSULTA'
+  }]
+};
+
+describe('tenant lookup', () => {
+  const formats = [
+    ['WhatsApp sends the old Mexican mobile prefix +521', '+525512345678', 'whatsapp:+5215512345678'],
+    ['WhatsApp sends +52', '+525512345678', 'whatsapp:+525512345678'],
+    ['sent without the plus sign', '+525512345678', 'whatsapp:5215512345678'],
+    ['number from another country', '+14155550100', 'whatsapp:+14155550100']
+  ];
+
+  for (const [name, stored, from] of formats) {
+    test(name, () => withHarness({
+      tenants: [{ id: 'tenant-1', property_id: 'property-1', name: 'Ana', phone: stored }]
+    }, async (h) => {
+      h.ai.reply({ message: 'Hola Ana', category: 'CONSULTA', needsAttention: false });
+      const { reply } = await h.whatsapp({ From: from, Body: 'Hola' });
+
+      assert.equal(reply, 'Hola Ana');
+      assert.equal(h.rows('messages')[0].tenant_id, 'tenant-1');
+    }));
+  }
+
+  test('unknown number gets the "not found" reply in the language it wrote in, and nothing is saved', () => withHarness({}, async (h) => {
+    const spanish = await h.whatsapp({ From: 'whatsapp:+5215599999999', Body: 'Hola' });
+    const english = await h.whatsapp({ From: 'whatsapp:+5215599999998', Body: 'Hi, is the flat still available?' });
+    const french = await h.whatsapp({ From: 'whatsapp:+5215599999997', Body: 'Bonjour, je cherche mon propriétaire' });
+
+    assert.match(spanish.reply, /no encuentro tu número/);
+    assert.match(english.reply, /can't find your number/);
+    assert.match(french.reply, /je ne trouve pas votre numéro/);
+    assert.equal(h.rows('messages').length, 0);
+  }));
+
+  test('vendor replies are threaded onto their job, not treated as tenants', () => withHarness({
+    vendors: [{ id: 'vendor-1', landlord_id: 'landlord-1', name: 'Pepe', trade: 'plumber', phone: '+525577777777', channel: 'whatsapp', language: 'es', active: true }],
+    tickets: [{ id: 'ticket-1', tenant_id: 'tenant-1', property_id: 'property-1', status: 'open', priority: 'high', description: 'Fuga' }],
+    vendor_jobs: [{ id: 'job-1', ticket_id: 'ticket-1', vendor_id: 'vendor-1', status: 'sent' }]
+  }, async (h) => {
+    const { reply } = await h.whatsapp({ From: 'whatsapp:+5215577777777', Body: 'Sí, voy mañana' });
+
+    assert.ok(reply);
+    assert.equal(h.rows('messages').length, 0);
+    assert.equal(h.rows('vendor_messages')[0].job_id, 'job-1');
+    assert.equal(h.ai.calls.length, 0);
+  }));
+
+  test('a vendor on two landlords\' lists is matched to the one with an open job', () => withHarness({
+    vendors: [
+      { id: 'vendor-1', landlord_id: 'landlord-1', name: 'Pepe', trade: 'plumber', phone: '+525577777777', channel: 'whatsapp', language: 'es', active: true, created_at: '2026-01-01T00:00:00Z' },
+      { id: 'vendor-2', landlord_id: 'landlord-2', name: 'Pepe', trade: 'plumber', phone: '+525577777777', channel: 'whatsapp', language: 'es', active: true, created_at: '2026-02-01T00:00:00Z' }
+    ],
+    tickets: [
+      { id: 'ticket-1', tenant_id: 'tenant-1', property_id: 'property-1', status: 'resolved', priority: 'high', description: 'Fuga' },
+      { id: 'ticket-2', tenant_id: 'tenant-2', property_id: 'property-2', status: 'open', priority: 'high', description: 'Sin agua' }
+    ],
+    vendor_jobs: [
+      { id: 'job-1', ticket_id: 'ticket-1', vendor_id: 'vendor-1', status: 'completed', created_at: '2026-03-01T00:00:00Z' },
+      { id: 'job-2', ticket_id: 'ticket-2', vendor_id: 'vendor-2', status: 'sent', created_at: '2026-02-15T00:00:00Z' }
+    ]
+  }, async (h) => {
+    await h.whatsapp({ From: 'whatsapp:+5215577777777', Body: 'Voy en camino' });
+
+    assert.deepEqual(h.rows('vendor_messages').map(m => [m.vendor_id, m.job_id]), [['vendor-2', 'job-2']]);
+    assert.equal(h.rows('vendor_jobs')[0].status, 'completed');
+    assert.equal(h.rows('vendor_jobs')[1].status, 'accepted');
+  }));
+});
+
+describe('request validation and TwiML', () => {
+  test('missing body and media returns an error message', () => withHarness({}, async (h) => {
+    const { status, reply } = await h.whatsapp({ From: ANA });
+
+    assert.equal(status, 200);
+    assert.equal(reply, 'Error: missing message or phone number');
+  }));
+
+  test('Twilio gets an empty TwiML acknowledgement; the reply goes out through the REST API', () => withHarness({}, async (h) => {
+    h.ai.reply({ message: 'Renta & servicios: <$15,000>', category: 'PAGO', needsAttention: false });
+    const { xml, messages } = await h.whatsapp({ From: ANA, Body: '¿Cuánto es la renta?' });
+
+    assert.equal(xml, '<?xml version="1.0" encoding="UTF-8"?><Response/>');
+    assert.deepEqual(messages, ['Renta & servicios: <$15,000>']);
+    assert.equal(h.twilio.sent[0].to, 'whatsapp:+525512345678');
+  }));
+
+  test('AI reply, category and attention flag are saved with the incoming message', () => withHarness({}, async (h) => {
+    h.ai.reply({ message: 'Con gusto', category: 'CONSULTA', needsAttention: false });
+    await h.whatsapp({ From: ANA, Body: '¿Puedo tener una mascota?' });
+
+    const [saved] = h.rows('messages');
+    assert.equal(saved.direction, 'incoming');
+    assert.equal(saved.author, 'tenant');
+    assert.equal(saved.message_body, '¿Puedo tener una mascota?');
+    assert.equal(saved.ai_response, 'Con gusto');
+    assert.equal(saved.category, 'CONSULTA');
+    assert.equal(saved.needs_landlord_attention, false);
+  }));
+});
+
+describe('language detection', () => {
+  test('Spanish message is answered in Spanish', () => withHarness({}, async (h) => {
+    h.ai.reply({ message: 'ok', category: 'CONSULTA', needsAttention: false });
+    await h.whatsapp({ From: ANA, Body: 'Hola, ¿cómo puedo pagar la renta?' });
+
+    assert.equal(h.ai.calls[0].context.isSpanish, true);
+  }));
+
+  test('English message is answered in English', () => withHarness({}, async (h) => {
+    h.ai.reply({ message: 'ok', category: 'INQUIRY', needsAttention: false });
+    await h.whatsapp({ From: ANA, Body: 'Hi, when is the rent due?' });
+
+    assert.equal(h.ai.calls[0].context.isSpanish, false);
+  }));
+
+  test('recent conversation is passed to the AI, oldest first', () => withHarness({
+    messages: [
+      { tenant_id: 'tenant-1', direction: 'incoming', author: 'tenant', message_body: 'primero' },
+      { tenant_id: 'tenant-1', direction: 'outgoing', author: 'landlord', message_body: 'segundo' }
+    ]
+  }, async (h) => {
+    h.ai.reply({ message: 'ok', category: 'CONSULTA', needsAttention: false });
+    await h.whatsapp({ From: ANA, Body: 'tercero' });
+
+    assert.deepEqual(h.ai.calls[0].history.map(m => m.message_body), ['primero', 'segundo']);
+  }));
+});
+
+describe('fallback replies when the AI is unavailable', () => {
+  // [message, seed, category, needsAttention, start of the reply]
+  const cases = [
+    ['¿Cuándo vence la renta este mes?', {}, 'PAGO', false, 'Tu renta es de $15000 MXN'],
+    ['Hay una fuga de agua en la cocina', {}, 'URGENTE', true, 'Ay no, eso suena muy estresante'],
+    ['Sigue la fuga', HISTORY, 'URGENTE', true, 'Perfecto, ya tengo más info'],
+    ['La regadera está rota y no funciona', {}, 'MANTENIMIENTO', true, 'Lamento que no esté funcionando'],
+    ['Ya no funciona el boiler', HISTORY, 'MANTENIMIENTO', true, 'Entiendo. Con esa información'],
+    ['Muchas gracias por todo', {}, 'CONSULTA', false, '¡De nada!'],
+    ['en la cocina', HISTORY, 'CONSULTA', true, 'Perfecto, ya tengo esa información'],
+    ['Hola, tengo una pregunta sobre el estacionamiento', {}, 'CONSULTA', false, '¡Hola! Recibí tu mensaje'],
+    ['How much is the rent and when is it due?', {}, 'PAYMENT', false, 'Your rent is $15000 MXN'],
+    ['There is a water leak, it is an emergency', {}, 'URGENT', true, 'Oh no, that sounds really stressful'],
+    ['The fridge is broken', {}, 'MAINTENANCE', true, 'I\'m sorry that\'s not working properly'],
+    ['Thanks so much!', {}, 'INQUIRY', false, 'You\'re so welcome!'],
+    ['Where do I start?', HISTORY, 'INQUIRY', true, 'Perfect, I have that information now'],
+    ['Hi, what time can someone come over?', {}, 'INQUIRY', false, 'Hey! I got your message']
+  ];
+
+  for (const [message, seed, category, needsAttention, start] of cases) {
+    test(`${category}: "${message}"`, () => withHarness(seed, async (h) => {
+      const { reply } = await h.whatsapp({ From: ANA, Body: message });
+
+      assert.ok(reply.startsWith(start), reply);
+      const saved = h.rows('messages').find(m => m.message_body === message);
+      assert.equal(saved.category, category);
+      assert.equal(saved.needs_landlord_attention, needsAttention);
+    }));
+  }
+
+  test('rent question mentions the outstanding balance from the ledger', () => withHarness({
+    payments: [{ tenant_id: 'tenant-1', property_id: 'property-1', period: '2026-09', amount_due: 15000, amount_paid: 0, status: 'unpaid' }]
+  }, async (h) => {
+    const { reply } = await h.whatsapp({ From: ANA, Body: '¿Cuándo vence la renta este mes?' });
+
+    assert.match(reply, /^Según nuestro registro tienes un saldo pendiente/);
+  }));
+});
+
+describe('payments, tickets and alerts', () => {
+  test('"ya pagué" records a pending payment and skips the AI', () => withHarness({}, async (h) => {
+    const { reply } = await h.whatsapp({ From: ANA, Body: 'Ya pagué la renta de este mes' });
+
+    assert.match(reply, /^¡Gracias, Ana! Registré tu pago/);
+    assert.equal(h.rows('payments')[0].status, 'pending');
+    assert.equal(h.rows('messages')[0].category, 'PAGO');
+    assert.equal(h.rows('messages')[0].property_id, 'property-1');
+    assert.equal(h.ai.calls.length, 0);
+  }));
+
+  // The amount is a number next to a currency or payment word, never a date or a phone number
+  const reports = [
+    ['Ya pagué la renta, fueron $15,000', 15000],
+    ['Ya pagué 14500 pesos', 14500],
+    ['Ya pagué el 5 de marzo de 2026', null],
+    ['Ya pagué, cualquier cosa márcame al 5512345678', null]
+  ];
+
+  for (const [message, amount] of reports) {
+    test(`reported amount: "${message}"`, () => withHarness({}, async (h) => {
+      await h.whatsapp({ From: ANA, Body: message });
+      assert.equal(h.rows('payments')[0].reported_amount, amount);
+    }));
+  }
+
+  test('"ya pagué" again leaves a month the landlord already confirmed as it was', () => withHarness({
+    payments: [{
+      id: 'payment-1', tenant_id: 'tenant-1', property_id: 'property-1', period: new Date().toISOString().slice(0, 7),
+      amount_due: 15000, amount_paid: 15000, status: 'paid'
+    }]
+  }, async (h) => {
+    await h.whatsapp({ From: ANA, Body: 'Ya pagué la renta de este mes' });
+
+    const [payment] = h.rows('payments');
+    assert.equal(h.rows('payments').length, 1);
+    assert.equal(payment.status, 'paid');
+    assert.equal(payment.amount_due, 15000);
+    assert.equal(payment.reported_at, undefined);
+  }));
+
+  test('urgent report opens a ticket and alerts the landlord by WhatsApp', () => withHarness({}, async (h) => {
+    h.ai.reply({
+      message: 'Ay no, ¿dónde exactamente?',
+      category: 'URGENTE',
+      needsAttention: true,
+      ticket: { location: 'cocina', description: 'Fuga bajo el fregadero', priority: 'urgent', trade: 'plumber' }
+    });
+    await h.whatsapp({ From: ANA, Body: 'Se está inundando la cocina' });
+    await settle();
+
+    const [ticket] = h.rows('tickets');
+    assert.equal(ticket.priority, 'urgent');
+    assert.equal(ticket.location, 'cocina');
+    assert.equal(h.rows('messages')[0].ticket_id, ticket.id);
+
+    const alert = h.twilio.sent.find(m => m.to === 'whatsapp:+5215500000001');
+    assert.match(alert.body, /Mensaje urgente de Ana/);
+    assert.equal(h.rows('messages')[0].alert_status, 'sent');
+  }));
+});
+
+describe('human takeover', () => {
+  test('paused tenant gets no reply and the message waits for the landlord', () => withHarness({
+    tenants: [{ id: 'tenant-1', property_id: 'property-1', name: 'Ana', phone: '+525512345678', ai_paused: true }]
+  }, async (h) => {
+    const { xml, messages } = await h.whatsapp({ From: ANA, Body: 'Hola, ¿sigues ahí?' });
+
+    assert.equal(xml, '<?xml version="1.0" encoding="UTF-8"?><Response/>');
+    assert.equal(messages.length, 0);
+    assert.equal(h.rows('messages')[0].needs_landlord_attention, true);
+    assert.equal(h.ai.calls.length, 0);
+  }));
+
+  test('draft mode sends a holding reply and keeps the AI draft for approval', () => withHarness({
+    landlords: [{ id: 'landlord-1', name: 'Sofía', phone: '+5215500000001', ai_reply_mode: 'draft', alert_email: false }]
+  }, async (h) => {
+    h.ai.reply({ message: 'Sí, se permiten mascotas pequeñas', category: 'CONSULTA', needsAttention: false });
+    const { reply } = await h.whatsapp({ From: ANA, Body: '¿Puedo tener un perro?' });
+
+    assert.match(reply, /^¡Gracias por tu mensaje!/);
+    const [saved] = h.rows('messages');
+    assert.equal(saved.ai_draft, 'Sí, se permiten mascotas pequeñas');
+    assert.equal(saved.draft_status, 'pending');
+    assert.equal(saved.needs_landlord_attention, true);
+  }));
+});